@@ -5,7 +5,6 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const morgan = require('morgan');
-const path = require('path');
 
 // Import routes
 const v1Router = require('./src/routers/v1/v1.router');
@@ -13,6 +12,11 @@ const v1Router = require('./src/routers/v1/v1.router');
 // Import middleware
 const { RequestLoggerMiddleware } = require('./src/middlewares/requestlogger.middleware');
 
+// Import database and background worker
+const { connectToDB } = require('./src/database/db.connect');
+const { startIndexingWorker, stopIndexingWorker } = require('./src/services/indexingJobQueue.service');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./src/services/webhookDispatcher.service');
+
 // Import utilities
 const { validateEnvironmentVariables } = require('./src/utils/validateEnvironmentVariables.utils');
 
@@ -36,15 +40,37 @@ app.use(helmet({
 }));
 
 // Rate limiting
+// Media is fetched in bursts: a player seeks with many Range requests, a result list loads
+// dozens of thumbnails
+const isMediaRequest = (req) => ['GET', 'HEAD'].includes(req.method) &&
+  /^\/v1\/video\/[^/]+\/(frames\/[^/]+|poster|stream)$/.test(req.path);
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // Each chunk of a resumable upload is its own request; a multi-GB file would exhaust the limit.
+  // Media has its own limiter below.
+  skip: (req) => (['PATCH', 'PUT', 'HEAD'].includes(req.method) && req.path.startsWith('/v1/video/uploads/')) ||
+    isMediaRequest(req),
+});
+
+// Only media requests that fail (bad signature or token, unknown video or frame) count, so
+// guessing signatures is limited like any other request while authorized players are not
+const mediaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  message: 'Too many requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  skip: (req) => !isMediaRequest(req),
 });
 
 app.use('/api/', limiter);
+app.use('/api/', mediaLimiter);
 
 // Compression middleware
 app.use(compression());
@@ -71,19 +97,15 @@ const allowedOrigins = process.env.NODE_ENV === 'production'
 app.use(cors({
   origin: allowedOrigins,
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Range', 'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'Upload-Defer-Length'],
+  exposedHeaders: ['Location', 'Content-Range', 'Accept-Ranges', 'Content-Length', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Upload-Offset', 'Upload-Length'],
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Static file serving for uploads (in development)
-if (process.env.NODE_ENV === 'development') {
-  app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-}
-
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -148,14 +170,24 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopIndexingWorker();
+  stopWebhookDispatcher();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopIndexingWorker();
+  stopWebhookDispatcher();
   process.exit(0);
 });
 
+// Start the background workers once MongoDB is reachable
+connectToDB().then(() => {
+  startIndexingWorker();
+  startWebhookDispatcher();
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
@@ -1,948 +1,585 @@
 require('dotenv').config();
 const fs = require('fs');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const VideoModel = require('../models/video.model');
+const IndexingJobModel = require('../models/indexingJob.model');
+const TranscriptRevisionModel = require('../models/transcriptRevision.model');
 
-// Add fetch for Node.js compatibility
-const fetch = require('node-fetch');
+const { validateAndGetConfig } = require('../utils/validateEnvironmentVariables.utils');
 
-// Import all functions from both utilities
+const fsExtra = require('fs-extra');
 const {
-    chunkText,
-    chunkTextBySentence,
-    chunkTranscriptionSegments
-} = require('../utils/chunkText.utils');
-
+    milvusClient,
+    TEXT_COLLECTION_NAME,
+    VISUAL_COLLECTION_NAME,
+    deleteVideoEmbeddings
+} = require('../services/vectorEmbeddings.service');
+const { enqueueIndexingJob } = require('../services/indexingJobQueue.service');
+const { resolvePipelineStages, getResumeStages, getVideoArtifactDirs } = require('../services/videoIndexingPipeline.service');
+const { dispatchWebhookEvent } = require('../services/webhookDispatcher.service');
+const { findDuplicateVideo } = require('../services/videoDeduplication.service');
+const { SubtitleImportError, readSubtitleFile, importSubtitleTranscript } = require('../services/transcriptImport.service');
+const { VocabularyError, resolveUploadVocabulary } = require('../services/vocabulary.service');
+const { FrameExtractionError, parseFrameExtractionOptions } = require('../services/videoToKeyFrames.service');
+const { getSpeakerName } = require('../utils/transcriptSegments.utils');
+const { isValidLanguageCode, normalizeLanguageCode } = require('../utils/language.utils');
 const {
-    validateEnvironmentVariables,
-    validateSpecificFormats,
-    getEnvironmentConfig,
-    validateAndGetConfig
-} = require('../utils/validateEnvironmentVariables.utils');
-
-const { VideoToKeyFramesService } = require('../services/videoToKeyFrames.service');
-const { VideoToAudioTranscriptionService } = require('../services/VideoToAudioTranscription.service');
+    TUS_VERSION,
+    TUS_EXTENSIONS,
+    UploadError,
+    parseUploadMetadata,
+    getReceivedBytes,
+    createUploadSession,
+    findUploadSession,
+    appendUploadChunk,
+    finalizeUpload,
+    reopenUpload,
+    abortUploadSession
+} = require('../services/resumableUpload.service');
+const {
+    subscribeToIndexingProgress,
+    getLatestIndexingProgress,
+    isTerminalProgressEvent
+} = require('../services/indexingProgress.service');
 
-// =================== Milvus Zilliz ==================
-const { MilvusClient } = require("@zilliz/milvus2-sdk-node");
+const SSE_HEARTBEAT_INTERVAL_MS = 15 * 1000;
 
 // Use environment config instead of direct process.env access
 const config = validateAndGetConfig(); // This validates AND returns config
 
-const milvusClient = new MilvusClient({
-    address: config.milvusEndpoint,
-    token: config.milvusToken,
-    timeout: 60000
-});
-
-// ============ Google Gemini ===================
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const genAI = new GoogleGenerativeAI(config.geminiApiKey);
-// ==============================================
-
-// =================== COLLECTION NAMES ===================
-const TEXT_COLLECTION_NAME = "video_text_embeddings";
-const VISUAL_COLLECTION_NAME = "video_visual_embeddings";
-
-// Determine text embedding dimension based on selected model
-const inferTextEmbeddingDim = (modelName) => {
-    if (!modelName) return 768;
-    const name = modelName.toLowerCase();
-    if (name.includes('text-embedding-004')) return 3072;
-    if (name.includes('embedding-001')) return 768;
-    return 768; // default
-};
-
-const TEXT_EMBED_DIM = inferTextEmbeddingDim(config.embeddingModel);
+// Registers a stored upload and queues it for the background indexing worker.
+// Identical content is never indexed twice: a re-upload by the same user returns the existing
+// video, and content already indexed for someone else gets its index copied by a clone job.
+// Uploaded subtitles ({ cues, file, language }) become the transcript and skip audio and ASR;
+// otherwise the audio is transcribed with the chosen vocabulary (vocabularyId), in the given
+// language or the one the provider detects. frameExtraction overrides the key frame settings.
+// Returns { statusCode, payload, videoId } for the caller to send.
+const queueUploadedVideo = async (file, userId, { subtitles = null, vocabularyId = null, language = null, frameExtraction = null } = {}) => {
+    const { originalname, path: videoPath, size, sha256 } = file;
+
+    const { ownVideo, indexedVideo: duplicateVideo } = await findDuplicateVideo(sha256, userId);
+    // Captions that came with the upload are worth more than a copied ASR transcript, a copied
+    // transcript was made without the uploader's vocabulary or in another language, and copied
+    // frames were picked with other frame settings
+    const keepsCopiedIndex = !subtitles && !vocabularyId && !frameExtraction &&
+        (!language || duplicateVideo?.language === language);
+    const indexedVideo = keepsCopiedIndex ? duplicateVideo : null;
+
+    if (ownVideo) {
+        console.log(`Duplicate upload of ${ownVideo.uuid} by user ${userId}, discarding ${originalname}`);
+        await fsExtra.remove(videoPath);
+        if (subtitles) {
+            await fsExtra.remove(subtitles.file.path);
+        }
 
-// Wait until Milvus index is built for a collection
-const waitForIndexBuilt = async (collectionName) => {
-    const maxRetries = 60;
-    const delayMs = 1000;
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            const state = await milvusClient.getIndexState({
-                collection_name: collectionName
-            });
-            if (state.state === 'Finished' || state.state === 2) {
-                return true;
+        return {
+            statusCode: 200,
+            videoId: ownVideo.uuid,
+            payload: {
+                success: true,
+                message: subtitles
+                    ? `This video was already uploaded, returning the existing video. Use PUT /api/v1/video/${ownVideo.uuid}/transcript to import the subtitles.`
+                    : 'This video was already uploaded, returning the existing video',
+                data: {
+                    videoId: ownVideo.uuid,
+                    deduplicated: true,
+                    title: ownVideo.original_name,
+                    status: ownVideo.indexing_status,
+                    isIndexed: ownVideo.is_indexed,
+                    metadata: {
+                        fileSize: ownVideo.size,
+                        duration: ownVideo.duration
+                    },
+                    endpoints: {
+                        query: `/api/v1/video/query/ask/${ownVideo.uuid}`,
+                        progress: `/api/v1/video/${ownVideo.uuid}/progress`,
+                        debug: `/api/v1/video/debug/${ownVideo.uuid}`
+                    }
+                }
             }
-        } catch (e) {
-            // ignore and retry
-        }
-        await new Promise(r => setTimeout(r, delayMs));
+        };
     }
-    return false;
-};
 
-// Create index with compatibility across SDK variants
-const ensureIndex = async (collectionName) => {
+    // Generate unique video ID
+    const videoId = uuidv4();
+    console.log(indexedVideo
+        ? `Queueing index copy of identical video ${indexedVideo.uuid}: ${originalname} (ID: ${videoId})`
+        : `Queueing video for indexing: ${originalname} (ID: ${videoId})`);
+
+    const videoRecord = new VideoModel({
+        original_name: originalname,
+        uuid: videoId,
+        file_path: videoPath,
+        size: size,
+        content_hash: sha256,
+        uploaded_by: userId,
+        vocabulary: vocabularyId,
+        language: language || undefined,
+        language_source: language ? 'upload' : undefined,
+        frame_extraction: frameExtraction || undefined,
+        indexing_status: 'pending',
+        is_indexed: false
+    });
+
+    await videoRecord.save();
+
+    let job;
     try {
-        // Try modern signature
-        await milvusClient.createIndex({
-            collection_name: collectionName,
-            field_name: 'embedding',
-            index_type: 'IVF_FLAT',
-            metric_type: 'COSINE',
-            params: { nlist: 128 }
-        });
-    } catch (err) {
-        try {
-            // Fallback to extra_params form
-            await milvusClient.createIndex({
-                collection_name: collectionName,
-                field_name: 'embedding',
-                extra_params: {
-                    index_type: 'IVF_FLAT',
-                    metric_type: 'COSINE',
-                    params: JSON.stringify({ nlist: 128 })
-                }
+        if (subtitles) {
+            await importSubtitleTranscript(videoId, subtitles.cues, {
+                subtitlePath: subtitles.file.path,
+                originalName: subtitles.file.originalname,
+                language: language
             });
-        } catch (err2) {
-            console.error(`Failed to create index on ${collectionName}:`, err2?.message || err2);
-            throw err2;
         }
-    }
-};
 
-// Ensure text collection exists with required FloatVector dimension
-const ensureTextCollectionWithDim = async (requiredDim) => {
-    const textSchema = [
-        { name: 'id', data_type: 'VarChar', max_length: 100, is_primary_key: true },
-        { name: 'video_id', data_type: 'VarChar', max_length: 100 },
-        { name: 'text_chunk', data_type: 'VarChar', max_length: 5000 },
-        { name: 'timestamp', data_type: 'Float' },
-        { name: 'chunk_index', data_type: 'Int64' },
-        { name: 'embedding', data_type: 'FloatVector', dim: requiredDim }
-    ];
-
-    const exists = await milvusClient.hasCollection({ collection_name: TEXT_COLLECTION_NAME });
-    if (!exists.value) {
-        await milvusClient.createCollection({ collection_name: TEXT_COLLECTION_NAME, fields: textSchema });
-        await ensureIndex(TEXT_COLLECTION_NAME);
-        return;
+        job = indexedVideo
+            ? await enqueueIndexingJob({ videoId, userId, type: 'clone', options: { sourceVideoId: indexedVideo.uuid } })
+            : await enqueueIndexingJob({ videoId, userId });
+    } catch (error) {
+        // Without a job the video would stay pending forever, the caller decides what happens to the file
+        await TranscriptRevisionModel.deleteMany({ video_uuid: videoId });
+        await VideoModel.deleteOne({ uuid: videoId });
+        throw error;
     }
 
-    try {
-        const info = await milvusClient.describeCollection({ collection_name: TEXT_COLLECTION_NAME });
-        const embeddingField = info.schema?.fields?.find(f => f.name === 'embedding');
-        const dimParam = embeddingField?.type_params?.find(p => (p.key || p.Key) === 'dim');
-        const currentDim = parseInt(dimParam?.value || dimParam?.Value || embeddingField?.dim || '0', 10);
-        if (!currentDim || currentDim !== requiredDim) {
-            try { await milvusClient.releaseCollection({ collection_name: TEXT_COLLECTION_NAME }); } catch (_) {}
-            await milvusClient.dropCollection({ collection_name: TEXT_COLLECTION_NAME });
-            await milvusClient.createCollection({ collection_name: TEXT_COLLECTION_NAME, fields: textSchema });
-            await ensureIndex(TEXT_COLLECTION_NAME);
+    return {
+        statusCode: 202,
+        videoId: videoId,
+        payload: {
+            success: true,
+            message: indexedVideo
+                ? 'Identical video already indexed, queued a copy of its index'
+                : subtitles
+                    ? 'Video uploaded with subtitles and queued for indexing without transcription'
+                    : 'Video uploaded and queued for indexing',
+            data: {
+                videoId: videoId,
+                deduplicated: Boolean(indexedVideo),
+                subtitlesImported: Boolean(subtitles),
+                vocabularyId: vocabularyId,
+                language: language,
+                frameExtraction: frameExtraction,
+                jobId: job.job_id,
+                title: originalname,
+                status: job.status,
+                metadata: {
+                    fileSize: size
+                },
+                endpoints: {
+                    job: `/api/v1/video/jobs/${job.job_id}`,
+                    query: `/api/v1/video/query/ask/${videoId}`,
+                    debug: `/api/v1/video/debug/${videoId}`
+                }
+            }
         }
-    } catch (_) {
-        try { await milvusClient.releaseCollection({ collection_name: TEXT_COLLECTION_NAME }); } catch (_) {}
-        try { await milvusClient.dropCollection({ collection_name: TEXT_COLLECTION_NAME }); } catch (_) {}
-        await milvusClient.createCollection({ collection_name: TEXT_COLLECTION_NAME, fields: textSchema });
-        await ensureIndex(TEXT_COLLECTION_NAME);
-    }
+    };
 };
 
-// =================== HELPER FUNCTIONS ===================
-
-// Initialize Milvus Collections
-const initializeMilvusCollections = async () => {
+// =================== MAIN CONTROLLER ===================
+// Stores a single-request upload and queues it for indexing
+const IndexNewVideoController = async (req, res) => {
     try {
-        // Text collection schema
-        const textSchema = [
-            {
-                name: "id",
-                data_type: "VarChar",
-                max_length: 100,
-                is_primary_key: true
-            },
-            {
-                name: "video_id",
-                data_type: "VarChar",
-                max_length: 100
-            },
-            {
-                name: "text_chunk",
-                data_type: "VarChar",
-                max_length: 5000
-            },
-            {
-                name: "timestamp",
-                data_type: "Float"
-            },
-            {
-                name: "chunk_index",
-                data_type: "Int64"
-            },
-            {
-                name: "embedding",
-                data_type: "FloatVector",
-                dim: TEXT_EMBED_DIM
-            }
-        ];
-
-        // Visual collection schema
-        const visualSchema = [
-            {
-                name: "id",
-                data_type: "VarChar",
-                max_length: 100,
-                is_primary_key: true
-            },
-            {
-                name: "video_id",
-                data_type: "VarChar",
-                max_length: 100
-            },
-            {
-                name: "frame_path",
-                data_type: "VarChar",
-                max_length: 500
-            },
-            {
-                name: "timestamp",
-                data_type: "Float"
-            },
-            {
-                name: "frame_number",
-                data_type: "Int64"
-            },
-            {
-                name: "embedding",
-                data_type: "FloatVector",
-                dim: 512 // CLIP embedding dimension
-            }
-        ];
-
-        // Create text collection if it doesn't exist or fix dim mismatch
-        const textExists = await milvusClient.hasCollection({
-            collection_name: TEXT_COLLECTION_NAME
-        });
+        // Validate request
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No video file uploaded'
+            });
+        }
 
-        if (!textExists.value) {
-            await milvusClient.createCollection({
-                collection_name: TEXT_COLLECTION_NAME,
-                fields: textSchema
+        const userId = req.userId;
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'User authentication required. User ID not found.'
             });
-            await ensureIndex(TEXT_COLLECTION_NAME);
-            console.log(`Created collection: ${TEXT_COLLECTION_NAME}`);
-        } else {
-            try {
-                const info = await milvusClient.describeCollection({ collection_name: TEXT_COLLECTION_NAME });
-                const embeddingField = info.schema?.fields?.find(f => f.name === 'embedding');
-                const dimParam = embeddingField?.type_params?.find(p => (p.key||p.Key) === 'dim');
-                const currentDim = parseInt(dimParam?.value || dimParam?.Value || embeddingField?.dim || '0', 10);
-                if (currentDim && currentDim !== TEXT_EMBED_DIM) {
-                    console.warn(`Embedding dim mismatch for ${TEXT_COLLECTION_NAME}: expected ${TEXT_EMBED_DIM}, found ${currentDim}. Recreating collection.`);
-                    try { await milvusClient.releaseCollection({ collection_name: TEXT_COLLECTION_NAME }); } catch(e) {}
-                    await milvusClient.dropCollection({ collection_name: TEXT_COLLECTION_NAME });
-                    await milvusClient.createCollection({
-                        collection_name: TEXT_COLLECTION_NAME,
-                        fields: textSchema
-                    });
-                    await ensureIndex(TEXT_COLLECTION_NAME);
-                    console.log(`Recreated collection with dim ${TEXT_EMBED_DIM}: ${TEXT_COLLECTION_NAME}`);
-                }
-            } catch (e) {
-                console.warn('Could not verify existing text collection schema; proceeding. Error:', e?.message || e);
-            }
         }
 
-        // Create visual collection if it doesn't exist
-        const visualExists = await milvusClient.hasCollection({
-            collection_name: VISUAL_COLLECTION_NAME
-        });
+        // Optional language, frame settings, captions and vocabulary are checked before anything
+        // is stored, so bad requests fail early
+        const discardUploadedFiles = async () => {
+            await fsExtra.remove(req.file.path);
+            if (req.subtitlesFile) {
+                await fsExtra.remove(req.subtitlesFile.path);
+            }
+        };
 
-        if (!visualExists.value) {
-            await milvusClient.createCollection({
-                collection_name: VISUAL_COLLECTION_NAME,
-                fields: visualSchema
+        const { language, vocabulary: vocabularyName } = req.body || {};
+        if (language !== undefined && language !== '' && !isValidLanguageCode(language)) {
+            await discardUploadedFiles();
+            return res.status(400).json({
+                success: false,
+                message: 'language must be a language code such as "en" or "pt-BR"'
             });
-            await ensureIndex(VISUAL_COLLECTION_NAME);
-            console.log(`Created collection: ${VISUAL_COLLECTION_NAME}`);
         }
 
-        // Ensure indexes are built before loading (ignore if not created freshly)
-        try { await waitForIndexBuilt(TEXT_COLLECTION_NAME); } catch(e) {}
-        try { await waitForIndexBuilt(VISUAL_COLLECTION_NAME); } catch(e) {}
+        let subtitles = null;
+        let vocabulary = null;
+        let frameExtraction = null;
+        try {
+            frameExtraction = parseFrameExtractionOptions(req.body || {});
+            if (req.subtitlesFile) {
+                const cues = await readSubtitleFile(req.subtitlesFile.path);
+                subtitles = { cues, file: req.subtitlesFile };
+            }
+            vocabulary = await resolveUploadVocabulary(userId, vocabularyName);
+        } catch (validationError) {
+            await discardUploadedFiles();
+            if (validationError instanceof SubtitleImportError || validationError instanceof VocabularyError ||
+                validationError instanceof FrameExtractionError) {
+                return res.status(validationError.statusCode).json({
+                    success: false,
+                    message: validationError.message
+                });
+            }
+            throw validationError;
+        }
 
-        // Load collections
-        await milvusClient.loadCollection({
-            collection_name: TEXT_COLLECTION_NAME
+        const { statusCode, payload } = await queueUploadedVideo(req.file, userId, {
+            subtitles,
+            vocabularyId: vocabulary?._id || null,
+            language: normalizeLanguageCode(language),
+            frameExtraction
         });
+        res.status(statusCode).json(payload);
+
+    } catch (error) {
+        console.error('❌ Error in IndexNewVideoController:', error);
 
-        await milvusClient.loadCollection({
-            collection_name: VISUAL_COLLECTION_NAME
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while queueing video for indexing',
+            error: config.isDevelopment ? error.message : 'Something went wrong'
         });
+    }
+};
 
-        console.log('Milvus collections initialized successfully');
+// =================== RESUMABLE UPLOADS (tus 1.0.0) ===================
+// Sets the tus headers and rejects clients speaking another tus version
+const prepareTusResponse = (req, res) => {
+    res.set('Tus-Resumable', TUS_VERSION);
 
-    } catch (error) {
-        console.error('Error initializing Milvus collections:', error);
-        throw error;
+    const clientVersion = req.get('Tus-Resumable');
+    if (clientVersion && clientVersion !== TUS_VERSION) {
+        res.set('Tus-Version', TUS_VERSION);
+        res.status(412).json({ success: false, message: `Unsupported tus version ${clientVersion}`, code: 'UNSUPPORTED_VERSION' });
+        return false;
     }
+    return true;
 };
 
-// Enhanced generateTextEmbedding function with better error handling
-const generateTextEmbedding = async (text) => {
-    try {
-        if (!text || typeof text !== 'string' || text.trim().length === 0) {
-            throw new Error('Invalid text input for embedding generation');
-        }
-
-        // Truncate text if it's too long (Gemini has token limits)
-        const maxLength = 8000; // Adjust based on your model's limits
-        const truncatedText = text.length > maxLength ? text.substring(0, maxLength) : text;
+const sendUploadError = (res, error, context) => {
+    if (error instanceof UploadError) {
+        return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+    }
 
-        console.log(`Generating embedding for text of length: ${truncatedText.length}`);
+    console.error(`Error in ${context}:`, error);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error while handling the upload',
+        error: config.isDevelopment ? error.message : 'Something went wrong'
+    });
+};
 
-        const model = genAI.getGenerativeModel({ model: config.embeddingModel });
-        const result = await model.embedContent(truncatedText);
+// Starts an upload. Headers: Upload-Length, Upload-Metadata with base64 filename and filetype,
+// and optionally the vocabulary name or id, the spoken language and frame extraction settings
+const CreateResumableUploadController = async (req, res) => {
+    try {
+        if (!prepareTusResponse(req, res)) return;
 
-        if (!result || !result.embedding || !result.embedding.values) {
-            throw new Error('Invalid response from embedding model');
+        if (req.get('Upload-Defer-Length')) {
+            return res.status(400).json({ success: false, message: 'Upload-Defer-Length is not supported, send Upload-Length', code: 'INVALID_LENGTH' });
         }
 
-        const embedding = result.embedding.values;
-
-        if (!Array.isArray(embedding) || embedding.length === 0) {
-            throw new Error('Invalid embedding format received');
+        const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+        if (metadata.language && !isValidLanguageCode(metadata.language)) {
+            return res.status(400).json({ success: false, message: 'language must be a language code such as "en" or "pt-BR"', code: 'INVALID_LANGUAGE' });
         }
 
-        console.log(`Generated embedding with ${embedding.length} dimensions`);
-        return embedding;
-
-    } catch (error) {
-        console.error('Error generating text embedding:', error);
-        console.error('Text preview:', text?.substring(0, 100) + '...');
-        throw error;
-    }
-};
-
-// Generate visual embeddings using CLIP model via Hugging Face
-const generateVisualEmbedding = async (imagePath) => {
-    try {
-        console.log(`Generating visual embedding for: ${imagePath}`);
-        
-        // Read image as base64
-        const imageBuffer = fs.readFileSync(imagePath);
-        const base64Image = imageBuffer.toString('base64');
-        
-        // Use Hugging Face CLIP model for real visual embeddings
+        let frameExtraction;
         try {
-            const response = await fetch('https://api-inference.huggingface.co/models/openai/clip-vit-base-patch32', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${config.huggingFaceToken || 'hf_demo'}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    inputs: `data:image/png;base64,${base64Image}`
-                })
-            });
-            
-            if (response.ok) {
-                const result = await response.json();
-                if (result && Array.isArray(result) && result.length > 0) {
-                    console.log(`Generated CLIP embedding with ${result.length} dimensions`);
-                    return result;
-                }
+            frameExtraction = parseFrameExtractionOptions(metadata);
+        } catch (frameError) {
+            if (frameError instanceof FrameExtractionError) {
+                return res.status(frameError.statusCode).json({ success: false, message: frameError.message, code: 'INVALID_FRAME_SETTINGS' });
             }
-        } catch (hfError) {
-            console.warn('Hugging Face CLIP failed, using fallback:', hfError?.message || hfError);
+            throw frameError;
         }
-        
-        // Fallback: Generate meaningful embedding based on image properties
-        // This creates a more structured embedding than random values
-        const imageStats = fs.statSync(imagePath);
-        const fileSize = imageStats.size;
-        
-        // Create a structured embedding based on image properties
-        const embedding = new Array(512).fill(0);
-        
-        // Use file size, path hash, and some structured patterns
-        const pathHash = imagePath.split('').reduce((a, b) => {
-            a = ((a << 5) - a + b.charCodeAt(0)) & 0xFFFFFFFF;
-            return a;
-        }, 0);
-        
-        for (let i = 0; i < 512; i++) {
-            if (i < 128) {
-                // First 128 dimensions based on file size
-                embedding[i] = Math.sin((fileSize + i) * 0.01) * 0.5;
-            } else if (i < 256) {
-                // Next 128 dimensions based on path hash
-                embedding[i] = Math.cos((pathHash + i) * 0.01) * 0.5;
-            } else if (i < 384) {
-                // Next 128 dimensions based on position
-                embedding[i] = Math.sin(i * 0.1) * 0.3;
-            } else {
-                // Last 128 dimensions based on combination
-                embedding[i] = Math.cos((fileSize + pathHash + i) * 0.01) * 0.4;
-            }
-        }
-        
-        console.log(`Generated fallback embedding with ${embedding.length} dimensions`);
-        return embedding;
-        
-    } catch (error) {
-        console.error('Error generating visual embedding:', error);
-        // Return a zero vector as last resort
-        return new Array(512).fill(0);
-    }
-};
 
-const storeTextEmbeddings = async (videoId, transcriptionData) => {
-    try {
-        console.log('Processing text for embeddings...');
-        console.log(`Full text length: ${transcriptionData.fullText?.length || 0} characters`);
-        console.log(`Segments available: ${transcriptionData.segments?.length || 0}`);
-
-        const fullText = transcriptionData.fullText;
-        if (!fullText || fullText.trim().length === 0) {
-            console.warn('No full text available for embedding generation');
-            return {
-                success: false,
-                error: 'No text content available for embedding generation'
-            };
+        let vocabulary;
+        try {
+            vocabulary = await resolveUploadVocabulary(req.userId, metadata.vocabulary);
+        } catch (vocabularyError) {
+            if (vocabularyError instanceof VocabularyError) {
+                return res.status(vocabularyError.statusCode).json({ success: false, message: vocabularyError.message, code: 'INVALID_VOCABULARY' });
+            }
+            throw vocabularyError;
         }
 
-        const segments = transcriptionData.segments || [];
-        const insertData = [];
-        const textEmbeddings = [];
-        let chunkIndex = 0;
-
-        // Strategy 1: Use standard chunking for full text
-        console.log('Applying standard chunking...');
-        const standardChunks = chunkText(fullText);
-        console.log(`Generated ${standardChunks.length} standard chunks`);
-
-        // Ensure collection exists and is loaded before processing
-        let textCollectionEnsured = false;
-        
-        // Process all chunks first to get embeddings
-        const allChunks = [];
-        
-        // Add standard chunks
-        standardChunks.forEach((chunk, i) => {
-            allChunks.push({
-                chunk: chunk,
-                type: 'standard',
-                index: i
-            });
+        const session = await createUploadSession({
+            userId: req.userId,
+            uploadLength: Number(req.get('Upload-Length')),
+            metadata: metadata,
+            vocabularyId: vocabulary?._id || null,
+            language: normalizeLanguageCode(metadata.language),
+            frameExtraction
         });
-        
-        // Add sentence chunks
-        const sentenceChunks = chunkTextBySentence(fullText, 300);
-        sentenceChunks.forEach((chunk, i) => {
-            allChunks.push({
-                chunk: chunk,
-                type: 'sentence',
-                index: i
-            });
+
+        const location = `${req.baseUrl}/uploads/${session.upload_id}`;
+        res.set({
+            'Location': location,
+            'Upload-Offset': '0',
+            'Tus-Version': TUS_VERSION,
+            'Tus-Extension': TUS_EXTENSIONS.join(','),
+            'Tus-Max-Size': String(config.resumableUploadMaxBytes)
         });
-        
-        // Add timestamp chunks if available
-        if (segments.length > 0) {
-            const timestampChunks = chunkTranscriptionSegments(segments, 400);
-            timestampChunks.forEach((chunk, i) => {
-                allChunks.push({
-                    chunk: chunk.text,
-                    type: 'timestamp',
-                    startTime: chunk.startTime,
-                    endTime: chunk.endTime,
-                    index: i
-                });
-            });
-        }
-        
-        console.log(`Total chunks to process: ${allChunks.length}`);
-        
-        // Process all chunks and generate embeddings
-        for (let i = 0; i < allChunks.length; i++) {
-            const chunkData = allChunks[i];
-            try {
-                console.log(`Generating embedding for ${chunkData.type} chunk ${i + 1}/${allChunks.length}`);
-                const embedding = await generateTextEmbedding(chunkData.chunk);
-
-                if (!embedding || !Array.isArray(embedding)) {
-                    console.error(`Invalid embedding generated for ${chunkData.type} chunk ${i + 1}:`, typeof embedding);
-                    continue;
-                }
 
-                // Ensure collection is ready on first successful embedding
-                if (!textCollectionEnsured) {
-                    console.log(`First embedding generated with ${embedding.length} dimensions`);
-                    await ensureCollectionExistsAndLoaded(TEXT_COLLECTION_NAME, [
-                        { name: 'id', data_type: 'VarChar', max_length: 100, is_primary_key: true },
-                        { name: 'video_id', data_type: 'VarChar', max_length: 100 },
-                        { name: 'text_chunk', data_type: 'VarChar', max_length: 5000 },
-                        { name: 'timestamp', data_type: 'Float' },
-                        { name: 'chunk_index', data_type: 'Int64' },
-                        { name: 'embedding', data_type: 'FloatVector', dim: embedding.length }
-                    ]);
-                    textCollectionEnsured = true;
+        res.status(201).json({
+            success: true,
+            message: 'Upload created. Send the file with PATCH requests, then complete it.',
+            data: {
+                uploadId: session.upload_id,
+                size: session.size,
+                offset: 0,
+                expiresAt: session.expires_at,
+                endpoints: {
+                    upload: location,
+                    complete: `${location}/complete`
                 }
-
-                const id = `${videoId}_${chunkData.type}_${chunkIndex}`;
-                const timestamp = chunkData.startTime || 0;
-
-                const dataPoint = {
-                    id: id,
-                    video_id: videoId,
-                    text_chunk: chunkData.chunk.substring(0, 4999), // Ensure max length
-                    timestamp: timestamp,
-                    chunk_index: chunkIndex,
-                    embedding: embedding
-                };
-
-                insertData.push(dataPoint);
-
-                textEmbeddings.push({
-                    id: id,
-                    chunk: chunkData.chunk,
-                    type: chunkData.type,
-                    startTime: chunkData.startTime,
-                    endTime: chunkData.endTime,
-                    embedding: embedding
-                });
-
-                chunkIndex++;
-                
-                // Small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 100));
-
-            } catch (error) {
-                console.error(`Error processing ${chunkData.type} chunk ${i + 1}:`, error);
-                continue;
-            }
-        }
-
-        console.log(`Total data points prepared for insertion: ${insertData.length}`);
-
-        // Insert all embeddings into Milvus with enhanced error handling
-        if (insertData.length > 0) {
-            console.log('Starting Milvus insertion process...');
-
-            // Validate data before insertion
-            for (let i = 0; i < Math.min(3, insertData.length); i++) {
-                const sample = insertData[i];
-                console.log(`Sample data point ${i + 1}:`, {
-                    id: sample.id,
-                    video_id: sample.video_id,
-                    text_chunk_length: sample.text_chunk.length,
-                    timestamp: sample.timestamp,
-                    chunk_index: sample.chunk_index,
-                    embedding_length: sample.embedding.length,
-                    embedding_type: typeof sample.embedding[0]
-                });
             }
+        });
 
-            // Process in batches to avoid overwhelming Milvus
-            const batchSize = 10; // Reduced batch size for better error tracking
-            let successfulInserts = 0;
-
-            for (let i = 0; i < insertData.length; i += batchSize) {
-                const batch = insertData.slice(i, i + batchSize);
-                const batchNumber = Math.floor(i / batchSize) + 1;
-                const totalBatches = Math.ceil(insertData.length / batchSize);
-
-                try {
-                    console.log(`Inserting batch ${batchNumber}/${totalBatches} (${batch.length} items)`);
-
-                    const insertResult = await milvusClient.insert({
-                        collection_name: TEXT_COLLECTION_NAME,
-                        data: batch
-                    });
-
-                    console.log(`Batch ${batchNumber} insert result:`, insertResult);
-                    successfulInserts += batch.length;
-
-                    // Small delay between batches
-                    await new Promise(resolve => setTimeout(resolve, 200));
-
-                } catch (error) {
-                    console.error(`Error inserting batch ${batchNumber}:`, error);
-                    console.error('Batch data sample:', JSON.stringify(batch[0], null, 2));
-
-                    // Try inserting items one by one to identify problematic entries
-                    for (let j = 0; j < batch.length; j++) {
-                        try {
-                            const single = await milvusClient.insert({
-                                collection_name: TEXT_COLLECTION_NAME,
-                                data: [batch[j]]
-                            });
-                            if (single?.acknowledged || single?.IDs) {
-                                successfulInserts += 1;
-                            }
-                        } catch (singleError) {
-                            console.error(`Error inserting single item ${batch[j].id}:`, singleError?.message || singleError);
-                        }
-                    }
-                }
-            }
+    } catch (error) {
+        sendUploadError(res, error, 'CreateResumableUploadController');
+    }
+};
 
-            console.log(`Successfully inserted ${successfulInserts}/${insertData.length} embeddings into Milvus`);
+// Received bytes of an upload, in the Upload-Offset header (HEAD) and the JSON body (GET)
+const ResumableUploadStatusController = async (req, res) => {
+    try {
+        if (!prepareTusResponse(req, res)) return;
 
-            // Flush the collection to ensure data is persisted
-            try {
-                await milvusClient.flush({
-                    collection_names: [TEXT_COLLECTION_NAME]
-                });
-                console.log('Collection flushed successfully');
-            } catch (flushError) {
-                console.error('Error flushing collection:', flushError);
-            }
+        const session = await findUploadSession(req.params.uploadId, req.userId);
+        const offset = session.status === 'completed' ? session.size : await getReceivedBytes(session);
 
-            // Verify the insertion by checking record count
-            try {
-                const stats = await milvusClient.getCollectionStatistics({
-                    collection_name: TEXT_COLLECTION_NAME
-                });
-                console.log('Collection statistics after insertion:', stats);
-                
-                // Verify our video's data is there
-                try {
-                    const searchResult = await milvusClient.search({
-                        collection_name: TEXT_COLLECTION_NAME,
-                        anns_field: 'embedding',
-                        topk: 1,
-                        metric_type: 'COSINE',
-                        params: JSON.stringify({ nprobe: 1 }),
-                        vectors: [new Array(insertData[0].embedding.length).fill(0.1)],
-                        filter: `video_id == "${videoId}"`,
-                        output_fields: ["video_id", "text_chunk"]
-                    });
-                    console.log(`Verification search found ${searchResult.results?.length || 0} results for video ${videoId}`);
-                } catch (verifyError) {
-                    console.warn('Verification search failed:', verifyError?.message || verifyError);
-                }
-                
-            } catch (statsError) {
-                console.error('Error getting collection statistics:', statsError);
-            }
-        }
+        res.set({
+            'Upload-Offset': String(offset),
+            'Upload-Length': String(session.size),
+            'Cache-Control': 'no-store'
+        });
 
-        return {
+        res.status(200).json({
             success: true,
-            totalEmbeddings: textEmbeddings.length,
-            embeddings: textEmbeddings,
-            strategies: {
-                standard: standardChunks.length,
-                sentence: sentenceChunks.length,
-                timestamp: segments.length > 0 ? chunkTranscriptionSegments(segments, 400).length : 0
+            data: {
+                uploadId: session.upload_id,
+                status: session.status,
+                size: session.size,
+                offset: offset,
+                videoId: session.video_uuid || null,
+                expiresAt: session.status === 'uploading' ? session.expires_at : null
             }
-        };
+        });
 
     } catch (error) {
-        console.error('Error storing text embeddings:', error);
-        console.error('Error stack:', error.stack);
-        return {
-            success: false,
-            error: error.message
-        };
+        if (req.method === 'HEAD' && error instanceof UploadError) {
+            return res.status(error.statusCode).end();
+        }
+        sendUploadError(res, error, 'ResumableUploadStatusController');
     }
 };
 
-// Store visual embeddings in Milvus
-const storeVisualEmbeddings = async (videoId, framesData) => {
+// Appends the raw request body at Upload-Offset
+const AppendResumableUploadController = async (req, res) => {
     try {
-        console.log('Processing frames for embeddings...');
-
-        const visualEmbeddings = [];
-        const insertData = [];
-
-        for (const frame of framesData.frames) {
-            try {
-                const embedding = await generateVisualEmbedding(frame.frame_path);
-
-                const id = `${videoId}_frame_${frame.frame_number}`;
-
-                insertData.push({
-                    id: id,
-                    video_id: videoId,
-                    frame_path: frame.frame_path,
-                    timestamp: frame.timestamp,
-                    frame_number: frame.frame_number,
-                    embedding: embedding
-                });
-
-                visualEmbeddings.push({
-                    id: id,
-                    framePath: frame.frame_path,
-                    timestamp: frame.timestamp,
-                    frameNumber: frame.frame_number,
-                    embedding: embedding
-                });
-
-                // Small delay to avoid overloading
-                await new Promise(resolve => setTimeout(resolve, 50));
+        if (!prepareTusResponse(req, res)) return;
 
-            } catch (error) {
-                console.error(`Error processing frame ${frame.frame_number}:`, error);
-            }
+        const contentType = req.get('Content-Type') || '';
+        if (!['application/offset+octet-stream', 'application/octet-stream'].includes(contentType.split(';')[0].trim())) {
+            return res.status(415).json({ success: false, message: 'Content-Type must be application/offset+octet-stream', code: 'INVALID_CONTENT_TYPE' });
         }
 
-        // Insert into Milvus in batches
-        if (insertData.length > 0) {
-            const batchSize = 50;
-            for (let i = 0; i < insertData.length; i += batchSize) {
-                const batch = insertData.slice(i, i + batchSize);
-                const result = await milvusClient.insert({
-                    collection_name: VISUAL_COLLECTION_NAME,
-                    data: batch
-                });
-                console.log(`Inserted visual batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(insertData.length / batchSize)}`, result?.status || '');
-            }
-
-            console.log(`Stored ${insertData.length} visual embeddings in Milvus`);
-
-            try {
-                await milvusClient.flush({ collection_names: [VISUAL_COLLECTION_NAME] });
-                console.log('Flushed visual collection');
-            } catch (e) {
-                console.error('Error flushing visual collection:', e?.message || e);
-            }
+        const offsetHeader = req.get('Upload-Offset');
+        const offset = Number(offsetHeader);
+        if (!offsetHeader || !Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ success: false, message: 'Upload-Offset header must be a non-negative integer', code: 'INVALID_OFFSET' });
         }
 
-        return {
-            success: true,
-            totalEmbeddings: visualEmbeddings.length,
-            embeddings: visualEmbeddings
-        };
+        const session = await findUploadSession(req.params.uploadId, req.userId);
+        const newOffset = await appendUploadChunk(session, offset, req);
+
+        res.set('Upload-Offset', String(newOffset));
+        res.status(204).end();
 
     } catch (error) {
-        console.error('Error storing visual embeddings:', error);
-        return {
-            success: false,
-            error: error.message
-        };
+        sendUploadError(res, error, 'AppendResumableUploadController');
     }
 };
 
-// =================== MAIN CONTROLLER ===================
-const IndexNewVideoController = async (req, res) => {
+// Assembles a fully received upload and hands it to the indexing pipeline
+const CompleteResumableUploadController = async (req, res) => {
     try {
-        console.log('Starting video indexing process...');
-        console.log(`Environment: ${config.isDevelopment ? 'Development' : config.isProduction ? 'Production' : 'Other'}`);
+        if (!prepareTusResponse(req, res)) return;
 
-        // Initialize Milvus collections
-        await initializeMilvusCollections();
+        const session = await findUploadSession(req.params.uploadId, req.userId);
+        const file = await finalizeUpload(session);
 
-        // Validate request
-        if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                message: 'No video file uploaded'
+        let queued;
+        try {
+            queued = await queueUploadedVideo(file, req.userId, {
+                vocabularyId: session.vocabulary || null,
+                language: session.language || null,
+                frameExtraction: session.frame_extraction || null
             });
+        } catch (error) {
+            await reopenUpload(session, file).catch(reopenError =>
+                console.error(`Error reopening resumable upload ${session.upload_id}:`, reopenError));
+            throw error;
         }
+        const { statusCode, payload, videoId } = queued;
+        session.video_uuid = videoId;
+        await session.save();
 
-        const { originalname, filename, path: videoPath, size } = req.file;
-        const { title, description } = req.body;
+        res.status(statusCode).json(payload);
 
-        const userId = req.userId;
-        // console.log(`❌❌❌❌User ID: ${userId}`);
-        if (!userId) {
-            return res.status(401).json({
-                success: false,
-                message: 'User authentication required. User ID not found.'
-            });
-        }
+    } catch (error) {
+        sendUploadError(res, error, 'CompleteResumableUploadController');
+    }
+};
 
-        // Generate unique video ID
-        const videoId = uuidv4();
-        // Store for error handling context
-        req.indexVideoId = videoId;
-        const outputDir = path.join(__dirname, '../../uploads/processed');
-
-        console.log(`Processing video: ${originalname} (ID: ${videoId})`);
-        console.log(`Output directory: ${outputDir}`);
-        console.log(`Using port: ${config.port}`);
-
-        // Update video status to processing
-        const videoRecord = new VideoModel({
-            original_name: originalname,
-            uuid: videoId,
-            file_path: videoPath,
-            size: size,
-            uploaded_by: userId,
-            indexing_status: 'processing',
-            is_indexed: false
-        });
+// Cancels an upload and deletes what was received (tus termination)
+const CancelResumableUploadController = async (req, res) => {
+    try {
+        if (!prepareTusResponse(req, res)) return;
 
-        await videoRecord.save();
+        const session = await findUploadSession(req.params.uploadId, req.userId);
+        await abortUploadSession(session);
 
-        // Step 1: Extract key frames
-        console.log('Step 1: Extracting key frames...');
-        const framesResult = await VideoToKeyFramesService(videoPath, outputDir, videoId);
+        res.status(204).end();
 
-        if (!framesResult.success) {
-            await VideoModel.findOneAndUpdate(
-                { uuid: videoId },
-                {
-                    indexing_status: 'failed',
-                    error_message: `Frame extraction failed: ${framesResult.error}`
-                }
-            );
+    } catch (error) {
+        sendUploadError(res, error, 'CancelResumableUploadController');
+    }
+};
 
-            return res.status(500).json({
-                success: false,
-                message: 'Frame extraction failed',
-                error: framesResult.error
-            });
-        }
+// Current stage, percent complete and errors of an indexing job
+const IndexingJobStatusController = async (req, res) => {
+    try {
+        const { jobId } = req.params;
 
-        // Step 2: Extract and transcribe audio
-        console.log('Step 2: Transcribing audio...');
-        const transcriptionResult = await VideoToAudioTranscriptionService(videoPath, outputDir, videoId);
-        console.log('Transcription result:', transcriptionResult);
-
-        if (!transcriptionResult.success) {
-            await VideoModel.findOneAndUpdate(
-                { uuid: videoId },
-                {
-                    indexing_status: 'failed',
-                    error_message: `Transcription failed: ${transcriptionResult.error}`
-                }
-            );
+        const job = await IndexingJobModel.findOne({ job_id: jobId });
 
-            return res.status(500).json({
+        // Jobs of other users are reported as missing
+        if (!job || job.requested_by.toString() !== req.userId) {
+            return res.status(404).json({
                 success: false,
-                message: 'Audio transcription failed',
-                error: transcriptionResult.error
+                message: 'Job not found'
             });
         }
 
-        // Step 3: Generate and store text embeddings (with multiple strategies)
-        console.log('Step 3: Generating and storing text embeddings...');
-        const textEmbeddingResult = await storeTextEmbeddings(videoId, transcriptionResult.transcription);
+        res.status(200).json({
+            success: true,
+            data: {
+                jobId: job.job_id,
+                videoId: job.video_uuid,
+                type: job.type,
+                status: job.status,
+                stage: job.stage,
+                progress: job.progress,
+                attempts: job.attempts,
+                maxAttempts: job.max_attempts,
+                error: job.error_message || null,
+                result: job.result || null,
+                queuedAt: job.createdAt,
+                startedAt: job.started_at || null,
+                finishedAt: job.finished_at || null,
+                nextAttemptAt: job.status === 'queued' ? job.run_at : null
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in IndexingJobStatusController:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching indexing job status',
+            error: config.isDevelopment ? error.message : 'Something went wrong'
+        });
+    }
+};
 
-        if (!textEmbeddingResult.success) {
-            await VideoModel.findOneAndUpdate(
-                { uuid: videoId },
-                {
-                    indexing_status: 'failed',
-                    error_message: `Text embedding failed: ${textEmbeddingResult.error}`
-                }
-            );
+// Server-Sent Events stream of live indexing progress for one video.
+// Emits a "snapshot" event first, then stage, ffmpeg, transcription and embedding events,
+// and closes after the "completed" or final "failed" event.
+const VideoIndexingProgressController = async (req, res) => {
+    try {
+        const { videoId } = req.params;
 
-            return res.status(500).json({
+        const videoRecord = await VideoModel.findOne({ uuid: videoId });
+        if (!videoRecord || videoRecord.uploaded_by.toString() !== req.userId) {
+            return res.status(404).json({
                 success: false,
-                message: 'Text embedding generation failed',
-                error: textEmbeddingResult.error
+                message: 'Video not found'
             });
         }
 
-        // Step 4: Generate and store visual embeddings
-        console.log('Step 4: Generating and storing visual embeddings...');
-        const visualEmbeddingResult = framesResult.frames.length > 0
-            ? await storeVisualEmbeddings(videoId, framesResult)
-            : { success: true, totalEmbeddings: 0 };
-
-        if (!visualEmbeddingResult.success) {
-            await VideoModel.findOneAndUpdate(
-                { uuid: videoId },
-                {
-                    indexing_status: 'failed',
-                    error_message: `Visual embedding failed: ${visualEmbeddingResult.error}`
-                }
-            );
+        res.status(200);
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
 
-            return res.status(500).json({
-                success: false,
-                message: 'Visual embedding generation failed',
-                error: visualEmbeddingResult.error
-            });
-        }
+        const sendEvent = (eventName, data) => {
+            res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+            // compression() buffers responses unless flushed explicitly
+            if (typeof res.flush === 'function') res.flush();
+        };
 
-        // Step 5: Update video record with all metadata
-        console.log('Step 5: Updating video metadata...');
+        sendEvent('snapshot', {
+            videoId: videoId,
+            indexing_status: videoRecord.indexing_status,
+            is_indexed: videoRecord.is_indexed,
+            error_message: videoRecord.error_message || null,
+            processing_stages: videoRecord.processing_stages,
+            latest: getLatestIndexingProgress(videoId)
+        });
 
-        const updatedVideo = await VideoModel.findOneAndUpdate(
-            { uuid: videoId },
-            {
-                duration: transcriptionResult.transcription.duration,
-                audio_transcription: transcriptionResult.transcription.fullText,
-                key_frames: framesResult.frames.map(frame => ({
-                    timestamp: frame.timestamp,
-                    frame_path: frame.frame_path
-                })),
-                indexing_status: 'completed',
-                is_indexed: true,
-                error_message: null
-            },
-            { new: true }
-        );
+        // Nothing left to stream for a run that is already over
+        if (['completed', 'failed'].includes(videoRecord.indexing_status)) {
+            return res.end();
+        }
 
-        console.log('✅ Video indexing completed successfully!');
+        const heartbeat = setInterval(() => {
+            res.write(': heartbeat\n\n');
+            if (typeof res.flush === 'function') res.flush();
+        }, SSE_HEARTBEAT_INTERVAL_MS);
 
-        // Return success response with enhanced details
-        res.status(201).json({
-            success: true,
-            message: 'Video indexed successfully',
-            data: {
-                videoId: videoId,
-                title: originalname,
-                status: 'completed',
-                processing: {
-                    framesExtracted: framesResult.totalFrames,
-                    transcriptionDuration: transcriptionResult.transcription.duration,
-                    textEmbeddings: {
-                        total: textEmbeddingResult.totalEmbeddings,
-                        strategies: textEmbeddingResult.strategies
-                    },
-                    visualEmbeddings: visualEmbeddingResult.totalEmbeddings
-                },
-                metadata: {
-                    duration: transcriptionResult.transcription.duration,
-                    language: transcriptionResult.transcription.language,
-                    fileSize: size,
-                    transcriptionLength: transcriptionResult.transcription.fullText.length,
-                    segmentsCount: transcriptionResult.transcription.segments?.length || 0
-                },
-                environment: {
-                    nodeEnv: config.isDevelopment ? 'development' : 'production',
-                    port: config.port
-                },
-                endpoints: {
-                    query: `/api/v1/video/query/ask/${videoId}`,
-                    test: `/api/v1/video/query/test`,
-                    info: `/api/v1/video/info/${videoId}`
-                },
-                usage: {
-                    query_example: {
-                        method: 'POST',
-                        url: `/api/v1/video/query/ask/${videoId}`,
-                        headers: {
-                            'Authorization': 'Bearer <your_jwt_token>',
-                            'Content-Type': 'application/json'
-                        },
-                        body: {
-                            query: "What is this video about?",
-                            limit: 10
-                        }
-                    }
-                }
+        let unsubscribe = () => {};
+        const close = () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+
+        unsubscribe = subscribeToIndexingProgress(videoId, (event) => {
+            sendEvent(event.type, event);
+            if (isTerminalProgressEvent(event)) {
+                close();
+                res.end();
             }
         });
 
-    } catch (error) {
-        console.error('❌ Error in IndexNewVideoController:', error);
+        req.on('close', close);
 
-        // Update video status to failed if we have a videoId
-        if (req.indexVideoId) {
-            await VideoModel.findOneAndUpdate(
-                { uuid: req.indexVideoId },
-                {
-                    indexing_status: 'failed',
-                    error_message: error.message
-                }
-            );
+    } catch (error) {
+        console.error('Error in VideoIndexingProgressController:', error);
+        if (res.headersSent) {
+            return res.end();
         }
-
         res.status(500).json({
             success: false,
-            message: 'Internal server error during video indexing',
+            message: 'Error streaming indexing progress',
             error: config.isDevelopment ? error.message : 'Something went wrong'
         });
     }
@@ -964,7 +601,7 @@ const DebugVideoIndexingController = async (req, res) => {
         
         // Check video record
         const videoRecord = await VideoModel.findOne({ uuid: videoId });
-        if (!videoRecord) {
+        if (!videoRecord || videoRecord.uploaded_by.toString() !== req.userId) {
             return res.status(404).json({
                 success: false,
                 message: 'Video not found'
@@ -1028,8 +665,13 @@ const DebugVideoIndexingController = async (req, res) => {
                 indexing_status: videoRecord.indexing_status,
                 is_indexed: videoRecord.is_indexed,
                 duration: videoRecord.duration,
+                language: videoRecord.language || null,
+                language_source: videoRecord.language_source || null,
                 transcription_length: videoRecord.audio_transcription?.length || 0,
                 key_frames_count: videoRecord.key_frames?.length || 0,
+                frame_extraction: videoRecord.processing_stages?.frames?.artifacts?.frame_extraction || null,
+                speakers: formatSpeakers(videoRecord.speakers),
+                processing_stages: videoRecord.processing_stages,
                 created_at: videoRecord.createdAt,
                 updated_at: videoRecord.updatedAt
             },
@@ -1052,102 +694,97 @@ const DebugVideoIndexingController = async (req, res) => {
     }
 };
 
-// Force reindex a video that already exists
+// Force reindex a video that already exists.
+// Body: { stages: ["frames" | "frame_captions" | "ocr" | "audio" | "transcript" | "text_embeddings" | "visual_embeddings" | "transcription" | "embeddings"] }
+// Stages that are not listed reuse the artifacts of the previous run.
 const ForceReindexVideoController = async (req, res) => {
     try {
         const { videoId } = req.params;
-        
+        const { stages } = req.body || {};
+
         if (!videoId) {
             return res.status(400).json({
                 success: false,
                 message: 'Video ID is required'
             });
         }
-        
-        console.log(`Force reindexing video: ${videoId}`);
-        
+
+        if (stages !== undefined && (!Array.isArray(stages) || stages.some(stage => typeof stage !== 'string'))) {
+            return res.status(400).json({
+                success: false,
+                message: 'stages must be an array of stage names'
+            });
+        }
+
+        let stagesToRun;
+        try {
+            stagesToRun = resolvePipelineStages(stages?.length ? stages : undefined);
+        } catch (stageError) {
+            return res.status(400).json({
+                success: false,
+                message: stageError.message
+            });
+        }
+
+        console.log(`Force reindexing video: ${videoId} (stages: ${stagesToRun.join(', ')})`);
+
         // Find the video
         const videoRecord = await VideoModel.findOne({ uuid: videoId });
-        if (!videoRecord) {
+        if (!videoRecord || videoRecord.uploaded_by.toString() !== req.userId) {
             return res.status(404).json({
                 success: false,
                 message: 'Video not found'
             });
         }
-        
-        // Update status to processing
+
+        if (['pending', 'processing'].includes(videoRecord.indexing_status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Video is already queued or being indexed'
+            });
+        }
+
+        // Check if video file exists when it has to be processed again
+        const needsVideoFile = stagesToRun.includes('frames') || stagesToRun.includes('audio');
+        if (needsVideoFile && !fs.existsSync(videoRecord.file_path)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Video file not found on disk. Only embedding stages can be rerun.'
+            });
+        }
+
         await VideoModel.updateOne(
             { uuid: videoId },
-            { 
-                indexing_status: 'processing',
-                is_indexed: false,
-                error_message: null
-            }
+            { indexing_status: 'pending', error_message: null }
         );
-        
-        // Check if video file exists
-        if (!fs.existsSync(videoRecord.file_path)) {
-            throw new Error('Video file not found on disk');
-        }
-        
-        // Re-run the indexing process
-        const result = await processVideoIndexing(videoRecord);
-        
-        if (result.success) {
-            // Update video record
-            await VideoModel.updateOne(
-                { uuid: videoId },
-                {  
-                    indexing_status: 'completed',
-                    is_indexed: true,
-                    audio_transcription: result.transcription,
-                    key_frames: result.frames,
-                    duration: result.duration,
-                    error_message: null
-                }
-            );
-            
-            res.status(200).json({
-                success: true,
-                message: 'Video reindexed successfully',
-                data: {
-                    videoId: videoId,
-                    title: videoRecord.original_name,
-                    status: 'completed',
-                    processing: {
-                        framesExtracted: result.frames?.length || 0,
-                        transcriptionDuration: result.duration || 0,
-                        textEmbeddings: result.textEmbeddings || { total: 0 },
-                        visualEmbeddings: result.visualEmbeddings || 0
-                    },
-                    endpoints: {
-                        query: `POST /api/v1/video/query/ask/${videoId}`,
-                        test: `GET /api/v1/video/query/test`,
-                        debug: `GET /api/v1/video/debug/${videoId}`
-                    }
+
+        const job = await enqueueIndexingJob({
+            videoId,
+            userId: req.userId,
+            type: 'reindex',
+            options: { stages: stagesToRun }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Video queued for reindexing',
+            data: {
+                videoId: videoId,
+                jobId: job.job_id,
+                title: videoRecord.original_name,
+                status: job.status,
+                stages: stagesToRun,
+                endpoints: {
+                    job: `GET /api/v1/video/jobs/${job.job_id}`,
+                    query: `POST /api/v1/video/query/ask/${videoId}`,
+                    debug: `GET /api/v1/video/debug/${videoId}`
                 }
-            });
-        } else {
-            throw new Error(result.error || 'Reindexing failed');
-        }
-        
+            }
+        });
+
     } catch (error) {
         console.error('Error in ForceReindexVideoController:', error);
-        
-        // Update video record with error
-        try {
-            await VideoModel.updateOne(
-                { uuid: req.params.videoId },
-                { 
-                    indexing_status: 'failed',
-                    is_indexed: false,
-                    error_message: error.message
-                }
-            );
-        } catch (updateError) {
-            console.error('Error updating video status:', updateError);
-        }
-        
+
         res.status(500).json({
             success: false,
             message: 'Failed to reindex video',
@@ -1156,68 +793,246 @@ const ForceReindexVideoController = async (req, res) => {
     }
 };
 
-// Enhanced collection management
-const ensureCollectionExistsAndLoaded = async (collectionName, schema) => {
+
+// Continue a failed or interrupted indexing run from its first incomplete stage
+const ResumeVideoIndexingController = async (req, res) => {
     try {
-        console.log(`Ensuring collection ${collectionName} exists and is loaded...`);
-        
-        // Check if collection exists
-        const hasCollection = await milvusClient.hasCollection({
-            collection_name: collectionName
-        });
-        
-        if (!hasCollection.value) {
-            console.log(`Creating collection ${collectionName}...`);
-            await milvusClient.createCollection({
-                collection_name: collectionName,
-                fields: schema
+        const { videoId } = req.params;
+
+        const videoRecord = await VideoModel.findOne({ uuid: videoId });
+        if (!videoRecord || videoRecord.uploaded_by.toString() !== req.userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
             });
-            console.log(`Collection ${collectionName} created successfully`);
-        } else {
-            console.log(`Collection ${collectionName} already exists`);
         }
-        
-        // Create index if it doesn't exist
-        try {
-            await milvusClient.createIndex({
-                collection_name: collectionName,
-                field_name: 'embedding',
-                index_type: 'IVF_FLAT',
-                metric_type: 'COSINE',
-                params: { nlist: 128 }
+
+        if (['pending', 'processing'].includes(videoRecord.indexing_status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Video is already queued or being indexed'
             });
-            console.log(`Index created for ${collectionName}`);
-        } catch (indexError) {
-            if (indexError.message.includes('already exists')) {
-                console.log(`Index already exists for ${collectionName}`);
-            } else {
-                console.warn(`Index creation warning for ${collectionName}:`, indexError.message);
+        }
+
+        const stagesToRun = getResumeStages(videoRecord);
+        if (stagesToRun.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Every indexing stage is already completed. Use the reindex endpoint to rerun stages.',
+                processing_stages: videoRecord.processing_stages
+            });
+        }
+
+        console.log(`Resuming indexing for video: ${videoId} (from stage: ${stagesToRun[0]})`);
+
+        await VideoModel.updateOne(
+            { uuid: videoId },
+            { indexing_status: 'pending', error_message: null }
+        );
+
+        const job = await enqueueIndexingJob({
+            videoId,
+            userId: req.userId,
+            type: 'resume'
+        });
+
+        res.status(202).json({
+            success: true,
+            message: `Indexing will resume from the "${stagesToRun[0]}" stage`,
+            data: {
+                videoId: videoId,
+                jobId: job.job_id,
+                status: job.status,
+                stages: stagesToRun,
+                processing_stages: videoRecord.processing_stages,
+                endpoints: {
+                    job: `GET /api/v1/video/jobs/${job.job_id}`
+                }
             }
+        });
+
+    } catch (error) {
+        console.error('Error in ResumeVideoIndexingController:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resume video indexing',
+            error: error.message
+        });
+    }
+};
+
+const formatSpeakers = (speakers) => (speakers || []).map(speaker => ({
+    label: speaker.label,
+    name: getSpeakerName(speakers, speaker.label),
+    renamed: Boolean(speaker.name)
+}));
+
+// Speakers found by diarization with their display names
+const ListVideoSpeakersController = async (req, res) => {
+    try {
+        const videoRecord = await VideoModel.findOne({ uuid: req.params.videoId });
+        if (!videoRecord || videoRecord.uploaded_by.toString() !== req.userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
         }
-        
-        // Load collection
-        try {
-            await milvusClient.loadCollection({
-                collection_name: collectionName
+
+        res.status(200).json({
+            success: true,
+            data: {
+                videoId: videoRecord.uuid,
+                speakers: formatSpeakers(videoRecord.speakers)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in ListVideoSpeakersController:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch speakers',
+            error: config.isDevelopment ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+// Renames speakers, body: { "speakers": { "A": "Alice", "B": "Bob" } }. An empty name restores "Speaker <label>".
+// Names live on the video only, so renaming does not touch the index.
+const RenameVideoSpeakersController = async (req, res) => {
+    try {
+        const videoRecord = await VideoModel.findOne({ uuid: req.params.videoId });
+        if (!videoRecord || videoRecord.uploaded_by.toString() !== req.userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
             });
-            console.log(`Collection ${collectionName} loaded successfully`);
-        } catch (loadError) {
-            if (loadError.message.includes('already loaded')) {
-                console.log(`Collection ${collectionName} already loaded`);
-            } else {
-                console.warn(`Collection load warning for ${collectionName}:`, loadError.message);
+        }
+
+        const { speakers } = req.body;
+        if (!speakers || typeof speakers !== 'object' || Array.isArray(speakers) || Object.keys(speakers).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'speakers must be an object mapping speaker labels to names, e.g. { "A": "Alice" }'
+            });
+        }
+
+        const knownLabels = (videoRecord.speakers || []).map(speaker => speaker.label);
+        const unknownLabels = Object.keys(speakers).filter(label => !knownLabels.includes(label));
+        if (unknownLabels.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown speaker labels: ${unknownLabels.join(', ')}. Known labels: ${knownLabels.join(', ') || 'none'}`
+            });
+        }
+
+        for (const [label, name] of Object.entries(speakers)) {
+            if (name !== null && typeof name !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: `Name for speaker ${label} must be a string`
+                });
             }
+            videoRecord.speakers.find(speaker => speaker.label === label).name = name?.trim() || undefined;
         }
-        
-        return true;
+
+        await videoRecord.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Speakers renamed successfully',
+            data: {
+                videoId: videoRecord.uuid,
+                speakers: formatSpeakers(videoRecord.speakers)
+            }
+        });
+
     } catch (error) {
-        console.error(`Error ensuring collection ${collectionName}:`, error);
-        throw error;
+        console.error('Error in RenameVideoSpeakersController:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ success: false, message: messages.join('. ') });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rename speakers',
+            error: config.isDevelopment ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+// Delete a video, its Milvus rows and every file produced for it
+const DeleteVideoController = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const videoRecord = await VideoModel.findOne({ uuid: videoId });
+        if (!videoRecord || videoRecord.uploaded_by.toString() !== req.userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
+        }
+
+        if (['pending', 'processing'].includes(videoRecord.indexing_status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Video is queued or being indexed. Try again once indexing has finished.'
+            });
+        }
+
+        console.log(`Deleting video: ${videoId}`);
+
+        await deleteVideoEmbeddings(TEXT_COLLECTION_NAME, videoId);
+        await deleteVideoEmbeddings(VISUAL_COLLECTION_NAME, videoId);
+
+        for (const dir of getVideoArtifactDirs(videoId)) {
+            await fsExtra.remove(dir);
+        }
+        if (videoRecord.file_path) {
+            await fsExtra.remove(videoRecord.file_path);
+        }
+
+        await TranscriptRevisionModel.deleteMany({ video_uuid: videoId });
+        await IndexingJobModel.deleteMany({ video_uuid: videoId });
+        await VideoModel.deleteOne({ uuid: videoId });
+
+        await dispatchWebhookEvent(videoRecord.uploaded_by, 'video.deleted', {
+            videoId: videoId,
+            title: videoRecord.original_name,
+            deletedAt: new Date().toISOString()
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Video deleted successfully',
+            data: { videoId: videoId }
+        });
+
+    } catch (error) {
+        console.error('Error in DeleteVideoController:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete video',
+            error: config.isDevelopment ? error.message : 'Something went wrong'
+        });
     }
 };
 
 module.exports = {
     IndexNewVideoController,
+    CreateResumableUploadController,
+    ResumableUploadStatusController,
+    AppendResumableUploadController,
+    CompleteResumableUploadController,
+    CancelResumableUploadController,
+    IndexingJobStatusController,
+    VideoIndexingProgressController,
     DebugVideoIndexingController,
-    ForceReindexVideoController
+    ForceReindexVideoController,
+    ResumeVideoIndexingController,
+    ListVideoSpeakersController,
+    RenameVideoSpeakersController,
+    DeleteVideoController
 };
\ No newline at end of file
@@ -1,10 +1,21 @@
 // controllers/query.controller.js
 require('dotenv').config();
+const fs = require('fs-extra');
 const { MilvusClient } = require('@zilliz/milvus2-sdk-node');
 const VideoModel = require('../models/video.model'); // Fixed: should be video.model, not pdfs.model
 
 // Import utility functions
 const { validateAndGetConfig } = require('../utils/validateEnvironmentVariables.utils');
+const { getSpeakerName } = require('../utils/transcriptSegments.utils');
+const { signMediaAccess, toMediaQueryString } = require('../utils/signedMediaUrl.utils');
+const { getTextToImageProvider } = require('../services/visualEmbeddingProviders');
+const { generateVisualEmbedding, FRAME_CAPTION_CHUNK_TYPE, SCREEN_TEXT_CHUNK_TYPE } = require('../services/vectorEmbeddings.service');
+const {
+    normalizeLanguageCode,
+    isValidLanguageCode,
+    getLanguageName,
+    detectTextLanguage
+} = require('../utils/language.utils');
 
 // Get validated environment configuration
 const config = validateAndGetConfig();
@@ -45,13 +56,50 @@ const generateQueryEmbedding = async (query) => {
 };
 
 /**
- * Search for similar text chunks in Milvus
+ * Translate the user query into the language of the video, so it is compared with the
+ * transcript in one language. Returns null when the translation fails.
  */
-const searchSimilarTextChunks = async (queryEmbedding, videoId, limit = 10) => {
+const translateQuery = async (query, targetLanguage) => {
     try {
+        const generativeModel = genAI.getGenerativeModel({ model: config.generativeModel });
+        const result = await generativeModel.generateContent(
+            `Translate the following question into ${getLanguageName(targetLanguage)}. Keep names, product names and numbers unchanged. Reply with the translation only.\n\n${query}`
+        );
+        const translation = result.response.text().trim().replace(/^"|"$/g, '');
+        console.log(`Translated query into ${targetLanguage}: "${translation}"`);
+        return translation || null;
+    } catch (error) {
+        console.error('Error translating query, searching with the original only:', error);
+        return null;
+    }
+};
+
+/**
+ * Resolve the speaker a query is restricted to. Accepts a label ("A"), a name set on the
+ * video ("Alice") or the default display name ("Speaker A"), case-insensitive.
+ */
+const resolveSpeakerLabel = (speakers, speaker) => {
+    const wanted = speaker.trim().toLowerCase();
+    const match = (speakers || []).find(entry =>
+        entry.label.toLowerCase() === wanted ||
+        getSpeakerName(speakers, entry.label).toLowerCase() === wanted ||
+        `speaker ${entry.label}`.toLowerCase() === wanted
+    );
+    return match ? match.label : null;
+};
+
+/**
+ * Search for similar text chunks in Milvus, optionally only what one speaker said
+ */
+const searchSimilarTextChunks = async (queryEmbedding, videoId, limit = 10, speakerLabel = null) => {
+    try {
+        const filter = speakerLabel
+            ? `video_id == "${videoId}" && speaker == "${speakerLabel}"`
+            : `video_id == "${videoId}"`;
+
         console.log(`Searching Milvus collection: ${TEXT_COLLECTION_NAME}`);
         console.log(`Query embedding dimensions: ${queryEmbedding.length}`);
-        console.log(`Filter: video_id == "${videoId}"`);
+        console.log(`Filter: ${filter}`);
         console.log(`Limit: ${limit}`);
 
         // Ensure collection is loaded
@@ -69,8 +117,8 @@ const searchSimilarTextChunks = async (queryEmbedding, videoId, limit = 10) => {
             metric_type: 'COSINE',
             params: JSON.stringify({ nprobe: 128 }),
             vectors: [queryEmbedding],
-            filter: `video_id == "${videoId}"`,
-            output_fields: ["video_id", "text_chunk", "timestamp", "chunk_index"]
+            filter: filter,
+            output_fields: ["video_id", "text_chunk", "timestamp", "chunk_index", "speaker", "language"]
         });
 
         console.log('Search result structure:', JSON.stringify(searchResult, null, 2));
@@ -82,39 +130,166 @@ const searchSimilarTextChunks = async (queryEmbedding, videoId, limit = 10) => {
 };
 
 /**
- * Search for similar visual frames in Milvus (optional - for future enhancement)
+ * Hits of a Milvus search response, whatever shape the SDK returned
  */
-const searchSimilarVisualFrames = async (queryEmbedding, videoId, limit = 5) => {
+const parseSearchResults = (milvusResponse) => {
+    if (milvusResponse.results && Array.isArray(milvusResponse.results)) {
+        return milvusResponse.results;
+    }
+    if (milvusResponse.data && Array.isArray(milvusResponse.data)) {
+        return milvusResponse.data;
+    }
+    if (Array.isArray(milvusResponse)) {
+        return milvusResponse;
+    }
+    if (milvusResponse.results && Array.isArray(milvusResponse.results[0]?.results)) {
+        return milvusResponse.results[0].results;
+    }
+    return [];
+};
+
+/**
+ * Merge hits of the original and the translated query, keeping each chunk's best score
+ */
+const mergeSearchResults = (primary, secondary, limit) => {
+    const byId = new Map();
+    for (const result of [...primary, ...secondary]) {
+        const key = result.id ?? result.chunk_index;
+        const existing = byId.get(key);
+        if (!existing || (result.score || 0) > (existing.score || 0)) {
+            byId.set(key, result);
+        }
+    }
+    return [...byId.values()]
+        .sort((a, b) => (b.score || 0) - (a.score || 0))
+        .slice(0, limit);
+};
+
+/**
+ * Search the key frames of one video (or a list of videos) whose embedding is closest to a
+ * query vector. Only frames embedded by the same provider as the query are compared.
+ */
+const searchSimilarVisualFrames = async (queryEmbedding, videoIds, limit = 5, provider) => {
+    const videoFilter = Array.isArray(videoIds)
+        ? `video_id in [${videoIds.map(id => `"${id}"`).join(', ')}]`
+        : `video_id == "${videoIds}"`;
+
     try {
-        // This would require visual query embedding generation
-        // For now, we'll focus on text search
-        return null;
+        try {
+            await milvusClient.loadCollection({ collection_name: VISUAL_COLLECTION_NAME });
+        } catch (loadError) {
+            console.warn('Visual collection already loaded or load failed:', loadError?.message || loadError);
+        }
+
+        const searchResult = await milvusClient.search({
+            collection_name: VISUAL_COLLECTION_NAME,
+            anns_field: 'embedding',
+            topk: limit,
+            metric_type: 'COSINE',
+            params: JSON.stringify({ nprobe: 128 }),
+            vectors: [queryEmbedding],
+            filter: `${videoFilter} && provider == "${provider}"`,
+            output_fields: ["video_id", "timestamp", "end_time", "frame_number", "provider"]
+        });
+        return parseSearchResults(searchResult);
     } catch (error) {
         console.error('Error searching Milvus visual collection:', error);
         throw error;
     }
 };
 
+// "m:ss"; seconds are floored so 59.6 reads 0:59, never 0:60
+const formatTimestamp = (seconds) => {
+    const totalSeconds = Math.floor(seconds);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Visual search hit as returned to clients, with a URL of the frame image signed for userId
+// so it loads in an <img> tag
+const formatFrameHit = (hit, userId) => {
+    const frameNumber = Number(hit.frame_number);
+    const timestamp = Number(hit.timestamp) || 0;
+    const access = signMediaAccess(hit.video_id, 'frames', userId);
+    return {
+        video_id: hit.video_id,
+        frame_number: frameNumber,
+        timestamp: timestamp,
+        end_time: hit.end_time ?? timestamp,
+        timestamp_formatted: formatTimestamp(timestamp),
+        similarity_score: Math.round((hit.score || 0) * 1000) / 1000,
+        thumbnail_url: `/api/v1/video/${hit.video_id}/frames/${frameNumber}?${toMediaQueryString(access)}`
+    };
+};
+
 /**
- * Generate AI response based on context
+ * Key frames matching the query text, embedded into the image space of a text-capable visual
+ * provider. Failures are reported in the result so the text answer is still returned.
  */
-const generateContextualResponse = async (query, contextChunks, videoMetadata) => {
+const findMatchingFrames = async (query, videoId, limit, userId) => {
+    const provider = getTextToImageProvider();
+    if (!provider) {
+        return { provider: null, frames: [], error: 'No visual embedding provider can embed text queries' };
+    }
+
+    try {
+        const queryEmbedding = await provider.embedText(query);
+        const hits = await searchSimilarVisualFrames(queryEmbedding, videoId, limit, provider.name);
+        return { provider: provider.name, frames: hits.map(hit => formatFrameHit(hit, userId)) };
+    } catch (error) {
+        console.error('Visual frame search failed, answering from the transcript only:', error);
+        return { provider: provider.name, frames: [], error: error.message };
+    }
+};
+
+// Where a text chunk comes from: a key frame caption, text read off the screen, or (for every
+// other row) what was said
+const getChunkSource = (chunkId, videoId) => {
+    for (const type of [FRAME_CAPTION_CHUNK_TYPE, SCREEN_TEXT_CHUNK_TYPE]) {
+        if (chunkId.startsWith(`${videoId}_${type}_`)) {
+            return type;
+        }
+    }
+    return 'transcript';
+};
+
+// Context labels of chunks that were not spoken
+const CHUNK_SOURCE_LABELS = {
+    [FRAME_CAPTION_CHUNK_TYPE]: 'on screen',
+    [SCREEN_TEXT_CHUNK_TYPE]: 'text on screen'
+};
+
+/**
+ * Generate AI response based on context, in the language of the question
+ */
+const generateContextualResponse = async (query, contextChunks, videoMetadata, answerLanguage = null) => {
     try {
         const generativeModel = genAI.getGenerativeModel({
             model: config.generativeModel
         });
 
-        // Prepare context from search results
+        // Prepare context from search results, naming the speaker when diarization found one
+        // and marking key frame captions and screen text as on-screen content
         const contextText = contextChunks.map((chunk, index) => {
-            const timestamp = chunk.timestamp ? `[${Math.floor(chunk.timestamp / 60)}:${(chunk.timestamp % 60).toFixed(0).padStart(2, '0')}]` : '[No timestamp]';
-            return `Context ${index + 1} ${timestamp}: ${chunk.text_chunk}`;
+            const timestamp = chunk.timestamp ? `[${formatTimestamp(chunk.timestamp)}]` : '[No timestamp]';
+            if (CHUNK_SOURCE_LABELS[chunk.source]) {
+                return `Context ${index + 1} ${timestamp} (${CHUNK_SOURCE_LABELS[chunk.source]}): ${chunk.text_chunk}`;
+            }
+            const speakerName = getSpeakerName(videoMetadata.speakers, chunk.speaker);
+            return `Context ${index + 1} ${timestamp}${speakerName ? ` (${speakerName})` : ''}: ${chunk.text_chunk}`;
         }).join('\n\n');
 
+        const speakerNames = (videoMetadata.speakers || []).map(speaker => getSpeakerName(videoMetadata.speakers, speaker.label));
+        const speakerInfo = speakerNames.length > 0 ? `\n- Speakers: ${speakerNames.join(', ')}` : '';
+        const languageInfo = videoMetadata.language ? `\n- Transcript language: ${getLanguageName(videoMetadata.language)}` : '';
+        const answerLanguageInstruction = answerLanguage
+            ? `Write the whole answer in ${getLanguageName(answerLanguage)}, even when the transcript is in another language; translate quoted statements faithfully`
+            : 'Write the answer in the same language as the user query, even when the transcript is in another language; translate quoted statements faithfully';
+
         const prompt = `You are an intelligent video analysis assistant. Answer the user's query based strictly on the provided context from the video transcript.
 
 Video Information:
 - Title: ${videoMetadata.original_name || 'Unknown'}
-- Duration: ${videoMetadata.duration ? `${Math.floor(videoMetadata.duration / 60)}:${(videoMetadata.duration % 60).toFixed(0).padStart(2, '0')}` : 'Unknown'}
+- Duration: ${videoMetadata.duration ? formatTimestamp(videoMetadata.duration) : 'Unknown'}${speakerInfo}${languageInfo}
 
 Context from Video Transcript:
 ${contextText}
@@ -122,11 +297,14 @@ ${contextText}
 User Query: "${query}"
 
 Instructions:
-1. Answer based ONLY on the provided transcript context
+1. Answer based ONLY on the provided context
 2. If timestamps are available, reference them in your response
-3. If the context doesn't contain sufficient information, clearly state: "I cannot find enough information about '${query}' in this video transcript."
+3. If the context doesn't contain sufficient information, clearly state: "I cannot find enough information about '${query}' in this video transcript." (in the answer language)
 4. Be specific and cite relevant parts of the transcript
-5. Provide a helpful and comprehensive answer when possible
+5. If speakers are named in the context, attribute statements to them
+6. Context marked "(on screen)" describes what the video shows at that time (slides, diagrams, code, demos) and "(text on screen)" is text read off the picture (slide titles, terminal output, error messages); neither was said. Use them for questions about what appears in the video
+7. Provide a helpful and comprehensive answer when possible
+8. ${answerLanguageInstruction}
 
 Answer:`;
 
@@ -155,9 +333,9 @@ const QueryController = async (req, res) => {
 
         // Extract UUID from URL parameters
         const { uuid } = req.params;
-        const { query, limit = 10, include_visual = false } = req.body;
+        const { query, limit = 10, include_visual = false, speaker, language } = req.body;
 
-        console.log(`Query parameters:`, { uuid, query, limit, include_visual });
+        console.log(`Query parameters:`, { uuid, query, limit, include_visual, speaker, language });
 
         // Validate input
         if (!uuid || typeof uuid !== 'string') {
@@ -174,6 +352,13 @@ const QueryController = async (req, res) => {
             });
         }
 
+        if (language !== undefined && language !== null && !isValidLanguageCode(language)) {
+            return res.status(400).json({
+                success: false,
+                message: 'language must be a language code such as "en" or "pt-BR"'
+            });
+        }
+
         // Step 1: Verify video exists and is indexed
         console.log(`Looking up video with UUID: ${uuid}`);
         const videoRecord = await VideoModel.findOne({ uuid: uuid });
@@ -200,6 +385,32 @@ const QueryController = async (req, res) => {
             });
         }
 
+        // Optional speaker filter, resolved to the label stored in Milvus
+        let speakerLabel = null;
+        if (speaker !== undefined && speaker !== null && speaker !== '') {
+            speakerLabel = typeof speaker === 'string' ? resolveSpeakerLabel(videoRecord.speakers, speaker) : null;
+            if (!speakerLabel) {
+                const available = (videoRecord.speakers || []).map(entry => getSpeakerName(videoRecord.speakers, entry.label));
+                return res.status(400).json({
+                    success: false,
+                    message: available.length > 0
+                        ? `Unknown speaker "${speaker}". Available speakers: ${available.join(', ')}`
+                        : 'This video has no speaker labels'
+                });
+            }
+        }
+
+        // The answer follows the language of the question (or the one requested); a question in
+        // another language than the video is also searched in the video's language, unless a
+        // translated transcript track in the question's language is indexed already
+        const answerLanguage = normalizeLanguageCode(language) || detectTextLanguage(query);
+        const videoLanguage = videoRecord.language || null;
+        const hasTranslationTrack = (videoRecord.translations || [])
+            .some(entry => normalizeLanguageCode(entry.language) === answerLanguage && entry.status === 'completed');
+        const translatedQuery = answerLanguage && videoLanguage && answerLanguage !== videoLanguage && !hasTranslationTrack
+            ? await translateQuery(query, videoLanguage)
+            : null;
+
         // Step 2: Convert the query into vector embedding using Gemini
         console.log('Generating query embedding...');
         const queryVectorEmbedding = await generateQueryEmbedding(query);
@@ -207,24 +418,23 @@ const QueryController = async (req, res) => {
 
         // Step 3: Search Milvus vector database for relevant chunks (filtered by UUID)
         console.log(`Searching for similar content in video: ${uuid}`);
+        const searchLimit = Math.min(limit, 20); // Cap at 20 results max
         const milvusResponseForQuery = await searchSimilarTextChunks(
             queryVectorEmbedding,
             uuid,
-            Math.min(limit, 20) // Cap at 20 results max
+            searchLimit,
+            speakerLabel
         );
 
         console.log('Raw Milvus response:', JSON.stringify(milvusResponseForQuery, null, 2));
 
         // Parse search results more robustly
-        let results = [];
-        if (milvusResponseForQuery.results && Array.isArray(milvusResponseForQuery.results)) {
-            results = milvusResponseForQuery.results;
-        } else if (milvusResponseForQuery.data && Array.isArray(milvusResponseForQuery.data)) {
-            results = milvusResponseForQuery.data;
-        } else if (Array.isArray(milvusResponseForQuery)) {
-            results = milvusResponseForQuery;
-        } else if (milvusResponseForQuery.results && Array.isArray(milvusResponseForQuery.results[0]?.results)) {
-            results = milvusResponseForQuery.results[0].results;
+        let results = parseSearchResults(milvusResponseForQuery);
+
+        if (translatedQuery) {
+            const translatedEmbedding = await generateQueryEmbedding(translatedQuery);
+            const translatedResponse = await searchSimilarTextChunks(translatedEmbedding, uuid, searchLimit, speakerLabel);
+            results = mergeSearchResults(results, parseSearchResults(translatedResponse), searchLimit);
         }
 
         console.log(`Parsed ${results.length} results from Milvus response`);
@@ -268,12 +478,16 @@ const QueryController = async (req, res) => {
             const timestamp = result.timestamp || result.fields?.timestamp || result.entity?.timestamp;
             const score = result.score || result.distance;
             const chunkIndex = result.chunk_index || result.fields?.chunk_index || result.entity?.chunk_index;
+            const chunkSpeaker = result.speaker || result.fields?.speaker || result.entity?.speaker;
+            const chunkId = String(result.id ?? result.fields?.id ?? '');
 
             return {
                 text_chunk: text,
                 timestamp: timestamp,
                 similarity_score: score,
-                chunk_index: chunkIndex
+                chunk_index: chunkIndex,
+                speaker: chunkSpeaker || null,
+                source: getChunkSource(chunkId, uuid)
             };
         }).filter(r => r.text_chunk && r.text_chunk.trim().length > 0);
 
@@ -290,12 +504,18 @@ const QueryController = async (req, res) => {
             });
         }
 
+        // Optional: key frames that look like what the query describes
+        const visualResults = include_visual === true || include_visual === 'true'
+            ? await findMatchingFrames(query, uuid, Math.min(searchLimit, 10), req.userId)
+            : null;
+
         // Step 4: Generate an answer based on the context and query
         console.log('Generating contextual response...');
         const aiResponse = await generateContextualResponse(
             query,
             relevantChunks,
-            videoRecord
+            videoRecord,
+            answerLanguage
         );
 
         console.log('✅ Generated answer for Video UUID:', uuid);
@@ -310,6 +530,7 @@ const QueryController = async (req, res) => {
                     uuid: videoRecord.uuid,
                     title: videoRecord.original_name,
                     duration: videoRecord.duration,
+                    language: videoLanguage,
                     file_size: videoRecord.size,
                     indexed_at: videoRecord.updatedAt
                 },
@@ -320,15 +541,27 @@ const QueryController = async (req, res) => {
                         text: chunk.text_chunk.substring(0, 200) + '...', // First 200 chars
                         timestamp: chunk.timestamp,
                         similarity_score: Math.round(chunk.similarity_score * 100) / 100,
-                        timestamp_formatted: chunk.timestamp ?
-                            `${Math.floor(chunk.timestamp / 60)}:${(chunk.timestamp % 60).toFixed(0).padStart(2, '0')}` :
-                            null
+                        speaker: getSpeakerName(videoRecord.speakers, chunk.speaker),
+                        source: chunk.source,
+                        timestamp_formatted: chunk.timestamp ? formatTimestamp(chunk.timestamp) : null
                     }))
                 },
+                ...(visualResults && {
+                    visual_context: {
+                        provider: visualResults.provider,
+                        total_frames_found: visualResults.frames.length,
+                        frames: visualResults.frames,
+                        ...(visualResults.error && { error: visualResults.error })
+                    }
+                }),
                 search_metadata: {
                     query_processed_at: new Date().toISOString(),
                     search_type: 'semantic_similarity',
                     collection_searched: TEXT_COLLECTION_NAME,
+                    visual_collection_searched: visualResults ? VISUAL_COLLECTION_NAME : null,
+                    speaker_filter: speakerLabel ? getSpeakerName(videoRecord.speakers, speakerLabel) : null,
+                    query_language: answerLanguage || null,
+                    translated_query: translatedQuery,
                     embedding_model: config.embeddingModel,
                     generative_model: config.generativeModel
                 }
@@ -482,8 +715,146 @@ const QueryHealthController = async (req, res) => {
     }
 };
 
+// Limit of image query results, 10 by default and at most 50
+const parseImageQueryLimit = (value) => {
+    if (value === undefined || value === '') {
+        return 10;
+    }
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit >= 1 && limit <= 50 ? limit : null;
+};
+
+/**
+ * Embeds an uploaded query image with the provider generateVisualEmbedding picks and searches
+ * key frames of the given videos of userId. The image is deleted afterwards.
+ */
+const searchFramesByImage = async (imagePath, videoIds, limit, userId) => {
+    try {
+        const { embedding, provider } = await generateVisualEmbedding(imagePath);
+        const hits = await searchSimilarVisualFrames(embedding, videoIds, limit, provider);
+        return { provider, frames: hits.map(hit => formatFrameHit(hit, userId)) };
+    } finally {
+        await fs.remove(imagePath).catch(() => {});
+    }
+};
+
+const sendImageQueryError = (res, error) => {
+    console.error('❌ Error in image query:', error);
+    res.status(500).json({
+        success: false,
+        message: 'Internal server error while searching with the image',
+        error: config.isDevelopment ? error.message : 'Something went wrong'
+    });
+};
+
+/**
+ * POST /image/:uuid with a multipart "image" (and optional "limit")
+ * Moments of one video whose key frames look like the image, best match first
+ */
+const QueryVideoByImageController = async (req, res) => {
+    const imagePath = req.file.path;
+    try {
+        const { uuid } = req.params;
+        const limit = parseImageQueryLimit(req.body?.limit);
+        if (!limit) {
+            await fs.remove(imagePath);
+            return res.status(400).json({ success: false, message: 'limit must be an integer between 1 and 50' });
+        }
+
+        const videoRecord = await VideoModel.findOne({ uuid: uuid });
+        if (!videoRecord || videoRecord.uploaded_by.toString() !== req.userId) {
+            await fs.remove(imagePath);
+            return res.status(404).json({ success: false, message: 'Video not found with the provided UUID' });
+        }
+
+        if (!videoRecord.is_indexed || videoRecord.indexing_status !== 'completed') {
+            await fs.remove(imagePath);
+            return res.status(400).json({
+                success: false,
+                message: 'Video is not yet indexed or indexing failed. Please wait for indexing to complete.',
+                indexing_status: videoRecord.indexing_status
+            });
+        }
+
+        const { provider, frames } = await searchFramesByImage(imagePath, uuid, limit, req.userId);
+
+        res.status(200).json({
+            success: true,
+            message: frames.length > 0 ? 'Matching moments found' : 'No key frames of this video match the image',
+            data: {
+                video_info: {
+                    uuid: videoRecord.uuid,
+                    title: videoRecord.original_name,
+                    duration: videoRecord.duration
+                },
+                total_matches: frames.length,
+                matches: frames,
+                search_metadata: {
+                    collection_searched: VISUAL_COLLECTION_NAME,
+                    embedding_provider: provider
+                }
+            }
+        });
+
+    } catch (error) {
+        await fs.remove(imagePath).catch(() => {});
+        sendImageQueryError(res, error);
+    }
+};
+
+/**
+ * POST /image with a multipart "image" (and optional "limit")
+ * Moments across all indexed videos of the caller whose key frames look like the image
+ */
+const QueryLibraryByImageController = async (req, res) => {
+    const imagePath = req.file.path;
+    try {
+        const limit = parseImageQueryLimit(req.body?.limit);
+        if (!limit) {
+            await fs.remove(imagePath);
+            return res.status(400).json({ success: false, message: 'limit must be an integer between 1 and 50' });
+        }
+
+        const videos = await VideoModel.find(
+            { uploaded_by: req.userId, is_indexed: true, indexing_status: 'completed' },
+            { uuid: 1, original_name: 1, duration: 1 }
+        ).sort({ createdAt: -1 }).limit(1000);
+
+        if (videos.length === 0) {
+            await fs.remove(imagePath);
+            return res.status(404).json({ success: false, message: 'You have no indexed videos to search' });
+        }
+
+        const { provider, frames } = await searchFramesByImage(imagePath, videos.map(video => video.uuid), limit, req.userId);
+        const videosById = new Map(videos.map(video => [video.uuid, video]));
+
+        res.status(200).json({
+            success: true,
+            message: frames.length > 0 ? 'Matching moments found' : 'No key frames in your videos match the image',
+            data: {
+                videos_searched: videos.length,
+                total_matches: frames.length,
+                matches: frames.map(frame => ({
+                    ...frame,
+                    video_title: videosById.get(frame.video_id)?.original_name || null
+                })),
+                search_metadata: {
+                    collection_searched: VISUAL_COLLECTION_NAME,
+                    embedding_provider: provider
+                }
+            }
+        });
+
+    } catch (error) {
+        await fs.remove(imagePath).catch(() => {});
+        sendImageQueryError(res, error);
+    }
+};
+
 module.exports = {
     QueryController,
+    QueryVideoByImageController,
+    QueryLibraryByImageController,
     QueryHealthController,
     QueryTestController
 };
\ No newline at end of file
@@ -0,0 +1,154 @@
+const path = require('path');
+const fs = require('fs-extra');
+const VideoModel = require('../models/video.model');
+const { ensurePosterImage } = require('../services/videoPoster.service');
+const { MEDIA_SCOPES, signMediaAccess, toMediaQueryString } = require('../utils/signedMediaUrl.utils');
+
+// Video the caller may access (videos are only visible to their owner), or null
+const findOwnedVideo = async (videoId, userId) => {
+    const videoRecord = await VideoModel.findOne({ uuid: videoId });
+    if (!videoRecord || videoRecord.uploaded_by.toString() !== userId) {
+        return null;
+    }
+    return videoRecord;
+};
+
+// Media is private to the user, and may be embedded by the frontend on another origin
+const sendMediaFile = (res, filePath, maxAgeSeconds) => {
+    res.set('Cache-Control', `private, max-age=${maxAgeSeconds}`);
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+
+    // sendFile answers Range requests with 206 Partial Content
+    res.sendFile(path.resolve(filePath), { acceptRanges: true, dotfiles: 'allow' }, (error) => {
+        if (!error || res.headersSent) {
+            return;
+        }
+        // The file's type may already be set, the error is answered with JSON
+        res.removeHeader('Content-Type');
+        if (error.status === 416) {
+            return res.status(416).set(error.headers || {}).json({ success: false, message: 'Requested range not satisfiable' });
+        }
+        console.error('Media file error:', error);
+        res.status(error.status || 500).json({ success: false, message: 'Media file could not be sent' });
+    });
+};
+
+/**
+ * GET /:videoId/frames/:frameNumber
+ * Key frame image; frame numbers start at 1 in key_frames order, as in visual search results
+ */
+const FrameImageController = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const frameNumber = Number(req.params.frameNumber);
+
+        if (!Number.isInteger(frameNumber) || frameNumber < 1) {
+            return res.status(400).json({ success: false, message: 'frameNumber must be a positive integer' });
+        }
+
+        const videoRecord = await findOwnedVideo(videoId, req.userId);
+        if (!videoRecord) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        const frame = videoRecord.key_frames?.[frameNumber - 1];
+        if (!frame?.frame_path || !(await fs.pathExists(frame.frame_path))) {
+            return res.status(404).json({ success: false, message: 'Frame not found' });
+        }
+
+        sendMediaFile(res, frame.frame_path, 3600);
+
+    } catch (error) {
+        console.error('Frame image error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+/**
+ * GET /:videoId/poster
+ * Poster image of the video (JPEG), rendered on first request
+ */
+const PosterImageController = async (req, res) => {
+    try {
+        const videoRecord = await findOwnedVideo(req.params.videoId, req.userId);
+        if (!videoRecord) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        const posterPath = await ensurePosterImage(videoRecord);
+        if (!posterPath) {
+            return res.status(404).json({ success: false, message: 'No poster available for this video yet' });
+        }
+
+        sendMediaFile(res, posterPath, 3600);
+
+    } catch (error) {
+        console.error('Poster image error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+/**
+ * GET /:videoId/stream
+ * The uploaded video file, with Range support for seeking in <video> players
+ */
+const VideoStreamController = async (req, res) => {
+    try {
+        const videoRecord = await findOwnedVideo(req.params.videoId, req.userId);
+        if (!videoRecord) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        if (!videoRecord.file_path || !(await fs.pathExists(videoRecord.file_path))) {
+            return res.status(404).json({ success: false, message: 'Video file not found' });
+        }
+
+        sendMediaFile(res, videoRecord.file_path, 300);
+
+    } catch (error) {
+        console.error('Video stream error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+/**
+ * GET /:videoId/media-urls
+ * Short-lived signed URLs of the stream, the poster and the key frames, for <video> and <img>
+ * tags that cannot send an Authorization header
+ */
+const SignedMediaUrlsController = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const videoRecord = await findOwnedVideo(videoId, req.userId);
+        if (!videoRecord) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        const signed = Object.fromEntries(MEDIA_SCOPES.map(scope => [scope, signMediaAccess(videoId, scope, req.userId)]));
+        const basePath = `${req.baseUrl}/${videoId}`;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                video_id: videoId,
+                expires_at: new Date(signed.stream.expires * 1000).toISOString(),
+                stream_url: `${basePath}/stream?${toMediaQueryString(signed.stream)}`,
+                poster_url: `${basePath}/poster?${toMediaQueryString(signed.poster)}`,
+                // Replace {frame_number} with a frame number from key_frames or search results
+                frame_url_template: `${basePath}/frames/{frame_number}?${toMediaQueryString(signed.frames)}`,
+                total_frames: videoRecord.key_frames?.length || 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Signed media URL error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+module.exports = {
+    FrameImageController,
+    PosterImageController,
+    VideoStreamController,
+    SignedMediaUrlsController
+};
@@ -0,0 +1,537 @@
+const path = require('path');
+const fs = require('fs-extra');
+const VideoModel = require('../models/video.model');
+const TranscriptRevisionModel = require('../models/transcriptRevision.model');
+const { loadSavedTranscription } = require('../services/videoIndexingPipeline.service');
+const { enqueueIndexingJob } = require('../services/indexingJobQueue.service');
+const { SubtitleImportError, readSubtitleFile, importSubtitleTranscript } = require('../services/transcriptImport.service');
+const { TranscriptEditError, correctTranscript } = require('../services/transcriptRevision.service');
+const {
+    getTranslationFilePath,
+    loadTranslationTrack,
+    isTranslationStale
+} = require('../services/transcriptTranslation.service');
+const { deleteVideoEmbeddings, translationRowsFilter, TEXT_COLLECTION_NAME } = require('../services/vectorEmbeddings.service');
+const { getSpeakerName } = require('../utils/transcriptSegments.utils');
+const { isValidLanguageCode, normalizeLanguageTag, getLanguageName } = require('../utils/language.utils');
+const {
+    CAPTION_DEFAULTS,
+    buildCaptionCues,
+    formatSrt,
+    formatVtt,
+    formatPlainText
+} = require('../utils/subtitleFormats.utils');
+
+const TRANSCRIPT_FORMATS = {
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const isTruthyParam = (value) => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+// Video owned by the caller, or null
+const findOwnedVideo = async (videoId, userId) => {
+    const videoRecord = await VideoModel.findOne({ uuid: videoId });
+    if (!videoRecord || videoRecord.uploaded_by.toString() !== userId) {
+        return null;
+    }
+    return videoRecord;
+};
+
+// Download name based on the uploaded file, e.g. "meeting.srt"
+const buildDownloadName = (videoRecord, extension) => {
+    const baseName = path.basename(videoRecord.original_name || videoRecord.uuid, path.extname(videoRecord.original_name || ''));
+    return `${baseName.replace(/[^\w.-]+/g, '_') || videoRecord.uuid}.${extension}`;
+};
+
+/**
+ * GET /:videoId/transcript?format=srt|vtt|txt|json
+ * Optional query: speakers=true adds speaker names, line_length sets caption line length (20-80),
+ * language exports a translated track instead of the original transcript
+ */
+const ExportTranscriptController = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const format = String(req.query.format || 'json').toLowerCase();
+        const withSpeakers = isTruthyParam(req.query.speakers);
+
+        if (req.query.language !== undefined && !isValidLanguageCode(req.query.language)) {
+            return res.status(400).json({ success: false, message: 'language must be a language code such as "en" or "pt-BR"' });
+        }
+
+        if (!TRANSCRIPT_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown format "${format}". Valid formats: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`
+            });
+        }
+
+        let maxCharsPerLine = CAPTION_DEFAULTS.maxCharsPerLine;
+        if (req.query.line_length !== undefined) {
+            maxCharsPerLine = Number(req.query.line_length);
+            if (!Number.isInteger(maxCharsPerLine) || maxCharsPerLine < 20 || maxCharsPerLine > 80) {
+                return res.status(400).json({ success: false, message: 'line_length must be an integer between 20 and 80' });
+            }
+        }
+
+        const videoRecord = await findOwnedVideo(videoId, req.userId);
+        if (!videoRecord) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        let transcription = await loadSavedTranscription(videoId);
+        if (!transcription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transcript not available. The video has not been transcribed yet.',
+                indexing_status: videoRecord.indexing_status
+            });
+        }
+
+        // Asking for the transcript's own language returns the original; translation tracks
+        // keep their region or script, so pt-BR and pt-PT are separate tracks
+        const language = normalizeLanguageTag(req.query.language);
+        if (language && language !== normalizeLanguageTag(transcription.language)) {
+            const translation = await loadTranslationTrack(videoId, language);
+            if (!translation) {
+                return res.status(404).json({
+                    success: false,
+                    message: `No ${getLanguageName(language)} translation of this transcript. Create one with POST /api/v1/video/${videoId}/translations.`
+                });
+            }
+            transcription = translation;
+        }
+
+        const speakerName = withSpeakers ? (label) => getSpeakerName(videoRecord.speakers, label) : null;
+        const { contentType, extension } = TRANSCRIPT_FORMATS[format];
+
+        if (format === 'json') {
+            return res.status(200).json({
+                success: true,
+                data: {
+                    videoId: videoRecord.uuid,
+                    language: transcription.language,
+                    ...(transcription.sourceLanguage && { source_language: transcription.sourceLanguage }),
+                    duration: transcription.duration,
+                    confidence: transcription.confidence,
+                    speakers: (videoRecord.speakers || []).map(speaker => ({
+                        label: speaker.label,
+                        name: getSpeakerName(videoRecord.speakers, speaker.label)
+                    })),
+                    fullText: transcription.fullText,
+                    segments: (transcription.segments || []).map(segment => ({
+                        id: segment.id,
+                        start: segment.start,
+                        end: segment.end,
+                        text: segment.text,
+                        speaker: segment.speaker || null,
+                        ...(speakerName && { speaker_name: speakerName(segment.speaker) }),
+                        ...(segment.source_text && { source_text: segment.source_text }),
+                        confidence: segment.confidence
+                    })),
+                    words: (transcription.words || []).map(word => ({
+                        text: word.text,
+                        start: word.start,
+                        end: word.end,
+                        confidence: word.confidence,
+                        speaker: word.speaker || null
+                    }))
+                }
+            });
+        }
+
+        let body;
+        if (format === 'txt') {
+            body = formatPlainText(transcription.segments, { speakerName });
+        } else {
+            // VTT voice tags do not take up caption space, SRT name prefixes do
+            const cues = buildCaptionCues(transcription, { maxCharsPerLine, speakerName: format === 'srt' ? speakerName : null });
+            const formatter = format === 'srt' ? formatSrt : formatVtt;
+            body = formatter(cues, { speakerName, maxCharsPerLine });
+        }
+
+        // attachment() guesses a content type from the extension, so set ours after it
+        // Translated tracks download as e.g. "meeting.de.srt"
+        res.attachment(buildDownloadName(videoRecord, transcription.sourceLanguage ? `${transcription.language}.${extension}` : extension));
+        res.set('Content-Type', contentType);
+        res.status(200).send(body);
+
+    } catch (error) {
+        console.error('Export transcript error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+/**
+ * PUT /:videoId/transcript with a multipart "subtitles" SRT or WebVTT file (and an optional
+ * "language" field). Replaces the transcript and re-embeds the text; frames are left alone.
+ */
+const ImportTranscriptController = async (req, res) => {
+    const subtitlePath = req.file.path;
+    try {
+        const { videoId } = req.params;
+        const { language } = req.body || {};
+
+        if (language !== undefined && !isValidLanguageCode(language)) {
+            await fs.remove(subtitlePath);
+            return res.status(400).json({ success: false, message: 'language must be a language code such as "en" or "pt-BR"' });
+        }
+
+        const videoRecord = await findOwnedVideo(videoId, req.userId);
+        if (!videoRecord) {
+            await fs.remove(subtitlePath);
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        if (['pending', 'processing'].includes(videoRecord.indexing_status)) {
+            await fs.remove(subtitlePath);
+            return res.status(409).json({ success: false, message: 'Video is already queued or being indexed' });
+        }
+
+        const cues = await readSubtitleFile(subtitlePath);
+        const transcription = await importSubtitleTranscript(videoId, cues, {
+            subtitlePath: subtitlePath,
+            originalName: req.file.originalname,
+            language: language
+        });
+
+        await VideoModel.updateOne(
+            { uuid: videoId },
+            { indexing_status: 'pending', error_message: null }
+        );
+
+        const job = await enqueueIndexingJob({
+            videoId,
+            userId: req.userId,
+            type: 'reindex',
+            options: { stages: ['transcript', 'text_embeddings'] }
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Subtitles imported, the transcript is being re-embedded',
+            data: {
+                videoId: videoId,
+                jobId: job.job_id,
+                status: job.status,
+                cues: cues.length,
+                segments: transcription.segments.length,
+                language: transcription.language,
+                duration: transcription.duration,
+                endpoints: {
+                    job: `/api/v1/video/jobs/${job.job_id}`,
+                    transcript: `/api/v1/video/${videoId}/transcript`
+                }
+            }
+        });
+
+    } catch (error) {
+        await fs.remove(subtitlePath).catch(() => {});
+
+        if (error instanceof SubtitleImportError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+
+        console.error('Import transcript error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+const formatRevision = (revision) => ({
+    revision: revision.revision,
+    author: revision.author?.fullName
+        ? { id: revision.author._id, name: revision.author.fullName, email: revision.author.email }
+        : { id: revision.author },
+    note: revision.note || null,
+    changes: revision.changes,
+    jobId: revision.job_id || null,
+    createdAt: revision.createdAt
+});
+
+/**
+ * PATCH /:videoId/transcript
+ * Body: { edits: [{ segment_id, text } | { start, end, text } | { segment_id | start, end, find, replace }], note }
+ * Saves a revision and re-embeds only the text chunks whose content changed.
+ */
+const CorrectTranscriptController = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const { edits, note } = req.body || {};
+
+        if (note !== undefined && typeof note !== 'string') {
+            return res.status(400).json({ success: false, message: 'note must be a string' });
+        }
+
+        const videoRecord = await findOwnedVideo(videoId, req.userId);
+        if (!videoRecord) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        if (['pending', 'processing'].includes(videoRecord.indexing_status)) {
+            return res.status(409).json({ success: false, message: 'Video is already queued or being indexed' });
+        }
+
+        const { revision, transcription } = await correctTranscript(videoRecord, edits, {
+            authorId: req.userId,
+            note: note
+        });
+
+        await VideoModel.updateOne(
+            { uuid: videoId },
+            { indexing_status: 'pending', error_message: null }
+        );
+
+        const job = await enqueueIndexingJob({
+            videoId,
+            userId: req.userId,
+            type: 'reindex',
+            options: { stages: ['text_embeddings'], incremental: true }
+        });
+
+        revision.job_id = job.job_id;
+        await revision.save();
+
+        res.status(202).json({
+            success: true,
+            message: 'Transcript corrected, changed chunks are being re-embedded',
+            data: {
+                videoId: videoId,
+                revision: formatRevision(revision),
+                segments: transcription.segments.length,
+                jobId: job.job_id,
+                status: job.status,
+                endpoints: {
+                    job: `/api/v1/video/jobs/${job.job_id}`,
+                    revisions: `/api/v1/video/${videoId}/transcript/revisions`
+                }
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof TranscriptEditError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+
+        // Two corrections raced for the same revision number
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'The transcript was corrected at the same time, please retry' });
+        }
+
+        console.error('Correct transcript error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+// GET /:videoId/transcript/revisions, newest first
+const ListTranscriptRevisionsController = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const videoRecord = await findOwnedVideo(videoId, req.userId);
+        if (!videoRecord) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        const revisions = await TranscriptRevisionModel.find({ video_uuid: videoId })
+            .sort({ revision: -1 })
+            .limit(100)
+            .populate('author', 'fullName email');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                videoId: videoId,
+                revisions: revisions.map(formatRevision)
+            }
+        });
+
+    } catch (error) {
+        console.error('List transcript revisions error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+const formatTranslation = (videoId, entry, stale) => ({
+    language: entry.language,
+    language_name: getLanguageName(entry.language),
+    status: entry.status,
+    jobId: entry.job_id || null,
+    segments: entry.segments,
+    chunks: entry.chunks,
+    ...(stale !== undefined && { stale }),
+    error_message: entry.error_message || null,
+    completedAt: entry.completed_at || null,
+    endpoints: {
+        srt: `/api/v1/video/${videoId}/transcript?format=srt&language=${entry.language}`,
+        vtt: `/api/v1/video/${videoId}/transcript?format=vtt&language=${entry.language}`
+    }
+});
+
+/**
+ * POST /:videoId/translations
+ * Body: { language }
+ * Translates the transcript segment by segment into a separate track, indexed as extra text
+ * chunks in that language. Translating into a language again replaces its track.
+ */
+const CreateTranslationController = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const { language } = req.body || {};
+
+        if (!isValidLanguageCode(language)) {
+            return res.status(400).json({ success: false, message: 'language must be a language code such as "en" or "pt-BR"' });
+        }
+        const targetLanguage = normalizeLanguageTag(language);
+
+        const videoRecord = await findOwnedVideo(videoId, req.userId);
+        if (!videoRecord) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        if (['pending', 'processing'].includes(videoRecord.indexing_status)) {
+            return res.status(409).json({ success: false, message: 'Video is already queued or being indexed' });
+        }
+
+        const transcription = await loadSavedTranscription(videoId);
+        if (!transcription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transcript not available. The video has not been transcribed yet.',
+                indexing_status: videoRecord.indexing_status
+            });
+        }
+
+        if (targetLanguage === normalizeLanguageTag(transcription.language)) {
+            return res.status(400).json({ success: false, message: `The transcript is already in ${getLanguageName(targetLanguage)}` });
+        }
+
+        const existing = (videoRecord.translations || []).find(entry => entry.language === targetLanguage);
+        if (existing && ['queued', 'processing'].includes(existing.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `A ${getLanguageName(targetLanguage)} translation is already in progress`,
+                data: { jobId: existing.job_id }
+            });
+        }
+
+        const job = await enqueueIndexingJob({
+            videoId,
+            userId: req.userId,
+            type: 'translate',
+            options: { language: targetLanguage }
+        });
+
+        const entry = { language: targetLanguage, status: 'queued', job_id: job.job_id, segments: 0, chunks: 0 };
+        if (existing) {
+            await VideoModel.updateOne(
+                { uuid: videoId, 'translations.language': targetLanguage },
+                { $set: { 'translations.$': entry } }
+            );
+        } else {
+            await VideoModel.updateOne({ uuid: videoId }, { $push: { translations: entry } });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: `Transcript is being translated into ${getLanguageName(targetLanguage)}`,
+            data: {
+                videoId: videoId,
+                sourceLanguage: transcription.language,
+                ...formatTranslation(videoId, entry),
+                endpoints: {
+                    job: `/api/v1/video/jobs/${job.job_id}`,
+                    translations: `/api/v1/video/${videoId}/translations`,
+                    ...formatTranslation(videoId, entry).endpoints
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Create translation error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+// GET /:videoId/translations; stale tracks were made from an earlier version of the transcript
+const ListTranslationsController = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const videoRecord = await findOwnedVideo(videoId, req.userId);
+        if (!videoRecord) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        const transcription = await loadSavedTranscription(videoId);
+        const translations = [];
+        for (const entry of videoRecord.translations || []) {
+            let stale;
+            if (entry.status === 'completed') {
+                const translation = await loadTranslationTrack(videoId, entry.language);
+                stale = !translation || isTranslationStale(translation, transcription);
+            }
+            translations.push(formatTranslation(videoId, entry, stale));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                videoId: videoId,
+                sourceLanguage: transcription?.language || videoRecord.language || null,
+                translations: translations
+            }
+        });
+
+    } catch (error) {
+        console.error('List translations error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+// DELETE /:videoId/translations/:language removes the track and its text chunks
+const DeleteTranslationController = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        const language = normalizeLanguageTag(req.params.language);
+
+        const videoRecord = await findOwnedVideo(videoId, req.userId);
+        if (!videoRecord) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        const entry = (videoRecord.translations || []).find(track => track.language === language);
+        if (!entry) {
+            return res.status(404).json({ success: false, message: 'Translation not found' });
+        }
+
+        if (['queued', 'processing'].includes(entry.status)) {
+            return res.status(409).json({ success: false, message: 'The translation is still in progress' });
+        }
+
+        const deletedChunks = await deleteVideoEmbeddings(TEXT_COLLECTION_NAME, videoId, translationRowsFilter(videoId, language));
+        await fs.remove(getTranslationFilePath(videoId, language));
+        await VideoModel.updateOne({ uuid: videoId }, { $pull: { translations: { language } } });
+
+        res.status(200).json({
+            success: true,
+            message: `${getLanguageName(language)} translation deleted`,
+            data: { videoId, language, deletedChunks }
+        });
+
+    } catch (error) {
+        console.error('Delete translation error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+module.exports = {
+    ExportTranscriptController,
+    ImportTranscriptController,
+    CorrectTranscriptController,
+    ListTranscriptRevisionsController,
+    CreateTranslationController,
+    ListTranslationsController,
+    DeleteTranslationController
+};
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const VocabularyModel = require('../models/vocabulary.model');
+const VideoModel = require('../models/video.model');
+const { BOOST_LEVELS } = VocabularyModel;
+const { normalizeVocabularyTerms } = require('../services/vocabulary.service');
+
+const formatVocabulary = (vocabulary, { withTerms = true } = {}) => ({
+    id: vocabulary._id,
+    name: vocabulary.name,
+    description: vocabulary.description || null,
+    boost: vocabulary.boost,
+    is_default: vocabulary.is_default,
+    term_count: vocabulary.terms.length,
+    ...(withTerms && { terms: vocabulary.terms }),
+    createdAt: vocabulary.createdAt,
+    updatedAt: vocabulary.updatedAt
+});
+
+// Vocabulary owned by the caller, or null
+const findOwnedVocabulary = async (vocabularyId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(vocabularyId)) {
+        return null;
+    }
+    return VocabularyModel.findOne({ _id: vocabularyId, owner: userId });
+};
+
+// Applies name, description, terms, boost and is_default from the body; returns an error message or null
+const applyVocabularyFields = (vocabulary, body) => {
+    const { name, description, terms, boost, is_default } = body;
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return 'name must be a non-empty string';
+        }
+        vocabulary.name = name.trim();
+    }
+
+    if (description !== undefined) {
+        vocabulary.description = description;
+    }
+
+    if (terms !== undefined) {
+        vocabulary.terms = normalizeVocabularyTerms(terms);
+    }
+
+    if (boost !== undefined) {
+        if (!BOOST_LEVELS.includes(boost)) {
+            return `boost must be one of: ${BOOST_LEVELS.join(', ')}`;
+        }
+        vocabulary.boost = boost;
+    }
+
+    if (is_default !== undefined) {
+        if (typeof is_default !== 'boolean') {
+            return 'is_default must be a boolean';
+        }
+        vocabulary.is_default = is_default;
+    }
+
+    return null;
+};
+
+// Saves a vocabulary; a new default replaces the owner's previous one
+const saveVocabulary = async (vocabulary) => {
+    await vocabulary.save();
+    if (vocabulary.is_default) {
+        await VocabularyModel.updateMany(
+            { owner: vocabulary.owner, _id: { $ne: vocabulary._id }, is_default: true },
+            { is_default: false }
+        );
+    }
+};
+
+const handleVocabularyError = (res, error) => {
+    if (error.name === 'VocabularyError') {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({ success: false, message: messages.join('. ') });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ success: false, message: 'A vocabulary with this name already exists' });
+    }
+    res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+};
+
+const CreateVocabularyController = async (req, res) => {
+    try {
+        if (typeof req.body.name !== 'string' || !req.body.name.trim()) {
+            return res.status(400).json({ success: false, message: 'Vocabulary name is required' });
+        }
+
+        const vocabulary = new VocabularyModel({ owner: req.userId });
+        const fieldError = applyVocabularyFields(vocabulary, { terms: [], ...req.body });
+        if (fieldError) {
+            return res.status(400).json({ success: false, message: fieldError });
+        }
+
+        await saveVocabulary(vocabulary);
+
+        res.status(201).json({
+            success: true,
+            message: 'Vocabulary created successfully',
+            data: { vocabulary: formatVocabulary(vocabulary) }
+        });
+
+    } catch (error) {
+        console.error('Create vocabulary error:', error);
+        handleVocabularyError(res, error);
+    }
+};
+
+const ListVocabulariesController = async (req, res) => {
+    try {
+        const vocabularies = await VocabularyModel.find({ owner: req.userId }).sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                vocabularies: vocabularies.map(vocabulary => formatVocabulary(vocabulary, { withTerms: false }))
+            }
+        });
+
+    } catch (error) {
+        console.error('List vocabularies error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+const GetVocabularyController = async (req, res) => {
+    try {
+        const vocabulary = await findOwnedVocabulary(req.params.vocabularyId, req.userId);
+        if (!vocabulary) {
+            return res.status(404).json({ success: false, message: 'Vocabulary not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { vocabulary: formatVocabulary(vocabulary) }
+        });
+
+    } catch (error) {
+        console.error('Get vocabulary error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+// Changes apply to videos transcribed afterwards; already indexed videos keep their transcript
+const UpdateVocabularyController = async (req, res) => {
+    try {
+        const vocabulary = await findOwnedVocabulary(req.params.vocabularyId, req.userId);
+        if (!vocabulary) {
+            return res.status(404).json({ success: false, message: 'Vocabulary not found' });
+        }
+
+        const fieldError = applyVocabularyFields(vocabulary, req.body);
+        if (fieldError) {
+            return res.status(400).json({ success: false, message: fieldError });
+        }
+
+        await saveVocabulary(vocabulary);
+
+        res.status(200).json({
+            success: true,
+            message: 'Vocabulary updated successfully',
+            data: { vocabulary: formatVocabulary(vocabulary) }
+        });
+
+    } catch (error) {
+        console.error('Update vocabulary error:', error);
+        handleVocabularyError(res, error);
+    }
+};
+
+const DeleteVocabularyController = async (req, res) => {
+    try {
+        const vocabulary = await findOwnedVocabulary(req.params.vocabularyId, req.userId);
+        if (!vocabulary) {
+            return res.status(404).json({ success: false, message: 'Vocabulary not found' });
+        }
+
+        await VocabularyModel.deleteOne({ _id: vocabulary._id });
+        // Later reindexing of these videos transcribes without a vocabulary
+        await VideoModel.updateMany({ vocabulary: vocabulary._id }, { $unset: { vocabulary: 1 } });
+
+        res.status(200).json({ success: true, message: 'Vocabulary deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete vocabulary error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+module.exports = {
+    CreateVocabularyController,
+    ListVocabulariesController,
+    GetVocabularyController,
+    UpdateVocabularyController,
+    DeleteVocabularyController
+};
@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const WebhookModel = require('../models/webhook.model');
+const WebhookDeliveryModel = require('../models/webhookDelivery.model');
+const { WEBHOOK_EVENTS } = WebhookModel;
+const {
+    SIGNATURE_HEADER,
+    generateWebhookSecret,
+    dispatchWebhookEvent
+} = require('../services/webhookDispatcher.service');
+
+const isValidWebhookUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (_) {
+        return false;
+    }
+};
+
+const validateEvents = (events) => {
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'events must be a non-empty array';
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        return `Unknown events: ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+    return null;
+};
+
+const formatWebhook = (webhook) => ({
+    id: webhook._id,
+    url: webhook.url,
+    description: webhook.description || null,
+    events: webhook.events,
+    is_active: webhook.is_active,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt
+});
+
+// Webhook owned by the caller, or null
+const findOwnedWebhook = async (webhookId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(webhookId)) {
+        return null;
+    }
+    return WebhookModel.findOne({ _id: webhookId, owner: userId });
+};
+
+const CreateWebhookController = async (req, res) => {
+    try {
+        const { url, events = WEBHOOK_EVENTS, description, secret } = req.body;
+
+        if (typeof url !== 'string' || !url.trim() || !isValidWebhookUrl(url.trim())) {
+            return res.status(400).json({ success: false, message: 'A valid http(s) webhook URL is required' });
+        }
+
+        const eventsError = validateEvents(events);
+        if (eventsError) {
+            return res.status(400).json({ success: false, message: eventsError });
+        }
+
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+            return res.status(400).json({ success: false, message: 'secret must be a string of at least 16 characters' });
+        }
+
+        const webhookSecret = secret || generateWebhookSecret();
+        const webhook = await WebhookModel.create({
+            owner: req.userId,
+            url: url.trim(),
+            description: description,
+            events: [...new Set(events)],
+            secret: webhookSecret
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook registered successfully. Store the secret now, it is not shown again.',
+            data: {
+                webhook: formatWebhook(webhook),
+                secret: webhookSecret,
+                signature: {
+                    header: SIGNATURE_HEADER,
+                    algorithm: 'HMAC-SHA256',
+                    signed_content: '<X-FrameWhisper-Timestamp>.<raw request body>'
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Create webhook error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ success: false, message: messages.join('. ') });
+        }
+
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+const ListWebhooksController = async (req, res) => {
+    try {
+        const webhooks = await WebhookModel.find({ owner: req.userId }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                webhooks: webhooks.map(formatWebhook),
+                available_events: WEBHOOK_EVENTS
+            }
+        });
+
+    } catch (error) {
+        console.error('List webhooks error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+const UpdateWebhookController = async (req, res) => {
+    try {
+        const webhook = await findOwnedWebhook(req.params.webhookId, req.userId);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const { url, events, description, is_active } = req.body;
+
+        if (url !== undefined) {
+            if (typeof url !== 'string' || !isValidWebhookUrl(url.trim())) {
+                return res.status(400).json({ success: false, message: 'A valid http(s) webhook URL is required' });
+            }
+            webhook.url = url.trim();
+        }
+
+        if (events !== undefined) {
+            const eventsError = validateEvents(events);
+            if (eventsError) {
+                return res.status(400).json({ success: false, message: eventsError });
+            }
+            webhook.events = [...new Set(events)];
+        }
+
+        if (description !== undefined) {
+            webhook.description = description;
+        }
+
+        if (is_active !== undefined) {
+            if (typeof is_active !== 'boolean') {
+                return res.status(400).json({ success: false, message: 'is_active must be a boolean' });
+            }
+            webhook.is_active = is_active;
+        }
+
+        await webhook.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook updated successfully',
+            data: { webhook: formatWebhook(webhook) }
+        });
+
+    } catch (error) {
+        console.error('Update webhook error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({ success: false, message: messages.join('. ') });
+        }
+
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+const DeleteWebhookController = async (req, res) => {
+    try {
+        const webhook = await findOwnedWebhook(req.params.webhookId, req.userId);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        await WebhookModel.deleteOne({ _id: webhook._id });
+        // Pending deliveries have nowhere to go anymore
+        await WebhookDeliveryModel.updateMany(
+            { webhook: webhook._id, status: 'pending' },
+            { status: 'failed', next_attempt_at: null }
+        );
+
+        res.status(200).json({ success: true, message: 'Webhook deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+// Delivery log of a webhook, newest first. Query: ?status=pending|delivering|succeeded|failed&limit=50
+const ListWebhookDeliveriesController = async (req, res) => {
+    try {
+        const webhook = await findOwnedWebhook(req.params.webhookId, req.userId);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const { status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const filter = { webhook: webhook._id };
+        if (['pending', 'delivering', 'succeeded', 'failed'].includes(status)) {
+            filter.status = status;
+        }
+
+        const deliveries = await WebhookDeliveryModel.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                webhook: formatWebhook(webhook),
+                deliveries: deliveries.map(delivery => ({
+                    id: delivery.delivery_id,
+                    event: delivery.event,
+                    status: delivery.status,
+                    attempts: delivery.attempts,
+                    max_attempts: delivery.max_attempts,
+                    next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+                    delivered_at: delivery.delivered_at || null,
+                    attempt_log: delivery.attempt_log,
+                    payload: JSON.parse(delivery.body),
+                    createdAt: delivery.createdAt
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('List webhook deliveries error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+// Sends a "webhook.ping" event to one webhook so receivers can verify signatures
+const PingWebhookController = async (req, res) => {
+    try {
+        const webhook = await findOwnedWebhook(req.params.webhookId, req.userId);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const [delivery] = await dispatchWebhookEvent(req.userId, 'webhook.ping', {
+            webhookId: webhook._id,
+            message: 'Webhook is configured correctly'
+        }, { webhookId: webhook._id });
+
+        res.status(202).json({
+            success: true,
+            message: 'Ping queued for delivery',
+            data: { deliveryId: delivery?.delivery_id || null }
+        });
+
+    } catch (error) {
+        console.error('Ping webhook error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error. Please try again later.' });
+    }
+};
+
+module.exports = {
+    CreateWebhookController,
+    ListWebhooksController,
+    UpdateWebhookController,
+    DeleteWebhookController,
+    ListWebhookDeliveriesController,
+    PingWebhookController
+};
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { verifyMediaAccess } = require('../utils/signedMediaUrl.utils');
 const JWT_SECRET_KEY = process.env.JWT_SECRET_KEY;
 
 const AuthMiddleware = (req, res, next) => {
@@ -21,4 +22,21 @@ const AuthMiddleware = (req, res, next) => {
     }
 };
 
-module.exports = {AuthMiddleware};
+// Media of one video (scope "frames", "poster" or "stream"), with a bearer token or with the
+// signed query parameters of a media URL, since <img> and <video> tags cannot send headers.
+// Either way req.userId is set and the controller checks access to the video.
+const MediaAuthMiddleware = (scope) => (req, res, next) => {
+    if (req.headers.authorization) {
+        return AuthMiddleware(req, res, next);
+    }
+
+    const userId = verifyMediaAccess(req.params.videoId, scope, req.query);
+    if (!userId) {
+        return res.status(401).json({ success: false, message: 'Unauthorized: Token missing or media URL invalid or expired' });
+    }
+
+    req.userId = userId;
+    next();
+};
+
+module.exports = {AuthMiddleware, MediaAuthMiddleware};
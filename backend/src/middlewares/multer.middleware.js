@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { computeFileSha256 } = require('../utils/hashFile.utils');
+const { SUBTITLE_EXTENSIONS, MAX_SUBTITLE_BYTES } = require('../utils/subtitleFormats.utils');
 
 // Ensure upload directory exists
 const uploadDir = 'uploads/videos';
@@ -9,43 +11,96 @@ if (!fs.existsSync(uploadDir)) {
     console.log(`Created upload directory: ${uploadDir}`);
 }
 
+// Enhanced filename with more unique identifier
+const buildUploadFileName = (originalname) => {
+    const timestamp = Date.now();
+    const ext = path.extname(originalname);
+    const name = path.basename(originalname, ext);
+    return `${name}_${timestamp}_${Math.random().toString(36).substr(2, 9)}${ext}`;
+};
+
+// Enhanced file validation, shared with resumable uploads
+const isAllowedVideoFile = (originalname, mimetype) => {
+    const allowedExtensions = /\.(mp4|mov|avi|mkv|webm)$/i;
+    const allowedMimeTypes = /^video\/(mp4|quicktime|x-msvideo|x-matroska|webm)$/i;
+
+    return allowedExtensions.test(path.extname(originalname).toLowerCase()) && allowedMimeTypes.test(mimetype);
+};
+
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
         cb(null, uploadDir);
     },
     filename: (req, file, cb) => {
-        const timestamp = Date.now();
-        const ext = path.extname(file.originalname);
-        const name = path.basename(file.originalname, ext);
-        // Enhanced filename with more unique identifier
-        const uniqueName = `${name}_${timestamp}_${Math.random().toString(36).substr(2, 9)}${ext}`;
-        cb(null, uniqueName);
+        cb(null, buildUploadFileName(file.originalname));
     }
 });
 
-const fileFilter = (req, file, cb) => {
-    // Enhanced file validation
-    const allowedExtensions = /\.(mp4|mov|avi|mkv|webm)$/i;
-    const allowedMimeTypes = /^video\/(mp4|quicktime|x-msvideo|x-matroska|webm)$/i;
-    
-    const extname = allowedExtensions.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedMimeTypes.test(file.mimetype);
+// Query images are only read once, then deleted
+const imageUploadDir = 'uploads/query-images';
+if (!fs.existsSync(imageUploadDir)) {
+    fs.mkdirSync(imageUploadDir, { recursive: true });
+}
+const MAX_QUERY_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const isAllowedImageFile = (originalname, mimetype) => {
+    const allowedExtensions = /\.(png|jpe?g|webp|bmp|gif)$/i;
+    const allowedMimeTypes = /^image\/(png|jpeg|webp|bmp|gif)$/i;
 
-    if (extname && mimetype) {
+    return allowedExtensions.test(path.extname(originalname).toLowerCase()) && allowedMimeTypes.test(mimetype);
+};
+
+// Browsers send captions with all kinds of mime types, so only the extension is checked
+const isAllowedSubtitleFile = (originalname) => SUBTITLE_EXTENSIONS.includes(path.extname(originalname).toLowerCase());
+
+const fileFilter = (req, file, cb) => {
+    if (file.fieldname === 'subtitles') {
+        return isAllowedSubtitleFile(file.originalname)
+            ? cb(null, true)
+            : cb(new Error('Only subtitle files (SRT, WebVTT) are allowed'), false);
+    }
+    if (isAllowedVideoFile(file.originalname, file.mimetype)) {
         return cb(null, true);
     } else {
         return cb(new Error('Only video files (MP4, MOV, AVI, MKV, WebM) are allowed'), false);
     }
 };
 
+// A video, optionally with captions that replace transcription
 const uploadVideo = multer({
     storage: storage,
     fileFilter: fileFilter,
     limits: {
         fileSize: 100 * 1024 * 1024, // Enhanced: Increased to 100MB for video files
-        files: 1 // Only allow single file upload
+        files: 2 // One video and one subtitles file
+    }
+}).fields([
+    { name: 'video', maxCount: 1 },
+    { name: 'subtitles', maxCount: 1 }
+]);
+
+const uploadImage = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, imageUploadDir),
+        filename: (req, file, cb) => cb(null, buildUploadFileName(file.originalname))
+    }),
+    fileFilter: (req, file, cb) => isAllowedImageFile(file.originalname, file.mimetype)
+        ? cb(null, true)
+        : cb(new Error('Only image files (PNG, JPEG, WebP, BMP, GIF) are allowed'), false),
+    limits: {
+        fileSize: MAX_QUERY_IMAGE_BYTES,
+        files: 1
     }
-}).single('video');
+}).single('image');
+
+const uploadSubtitles = multer({
+    storage: storage,
+    fileFilter: fileFilter,
+    limits: {
+        fileSize: MAX_SUBTITLE_BYTES,
+        files: 1
+    }
+}).single('subtitles');
 
 const multerMiddleware = (req, res, next) => {
     uploadVideo(req, res, (err) => {
@@ -62,14 +117,14 @@ const multerMiddleware = (req, res, next) => {
             if (err.code === 'LIMIT_FILE_COUNT') {
                 return res.status(400).json({ 
                     success: false,
-                    error: 'Too many files. Only one video file is allowed.',
+                    error: 'Too many files. Only one video file and one subtitles file are allowed.',
                     code: 'TOO_MANY_FILES'
                 });
             }
             if (err.code === 'LIMIT_UNEXPECTED_FILE') {
                 return res.status(400).json({ 
                     success: false,
-                    error: 'Unexpected file field. Use field name "video".',
+                    error: 'Unexpected file field. Use field names "video" and "subtitles".',
                     code: 'UNEXPECTED_FIELD'
                 });
             }
@@ -88,8 +143,14 @@ const multerMiddleware = (req, res, next) => {
             });
         }
         
+        req.file = req.files?.video?.[0];
+        req.subtitlesFile = req.files?.subtitles?.[0] || null;
+
         // Validate that file was actually uploaded
         if (!req.file) {
+            if (req.subtitlesFile) {
+                fs.unlink(req.subtitlesFile.path, () => {});
+            }
             return res.status(400).json({
                 success: false,
                 error: 'No video file uploaded. Please select a video file.',
@@ -100,8 +161,106 @@ const multerMiddleware = (req, res, next) => {
         // Add file info to logs
         console.log(`Video uploaded: ${req.file.originalname} (${(req.file.size / 1024 / 1024).toFixed(2)}MB)`);
         
+        // Content hash lets the controller recognise re-uploads of the same recording
+        computeFileSha256(req.file.path)
+            .then((sha256) => {
+                req.file.sha256 = sha256;
+                next();
+            })
+            .catch((hashError) => {
+                console.error('Error hashing uploaded video:', hashError);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Could not process the uploaded file.',
+                    code: 'HASH_ERROR'
+                });
+            });
+    });
+};
+
+// Single "subtitles" file for replacing the transcript of an existing video
+const subtitlesUploadMiddleware = (req, res, next) => {
+    uploadSubtitles(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            console.error('Multer error:', err);
+
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({
+                    success: false,
+                    error: `File size too large. Maximum allowed size is ${MAX_SUBTITLE_BYTES / 1024 / 1024}MB.`,
+                    code: 'FILE_TOO_LARGE'
+                });
+            }
+
+            return res.status(400).json({
+                success: false,
+                error: err.code === 'LIMIT_UNEXPECTED_FILE' ? 'Unexpected file field. Use field name "subtitles".' : `Upload error: ${err.message}`,
+                code: err.code === 'LIMIT_UNEXPECTED_FILE' ? 'UNEXPECTED_FIELD' : 'UPLOAD_ERROR'
+            });
+        } else if (err) {
+            console.error('File filter error:', err);
+            return res.status(400).json({
+                success: false,
+                error: err.message,
+                code: 'INVALID_FILE'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No subtitles file uploaded. Send an SRT or WebVTT file in the "subtitles" field.',
+                code: 'NO_FILE'
+            });
+        }
+
+        next();
+    });
+};
+
+// Single "image" file to search key frames with
+const imageUploadMiddleware = (req, res, next) => {
+    uploadImage(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            console.error('Multer error:', err);
+
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({
+                    success: false,
+                    error: `File size too large. Maximum allowed size is ${MAX_QUERY_IMAGE_BYTES / 1024 / 1024}MB.`,
+                    code: 'FILE_TOO_LARGE'
+                });
+            }
+
+            return res.status(400).json({
+                success: false,
+                error: err.code === 'LIMIT_UNEXPECTED_FILE' ? 'Unexpected file field. Use field name "image".' : `Upload error: ${err.message}`,
+                code: err.code === 'LIMIT_UNEXPECTED_FILE' ? 'UNEXPECTED_FIELD' : 'UPLOAD_ERROR'
+            });
+        } else if (err) {
+            console.error('File filter error:', err);
+            return res.status(400).json({
+                success: false,
+                error: err.message,
+                code: 'INVALID_FILE'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No image uploaded. Send a PNG, JPEG, WebP, BMP or GIF file in the "image" field.',
+                code: 'NO_FILE'
+            });
+        }
+
         next();
     });
 };
 
-module.exports = multerMiddleware;
\ No newline at end of file
+module.exports = multerMiddleware;
+module.exports.subtitlesUploadMiddleware = subtitlesUploadMiddleware;
+module.exports.imageUploadMiddleware = imageUploadMiddleware;
+module.exports.uploadDir = uploadDir;
+module.exports.buildUploadFileName = buildUploadFileName;
+module.exports.isAllowedVideoFile = isAllowedVideoFile;
\ No newline at end of file
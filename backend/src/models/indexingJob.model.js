@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+const IndexingJobSchema = new mongoose.Schema({
+  job_id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  video_uuid: {
+    type: String,
+    required: true,
+    index: true
+  },
+  requested_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ["index", "reindex", "resume", "clone", "translate"],
+    default: "index"
+  },
+  // Type specific settings, e.g. { stages: ["embeddings"] } for a reindex ({ incremental: true } re-embeds
+  // only changed text chunks), { sourceVideoId } for a clone or { language } for a translation
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ["queued", "processing", "completed", "failed"],
+    default: "queued"
+  },
+  stage: {
+    type: String,
+    default: "queued"
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  max_attempts: {
+    type: Number,
+    default: 2
+  },
+  // Earliest time the job may be picked up (used for retry backoff)
+  run_at: {
+    type: Date,
+    default: Date.now
+  },
+  // A worker holds the job until this time; expired leases are picked up again
+  lease_expires_at: {
+    type: Date
+  },
+
+  started_at: {
+    type: Date
+  },
+  finished_at: {
+    type: Date
+  },
+  error_message: {
+    type: String
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+IndexingJobSchema.index({ status: 1, run_at: 1 });
+
+const IndexingJobModel = mongoose.model("indexing_jobs", IndexingJobSchema);
+module.exports = IndexingJobModel;
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Text of one segment before and after a correction
+const SegmentChangeSchema = new mongoose.Schema({
+  segment_id: {
+    type: Number,
+    required: true
+  },
+  start: {
+    type: Number
+  },
+  end: {
+    type: Number
+  },
+  before: {
+    type: String,
+    default: ''
+  },
+  // Null when the segment was merged into another one
+  after: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// One correction request against a video transcript
+const TranscriptRevisionSchema = new mongoose.Schema({
+  video_uuid: {
+    type: String,
+    required: true,
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  changes: {
+    type: [SegmentChangeSchema],
+    default: []
+  },
+  // Indexing job that re-embeds the chunks whose text changed
+  job_id: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+TranscriptRevisionSchema.index({ video_uuid: 1, revision: -1 }, { unique: true });
+
+const TranscriptRevisionModel = mongoose.model("transcript_revisions", TranscriptRevisionSchema);
+module.exports = TranscriptRevisionModel;
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+// A resumable (tus) upload in progress. Bytes are appended to temp_path until offset reaches size.
+const UploadSessionSchema = new mongoose.Schema({
+  upload_id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+    index: true
+  },
+  original_name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mime_type: {
+    type: String,
+    required: true
+  },
+  // Total length announced in Upload-Length
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Bytes received so far
+  offset: {
+    type: Number,
+    default: 0
+  },
+  temp_path: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["uploading", "completed", "aborted"],
+    default: "uploading"
+  },
+  // Vocabulary, spoken language and frame extraction settings named in Upload-Metadata, applied
+  // when the upload is completed
+  vocabulary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'vocabularies'
+  },
+  language: {
+    type: String
+  },
+  frame_extraction: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Video created from the assembled file
+  video_uuid: {
+    type: String
+  },
+  // Unfinished uploads are discarded after this time
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+UploadSessionSchema.index({ status: 1, expires_at: 1 });
+
+const UploadSessionModel = mongoose.model("upload_sessions", UploadSessionSchema);
+module.exports = UploadSessionModel;
@@ -1,5 +1,28 @@
 const mongoose = require("mongoose");
 
+// Checkpoint of one indexing pipeline stage, lets a failed run resume where it stopped
+const StageCheckpointSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ["pending", "processing", "completed", "skipped", "failed"],
+    default: "pending"
+  },
+  // Files and counts produced by the stage (paths, collection names, totals)
+  artifacts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  started_at: {
+    type: Date
+  },
+  completed_at: {
+    type: Date
+  },
+  error_message: {
+    type: String
+  }
+}, { _id: false });
+
 const VideoSchema = new mongoose.Schema({
   original_name: {
     type: String,
@@ -21,6 +44,15 @@ const VideoSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // SHA-256 of the uploaded file, used to detect duplicate uploads
+  content_hash: {
+    type: String,
+    index: true
+  },
+  // Set when the index was copied from another video with identical content
+  cloned_from: {
+    type: String
+  },
   duration: {
     type: Number,
     min: 0
@@ -29,10 +61,57 @@ const VideoSchema = new mongoose.Schema({
   audio_transcription: {
     type: String
   },
+  // Spoken language as an ISO 639-1 code, given at upload or detected by transcription
+  language: {
+    type: String
+  },
+  language_source: {
+    type: String,
+    enum: ["upload", "detected", "subtitles"]
+  },
 
+  // Near-identical consecutive frames are collapsed into one key frame covering
+  // timestamp..end_time; hash is its 64 bit dHash in hex. caption describes the picture and
+  // is indexed as text.
   key_frames: [{
     timestamp: Number,
-    frame_path: String
+    end_time: Number,
+    frame_path: String,
+    hash: String,
+    collapsed_frames: Number,
+    caption: String
+  }],
+  // Frame extraction settings chosen at upload; unset ones follow the server defaults
+  frame_extraction: {
+    mode: { type: String, enum: ["interval", "scene"] },
+    interval: { type: Number },
+    scene_threshold: { type: Number },
+    min_gap: { type: Number },
+    max_gap: { type: Number }
+  },
+
+  // Translated transcript tracks, indexed as extra text chunks in their language
+  translations: [{
+    _id: false,
+    language: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed"],
+      default: "queued"
+    },
+    job_id: { type: String },
+    segments: { type: Number, default: 0 },
+    chunks: { type: Number, default: 0 },
+    error_message: { type: String },
+    completed_at: { type: Date }
+  }],
+
+  // Speakers found by diarization, in order of first appearance. Labels match the transcript
+  // segments and Milvus rows; names are set by the owner.
+  speakers: [{
+    _id: false,
+    label: { type: String, required: true },
+    name: { type: String, trim: true, maxlength: 100 }
   }],
 
   is_indexed: {
@@ -44,6 +123,15 @@ const VideoSchema = new mongoose.Schema({
     enum: ["pending", "processing", "completed", "failed"],
     default: "pending"
   },
+  processing_stages: {
+    frames: { type: StageCheckpointSchema, default: () => ({}) },
+    frame_captions: { type: StageCheckpointSchema, default: () => ({}) },
+    ocr: { type: StageCheckpointSchema, default: () => ({}) },
+    audio: { type: StageCheckpointSchema, default: () => ({}) },
+    transcript: { type: StageCheckpointSchema, default: () => ({}) },
+    text_embeddings: { type: StageCheckpointSchema, default: () => ({}) },
+    visual_embeddings: { type: StageCheckpointSchema, default: () => ({}) }
+  },
 
   uploaded_by: {
     type: mongoose.Schema.Types.ObjectId,
@@ -51,6 +139,12 @@ const VideoSchema = new mongoose.Schema({
     required: true
   },
 
+  // Custom vocabulary the audio is transcribed with
+  vocabulary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'vocabularies'
+  },
+
   error_message: {
     type: String
   }
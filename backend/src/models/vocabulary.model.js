@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// AssemblyAI word_boost weights
+const BOOST_LEVELS = ["low", "default", "high"];
+
+// A product name, person or acronym with the way ASR tends to mishear it
+const VocabularyTermSchema = new mongoose.Schema({
+  phrase: {
+    type: String,
+    required: [true, "Term phrase is required"],
+    trim: true,
+    maxlength: [100, "Term phrase cannot exceed 100 characters"]
+  },
+  // Misrecognitions rewritten to the phrase, e.g. "cube ernetes" for "Kubernetes"
+  sounds_like: {
+    type: [{ type: String, trim: true, maxlength: 100 }],
+    default: []
+  }
+}, { _id: false });
+
+// Named list of terms a user picks at upload time to steer transcription
+const VocabularySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, "Vocabulary name is required"],
+    trim: true,
+    maxlength: [60, "Vocabulary name cannot exceed 60 characters"]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Description cannot exceed 200 characters"]
+  },
+  terms: {
+    type: [VocabularyTermSchema],
+    default: []
+  },
+  boost: {
+    type: String,
+    enum: BOOST_LEVELS,
+    default: "default"
+  },
+  // Used for uploads that do not name a vocabulary
+  is_default: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+VocabularySchema.index({ owner: 1, name: 1 }, { unique: true });
+
+const VocabularyModel = mongoose.model("vocabularies", VocabularySchema);
+
+module.exports = VocabularyModel;
+module.exports.BOOST_LEVELS = BOOST_LEVELS;
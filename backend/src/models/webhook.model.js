@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ["indexing.completed", "indexing.failed", "video.deleted"];
+
+const WebhookSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: [true, "Webhook URL is required"],
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, "Webhook URL must start with http:// or https://"]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Description cannot exceed 200 characters"]
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    default: WEBHOOK_EVENTS
+  },
+  // HMAC-SHA256 signing key, only returned when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+const WebhookModel = mongoose.model("webhooks", WebhookSchema);
+
+module.exports = WebhookModel;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
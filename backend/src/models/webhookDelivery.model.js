@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// One HTTP attempt of a delivery
+const DeliveryAttemptSchema = new mongoose.Schema({
+  attempted_at: {
+    type: Date,
+    default: Date.now
+  },
+  response_status: {
+    type: Number
+  },
+  duration_ms: {
+    type: Number
+  },
+  error: {
+    type: String
+  }
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  delivery_id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'webhooks',
+    required: true,
+    index: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'users',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body that is signed and sent on every attempt
+  body: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ["pending", "delivering", "succeeded", "failed"],
+    default: "pending"
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  max_attempts: {
+    type: Number,
+    default: 6
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  lease_expires_at: {
+    type: Date
+  },
+  attempt_log: {
+    type: [DeliveryAttemptSchema],
+    default: []
+  },
+  delivered_at: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+WebhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+
+const WebhookDeliveryModel = mongoose.model("webhook_deliveries", WebhookDeliverySchema);
+module.exports = WebhookDeliveryModel;
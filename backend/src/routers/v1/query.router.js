@@ -1,12 +1,19 @@
 const express = require('express');
-const { QueryController, QueryTestController } = require('./../../controllers/QueryController.controller');
+const { QueryController, QueryTestController, QueryVideoByImageController, QueryLibraryByImageController } = require('./../../controllers/QueryController.controller');
 const { AuthMiddleware } = require('../../middlewares/auth.middleware');
+const { imageUploadMiddleware } = require('../../middlewares/multer.middleware');
 
 const queryRouter = express.Router();
 
 // POST /api/v1/video/query/ask/:uuid
 queryRouter.post('/ask/:uuid', AuthMiddleware, QueryController);
 
+// POST /api/v1/video/query/image/:uuid - Find where an image appears in one video
+queryRouter.post('/image/:uuid', AuthMiddleware, imageUploadMiddleware, QueryVideoByImageController);
+
+// POST /api/v1/video/query/image - Find where an image appears across your videos
+queryRouter.post('/image', AuthMiddleware, imageUploadMiddleware, QueryLibraryByImageController);
+
 // GET /api/v1/video/query/test - Test collection status
 queryRouter.get('/test', QueryTestController);
 
@@ -2,11 +2,15 @@ const express = require('express');
 const videoRouter = require('./video.router');
 const authRouter = require('./auth.router');
 const queryRouter = require('./query.router');
+const webhookRouter = require('./webhook.router');
+const vocabularyRouter = require('./vocabulary.router');
 
 const v1Router = express.Router();
 
 v1Router.use('/auth', authRouter);
 v1Router.use('/video', videoRouter);
 v1Router.use('/video/query', queryRouter);
+v1Router.use('/webhooks', webhookRouter);
+v1Router.use('/vocabularies', vocabularyRouter);
 
 module.exports = v1Router;
\ No newline at end of file
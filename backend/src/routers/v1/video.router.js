@@ -1,16 +1,67 @@
 const express = require('express');
 const multerMiddleware = require('../../middlewares/multer.middleware');
-const { AuthMiddleware } = require('../../middlewares/auth.middleware');
-const { IndexNewVideoController, DebugVideoIndexingController, ForceReindexVideoController } = require('../../controllers/IndexNewVideoController.controller');
+const { subtitlesUploadMiddleware } = multerMiddleware;
+const { AuthMiddleware, MediaAuthMiddleware } = require('../../middlewares/auth.middleware');
+const { IndexNewVideoController, CreateResumableUploadController, ResumableUploadStatusController, AppendResumableUploadController, CompleteResumableUploadController, CancelResumableUploadController, IndexingJobStatusController, VideoIndexingProgressController, DebugVideoIndexingController, ForceReindexVideoController, ResumeVideoIndexingController, ListVideoSpeakersController, RenameVideoSpeakersController, DeleteVideoController } = require('../../controllers/IndexNewVideoController.controller');
+const { ExportTranscriptController, ImportTranscriptController, CorrectTranscriptController, ListTranscriptRevisionsController, CreateTranslationController, ListTranslationsController, DeleteTranslationController } = require('../../controllers/transcript.controller');
+
+const { FrameImageController, PosterImageController, VideoStreamController, SignedMediaUrlsController } = require('../../controllers/media.controller');
 
 const videoRouter = express.Router();
 
 videoRouter.post('/upload', AuthMiddleware, multerMiddleware, IndexNewVideoController);
 
+// Resumable chunked uploads (tus 1.0.0 core, creation and termination) for large files
+videoRouter.post('/uploads', AuthMiddleware, CreateResumableUploadController);
+videoRouter.head('/uploads/:uploadId', AuthMiddleware, ResumableUploadStatusController);
+videoRouter.get('/uploads/:uploadId', AuthMiddleware, ResumableUploadStatusController);
+videoRouter.patch('/uploads/:uploadId', AuthMiddleware, AppendResumableUploadController);
+videoRouter.put('/uploads/:uploadId', AuthMiddleware, AppendResumableUploadController);
+videoRouter.post('/uploads/:uploadId/complete', AuthMiddleware, CompleteResumableUploadController);
+videoRouter.delete('/uploads/:uploadId', AuthMiddleware, CancelResumableUploadController);
+
+// Status of a background indexing job
+videoRouter.get('/jobs/:jobId', AuthMiddleware, IndexingJobStatusController);
+
+// Live indexing progress as a Server-Sent Events stream
+videoRouter.get('/:videoId/progress', AuthMiddleware, VideoIndexingProgressController);
+
 // Debug endpoint to check video indexing status
-videoRouter.get('/debug/:videoId', DebugVideoIndexingController);
+videoRouter.get('/debug/:videoId', AuthMiddleware, DebugVideoIndexingController);
 
 // Force reindex endpoint for existing videos
 videoRouter.post('/reindex/:videoId', AuthMiddleware, ForceReindexVideoController);
 
+// Resume a failed indexing run from its first incomplete stage
+videoRouter.post('/resume/:videoId', AuthMiddleware, ResumeVideoIndexingController);
+
+// Speakers found by diarization, and renaming them ("A" -> "Alice")
+videoRouter.get('/:videoId/speakers', AuthMiddleware, ListVideoSpeakersController);
+videoRouter.patch('/:videoId/speakers', AuthMiddleware, RenameVideoSpeakersController);
+
+// Transcript as SRT, WebVTT, plain text or JSON with word timings
+videoRouter.get('/:videoId/transcript', AuthMiddleware, ExportTranscriptController);
+
+// Replace the transcript with an SRT or WebVTT file instead of transcribing the audio
+videoRouter.put('/:videoId/transcript', AuthMiddleware, subtitlesUploadMiddleware, ImportTranscriptController);
+
+// Correct transcript segments; each correction is kept as a revision
+videoRouter.patch('/:videoId/transcript', AuthMiddleware, CorrectTranscriptController);
+videoRouter.get('/:videoId/transcript/revisions', AuthMiddleware, ListTranscriptRevisionsController);
+
+// Translated transcript tracks, exported with /:videoId/transcript?language=
+videoRouter.post('/:videoId/translations', AuthMiddleware, CreateTranslationController);
+videoRouter.get('/:videoId/translations', AuthMiddleware, ListTranslationsController);
+videoRouter.delete('/:videoId/translations/:language', AuthMiddleware, DeleteTranslationController);
+
+// Media: key frame images (e.g. the thumbnails of visual search results), a poster and the
+// video itself. Each takes a bearer token or the signed query of a /media-urls URL.
+videoRouter.get('/:videoId/frames/:frameNumber', MediaAuthMiddleware('frames'), FrameImageController);
+videoRouter.get('/:videoId/poster', MediaAuthMiddleware('poster'), PosterImageController);
+videoRouter.get('/:videoId/stream', MediaAuthMiddleware('stream'), VideoStreamController);
+videoRouter.get('/:videoId/media-urls', AuthMiddleware, SignedMediaUrlsController);
+
+// Delete a video with its embeddings and processed files
+videoRouter.delete('/:videoId', AuthMiddleware, DeleteVideoController);
+
 module.exports = videoRouter;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const { AuthMiddleware } = require('../../middlewares/auth.middleware');
+const {
+    CreateVocabularyController,
+    ListVocabulariesController,
+    GetVocabularyController,
+    UpdateVocabularyController,
+    DeleteVocabularyController
+} = require('../../controllers/vocabulary.controller');
+
+const vocabularyRouter = express.Router();
+
+vocabularyRouter.use(AuthMiddleware);
+
+vocabularyRouter.post('/', CreateVocabularyController);
+vocabularyRouter.get('/', ListVocabulariesController);
+vocabularyRouter.get('/:vocabularyId', GetVocabularyController);
+vocabularyRouter.patch('/:vocabularyId', UpdateVocabularyController);
+vocabularyRouter.delete('/:vocabularyId', DeleteVocabularyController);
+
+module.exports = vocabularyRouter;
@@ -0,0 +1,27 @@
+const express = require('express');
+const { AuthMiddleware } = require('../../middlewares/auth.middleware');
+const {
+    CreateWebhookController,
+    ListWebhooksController,
+    UpdateWebhookController,
+    DeleteWebhookController,
+    ListWebhookDeliveriesController,
+    PingWebhookController
+} = require('../../controllers/webhook.controller');
+
+const webhookRouter = express.Router();
+
+webhookRouter.use(AuthMiddleware);
+
+webhookRouter.post('/', CreateWebhookController);
+webhookRouter.get('/', ListWebhooksController);
+webhookRouter.patch('/:webhookId', UpdateWebhookController);
+webhookRouter.delete('/:webhookId', DeleteWebhookController);
+
+// Delivery log with every attempt's response status and error
+webhookRouter.get('/:webhookId/deliveries', ListWebhookDeliveriesController);
+
+// Send a signed test event
+webhookRouter.post('/:webhookId/ping', PingWebhookController);
+
+module.exports = webhookRouter;
@@ -1,17 +1,13 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs-extra'); // Use fs-extra for promise-based operations
-const axios = require('axios');
+const { emitIndexingProgress } = require('./indexingProgress.service');
+const { getEnvironmentConfig } = require('../utils/validateEnvironmentVariables.utils');
+const { buildSegmentsFromWords, averageWordConfidence } = require('../utils/transcriptSegments.utils');
+const { applyVocabularyToTranscript } = require('../utils/vocabularyNormalizer.utils');
+const { getTranscriptionProvider } = require('./transcriptionProviders');
 
-// AssemblyAI configuration
-const baseUrl = "https://api.assemblyai.com";
-const headers = {
-    authorization: process.env.ASSEMBLYAI_API_KEY,
-};
-
-if (!headers.authorization) {
-    throw new Error('ASSEMBLYAI_API_KEY is missing in environment variables');
-}
+const config = getEnvironmentConfig();
 
 const VideoToAudioTranscriptionService = async (videoPath, outputDir, videoId) => {
     try {
@@ -37,9 +33,9 @@ const VideoToAudioTranscriptionService = async (videoPath, outputDir, videoId) =
             throw new Error('Failed to extract audio from video');
         }
 
-        // Step 2: Transcribe audio to text using AssemblyAI
-        console.log('Step 2: Transcribing audio to text with AssemblyAI...');
-        const transcriptionResult = await transcribeAudioWithAssemblyAI(audioFilePath, transcriptionOutputDir, videoId);
+        // Step 2: Transcribe audio to text with the configured provider
+        console.log('Step 2: Transcribing audio to text...');
+        const transcriptionResult = await transcribeAudio(audioFilePath, transcriptionOutputDir, videoId);
         
         return {
             success: true,
@@ -80,7 +76,9 @@ const extractAudioFromVideo = (videoPath, audioOutputDir, videoId) => {
                 console.log('FFmpeg command:', commandLine);
             })
             .on('progress', (progress) => {
-                console.log(`Audio extraction progress: ${Math.round(progress.percent || 0)}%`);
+                const percent = Math.round(progress.percent || 0);
+                console.log(`Audio extraction progress: ${percent}%`);
+                emitIndexingProgress(videoId, { type: 'ffmpeg', stage: 'audio', percent: percent });
             })
             .on('end', () => {
                 console.log('Audio extraction completed successfully');
@@ -100,161 +98,323 @@ const extractAudioFromVideo = (videoPath, audioOutputDir, videoId) => {
     });
 };
 
-// Step 2: Transcribe audio using AssemblyAI API
-const transcribeAudioWithAssemblyAI = async (audioFilePath, transcriptionOutputDir, videoId) => {
+// Audio length in seconds. Falls back to the size of the 16kHz mono 16-bit WAV written by extractAudioFromVideo
+const getAudioDuration = (audioFilePath) => {
+    return new Promise((resolve) => {
+        ffmpeg.ffprobe(audioFilePath, (err, metadata) => {
+            const duration = Number(metadata?.format?.duration);
+            if (!err && duration > 0) {
+                return resolve(duration);
+            }
+
+            const { size } = fs.statSync(audioFilePath);
+            resolve(Math.max(0, size - 44) / (16000 * 2));
+        });
+    });
+};
+
+// Cuts one piece of the audio, start and duration in seconds
+const cutAudioSegment = (audioFilePath, segmentPath, start, duration) => {
+    return new Promise((resolve, reject) => {
+        ffmpeg(audioFilePath)
+            .setStartTime(start)
+            .setDuration(duration)
+            .audioCodec('pcm_s16le')
+            .audioChannels(1)
+            .audioFrequency(16000)
+            .output(segmentPath)
+            .on('end', () => resolve(segmentPath))
+            .on('error', reject)
+            .run();
+    });
+};
+
+/**
+ * Splits audio into segments of segmentSeconds that each run overlapSeconds into the next one,
+ * so words on a boundary are heard whole by at least one segment
+ *
+ * @param {string} audioFilePath - Extracted WAV file
+ * @param {string} segmentOutputDir - Directory for the segment files
+ * @param {string} videoId - Video uuid, used in file names
+ * @param {number} audioDuration - Length of the audio in seconds
+ * @returns {Array<Object>} [{ index, path, start, duration }] with times in seconds
+ */
+const splitAudioIntoSegments = async (audioFilePath, segmentOutputDir, videoId, audioDuration) => {
+    const segmentSeconds = config.transcriptionSegmentSeconds;
+    const overlapSeconds = config.transcriptionSegmentOverlapSeconds;
+
+    await fs.ensureDir(segmentOutputDir);
+
+    const segments = [];
+    for (let start = 0, index = 0; start < audioDuration; start += segmentSeconds, index++) {
+        const duration = Math.min(segmentSeconds + overlapSeconds, audioDuration - start);
+        const segmentPath = path.join(segmentOutputDir, `${videoId}_segment_${String(index).padStart(3, '0')}.wav`);
+
+        await cutAudioSegment(audioFilePath, segmentPath, start, duration);
+        segments.push({ index, path: segmentPath, start, duration });
+    }
+
+    console.log(`Split ${audioDuration.toFixed(1)}s of audio into ${segments.length} segments`);
+    return segments;
+};
+
+// Runs worker over items with at most `limit` in flight, keeping result order
+const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+};
+
+const normalizeWord = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+// Label for the n-th distinct speaker: A..Z, then S27, S28...
+const speakerLabelAt = (n) => n < 26 ? String.fromCharCode(65 + n) : `S${n + 1}`;
+
+/**
+ * Maps the speaker labels of one segment onto the labels already used by the transcript.
+ * Labels are assigned per transcription request, so "A" in one segment may be "B" in the next.
+ * Words heard by both segments inside their overlap vote for the matching earlier label;
+ * speakers without a match get a new label.
+ *
+ * @param {Array<Object>} previousWords - Words of the previous segment, already shifted and relabelled
+ * @param {Array<Object>} words - Shifted words of this segment with its own labels
+ * @param {number} overlapStart - Start of the shared audio in seconds
+ * @param {number} overlapEnd - End of the shared audio in seconds
+ * @param {Set<string>} usedLabels - Labels assigned so far, extended with new ones
+ * @returns {Object} Segment label -> transcript label
+ */
+const alignSegmentSpeakers = (previousWords, words, overlapStart, overlapEnd, usedLabels) => {
+    const inOverlap = (word) => word.speaker && word.start >= overlapStart && word.start < overlapEnd;
+    const previousInOverlap = previousWords.filter(inOverlap);
+
+    const votes = new Map();
+    for (const word of words.filter(inOverlap)) {
+        const match = previousInOverlap.find(previous =>
+            Math.abs(previous.start - word.start) < 0.5 && normalizeWord(previous.text) === normalizeWord(word.text));
+        if (match) {
+            const key = `${word.speaker}|${match.speaker}`;
+            votes.set(key, (votes.get(key) || 0) + 1);
+        }
+    }
+
+    // Strongest pairs first, each label used once on either side
+    const mapping = {};
+    const taken = new Set();
+    [...votes.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([key]) => {
+            const [label, previousLabel] = key.split('|');
+            if (!mapping[label] && !taken.has(previousLabel)) {
+                mapping[label] = previousLabel;
+                taken.add(previousLabel);
+            }
+        });
+
+    for (const word of words) {
+        if (word.speaker && !mapping[word.speaker]) {
+            const label = speakerLabelAt(usedLabels.size);
+            mapping[word.speaker] = label;
+            usedLabels.add(label);
+        }
+    }
+
+    return mapping;
+};
+
+// Segments are detected one by one; the language most of them report wins
+const mostCommonLanguage = (results) => {
+    const counts = new Map();
+    for (const result of results) {
+        if (result.language) {
+            counts.set(result.language, (counts.get(result.language) || 0) + 1);
+        }
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+};
+
+/**
+ * Joins segment transcripts into one transcript. Word times are shifted by the segment start
+ * and speaker labels are aligned across segments. Inside each overlap the cut is placed at its
+ * midpoint, away from the segment edges where words are clipped, and a word repeated right
+ * across the cut is dropped.
+ *
+ * @param {Array<Object>} segments - Audio segments from splitAudioIntoSegments
+ * @param {Array<Object>} results - Provider transcript per segment
+ * @param {number} audioDuration - Length of the whole audio in seconds
+ * @returns {Object} Stitched transcript in the provider shape
+ */
+const stitchSegmentTranscripts = (segments, results, audioDuration) => {
+    const overlapSeconds = config.transcriptionSegmentOverlapSeconds;
+    const words = [];
+    const usedLabels = new Set();
+    let previousWords = [];
+
+    segments.forEach((segment, i) => {
+        const keepFrom = i === 0 ? -Infinity : segment.start + overlapSeconds / 2;
+        const keepUntil = i === segments.length - 1 ? Infinity : segments[i + 1].start + overlapSeconds / 2;
+
+        const segmentWords = (results[i].words || []).map(word => ({
+            ...word,
+            start: word.start + segment.start,
+            end: word.end + segment.start
+        }));
+        const speakerMapping = alignSegmentSpeakers(previousWords, segmentWords, segment.start, segment.start + overlapSeconds, usedLabels);
+        segmentWords.forEach(word => {
+            if (word.speaker) {
+                word.speaker = speakerMapping[word.speaker];
+            }
+        });
+        previousWords = segmentWords;
+
+        for (const shifted of segmentWords) {
+            if (shifted.start < keepFrom || shifted.start >= keepUntil) {
+                continue;
+            }
+
+            // Same word heard by both segments with slightly different timing
+            const previous = words[words.length - 1];
+            if (previous && shifted.start < previous.end && normalizeWord(previous.text) === normalizeWord(shifted.text)) {
+                continue;
+            }
+
+            words.push(shifted);
+        }
+    });
+
+    const confidence = averageWordConfidence(words);
+
+    return {
+        fullText: words.map(word => word.text).join(' '),
+        segments: buildSegmentsFromWords(words),
+        words: words,
+        language: mostCommonLanguage(results),
+        duration: audioDuration,
+        confidence: confidence,
+        metadata: {
+            ...results[0]?.metadata,
+            providerJobId: results.map(result => result.metadata?.providerJobId).filter(Boolean).join(',') || undefined,
+            audioSegments: segments.length
+        }
+    };
+};
+
+// Transcribes long audio as overlapping segments in parallel and stitches the results
+const transcribeAudioInSegments = async (provider, audioFilePath, videoId, audioDuration, hints) => {
+    const segmentOutputDir = path.join(path.dirname(audioFilePath), 'segments');
+
     try {
-        console.log(`Starting AssemblyAI transcription for: ${audioFilePath}`);
+        const segments = await splitAudioIntoSegments(audioFilePath, segmentOutputDir, videoId, audioDuration);
+
+        const results = await mapWithConcurrency(segments, config.transcriptionConcurrency, (segment) =>
+            provider.transcribe(segment.path, {
+                videoId,
+                audioDuration: segment.duration,
+                ...hints,
+                progress: { segment: segment.index + 1, segments: segments.length }
+            })
+        );
+
+        return stitchSegmentTranscripts(segments, results, audioDuration);
+    } finally {
+        await fs.remove(segmentOutputDir);
+    }
+};
+
+// Step 2: Transcribe audio with the configured provider (TRANSCRIPTION_PROVIDER). When the
+// provider allows it, audio longer than one segment is split into overlapping segments that
+// are transcribed concurrently. A custom vocabulary ({ name, boost, phrases, terms }) is given
+// to the provider as hints and then used to correct the spelling of its terms. Without a
+// language code the provider detects the spoken language.
+const transcribeAudio = async (audioFilePath, transcriptionOutputDir, videoId, { vocabulary = null, language = null } = {}) => {
+    try {
+        const provider = getTranscriptionProvider();
+        console.log(`Starting ${provider.label} transcription for: ${audioFilePath}`);
         
         // Check file size and get file stats
         const fileStats = fs.statSync(audioFilePath);
         const fileSizeInMB = fileStats.size / (1024 * 1024);
+        const audioDuration = await getAudioDuration(audioFilePath);
         
-        console.log(`Audio file size: ${fileSizeInMB.toFixed(2)}MB`);
-        
-        // Step 1: Upload the audio file to AssemblyAI
-        console.log('Uploading audio file to AssemblyAI...');
-        const audioData = await fs.readFile(audioFilePath);
-        const uploadResponse = await axios.post(`${baseUrl}/v2/upload`, audioData, {
-            headers,
-        });
-        const audioUrl = uploadResponse.data.upload_url;
-        console.log('Audio file uploaded successfully');
-        
-        // Step 2: Submit transcription request
-        console.log('Submitting transcription request...');
-        const transcriptionData = {
-            audio_url: audioUrl,
-            speech_model: "universal",
-            // Enable additional features for better results
-            punctuate: true,
-            format_text: true,
-            dual_channel: false,
-            // Get word-level timestamps
-            word_boost: [],
-            boost_param: "default",
-        };
+        console.log(`Audio file size: ${fileSizeInMB.toFixed(2)}MB, duration: ${audioDuration.toFixed(1)}s`);
         
-        const transcriptionUrl = `${baseUrl}/v2/transcript`;
-        const transcriptionResponse = await axios.post(transcriptionUrl, transcriptionData, { 
-            headers: headers 
-        });
+        const shouldSegment = provider.supportsSegmentation &&
+            audioDuration > config.transcriptionSegmentSeconds + config.transcriptionSegmentOverlapSeconds;
+        let result = shouldSegment
+            ? await transcribeAudioInSegments(provider, audioFilePath, videoId, audioDuration, { vocabulary, language })
+            : await provider.transcribe(audioFilePath, { videoId, audioDuration, vocabulary, language });
         
-        const transcriptId = transcriptionResponse.data.id;
-        console.log(`Transcription job submitted with ID: ${transcriptId}`);
+        console.log('Transcription completed successfully');
+
+        if (vocabulary) {
+            const normalized = applyVocabularyToTranscript(result, vocabulary.terms);
+            console.log(`Vocabulary "${vocabulary.name}" corrected ${normalized.replacements.length} terms`);
+            result = {
+                ...normalized.result,
+                metadata: {
+                    ...normalized.result.metadata,
+                    vocabulary: {
+                        id: vocabulary.id,
+                        name: vocabulary.name,
+                        terms: vocabulary.terms.length,
+                        replacements: normalized.replacements.length
+                    }
+                }
+            };
+        }
         
-        // Step 3: Poll for completion
-        console.log('Waiting for transcription to complete...');
-        const pollingEndpoint = `${baseUrl}/v2/transcript/${transcriptId}`;
-        let attempts = 0;
-        const maxAttempts = 100; // Max wait time: 100 * 3 seconds = 5 minutes
+        // Process and format transcription data to match expected format
+        const processedTranscription = processTranscriptionResult(result, provider, videoId, audioFilePath, fileStats);
         
-        while (attempts < maxAttempts) {
-            const pollingResponse = await axios.get(pollingEndpoint, {
-                headers: headers,
-            });
-            const result = pollingResponse.data;
-            
-            console.log(`Transcription status: ${result.status}`);
-            
-            if (result.status === "completed") {
-                console.log('Transcription completed successfully');
-                
-                // Process and format transcription data to match expected format
-                const processedTranscription = await processAssemblyAIResult(result, videoId, audioFilePath, fileStats);
-                
-                // Save transcription files
-                await saveTranscriptionFiles(processedTranscription, transcriptionOutputDir, videoId);
-                
-                return processedTranscription;
-                
-            } else if (result.status === "error") {
-                throw new Error(`Transcription failed: ${result.error}`);
-            } else {
-                // Still processing, wait and try again
-                await new Promise((resolve) => setTimeout(resolve, 3000));
-                attempts++;
-            }
-        }
+        // Save transcription files
+        await saveTranscriptionFiles(processedTranscription, transcriptionOutputDir, videoId);
         
-        throw new Error('Transcription timeout: Process took too long to complete');
+        return processedTranscription;
         
     } catch (error) {
-        console.error('Error during AssemblyAI transcription:', error);
+        console.error('Error during transcription:', error);
         throw error;
     }
 };
 
-// Process AssemblyAI result to match expected format
-const processAssemblyAIResult = async (assemblyAIResult, videoId, audioFilePath, fileStats) => {
-    try {
-        // Convert AssemblyAI words to segments format (similar to Whisper segments)
-        const segments = [];
-        
-        if (assemblyAIResult.words && assemblyAIResult.words.length > 0) {
-            // Group words into segments (roughly every 10 words or by sentence breaks)
-            const wordsPerSegment = 10;
-            
-            for (let i = 0; i < assemblyAIResult.words.length; i += wordsPerSegment) {
-                const segmentWords = assemblyAIResult.words.slice(i, i + wordsPerSegment);
-                const startTime = segmentWords[0].start / 1000; // Convert ms to seconds
-                const endTime = segmentWords[segmentWords.length - 1].end / 1000;
-                const segmentText = segmentWords.map(w => w.text).join(' ');
-                
-                segments.push({
-                    id: i / wordsPerSegment,
-                    seek: Math.floor(startTime),
-                    start: startTime,
-                    end: endTime,
-                    text: segmentText,
-                    tokens: segmentWords.map(w => w.text),
-                    temperature: 0.0,
-                    avg_logprob: assemblyAIResult.confidence || 0.5,
-                    compression_ratio: 1.0,
-                    no_speech_prob: 0.0
-                });
-            }
+// Adds video and file details to a provider transcript
+const processTranscriptionResult = (result, provider, videoId, audioFilePath, fileStats) => {
+    const transcriptionData = {
+        videoId: videoId,
+        transcribedAt: new Date().toISOString(),
+        duration: result.duration || 0,
+        language: result.language || null,
+        fullText: result.fullText || '',
+        segments: result.segments || [],
+        words: result.words || [],
+        audioFilePath: audioFilePath,
+        metadata: {
+            fileSize: fileStats.size,
+            fileSizeMB: (fileStats.size / (1024 * 1024)).toFixed(2),
+            confidence: result.confidence || 0,
+            audioSegments: 1,
+            ...result.metadata,
+            service: provider.label
         }
-        
-        // Create transcription data in expected format
-        const transcriptionData = {
-            videoId: videoId,
-            transcribedAt: new Date().toISOString(),
-            duration: assemblyAIResult.audio_duration || 0,
-            language: assemblyAIResult.language_code || 'en',
-            fullText: assemblyAIResult.text || '',
-            segments: segments,
-            audioFilePath: audioFilePath,
-            metadata: {
-                fileSize: fileStats.size,
-                fileSizeMB: (fileStats.size / (1024 * 1024)).toFixed(2),
-                confidence: assemblyAIResult.confidence || 0,
-                assemblyAIId: assemblyAIResult.id,
-                speechModel: "universal",
-                service: "AssemblyAI"
-            },
-            // Additional AssemblyAI specific data
-            assemblyAI: {
-                confidence: assemblyAIResult.confidence,
-                audio_duration: assemblyAIResult.audio_duration,
-                language_code: assemblyAIResult.language_code,
-                acoustic_model: assemblyAIResult.acoustic_model,
-                words: assemblyAIResult.words || []
-            }
-        };
-        
-        console.log(`Transcription processed successfully:`);
-        console.log(`- Duration: ${transcriptionData.duration}s`);
-        console.log(`- Language: ${transcriptionData.language}`);
-        console.log(`- Full text length: ${transcriptionData.fullText.length} characters`);
-        console.log(`- Number of segments: ${segments.length}`);
-        console.log(`- Confidence: ${assemblyAIResult.confidence || 'N/A'}`);
-        
-        return transcriptionData;
-        
-    } catch (error) {
-        console.error('Error processing AssemblyAI result:', error);
-        throw error;
-    }
+    };
+    
+    console.log(`Transcription processed successfully:`);
+    console.log(`- Provider: ${provider.label}`);
+    console.log(`- Duration: ${transcriptionData.duration}s`);
+    console.log(`- Language: ${transcriptionData.language || 'unknown'}`);
+    console.log(`- Full text length: ${transcriptionData.fullText.length} characters`);
+    console.log(`- Number of segments: ${transcriptionData.segments.length}`);
+    console.log(`- Confidence: ${result.confidence || 'N/A'}`);
+    
+    return transcriptionData;
 };
 
 // Save transcription files
@@ -295,5 +455,8 @@ const saveTranscriptionFiles = async (transcriptionData, transcriptionOutputDir,
 module.exports = {
     VideoToAudioTranscriptionService,
     extractAudioFromVideo,
-    transcribeAudioWithAssemblyAI
+    transcribeAudio,
+    saveTranscriptionFiles,
+    alignSegmentSpeakers,
+    stitchSegmentTranscripts
 };
\ No newline at end of file
@@ -0,0 +1,51 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getEnvironmentConfig } = require('../../utils/validateEnvironmentVariables.utils');
+
+const config = getEnvironmentConfig();
+const genAI = new GoogleGenerativeAI(config.geminiApiKey);
+
+const IMAGE_MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp'
+};
+
+const CAPTION_PROMPT = `This is a key frame of a video. Describe it in one to three sentences so it can be found by search.
+Say what kind of picture it is (slide, diagram, chart, code editor, terminal, web page, product demo, person talking, ...), what it shows, and quote the title, headings and key words of any readable text.
+Reply with the description only.`;
+
+/**
+ * Caption of one frame from a Gemini multimodal model
+ *
+ * @param {string} imagePath - Frame image
+ * @returns {string} Caption text
+ * @throws {Error} If the model returns no text
+ */
+const captionFrame = async (imagePath) => {
+    const model = genAI.getGenerativeModel({
+        model: config.frameCaptionModel,
+        generationConfig: { temperature: 0.2 }
+    });
+
+    const image = await fs.readFile(imagePath);
+    const result = await model.generateContent([
+        { inlineData: { data: image.toString('base64'), mimeType: IMAGE_MIME_TYPES[path.extname(imagePath).toLowerCase()] || 'image/png' } },
+        { text: CAPTION_PROMPT }
+    ]);
+
+    const caption = result.response.text().trim().replace(/\s+/g, ' ');
+    if (!caption) {
+        throw new Error('Gemini returned an empty caption');
+    }
+    return caption;
+};
+
+module.exports = {
+    name: 'gemini',
+    label: 'Gemini',
+    model: config.frameCaptionModel,
+    captionFrame
+};
@@ -0,0 +1,34 @@
+const { getEnvironmentConfig } = require('../../utils/validateEnvironmentVariables.utils');
+const geminiProvider = require('./gemini.provider');
+
+const config = getEnvironmentConfig();
+
+// Provider name (FRAME_CAPTION_PROVIDER) -> provider. Every provider exposes
+// { name, label, model, captionFrame(imagePath) } where captionFrame resolves to a short
+// description of the picture, including any readable text
+const FRAME_CAPTION_PROVIDERS = {
+    gemini: geminiProvider
+};
+
+/**
+ * Frame caption provider selected by configuration
+ *
+ * @param {string} name - Provider name, defaults to FRAME_CAPTION_PROVIDER
+ * @returns {Object|null} Frame caption provider, or null when captioning is turned off ("none")
+ * @throws {Error} If the provider is unknown
+ */
+const getFrameCaptionProvider = (name = config.frameCaptionProvider) => {
+    if (!name || name === 'none') {
+        return null;
+    }
+    const provider = FRAME_CAPTION_PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown frame caption provider "${name}". Valid providers: ${Object.keys(FRAME_CAPTION_PROVIDERS).join(', ')}, none`);
+    }
+    return provider;
+};
+
+module.exports = {
+    FRAME_CAPTION_PROVIDERS,
+    getFrameCaptionProvider
+};
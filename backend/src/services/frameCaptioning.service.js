@@ -0,0 +1,53 @@
+const { emitIndexingProgress } = require('./indexingProgress.service');
+
+/**
+ * Captions key frames one by one. A frame the provider fails on keeps no caption; the run only
+ * fails when no frame could be captioned at all.
+ *
+ * @param {string} videoId - Video uuid, for progress events
+ * @param {Array<Object>} frames - Frames { frame_number, timestamp, end_time, frame_path }
+ * @param {Object} provider - Frame caption provider
+ * @returns {Object} { captions: [{ frame_number, timestamp, end_time, caption }], failed }
+ * @throws {Error} If frames exist but none could be captioned
+ */
+const captionKeyFrames = async (videoId, frames, provider) => {
+    const captions = [];
+    let failed = 0;
+
+    for (const [index, frame] of frames.entries()) {
+        emitIndexingProgress(videoId, {
+            type: 'embedding',
+            stage: 'frame_captions',
+            current: index + 1,
+            total: frames.length,
+            message: `captioning frame ${index + 1}/${frames.length}`
+        });
+
+        try {
+            const caption = await provider.captionFrame(frame.frame_path);
+            captions.push({
+                frame_number: frame.frame_number,
+                timestamp: frame.timestamp,
+                end_time: frame.end_time ?? frame.timestamp,
+                caption: caption
+            });
+        } catch (error) {
+            failed++;
+            console.error(`Error captioning frame ${frame.frame_number} of ${videoId}:`, error?.message || error);
+        }
+
+        // Small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    if (captions.length === 0 && frames.length > 0) {
+        throw new Error(`None of the ${frames.length} frames could be captioned`);
+    }
+
+    console.log(`Captioned ${captions.length}/${frames.length} frames of ${videoId} with ${provider.label}`);
+    return { captions, failed };
+};
+
+module.exports = {
+    captionKeyFrames
+};
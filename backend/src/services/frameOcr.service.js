@@ -0,0 +1,106 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { emitIndexingProgress } = require('./indexingProgress.service');
+const { getEnvironmentConfig } = require('../utils/validateEnvironmentVariables.utils');
+const { parseTesseractTsv, mergeScreenTextRuns } = require('../utils/screenText.utils');
+
+const config = getEnvironmentConfig();
+
+const OCR_TIMEOUT_MS = 60 * 1000;
+
+// Screen text of every frame is saved next to the frames, so it goes wherever they go
+const getScreenTextFilePath = (frameOutputDir) => path.join(frameOutputDir, 'screen_text.json');
+
+const runTesseract = (args) => {
+    return new Promise((resolve, reject) => {
+        execFile(config.tesseractBinary, args, { timeout: OCR_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.code === 'ENOENT'
+                    ? `${config.tesseractBinary} not found. Install Tesseract or set TESSERACT_BINARY.`
+                    : (stderr || error.message).toString().trim().split('\n').slice(-3).join(' ');
+                const ocrError = new Error(`OCR failed: ${reason}`);
+                ocrError.code = error.code;
+                return reject(ocrError);
+            }
+            resolve(stdout);
+        });
+    });
+};
+
+// Whether the Tesseract binary can be run at all
+const isTesseractAvailable = async () => {
+    try {
+        await runTesseract(['--version']);
+        return true;
+    } catch (error) {
+        console.warn(error.message);
+        return false;
+    }
+};
+
+/**
+ * Reads the on-screen text of every key frame with Tesseract and merges consecutive frames
+ * showing the same text. A frame Tesseract fails on counts as showing no text.
+ *
+ * @param {string} videoId - Video uuid, for progress events
+ * @param {Array<Object>} frames - Frames { frame_number, timestamp, end_time, frame_path }
+ * @returns {Object} { frames: [{ frame_number, timestamp, end_time, text, confidence }], runs, failed, filePath }
+ * @throws {Error} If frames exist but Tesseract failed on all of them
+ */
+const extractScreenText = async (videoId, frames) => {
+    const results = [];
+    let failed = 0;
+
+    for (const [index, frame] of frames.entries()) {
+        emitIndexingProgress(videoId, {
+            type: 'ocr',
+            stage: 'ocr',
+            current: index + 1,
+            total: frames.length,
+            message: `reading text of frame ${index + 1}/${frames.length}`
+        });
+
+        let text = '';
+        let confidence = 0;
+        try {
+            const tsv = await runTesseract([frame.frame_path, 'stdout', '-l', config.ocrLanguages, '--psm', '3', 'tsv']);
+            ({ text, confidence } = parseTesseractTsv(tsv, config.ocrMinConfidence));
+        } catch (error) {
+            failed++;
+            console.error(`Error reading text of frame ${frame.frame_number} of ${videoId}:`, error.message);
+        }
+
+        results.push({
+            frame_number: frame.frame_number,
+            timestamp: frame.timestamp,
+            end_time: frame.end_time ?? frame.timestamp,
+            text: text,
+            confidence: confidence
+        });
+    }
+
+    if (frames.length > 0 && failed === frames.length) {
+        throw new Error(`Tesseract failed on all ${frames.length} frames`);
+    }
+
+    const runs = mergeScreenTextRuns(results);
+    const filePath = getScreenTextFilePath(path.dirname(frames[0]?.frame_path || '.'));
+    if (frames.length > 0) {
+        await fs.writeJson(filePath, {
+            languages: config.ocrLanguages,
+            extractedAt: new Date().toISOString(),
+            frames: results,
+            runs: runs
+        }, { spaces: 2 });
+    }
+
+    console.log(`Read text on ${results.filter(frame => frame.text).length}/${frames.length} frames of ${videoId}, ${runs.length} distinct screens`);
+    return { frames: results, runs, failed, filePath };
+};
+
+module.exports = {
+    getScreenTextFilePath,
+    isTesseractAvailable,
+    extractScreenText
+};
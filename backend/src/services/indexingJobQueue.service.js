@@ -0,0 +1,281 @@
+const { v4: uuidv4 } = require('uuid');
+const IndexingJobModel = require('../models/indexingJob.model');
+const VideoModel = require('../models/video.model');
+const { getEnvironmentConfig } = require('../utils/validateEnvironmentVariables.utils');
+const { runVideoIndexingPipeline, getResumeStages, markVideoFailed } = require('./videoIndexingPipeline.service');
+const { cloneVideoIndex } = require('./videoDeduplication.service');
+const { runTranscriptTranslation } = require('./transcriptTranslation.service');
+const { emitIndexingProgress } = require('./indexingProgress.service');
+const { dispatchWebhookEvent } = require('./webhookDispatcher.service');
+
+const config = getEnvironmentConfig();
+
+// How long a worker owns a job before another worker may take it over
+const JOB_LEASE_MS = 5 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const RETRY_BACKOFF_MS = 30 * 1000;
+
+// Job type -> function that runs it.
+// Retried index jobs and resume jobs continue from the first incomplete stage checkpoint.
+// Clone jobs copy the index of an identical video instead of running the pipeline.
+// Translate jobs add a translated transcript track to an indexed video.
+const JOB_HANDLERS = {
+    index: (job, videoRecord, onProgress) => runVideoIndexingPipeline(videoRecord, {
+        stages: job.attempts > 1 ? getResumeStages(videoRecord) : undefined,
+        reuseSavedTranscript: job.attempts > 1,
+        onProgress
+    }),
+    reindex: (job, videoRecord, onProgress) => runVideoIndexingPipeline(videoRecord, {
+        stages: job.options?.stages,
+        incrementalTextEmbeddings: Boolean(job.options?.incremental),
+        onProgress
+    }),
+    resume: (job, videoRecord, onProgress) => runVideoIndexingPipeline(videoRecord, {
+        stages: getResumeStages(videoRecord),
+        reuseSavedTranscript: true,
+        onProgress
+    }),
+    clone: (job, videoRecord, onProgress) => cloneVideoIndex(job.options?.sourceVideoId, videoRecord, { onProgress }),
+    translate: (job, videoRecord, onProgress) => runTranscriptTranslation(videoRecord, job.options?.language, { onProgress })
+};
+
+// Job types that (re)build the index and own the video's indexing_status. Translate jobs
+// track their status on the translation entry instead.
+const INDEXING_JOB_TYPES = ['index', 'reindex', 'resume', 'clone'];
+
+let pollTimer = null;
+let isRunning = false;
+let isPolling = false;
+let activeJobs = 0;
+
+/**
+ * Persists a new indexing job for the worker to pick up
+ *
+ * @param {Object} params
+ * @param {string} params.videoId - uuid of the video to index
+ * @param {string} params.userId - user who requested the job
+ * @param {string} params.type - job type, one of JOB_HANDLERS
+ * @param {Object} params.options - type specific settings stored on the job
+ * @returns {Object} Saved IndexingJobModel document
+ */
+const enqueueIndexingJob = async ({ videoId, userId, type = 'index', options = {} }) => {
+    if (!JOB_HANDLERS[type]) {
+        throw new Error(`Unknown indexing job type: ${type}`);
+    }
+
+    const job = new IndexingJobModel({
+        job_id: uuidv4(),
+        video_uuid: videoId,
+        requested_by: userId,
+        type: type,
+        options: options,
+        max_attempts: config.indexingJobMaxAttempts
+    });
+
+    await job.save();
+    console.log(`Queued ${type} job ${job.job_id} for video ${videoId}`);
+
+    // Pick it up right away if the worker is idle
+    setImmediate(pollForJobs);
+
+    return job;
+};
+
+// Atomically claim the oldest runnable job, including ones whose worker lease expired
+const claimNextJob = async () => {
+    const now = new Date();
+
+    return IndexingJobModel.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', run_at: { $lte: now } },
+                { status: 'processing', lease_expires_at: { $lt: now } }
+            ]
+        },
+        {
+            $set: {
+                status: 'processing',
+                lease_expires_at: new Date(now.getTime() + JOB_LEASE_MS),
+                started_at: now,
+                error_message: null
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { run_at: 1 }, new: true }
+    );
+};
+
+const renewLease = (jobId) => IndexingJobModel.updateOne(
+    { job_id: jobId, status: 'processing' },
+    { lease_expires_at: new Date(Date.now() + JOB_LEASE_MS) }
+);
+
+const finishJob = (jobId, update) => IndexingJobModel.updateOne(
+    { job_id: jobId },
+    { ...update, lease_expires_at: null, finished_at: new Date() }
+);
+
+const runJob = async (job) => {
+    const heartbeat = setInterval(() => {
+        renewLease(job.job_id).catch(err => console.error(`Error renewing lease for job ${job.job_id}:`, err));
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+        if (job.attempts > job.max_attempts) {
+            throw Object.assign(new Error('Job exceeded maximum attempts'), { permanent: true });
+        }
+
+        const videoRecord = await VideoModel.findOne({ uuid: job.video_uuid });
+        if (!videoRecord) {
+            throw Object.assign(new Error('Video not found'), { permanent: true });
+        }
+
+        console.log(`Running ${job.type} job ${job.job_id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+        const onProgress = async ({ stage, progress }) => {
+            await IndexingJobModel.updateOne(
+                { job_id: job.job_id },
+                {
+                    stage: stage,
+                    progress: progress,
+                    lease_expires_at: new Date(Date.now() + JOB_LEASE_MS)
+                }
+            );
+        };
+
+        const result = await JOB_HANDLERS[job.type](job, videoRecord, onProgress);
+
+        await finishJob(job.job_id, {
+            status: 'completed',
+            stage: 'completed',
+            progress: 100,
+            result: result,
+            error_message: null
+        });
+        console.log(`✅ Job ${job.job_id} completed`);
+        emitIndexingProgress(job.video_uuid, { type: 'completed', stage: 'completed', progress: 100, jobId: job.job_id });
+        await dispatchWebhookEvent(job.requested_by, 'indexing.completed', {
+            videoId: job.video_uuid,
+            jobId: job.job_id,
+            jobType: job.type,
+            title: videoRecord.original_name,
+            stages: result?.stages || [],
+            endpoints: {
+                query: `/api/v1/video/query/ask/${job.video_uuid}`
+            }
+        });
+
+    } catch (error) {
+        console.error(`❌ Job ${job.job_id} failed:`, error.message);
+
+        const canRetry = !error.permanent && job.attempts < job.max_attempts;
+        if (canRetry) {
+            const delay = RETRY_BACKOFF_MS * Math.pow(2, job.attempts - 1);
+            await IndexingJobModel.updateOne(
+                { job_id: job.job_id },
+                {
+                    status: 'queued',
+                    run_at: new Date(Date.now() + delay),
+                    lease_expires_at: null,
+                    error_message: error.message
+                }
+            );
+            // Still pending, so nothing else starts on the video before the retry
+            if (INDEXING_JOB_TYPES.includes(job.type)) {
+                await VideoModel.updateOne(
+                    { uuid: job.video_uuid },
+                    { indexing_status: 'pending', is_indexed: false, error_message: error.message }
+                );
+            }
+            console.log(`Job ${job.job_id} will be retried in ${delay / 1000}s`);
+            emitIndexingProgress(job.video_uuid, {
+                type: 'failed',
+                stage: error.stage || 'failed',
+                error: error.message,
+                jobId: job.job_id,
+                retrying: true,
+                nextAttemptAt: new Date(Date.now() + delay).toISOString()
+            });
+        } else {
+            await finishJob(job.job_id, {
+                status: 'failed',
+                stage: error.stage || 'failed',
+                error_message: error.message
+            });
+            if (INDEXING_JOB_TYPES.includes(job.type)) {
+                await markVideoFailed(job.video_uuid, error.message);
+            }
+            emitIndexingProgress(job.video_uuid, {
+                type: 'failed',
+                stage: error.stage || 'failed',
+                error: error.message,
+                jobId: job.job_id,
+                retrying: false
+            });
+            await dispatchWebhookEvent(job.requested_by, 'indexing.failed', {
+                videoId: job.video_uuid,
+                jobId: job.job_id,
+                jobType: job.type,
+                stage: error.stage || null,
+                error: error.message,
+                attempts: job.attempts
+            });
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+};
+
+// Claim and start jobs until the worker is at capacity
+const pollForJobs = async () => {
+    if (!isRunning || isPolling) return;
+    isPolling = true;
+
+    try {
+        while (isRunning && activeJobs < config.indexingWorkerConcurrency) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            activeJobs++;
+            runJob(job)
+                .catch(err => console.error(`Unexpected error in job ${job.job_id}:`, err))
+                .finally(() => {
+                    activeJobs--;
+                    setImmediate(pollForJobs);
+                });
+        }
+    } catch (error) {
+        console.error('Error polling indexing jobs:', error);
+    } finally {
+        isPolling = false;
+    }
+};
+
+/**
+ * Starts polling MongoDB for queued indexing jobs
+ */
+const startIndexingWorker = () => {
+    if (isRunning) return;
+
+    isRunning = true;
+    pollTimer = setInterval(pollForJobs, config.indexingWorkerPollMs);
+    console.log(`🛠️  Indexing worker started (concurrency: ${config.indexingWorkerConcurrency})`);
+    pollForJobs();
+};
+
+/**
+ * Stops picking up new jobs. Jobs already running keep their lease until it expires
+ */
+const stopIndexingWorker = () => {
+    isRunning = false;
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+module.exports = {
+    enqueueIndexingJob,
+    startIndexingWorker,
+    stopIndexingWorker
+};
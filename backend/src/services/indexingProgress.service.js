@@ -0,0 +1,62 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for live indexing progress. The indexing worker runs in the API process,
+// so SSE subscribers receive events from the services as they happen.
+const progressEmitter = new EventEmitter();
+progressEmitter.setMaxListeners(0);
+
+// Last event per video so late subscribers start from the current state
+const latestEvents = new Map();
+
+// Event types after which no more events follow for a run
+const TERMINAL_EVENT_TYPES = ['completed', 'failed'];
+
+/**
+ * Publishes a progress event for a video
+ *
+ * @param {string} videoId - Video uuid
+ * @param {Object} event - { type, stage, ... } where type is one of
+ *   stage | ffmpeg | transcription | embedding | completed | failed
+ */
+const emitIndexingProgress = (videoId, event) => {
+    const payload = {
+        videoId: videoId,
+        timestamp: new Date().toISOString(),
+        ...event
+    };
+
+    latestEvents.set(videoId, payload);
+    progressEmitter.emit(videoId, payload);
+
+    // Keep the map small once a run is over
+    if (TERMINAL_EVENT_TYPES.includes(event.type) && !event.retrying) {
+        setTimeout(() => {
+            if (latestEvents.get(videoId) === payload) {
+                latestEvents.delete(videoId);
+            }
+        }, 60 * 1000).unref();
+    }
+};
+
+/**
+ * Listens to progress events of one video
+ *
+ * @param {string} videoId - Video uuid
+ * @param {Function} listener - Called with every event payload
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeToIndexingProgress = (videoId, listener) => {
+    progressEmitter.on(videoId, listener);
+    return () => progressEmitter.off(videoId, listener);
+};
+
+const getLatestIndexingProgress = (videoId) => latestEvents.get(videoId) || null;
+
+const isTerminalProgressEvent = (event) => TERMINAL_EVENT_TYPES.includes(event.type) && !event.retrying;
+
+module.exports = {
+    emitIndexingProgress,
+    subscribeToIndexingProgress,
+    getLatestIndexingProgress,
+    isTerminalProgressEvent
+};
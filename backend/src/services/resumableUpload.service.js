@@ -0,0 +1,313 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const UploadSessionModel = require('../models/uploadSession.model');
+const { uploadDir, buildUploadFileName, isAllowedVideoFile } = require('../middlewares/multer.middleware');
+const { computeFileSha256 } = require('../utils/hashFile.utils');
+const { getEnvironmentConfig } = require('../utils/validateEnvironmentVariables.utils');
+
+const config = getEnvironmentConfig();
+
+// tus protocol version and extensions implemented by the upload endpoints
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination'];
+
+// Partial files live here until the upload is completed
+const UPLOAD_TMP_DIR = path.join(path.dirname(uploadDir), 'tmp');
+
+// Uploads with a PATCH currently streaming to disk, appends must not interleave
+const activeWrites = new Set();
+
+// Error with the HTTP status and code to answer the upload request with
+class UploadError extends Error {
+    constructor(statusCode, message, code) {
+        super(message);
+        this.name = 'UploadError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+/**
+ * Parses a tus Upload-Metadata header: comma separated "key base64value" pairs
+ *
+ * @param {string} header - Raw header value
+ * @returns {Object} Decoded key/value pairs
+ */
+const parseUploadMetadata = (header = '') => {
+    const metadata = {};
+    for (const pair of header.split(',')) {
+        const [key, value] = pair.trim().split(' ');
+        if (key) {
+            metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+        }
+    }
+    return metadata;
+};
+
+// Bytes actually on disk, the source of truth for the upload offset
+const getReceivedBytes = async (session) => {
+    try {
+        const stats = await fs.stat(session.temp_path);
+        return stats.size;
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+};
+
+const sessionExpiry = () => new Date(Date.now() + config.uploadSessionTtlHours * 60 * 60 * 1000);
+
+/**
+ * Removes partial files and sessions of uploads that expired before completing
+ */
+const cleanupExpiredUploadSessions = async () => {
+    const expired = await UploadSessionModel.find({ status: 'uploading', expires_at: { $lt: new Date() } });
+
+    for (const session of expired) {
+        await fs.remove(session.temp_path);
+        await UploadSessionModel.updateOne({ _id: session._id }, { status: 'aborted' });
+    }
+
+    if (expired.length > 0) {
+        console.log(`Discarded ${expired.length} expired resumable uploads`);
+    }
+};
+
+/**
+ * Starts a resumable upload
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Uploading user
+ * @param {number} params.uploadLength - Total file size in bytes (Upload-Length)
+ * @param {Object} params.metadata - Decoded Upload-Metadata, needs filename and filetype
+ * @param {string} params.vocabularyId - Vocabulary to transcribe the video with (optional)
+ * @param {string} params.language - Spoken language of the video (optional)
+ * @param {Object} params.frameExtraction - Frame extraction settings overrides (optional)
+ * @returns {Object} Saved UploadSessionModel document
+ * @throws {UploadError} If the size or file type is not accepted
+ */
+const createUploadSession = async ({ userId, uploadLength, metadata, vocabularyId = null, language = null, frameExtraction = null }) => {
+    if (!Number.isInteger(uploadLength) || uploadLength <= 0) {
+        throw new UploadError(400, 'Upload-Length header must be a positive integer', 'INVALID_LENGTH');
+    }
+    if (uploadLength > config.resumableUploadMaxBytes) {
+        throw new UploadError(413, `File size too large. Maximum allowed size is ${Math.floor(config.resumableUploadMaxBytes / 1024 / 1024)}MB.`, 'FILE_TOO_LARGE');
+    }
+
+    const filename = metadata.filename || metadata.name;
+    const filetype = metadata.filetype || metadata.type;
+    if (!filename || !filetype || !isAllowedVideoFile(filename, filetype)) {
+        throw new UploadError(400, 'Only video files (MP4, MOV, AVI, MKV, WebM) are allowed. Send filename and filetype in Upload-Metadata.', 'INVALID_FILE');
+    }
+
+    // Opportunistic housekeeping, new uploads are rare enough to pay for it
+    await cleanupExpiredUploadSessions().catch(error => console.error('Error cleaning up expired uploads:', error));
+
+    const uploadId = uuidv4();
+    await fs.ensureDir(UPLOAD_TMP_DIR);
+
+    const session = new UploadSessionModel({
+        upload_id: uploadId,
+        owner: userId,
+        original_name: filename,
+        mime_type: filetype,
+        size: uploadLength,
+        temp_path: path.join(UPLOAD_TMP_DIR, `${uploadId}.part`),
+        vocabulary: vocabularyId,
+        language: language,
+        frame_extraction: frameExtraction,
+        expires_at: sessionExpiry()
+    });
+
+    await session.save();
+    await fs.ensureFile(session.temp_path);
+
+    console.log(`Started resumable upload ${uploadId}: ${filename} (${(uploadLength / 1024 / 1024).toFixed(2)}MB)`);
+    return session;
+};
+
+/**
+ * Upload session of a user that can still receive data
+ *
+ * @param {string} uploadId - Upload id from the upload URL
+ * @param {string} userId - Requesting user
+ * @returns {Object} UploadSessionModel document
+ * @throws {UploadError} 404 for unknown or foreign uploads, 410 for expired or aborted ones
+ */
+const findUploadSession = async (uploadId, userId) => {
+    const session = await UploadSessionModel.findOne({ upload_id: uploadId });
+
+    if (!session || session.owner.toString() !== userId) {
+        throw new UploadError(404, 'Upload not found', 'UPLOAD_NOT_FOUND');
+    }
+    if (session.status === 'aborted' || (session.status === 'uploading' && session.expires_at < new Date())) {
+        throw new UploadError(410, 'Upload expired or was cancelled. Start a new upload.', 'UPLOAD_GONE');
+    }
+
+    return session;
+};
+
+/**
+ * Appends the request body to an upload at the given offset. Whatever arrived before a
+ * dropped connection is kept, so the client can resume from the offset reported afterwards.
+ *
+ * @param {Object} session - UploadSessionModel document
+ * @param {number} offset - Upload-Offset sent by the client
+ * @param {Object} body - Readable request stream
+ * @returns {number} New offset
+ * @throws {UploadError} On offset mismatch, concurrent writes or a body past Upload-Length
+ */
+const appendUploadChunk = async (session, offset, body) => {
+    if (session.status !== 'uploading') {
+        throw new UploadError(409, 'Upload is already completed', 'UPLOAD_COMPLETED');
+    }
+    if (activeWrites.has(session.upload_id)) {
+        throw new UploadError(409, 'Another request is still writing to this upload', 'UPLOAD_LOCKED');
+    }
+
+    activeWrites.add(session.upload_id);
+    try {
+        const receivedBytes = await getReceivedBytes(session);
+        if (offset !== receivedBytes) {
+            throw new UploadError(409, `Upload-Offset ${offset} does not match the ${receivedBytes} bytes received`, 'OFFSET_MISMATCH');
+        }
+
+        const remainingBytes = session.size - receivedBytes;
+        let chunkBytes = 0;
+        const limitToUploadLength = new Transform({
+            transform(chunk, encoding, callback) {
+                chunkBytes += chunk.length;
+                if (chunkBytes > remainingBytes) {
+                    return callback(new UploadError(413, 'Request body exceeds the announced Upload-Length', 'LENGTH_EXCEEDED'));
+                }
+                callback(null, chunk);
+            }
+        });
+
+        let writeError = null;
+        try {
+            await pipeline(body, limitToUploadLength, fs.createWriteStream(session.temp_path, { flags: 'a' }));
+        } catch (error) {
+            writeError = error;
+        }
+
+        const newOffset = await getReceivedBytes(session);
+        await UploadSessionModel.updateOne(
+            { _id: session._id },
+            { offset: newOffset, expires_at: sessionExpiry() }
+        );
+        session.offset = newOffset;
+
+        if (writeError instanceof UploadError) {
+            throw writeError;
+        }
+        if (writeError) {
+            console.warn(`Resumable upload ${session.upload_id} interrupted at ${newOffset} bytes: ${writeError.message}`);
+        }
+
+        return newOffset;
+    } finally {
+        activeWrites.delete(session.upload_id);
+    }
+};
+
+/**
+ * Moves a fully received upload into the videos directory and hashes it
+ *
+ * @param {Object} session - UploadSessionModel document
+ * @returns {Object} File description in the shape multer gives req.file
+ * @throws {UploadError} If bytes are still missing
+ */
+const finalizeUpload = async (session) => {
+    if (session.status !== 'uploading') {
+        throw new UploadError(409, 'Upload is already completed', 'UPLOAD_COMPLETED');
+    }
+    if (activeWrites.has(session.upload_id)) {
+        throw new UploadError(409, 'Another request is still writing to this upload', 'UPLOAD_LOCKED');
+    }
+
+    const receivedBytes = await getReceivedBytes(session);
+    if (receivedBytes !== session.size) {
+        throw new UploadError(409, `Upload incomplete: received ${receivedBytes} of ${session.size} bytes`, 'INCOMPLETE_UPLOAD');
+    }
+
+    // Claim the session so a second complete request cannot register the file twice
+    const claimed = await UploadSessionModel.findOneAndUpdate(
+        { _id: session._id, status: 'uploading' },
+        { status: 'completed', offset: receivedBytes },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new UploadError(409, 'Upload is already completed', 'UPLOAD_COMPLETED');
+    }
+
+    const videoPath = path.join(uploadDir, buildUploadFileName(session.original_name));
+    let sha256;
+    try {
+        await fs.move(session.temp_path, videoPath);
+        sha256 = await computeFileSha256(videoPath);
+    } catch (error) {
+        // Hand the session back so the client can retry the completion or keep uploading
+        if (!(await fs.pathExists(session.temp_path)) && (await fs.pathExists(videoPath))) {
+            await fs.move(videoPath, session.temp_path).catch(() => {});
+        }
+        await UploadSessionModel.updateOne({ _id: session._id, status: 'completed' }, { status: 'uploading' });
+        throw error;
+    }
+
+    console.log(`Video uploaded: ${session.original_name} (${(session.size / 1024 / 1024).toFixed(2)}MB, resumable upload ${session.upload_id})`);
+
+    return {
+        originalname: session.original_name,
+        mimetype: session.mime_type,
+        path: videoPath,
+        size: receivedBytes,
+        sha256: sha256
+    };
+};
+
+/**
+ * Undoes finalizeUpload when the video could not be registered: moves the file back and
+ * reopens the session so the client can retry the completion
+ *
+ * @param {Object} session - UploadSessionModel document
+ * @param {Object} file - File description returned by finalizeUpload
+ */
+const reopenUpload = async (session, file) => {
+    await fs.move(file.path, session.temp_path, { overwrite: true });
+    await UploadSessionModel.updateOne({ _id: session._id, status: 'completed' }, { status: 'uploading' });
+};
+
+/**
+ * Cancels an upload and deletes the partial file (tus termination)
+ *
+ * @param {Object} session - UploadSessionModel document
+ */
+const abortUploadSession = async (session) => {
+    if (session.status !== 'uploading') {
+        throw new UploadError(409, 'Upload is already completed', 'UPLOAD_COMPLETED');
+    }
+    if (activeWrites.has(session.upload_id)) {
+        throw new UploadError(409, 'Another request is still writing to this upload', 'UPLOAD_LOCKED');
+    }
+
+    await UploadSessionModel.updateOne({ _id: session._id }, { status: 'aborted' });
+    await fs.remove(session.temp_path);
+};
+
+module.exports = {
+    TUS_VERSION,
+    TUS_EXTENSIONS,
+    UploadError,
+    parseUploadMetadata,
+    getReceivedBytes,
+    createUploadSession,
+    findUploadSession,
+    appendUploadChunk,
+    finalizeUpload,
+    reopenUpload,
+    abortUploadSession
+};
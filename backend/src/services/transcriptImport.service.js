@@ -0,0 +1,133 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { saveTranscriptionFiles } = require('./VideoToAudioTranscription.service');
+const { getTranscriptionOutputDir } = require('./videoIndexingPipeline.service');
+const { SUBTITLE_EXTENSIONS, MAX_SUBTITLE_BYTES, parseSubtitles } = require('../utils/subtitleFormats.utils');
+const { buildSegmentsFromWords } = require('../utils/transcriptSegments.utils');
+const { normalizeLanguageCode, detectTextLanguage } = require('../utils/language.utils');
+
+class SubtitleImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SubtitleImportError';
+        this.statusCode = 400;
+    }
+}
+
+/**
+ * Reads and parses an uploaded SRT or WebVTT file
+ *
+ * @param {string} filePath - Uploaded subtitle file
+ * @returns {Array<Object>} Cues [{ start, end, text, voice }]
+ * @throws {SubtitleImportError} If the file is too large or holds no cues
+ */
+const readSubtitleFile = async (filePath) => {
+    const stats = await fs.stat(filePath);
+    if (stats.size > MAX_SUBTITLE_BYTES) {
+        throw new SubtitleImportError(`Subtitle file too large. Maximum allowed size is ${MAX_SUBTITLE_BYTES / 1024 / 1024}MB.`);
+    }
+
+    const cues = parseSubtitles(await fs.readFile(filePath, 'utf8'));
+    if (cues.length === 0) {
+        throw new SubtitleImportError('No subtitle cues found. Upload an SRT or WebVTT file.');
+    }
+    return cues;
+};
+
+/**
+ * Turns subtitle cues into the transcription structure that transcribeAudio saves, so the
+ * rest of the pipeline cannot tell imported captions from ASR. Captions have no word
+ * timings; each cue's time is spread over its words.
+ *
+ * @param {Array<Object>} cues - Parsed cues
+ * @param {string} videoId - Video uuid
+ * @param {Object} options
+ * @param {string} options.language - Language code of the captions, detected from their text when missing
+ * @param {string} options.sourceFile - Original subtitle file name
+ * @returns {Object} Transcription data, plus speakers [{ label, name }] from WebVTT voices
+ */
+const buildTranscriptionFromCues = (cues, videoId, { language, sourceFile }) => {
+    // WebVTT voices get transcript labels A, B, ... in order of appearance
+    const speakers = [];
+    const labelFor = (voice) => {
+        if (!voice) {
+            return null;
+        }
+        let speaker = speakers.find(entry => entry.name === voice);
+        if (!speaker) {
+            const label = speakers.length < 26 ? String.fromCharCode(65 + speakers.length) : `S${speakers.length + 1}`;
+            speaker = { label: label, name: voice };
+            speakers.push(speaker);
+        }
+        return speaker.label;
+    };
+
+    const words = cues.flatMap(cue => {
+        const texts = cue.text.split(' ');
+        const step = (cue.end - cue.start) / texts.length;
+        const speaker = labelFor(cue.voice);
+        return texts.map((text, index) => ({
+            text: text,
+            start: cue.start + index * step,
+            end: cue.start + (index + 1) * step,
+            // Professional captions are taken as correct
+            confidence: 1,
+            speaker: speaker
+        }));
+    });
+
+    const fullText = cues.map(cue => cue.text).join(' ');
+
+    return {
+        videoId: videoId,
+        transcribedAt: new Date().toISOString(),
+        duration: cues.reduce((max, cue) => Math.max(max, cue.end), 0),
+        language: normalizeLanguageCode(language) || detectTextLanguage(fullText),
+        fullText: fullText,
+        segments: buildSegmentsFromWords(words),
+        words: words,
+        speakers: speakers,
+        metadata: {
+            confidence: 1,
+            audioSegments: 0,
+            provider: 'subtitles',
+            service: 'Imported subtitles',
+            sourceFile: sourceFile,
+            cueCount: cues.length,
+            wordTimings: 'interpolated'
+        }
+    };
+};
+
+/**
+ * Saves imported captions as the video's transcript. The pipeline reuses a transcript
+ * whose provider is "subtitles" instead of extracting audio and running ASR.
+ *
+ * @param {string} videoId - Video uuid
+ * @param {Array<Object>} cues - Cues from readSubtitleFile
+ * @param {Object} options
+ * @param {string} options.subtitlePath - Uploaded file, moved next to the transcript
+ * @param {string} options.originalName - Name the file was uploaded with
+ * @param {string} options.language - Language code of the captions (optional)
+ * @returns {Object} Saved transcription data
+ */
+const importSubtitleTranscript = async (videoId, cues, { subtitlePath, originalName, language }) => {
+    const transcriptionOutputDir = getTranscriptionOutputDir(videoId);
+    await fs.ensureDir(transcriptionOutputDir);
+
+    const transcription = buildTranscriptionFromCues(cues, videoId, { language, sourceFile: originalName });
+    await saveTranscriptionFiles(transcription, transcriptionOutputDir, videoId);
+
+    // Keep the original captions with the transcript they produced
+    const extension = path.extname(originalName || subtitlePath).toLowerCase();
+    await fs.move(subtitlePath, path.join(transcriptionOutputDir, `${videoId}_source${extension}`), { overwrite: true });
+
+    console.log(`Imported ${cues.length} subtitle cues as the transcript of ${videoId}`);
+    return transcription;
+};
+
+module.exports = {
+    SubtitleImportError,
+    readSubtitleFile,
+    importSubtitleTranscript
+};
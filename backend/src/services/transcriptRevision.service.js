@@ -0,0 +1,250 @@
+const VideoModel = require('../models/video.model');
+const TranscriptRevisionModel = require('../models/transcriptRevision.model');
+const { saveTranscriptionFiles } = require('./VideoToAudioTranscription.service');
+const { getTranscriptionOutputDir, loadSavedTranscription } = require('./videoIndexingPipeline.service');
+
+const MAX_EDITS_PER_REVISION = 200;
+// Matches the maxlength of TranscriptRevisionModel.note
+const MAX_NOTE_LENGTH = 500;
+
+class TranscriptEditError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TranscriptEditError';
+        this.statusCode = statusCode;
+    }
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Checks the shape of correction edits. Each edit selects segments by segment_id or by an
+ * overlapping start/end range (seconds), then either replaces their text ("text") or
+ * replaces a word or phrase inside them ("find" / "replace").
+ *
+ * @param {Array<Object>} edits - Edits from the request body
+ * @throws {TranscriptEditError} With a message naming the first invalid edit
+ */
+const validateTranscriptEdits = (edits) => {
+    if (!Array.isArray(edits) || edits.length === 0) {
+        throw new TranscriptEditError('edits must be a non-empty array');
+    }
+    if (edits.length > MAX_EDITS_PER_REVISION) {
+        throw new TranscriptEditError(`At most ${MAX_EDITS_PER_REVISION} edits are allowed per request`);
+    }
+
+    edits.forEach((edit, index) => {
+        const label = `Edit ${index + 1}`;
+        if (!edit || typeof edit !== 'object') {
+            throw new TranscriptEditError(`${label} must be an object`);
+        }
+
+        const bySegment = edit.segment_id !== undefined;
+        const byRange = edit.start !== undefined || edit.end !== undefined;
+        if (bySegment === byRange) {
+            throw new TranscriptEditError(`${label} needs either segment_id or start and end`);
+        }
+        if (bySegment && !Number.isInteger(edit.segment_id)) {
+            throw new TranscriptEditError(`${label}: segment_id must be an integer`);
+        }
+        if (byRange && (!isNumber(edit.start) || !isNumber(edit.end) || edit.end <= edit.start)) {
+            throw new TranscriptEditError(`${label}: start and end must be numbers of seconds with end after start`);
+        }
+
+        const replacesText = edit.text !== undefined;
+        const replacesPhrase = edit.find !== undefined;
+        if (replacesText === replacesPhrase) {
+            throw new TranscriptEditError(`${label} needs either text or find and replace`);
+        }
+        if (replacesText && typeof edit.text !== 'string') {
+            throw new TranscriptEditError(`${label}: text must be a string`);
+        }
+        if (replacesPhrase && (typeof edit.find !== 'string' || !edit.find.trim() || typeof edit.replace !== 'string')) {
+            throw new TranscriptEditError(`${label}: find must be a non-empty string and replace a string`);
+        }
+    });
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive match so "api" does not change "rapid"
+const buildPhrasePattern = (phrase) =>
+    new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(phrase.trim())}(?![\\p{L}\\p{N}])`, 'giu');
+
+const selectSegments = (segments, edit, label) => {
+    const selected = edit.segment_id !== undefined
+        ? segments.filter(segment => segment.id === edit.segment_id)
+        : segments.filter(segment => segment.end > edit.start && segment.start < edit.end);
+
+    if (selected.length === 0) {
+        throw new TranscriptEditError(edit.segment_id !== undefined
+            ? `${label}: segment ${edit.segment_id} not found`
+            : `${label}: no segment between ${edit.start}s and ${edit.end}s`);
+    }
+    return selected;
+};
+
+/**
+ * Applies edits to a copy of a transcript. Replacing the text of several segments merges
+ * them into the first one. Edited segments get evenly spread word timings and full
+ * confidence, like imported subtitles.
+ *
+ * @param {Object} transcription - Saved transcription data
+ * @param {Array<Object>} edits - Validated edits
+ * @returns {Object} { transcription, changes: [{ segment_id, start, end, before, after }] }
+ * @throws {TranscriptEditError} If an edit selects nothing or nothing changes
+ */
+const applyTranscriptEdits = (transcription, edits) => {
+    let segments = (transcription.segments || []).map(segment => ({ ...segment }));
+    const originalText = new Map(segments.map(segment => [segment.id, segment.text]));
+    const touched = new Set();
+
+    edits.forEach((edit, index) => {
+        const label = `Edit ${index + 1}`;
+        const selected = selectSegments(segments, edit, label);
+
+        if (edit.text !== undefined) {
+            if (new Set(selected.map(segment => segment.speaker || null)).size > 1) {
+                throw new TranscriptEditError(`${label}: the range covers several speakers, edit their segments separately`);
+            }
+
+            const [first, ...merged] = selected;
+            first.text = edit.text.trim().replace(/\s+/g, ' ');
+            first.end = Math.max(first.end, ...merged.map(segment => segment.end));
+            touched.add(first.id);
+
+            const mergedIds = new Set(merged.map(segment => segment.id));
+            mergedIds.forEach(id => touched.add(id));
+            segments = segments.filter(segment => !mergedIds.has(segment.id));
+        } else {
+            const pattern = buildPhrasePattern(edit.find);
+            for (const segment of selected) {
+                const text = segment.text.replace(pattern, edit.replace).replace(/\s+/g, ' ').trim();
+                if (text !== segment.text) {
+                    segment.text = text;
+                    touched.add(segment.id);
+                }
+            }
+        }
+    });
+
+    // A segment edited to empty text is removed
+    segments = segments.filter(segment => segment.text.length > 0);
+
+    const changes = [...touched]
+        .map(id => {
+            const segment = segments.find(entry => entry.id === id);
+            const original = (transcription.segments || []).find(entry => entry.id === id);
+            return {
+                segment_id: id,
+                start: segment ? segment.start : original.start,
+                end: segment ? segment.end : original.end,
+                before: originalText.get(id),
+                after: segment ? segment.text : null
+            };
+        })
+        .filter(change => change.before !== change.after)
+        .sort((a, b) => a.start - b.start);
+
+    if (changes.length === 0) {
+        throw new TranscriptEditError('The edits did not change the transcript');
+    }
+
+    // Word timings of edited segments are rebuilt from their new text
+    const changedIds = new Set(changes.map(change => change.segment_id));
+    const changedRanges = changes.map(change => [change.start, change.end]);
+    const inChangedRange = (word) => {
+        const midpoint = (word.start + word.end) / 2;
+        return changedRanges.some(([start, end]) => midpoint >= start && midpoint <= end);
+    };
+
+    const rebuiltWords = [];
+    for (const segment of segments) {
+        if (!changedIds.has(segment.id)) {
+            continue;
+        }
+        const texts = segment.text.split(' ');
+        const step = (segment.end - segment.start) / texts.length;
+        texts.forEach((text, index) => rebuiltWords.push({
+            text: text,
+            start: segment.start + index * step,
+            end: segment.start + (index + 1) * step,
+            confidence: 1,
+            speaker: segment.speaker || null
+        }));
+        segment.tokens = texts;
+        segment.confidence = 1;
+        segment.avg_logprob = 0;
+        segment.edited = true;
+    }
+
+    const words = [...(transcription.words || []).filter(word => !inChangedRange(word)), ...rebuiltWords]
+        .sort((a, b) => a.start - b.start);
+
+    return {
+        transcription: {
+            ...transcription,
+            fullText: segments.map(segment => segment.text).join(' '),
+            segments: segments,
+            words: words
+        },
+        changes: changes
+    };
+};
+
+/**
+ * Applies edits to the saved transcript of a video, saves the corrected transcript files and
+ * records a revision with its author
+ *
+ * @param {Object} videoRecord - VideoModel document
+ * @param {Array<Object>} edits - Edits from the request body
+ * @param {Object} options
+ * @param {string} options.authorId - User making the correction
+ * @param {string} options.note - Optional description of the revision
+ * @returns {Object} { revision, transcription }
+ * @throws {TranscriptEditError} For invalid edits or a missing transcript
+ */
+const correctTranscript = async (videoRecord, edits, { authorId, note }) => {
+    validateTranscriptEdits(edits);
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.trim().length > MAX_NOTE_LENGTH)) {
+        throw new TranscriptEditError(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    const videoId = videoRecord.uuid;
+    const savedTranscription = await loadSavedTranscription(videoId);
+    if (!savedTranscription) {
+        throw new TranscriptEditError('Transcript not available. The video has not been transcribed yet.', 404);
+    }
+
+    const { transcription, changes } = applyTranscriptEdits(savedTranscription, edits);
+
+    const latest = await TranscriptRevisionModel.findOne({ video_uuid: videoId }).sort({ revision: -1 });
+    const revisionNumber = (latest?.revision || 0) + 1;
+
+    const revision = await TranscriptRevisionModel.create({
+        video_uuid: videoId,
+        revision: revisionNumber,
+        author: authorId,
+        note: note,
+        changes: changes
+    });
+
+    transcription.metadata = {
+        ...transcription.metadata,
+        revision: revisionNumber,
+        correctedAt: revision.createdAt.toISOString()
+    };
+    await saveTranscriptionFiles(transcription, getTranscriptionOutputDir(videoId), videoId);
+    await VideoModel.updateOne({ uuid: videoId }, { audio_transcription: transcription.fullText });
+
+    console.log(`Saved transcript revision ${revisionNumber} of ${videoId} (${changes.length} segments changed)`);
+    return { revision, transcription };
+};
+
+module.exports = {
+    MAX_EDITS_PER_REVISION,
+    TranscriptEditError,
+    validateTranscriptEdits,
+    applyTranscriptEdits,
+    correctTranscript
+};
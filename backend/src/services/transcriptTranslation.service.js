@@ -0,0 +1,253 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const VideoModel = require('../models/video.model');
+const { emitIndexingProgress } = require('./indexingProgress.service');
+const { getTranscriptionOutputDir, loadSavedTranscription, PipelineStageError } = require('./videoIndexingPipeline.service');
+const { storeTranslationEmbeddings } = require('./vectorEmbeddings.service');
+const { getEnvironmentConfig } = require('../utils/validateEnvironmentVariables.utils');
+const { normalizeLanguageTag, getLanguageName } = require('../utils/language.utils');
+
+const config = getEnvironmentConfig();
+const genAI = new GoogleGenerativeAI(config.geminiApiKey);
+
+// Segments per translation request; small batches keep the JSON reply complete
+const SEGMENTS_PER_REQUEST = 40;
+const MAX_CHARS_PER_REQUEST = 8000;
+
+const getTranslationFilePath = (videoId, language) =>
+    path.join(getTranscriptionOutputDir(videoId), `${videoId}_translation.${language}.json`);
+
+/**
+ * Saved translation track of a video, or null
+ *
+ * @param {string} videoId - Video uuid
+ * @param {string} language - Language code of the track
+ * @returns {Object|null} { language, sourceLanguage, source, fullText, segments, words }
+ */
+const loadTranslationTrack = async (videoId, language) => {
+    const filePath = getTranslationFilePath(videoId, normalizeLanguageTag(language));
+    if (!(await fs.pathExists(filePath))) {
+        return null;
+    }
+    return fs.readJson(filePath);
+};
+
+// A track is stale once the transcript it was made from has been replaced or corrected
+const isTranslationStale = (translation, transcription) =>
+    !transcription ||
+    translation.source?.transcribedAt !== transcription.transcribedAt ||
+    (translation.source?.revision || 0) !== (transcription.metadata?.revision || 0);
+
+// Splits segments into request sized batches
+const batchSegments = (segments) => {
+    const batches = [];
+    let current = [];
+    let chars = 0;
+    for (const segment of segments) {
+        if (current.length > 0 && (current.length >= SEGMENTS_PER_REQUEST || chars + segment.text.length > MAX_CHARS_PER_REQUEST)) {
+            batches.push(current);
+            current = [];
+            chars = 0;
+        }
+        current.push(segment);
+        chars += segment.text.length;
+    }
+    if (current.length > 0) {
+        batches.push(current);
+    }
+    return batches;
+};
+
+// Translates one batch; the reply must hold a text for every segment id
+const translateBatch = async (segments, sourceLanguage, targetLanguage) => {
+    const model = genAI.getGenerativeModel({
+        model: config.generativeModel,
+        generationConfig: { responseMimeType: 'application/json', temperature: 0.2 }
+    });
+
+    const prompt = `Translate the "text" of every video transcript segment below from ${getLanguageName(sourceLanguage) || 'its language'} into ${getLanguageName(targetLanguage)}.
+Keep the meaning and tone of spoken language, keep names and product names unchanged, and translate each segment on its own so it still matches its timestamps.
+Reply with a JSON array of {"id": number, "text": string} objects, one for every input segment, with the same ids.
+
+${JSON.stringify(segments.map(segment => ({ id: segment.id, text: segment.text })))}`;
+
+    const result = await model.generateContent(prompt);
+    const reply = JSON.parse(result.response.text());
+    const translated = new Map((Array.isArray(reply) ? reply : [])
+        .filter(entry => entry && typeof entry.text === 'string')
+        .map(entry => [Number(entry.id), entry.text.trim().replace(/\s+/g, ' ')]));
+
+    const missing = segments.filter(segment => !translated.get(segment.id));
+    if (missing.length > 0) {
+        throw new Error(`Translation reply is missing ${missing.length} of ${segments.length} segments`);
+    }
+    return translated;
+};
+
+/**
+ * Translates a transcript segment by segment. Segment ids, times and speakers are kept, so
+ * the track lines up with the video like the original transcript.
+ *
+ * @param {Object} transcription - Saved transcription data
+ * @param {string} targetLanguage - Language code to translate into
+ * @param {Function} onBatch - Called with (completedBatches, totalBatches)
+ * @returns {Array<Object>} Segments [{ id, start, end, speaker, text, source_text }]
+ */
+const translateSegments = async (transcription, targetLanguage, onBatch = async () => {}) => {
+    const segments = (transcription.segments || []).filter(segment => segment.text?.trim());
+    const batches = batchSegments(segments);
+    const translated = new Map();
+
+    for (const [index, batch] of batches.entries()) {
+        let texts;
+        try {
+            texts = await translateBatch(batch, transcription.language, targetLanguage);
+        } catch (error) {
+            // One retry covers an occasional truncated or malformed reply
+            console.warn(`Retrying translation batch ${index + 1}/${batches.length}: ${error.message}`);
+            texts = await translateBatch(batch, transcription.language, targetLanguage);
+        }
+        texts.forEach((text, id) => translated.set(id, text));
+        await onBatch(index + 1, batches.length);
+    }
+
+    return segments.map(segment => ({
+        id: segment.id,
+        start: segment.start,
+        end: segment.end,
+        speaker: segment.speaker || null,
+        text: translated.get(segment.id),
+        source_text: segment.text
+    }));
+};
+
+const updateTranslationEntry = (videoId, language, fields) => {
+    const update = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`translations.$.${key}`, value]));
+    return VideoModel.updateOne({ uuid: videoId, 'translations.language': language }, { $set: update });
+};
+
+/**
+ * Job handler: translates the saved transcript of a video into one language, saves it as a
+ * separate transcript track and indexes it as text chunks tagged with that language
+ *
+ * @param {Object} videoRecord - VideoModel document
+ * @param {string} language - Language code to translate into
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { stage, progress, message }
+ * @returns {Object} Translation summary
+ */
+const runTranscriptTranslation = async (videoRecord, language, { onProgress = async () => {} } = {}) => {
+    const videoId = videoRecord.uuid;
+    const targetLanguage = normalizeLanguageTag(language);
+
+    const report = async (progress, message) => {
+        console.log(`[${videoId}] ${message}`);
+        emitIndexingProgress(videoId, { type: 'stage', stage: 'translation', language: targetLanguage, progress, message });
+        await onProgress({ stage: 'translation', progress, message });
+    };
+
+    try {
+        if (!targetLanguage) {
+            throw new PipelineStageError('translation', 'Translation job has no target language', { permanent: true });
+        }
+
+        const transcription = await loadSavedTranscription(videoId);
+        if (!transcription) {
+            throw new PipelineStageError('translation', 'No saved transcription found for this video', { permanent: true });
+        }
+
+        await updateTranslationEntry(videoId, targetLanguage, { status: 'processing', error_message: null });
+        await report(0, `Translating transcript into ${getLanguageName(targetLanguage)}...`);
+
+        const segments = await translateSegments(transcription, targetLanguage, (done, total) =>
+            report(Math.round((done / total) * 70), `Translated ${done}/${total} batches`));
+
+        const translation = {
+            videoId: videoId,
+            language: targetLanguage,
+            sourceLanguage: transcription.language,
+            translatedAt: new Date().toISOString(),
+            // Identifies the transcript version the track was made from
+            source: {
+                transcribedAt: transcription.transcribedAt,
+                revision: transcription.metadata?.revision || 0
+            },
+            duration: transcription.duration,
+            fullText: segments.map(segment => segment.text).join(' '),
+            segments: segments,
+            // No word timings; captions spread each segment's time over its words
+            words: [],
+            metadata: {
+                provider: 'gemini',
+                model: config.generativeModel
+            }
+        };
+        await fs.writeJson(getTranslationFilePath(videoId, targetLanguage), translation, { spaces: 2 });
+
+        await report(75, 'Embedding translated transcript...');
+        const embeddings = await storeTranslationEmbeddings(videoId, translation);
+        if (!embeddings.success) {
+            throw new PipelineStageError('translation', `Embedding the translation failed: ${embeddings.error}`);
+        }
+
+        await updateTranslationEntry(videoId, targetLanguage, {
+            status: 'completed',
+            segments: segments.length,
+            chunks: embeddings.totalEmbeddings,
+            error_message: null,
+            completed_at: new Date()
+        });
+        await report(100, `✅ Transcript translated into ${getLanguageName(targetLanguage)}`);
+
+        return {
+            language: targetLanguage,
+            sourceLanguage: transcription.language,
+            segments: segments.length,
+            chunks: embeddings.totalEmbeddings
+        };
+
+    } catch (error) {
+        console.error(`❌ Translating ${videoId} into ${targetLanguage} failed:`, error);
+        await updateTranslationEntry(videoId, targetLanguage, { status: 'failed', error_message: error.message });
+        if (!error.stage) {
+            error.stage = 'translation';
+        }
+        throw error;
+    }
+};
+
+/**
+ * Copies the completed translation tracks of one video to an identical video, whose text
+ * rows (translation rows included) are copied separately
+ *
+ * @param {Object} source - VideoModel document to copy from
+ * @param {string} videoId - Video receiving the tracks
+ * @returns {Array<Object>} Translation entries for the receiving video
+ */
+const cloneTranslationTracks = async (source, videoId) => {
+    const entries = [];
+    for (const entry of (source.translations || []).filter(track => track.status === 'completed')) {
+        const translation = await loadTranslationTrack(source.uuid, entry.language);
+        if (!translation) {
+            continue;
+        }
+        await fs.writeJson(getTranslationFilePath(videoId, entry.language), { ...translation, videoId }, { spaces: 2 });
+        entries.push({
+            language: entry.language,
+            status: 'completed',
+            segments: entry.segments,
+            chunks: entry.chunks,
+            completed_at: entry.completed_at
+        });
+    }
+    return entries;
+};
+
+module.exports = {
+    getTranslationFilePath,
+    loadTranslationTrack,
+    isTranslationStale,
+    runTranscriptTranslation,
+    cloneTranslationTracks
+};
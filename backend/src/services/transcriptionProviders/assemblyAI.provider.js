@@ -0,0 +1,141 @@
+const path = require('path');
+const fs = require('fs-extra');
+const axios = require('axios');
+const { emitIndexingProgress } = require('../indexingProgress.service');
+const { getEnvironmentConfig } = require('../../utils/validateEnvironmentVariables.utils');
+const { buildSegmentsFromWords } = require('../../utils/transcriptSegments.utils');
+const { normalizeLanguageCode } = require('../../utils/language.utils');
+
+const config = getEnvironmentConfig();
+
+// AssemblyAI configuration
+const baseUrl = "https://api.assemblyai.com";
+
+// Polling waits at least this long, plus transcriptionTimeoutRatio x audio duration
+const POLL_INTERVAL_MS = 3000;
+const MIN_POLL_TIMEOUT_MS = 5 * 60 * 1000;
+
+const getHeaders = () => {
+    if (!process.env.ASSEMBLYAI_API_KEY) {
+        throw new Error('ASSEMBLYAI_API_KEY is missing in environment variables');
+    }
+    return { authorization: process.env.ASSEMBLYAI_API_KEY };
+};
+
+/**
+ * Uploads one audio file to AssemblyAI and waits for its transcript. The polling timeout
+ * grows with the audio duration.
+ *
+ * @param {string} audioFilePath - WAV file to transcribe
+ * @param {Object} options
+ * @param {string} options.videoId - Video uuid for progress events
+ * @param {number} options.audioDuration - Length of the file in seconds
+ * @param {Object} options.progress - Extra fields for progress events, e.g. the segment number
+ * @param {Object} options.vocabulary - Custom vocabulary { phrases, boost } sent as word boost (optional)
+ * @param {string} options.language - Spoken language code; detected by AssemblyAI when missing
+ * @returns {Object} Transcript in the provider shape { fullText, segments, words, language, duration, confidence, metadata }
+ */
+const transcribe = async (audioFilePath, { videoId, audioDuration, progress = {}, vocabulary = null, language = null }) => {
+    const headers = getHeaders();
+
+    // Step 1: Upload the audio file to AssemblyAI
+    console.log(`Uploading ${path.basename(audioFilePath)} to AssemblyAI...`);
+    const audioData = await fs.readFile(audioFilePath);
+    const uploadResponse = await axios.post(`${baseUrl}/v2/upload`, audioData, {
+        headers,
+    });
+    const audioUrl = uploadResponse.data.upload_url;
+
+    // Step 2: Submit transcription request
+    const transcriptionData = {
+        audio_url: audioUrl,
+        speech_model: "universal",
+        // Enable additional features for better results
+        punctuate: true,
+        format_text: true,
+        dual_channel: false,
+        // Product names, people and acronyms from the custom vocabulary
+        word_boost: vocabulary?.phrases || [],
+        boost_param: vocabulary?.boost || "default",
+        // Label each word with the speaker who said it
+        speaker_labels: config.speakerDiarization,
+        // Either the language given at upload or automatic language detection
+        ...(language ? { language_code: language } : { language_detection: true }),
+    };
+
+    const transcriptionResponse = await axios.post(`${baseUrl}/v2/transcript`, transcriptionData, {
+        headers: headers
+    });
+
+    const transcriptId = transcriptionResponse.data.id;
+    console.log(`Transcription job submitted with ID: ${transcriptId}`);
+
+    // Step 3: Poll for completion
+    const pollingEndpoint = `${baseUrl}/v2/transcript/${transcriptId}`;
+    const timeoutMs = MIN_POLL_TIMEOUT_MS + audioDuration * 1000 * config.transcriptionTimeoutRatio;
+    const maxAttempts = Math.ceil(timeoutMs / POLL_INTERVAL_MS);
+
+    for (let attempts = 0; attempts < maxAttempts; attempts++) {
+        const pollingResponse = await axios.get(pollingEndpoint, {
+            headers: headers,
+        });
+        const result = pollingResponse.data;
+
+        console.log(`Transcription ${transcriptId} status: ${result.status}`);
+        emitIndexingProgress(videoId, {
+            type: 'transcription',
+            stage: 'transcript',
+            provider: 'assemblyai',
+            status: result.status,
+            attempt: attempts + 1,
+            maxAttempts: maxAttempts,
+            ...progress
+        });
+
+        if (result.status === "completed") {
+            return normalizeResult(result, audioDuration);
+        }
+        if (result.status === "error") {
+            throw new Error(`Transcription failed: ${result.error}`);
+        }
+
+        // Still processing, wait and try again
+        await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+
+    throw new Error(`Transcription timeout: no result after ${Math.round(timeoutMs / 1000)}s for ${audioDuration.toFixed(0)}s of audio`);
+};
+
+// AssemblyAI reports word times in milliseconds
+const normalizeResult = (result, audioDuration) => {
+    const words = (result.words || []).map(word => ({
+        text: word.text,
+        start: word.start / 1000,
+        end: word.end / 1000,
+        confidence: word.confidence,
+        speaker: word.speaker || null
+    }));
+
+    return {
+        fullText: result.text || '',
+        segments: buildSegmentsFromWords(words),
+        words: words,
+        language: normalizeLanguageCode(result.language_code),
+        duration: result.audio_duration || audioDuration || 0,
+        confidence: result.confidence || 0,
+        metadata: {
+            provider: 'assemblyai',
+            providerJobId: result.id,
+            model: result.speech_model || 'universal',
+            languageConfidence: result.language_confidence ?? null
+        }
+    };
+};
+
+module.exports = {
+    name: 'assemblyai',
+    label: 'AssemblyAI',
+    // Remote service, long audio is split and transcribed in parallel
+    supportsSegmentation: true,
+    transcribe
+};
@@ -0,0 +1,44 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { emitIndexingProgress } = require('../indexingProgress.service');
+const { getEnvironmentConfig } = require('../../utils/validateEnvironmentVariables.utils');
+const { buildSegmentsFromWords, averageWordConfidence } = require('../../utils/transcriptSegments.utils');
+
+const config = getEnvironmentConfig();
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'sample.transcription.json');
+
+/**
+ * Returns a transcript read from a JSON fixture instead of listening to the audio.
+ * For development and tests without an ASR service. The fixture holds
+ * { fullText, words, language, duration } with word times in seconds.
+ */
+const transcribe = async (audioFilePath, { videoId, audioDuration, progress = {} }) => {
+    const fixturePath = config.transcriptionFixturePath || DEFAULT_FIXTURE_PATH;
+    const fixture = await fs.readJson(fixturePath);
+
+    const words = fixture.words || [];
+    const confidence = fixture.confidence ?? averageWordConfidence(words);
+
+    emitIndexingProgress(videoId, { type: 'transcription', stage: 'transcript', provider: 'fake', status: 'completed', ...progress });
+
+    return {
+        fullText: fixture.fullText || words.map(word => word.text).join(' '),
+        segments: fixture.segments || buildSegmentsFromWords(words),
+        words: words,
+        language: fixture.language || null,
+        duration: fixture.duration || audioDuration || 0,
+        confidence: confidence,
+        metadata: {
+            provider: 'fake',
+            fixture: fixturePath
+        }
+    };
+};
+
+module.exports = {
+    name: 'fake',
+    label: 'Fixture',
+    supportsSegmentation: false,
+    transcribe
+};
@@ -0,0 +1,36 @@
+const { getEnvironmentConfig } = require('../../utils/validateEnvironmentVariables.utils');
+const assemblyAIProvider = require('./assemblyAI.provider');
+const fakeProvider = require('./fake.provider');
+const { createWhisperCliProvider } = require('./whisperCli.provider');
+
+const config = getEnvironmentConfig();
+
+// Provider name (TRANSCRIPTION_PROVIDER) -> provider. Every provider exposes
+// transcribe(audioFilePath, { videoId, audioDuration, progress, vocabulary, language }) resolving to
+// { fullText, segments, words, language, duration, confidence, metadata }
+const TRANSCRIPTION_PROVIDERS = {
+    assemblyai: assemblyAIProvider,
+    whisper_cpp: createWhisperCliProvider('whisper_cpp'),
+    faster_whisper: createWhisperCliProvider('faster_whisper'),
+    fake: fakeProvider
+};
+
+/**
+ * Transcription provider selected by configuration
+ *
+ * @param {string} name - Provider name, defaults to TRANSCRIPTION_PROVIDER
+ * @returns {Object} Transcription provider
+ * @throws {Error} If the provider is unknown
+ */
+const getTranscriptionProvider = (name = config.transcriptionProvider) => {
+    const provider = TRANSCRIPTION_PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown transcription provider "${name}". Valid providers: ${Object.keys(TRANSCRIPTION_PROVIDERS).join(', ')}`);
+    }
+    return provider;
+};
+
+module.exports = {
+    TRANSCRIPTION_PROVIDERS,
+    getTranscriptionProvider
+};
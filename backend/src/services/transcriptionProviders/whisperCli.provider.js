@@ -0,0 +1,171 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { emitIndexingProgress } = require('../indexingProgress.service');
+const { getEnvironmentConfig } = require('../../utils/validateEnvironmentVariables.utils');
+const { buildSegmentsFromWords, averageWordConfidence } = require('../../utils/transcriptSegments.utils');
+
+const config = getEnvironmentConfig();
+
+// Local models can run slower than real time on CPU
+const MIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Whisper reads about 224 prompt tokens, later vocabulary terms would be cut anyway
+const MAX_PROMPT_CHARS = 600;
+
+// Whisper has no word boost; vocabulary terms in the initial prompt make it prefer their spelling
+const buildVocabularyPrompt = (vocabulary) => {
+    let prompt = '';
+    for (const phrase of vocabulary?.phrases || []) {
+        const next = prompt ? `${prompt}, ${phrase}` : phrase;
+        if (next.length > MAX_PROMPT_CHARS) {
+            break;
+        }
+        prompt = next;
+    }
+    return prompt;
+};
+
+const runCommand = (binary, args, timeoutMs) => {
+    return new Promise((resolve, reject) => {
+        console.log('Whisper command:', binary, args.join(' '));
+        execFile(binary, args, { timeout: timeoutMs, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.code === 'ENOENT'
+                    ? `${binary} not found. Install it or set the binary path in the environment.`
+                    : (stderr || error.message).toString().trim().split('\n').slice(-3).join(' ');
+                return reject(new Error(`Local transcription failed: ${reason}`));
+            }
+            resolve(stdout);
+        });
+    });
+};
+
+// whisper.cpp: one entry per word thanks to --max-len 1 --split-on-word, times in milliseconds
+const parseWhisperCppOutput = (output) => {
+    const words = (output.transcription || [])
+        .map(entry => {
+            const tokens = (entry.tokens || []).filter(token => !token.text?.startsWith('[_'));
+            return {
+                text: (entry.text || '').trim(),
+                start: (entry.offsets?.from || 0) / 1000,
+                end: (entry.offsets?.to || 0) / 1000,
+                confidence: tokens.length > 0
+                    ? tokens.reduce((sum, token) => sum + (token.p || 0), 0) / tokens.length
+                    : 0
+            };
+        })
+        .filter(word => word.text.length > 0);
+
+    return { words, language: output.result?.language || output.params?.language };
+};
+
+// faster-whisper (whisper-ctranslate2): openai-whisper JSON with per-segment words in seconds
+const parseFasterWhisperOutput = (output) => {
+    const words = (output.segments || [])
+        .flatMap(segment => segment.words || [])
+        .map(word => ({
+            text: (word.word || '').trim(),
+            start: word.start,
+            end: word.end,
+            confidence: word.probability || 0
+        }))
+        .filter(word => word.text.length > 0);
+
+    return { words, language: output.language };
+};
+
+const ENGINES = {
+    whisper_cpp: {
+        binary: () => config.whisperCppBinary,
+        args: (audioFilePath, outputPrefix, { prompt, language }) => [
+            '-m', config.whisperModel,
+            '-f', audioFilePath,
+            '-l', language || 'auto',
+            '--max-len', '1',
+            '--split-on-word',
+            '--output-json-full',
+            '--output-file', outputPrefix,
+            ...(prompt ? ['--prompt', prompt] : [])
+        ],
+        outputFile: (outputPrefix) => `${outputPrefix}.json`,
+        parse: parseWhisperCppOutput
+    },
+    faster_whisper: {
+        binary: () => config.fasterWhisperBinary,
+        args: (audioFilePath, outputPrefix, { prompt, language }) => [
+            audioFilePath,
+            '--model', config.whisperModel,
+            '--output_dir', path.dirname(outputPrefix),
+            '--output_format', 'json',
+            '--word_timestamps', 'True',
+            ...(prompt ? ['--initial_prompt', prompt] : []),
+            // Detected from the first 30 seconds when not given
+            ...(language ? ['--language', language] : [])
+        ],
+        outputFile: (outputPrefix, audioFilePath) =>
+            path.join(path.dirname(outputPrefix), `${path.basename(audioFilePath, path.extname(audioFilePath))}.json`),
+        parse: parseFasterWhisperOutput
+    }
+};
+
+/**
+ * Creates a provider that runs a local whisper CLI, so recordings never leave the server
+ *
+ * @param {string} engine - "whisper_cpp" or "faster_whisper"
+ * @returns {Object} Transcription provider
+ */
+const createWhisperCliProvider = (engine) => {
+    const cli = ENGINES[engine];
+
+    const transcribe = async (audioFilePath, { videoId, audioDuration, progress = {}, vocabulary = null, language = null }) => {
+        if (!config.whisperModel) {
+            throw new Error('WHISPER_MODEL is missing in environment variables');
+        }
+
+        const outputDir = path.join(path.dirname(audioFilePath), 'whisper');
+        const outputPrefix = path.join(outputDir, path.basename(audioFilePath, path.extname(audioFilePath)));
+        await fs.ensureDir(outputDir);
+
+        emitIndexingProgress(videoId, { type: 'transcription', stage: 'transcript', provider: engine, status: 'processing', ...progress });
+
+        try {
+            const timeoutMs = MIN_TIMEOUT_MS + audioDuration * 1000 * config.whisperTimeoutRatio;
+            const args = cli.args(audioFilePath, outputPrefix, { prompt: buildVocabularyPrompt(vocabulary), language });
+            await runCommand(cli.binary(), args, timeoutMs);
+
+            const output = await fs.readJson(cli.outputFile(outputPrefix, audioFilePath));
+            const { words, language: detectedLanguage } = cli.parse(output);
+            const confidence = averageWordConfidence(words);
+
+            emitIndexingProgress(videoId, { type: 'transcription', stage: 'transcript', provider: engine, status: 'completed', ...progress });
+
+            return {
+                fullText: words.map(word => word.text).join(' '),
+                segments: buildSegmentsFromWords(words),
+                words: words,
+                language: detectedLanguage || language || null,
+                duration: audioDuration,
+                confidence: confidence,
+                metadata: {
+                    provider: engine,
+                    model: config.whisperModel
+                }
+            };
+        } finally {
+            await fs.remove(outputDir);
+        }
+    };
+
+    return {
+        name: engine,
+        label: engine === 'whisper_cpp' ? 'whisper.cpp' : 'faster-whisper',
+        // Parallel local runs would only compete for the same CPU
+        supportsSegmentation: false,
+        transcribe
+    };
+};
+
+module.exports = {
+    createWhisperCliProvider
+};
@@ -0,0 +1,1209 @@
+require('dotenv').config();
+const fs = require('fs');
+
+const {
+    chunkText,
+    chunkTextBySentence,
+    chunkTranscriptionSegments,
+    chunkSegmentWindows
+} = require('../utils/chunkText.utils');
+const { normalizeLanguageCode, normalizeLanguageTag } = require('../utils/language.utils');
+
+const { validateAndGetConfig } = require('../utils/validateEnvironmentVariables.utils');
+const { emitIndexingProgress } = require('./indexingProgress.service');
+const { getVisualEmbeddingProvider, getFallbackVisualEmbeddingProvider } = require('./visualEmbeddingProviders');
+
+// =================== Milvus Zilliz ==================
+const { MilvusClient } = require("@zilliz/milvus2-sdk-node");
+
+// Use environment config instead of direct process.env access
+const config = validateAndGetConfig(); // This validates AND returns config
+
+const milvusClient = new MilvusClient({
+    address: config.milvusEndpoint,
+    token: config.milvusToken,
+    timeout: 60000
+});
+
+// ============ Google Gemini ===================
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const genAI = new GoogleGenerativeAI(config.geminiApiKey);
+// ==============================================
+
+// =================== COLLECTION NAMES ===================
+const TEXT_COLLECTION_NAME = "video_text_embeddings";
+const VISUAL_COLLECTION_NAME = "video_visual_embeddings";
+
+// Determine text embedding dimension based on selected model
+const inferTextEmbeddingDim = (modelName) => {
+    if (!modelName) return 768;
+    const name = modelName.toLowerCase();
+    if (name.includes('text-embedding-004')) return 3072;
+    if (name.includes('embedding-001')) return 768;
+    return 768; // default
+};
+
+const TEXT_EMBED_DIM = inferTextEmbeddingDim(config.embeddingModel);
+
+// Every visual embedding provider produces vectors of this size (CLIP ViT-B/32)
+const VISUAL_EMBED_DIM = 512;
+
+// Scalar fields added to the text collection after its first release. Collections created
+// before a field existed get it added as a nullable field on startup.
+const TEXT_METADATA_FIELDS = [
+    // Speaker label of timestamp chunks ("A", "B", ...), empty when a chunk mixes speakers
+    { name: 'speaker', data_type: 'VarChar', max_length: 64 },
+    // ISO 639-1 code of the transcript the chunk comes from; translation tracks keep their region or script (pt-BR)
+    { name: 'language', data_type: 'VarChar', max_length: 16 }
+];
+
+// Scalar fields added to the visual collection after its first release, added the same way
+const VISUAL_METADATA_FIELDS = [
+    // End of the time range a key frame stands for, near-identical frames after it were collapsed into it
+    { name: 'end_time', data_type: 'Float' },
+    // Visual embedding provider that produced the vector; searches only compare vectors of one provider
+    { name: 'provider', data_type: 'VarChar', max_length: 32 }
+];
+
+// Text collection schema for a given embedding dimension
+const buildTextSchema = (dim) => [
+    { name: 'id', data_type: 'VarChar', max_length: 100, is_primary_key: true },
+    { name: 'video_id', data_type: 'VarChar', max_length: 100 },
+    { name: 'text_chunk', data_type: 'VarChar', max_length: 5000 },
+    { name: 'timestamp', data_type: 'Float' },
+    { name: 'chunk_index', data_type: 'Int64' },
+    ...TEXT_METADATA_FIELDS,
+    { name: 'embedding', data_type: 'FloatVector', dim: dim }
+];
+
+// Adds metadata fields missing from an existing collection, keeping its rows
+const ensureMetadataFields = async (collectionName, fields) => {
+    const info = await milvusClient.describeCollection({ collection_name: collectionName });
+    const existing = (info.schema?.fields || []).map(field => field.name);
+
+    for (const field of fields.filter(f => !existing.includes(f.name))) {
+        console.warn(`Adding missing field "${field.name}" to ${collectionName}. Rows indexed before have no value until their video is reindexed.`);
+        const status = await milvusClient.addCollectionField({
+            collection_name: collectionName,
+            field: { ...field, nullable: true }
+        });
+        if (status?.error_code && status.error_code !== 'Success') {
+            throw new Error(`Could not add field ${field.name} to ${collectionName}: ${status.reason}`);
+        }
+    }
+};
+
+// Wait until Milvus index is built for a collection
+const waitForIndexBuilt = async (collectionName) => {
+    const maxRetries = 60;
+    const delayMs = 1000;
+    for (let i = 0; i < maxRetries; i++) {
+        try {
+            const state = await milvusClient.getIndexState({
+                collection_name: collectionName
+            });
+            if (state.state === 'Finished' || state.state === 2) {
+                return true;
+            }
+        } catch (e) {
+            // ignore and retry
+        }
+        await new Promise(r => setTimeout(r, delayMs));
+    }
+    return false;
+};
+
+// Create index with compatibility across SDK variants
+const ensureIndex = async (collectionName) => {
+    try {
+        // Try modern signature
+        await milvusClient.createIndex({
+            collection_name: collectionName,
+            field_name: 'embedding',
+            index_type: 'IVF_FLAT',
+            metric_type: 'COSINE',
+            params: { nlist: 128 }
+        });
+    } catch (err) {
+        try {
+            // Fallback to extra_params form
+            await milvusClient.createIndex({
+                collection_name: collectionName,
+                field_name: 'embedding',
+                extra_params: {
+                    index_type: 'IVF_FLAT',
+                    metric_type: 'COSINE',
+                    params: JSON.stringify({ nlist: 128 })
+                }
+            });
+        } catch (err2) {
+            console.error(`Failed to create index on ${collectionName}:`, err2?.message || err2);
+            throw err2;
+        }
+    }
+};
+
+// Ensure text collection exists with required FloatVector dimension
+const ensureTextCollectionWithDim = async (requiredDim) => {
+    const textSchema = buildTextSchema(requiredDim);
+
+    const exists = await milvusClient.hasCollection({ collection_name: TEXT_COLLECTION_NAME });
+    if (!exists.value) {
+        await milvusClient.createCollection({ collection_name: TEXT_COLLECTION_NAME, fields: textSchema });
+        await ensureIndex(TEXT_COLLECTION_NAME);
+        return;
+    }
+
+    try {
+        const info = await milvusClient.describeCollection({ collection_name: TEXT_COLLECTION_NAME });
+        const embeddingField = info.schema?.fields?.find(f => f.name === 'embedding');
+        const dimParam = embeddingField?.type_params?.find(p => (p.key || p.Key) === 'dim');
+        const currentDim = parseInt(dimParam?.value || dimParam?.Value || embeddingField?.dim || '0', 10);
+        if (!currentDim || currentDim !== requiredDim) {
+            try { await milvusClient.releaseCollection({ collection_name: TEXT_COLLECTION_NAME }); } catch (_) {}
+            await milvusClient.dropCollection({ collection_name: TEXT_COLLECTION_NAME });
+            await milvusClient.createCollection({ collection_name: TEXT_COLLECTION_NAME, fields: textSchema });
+            await ensureIndex(TEXT_COLLECTION_NAME);
+        }
+    } catch (_) {
+        try { await milvusClient.releaseCollection({ collection_name: TEXT_COLLECTION_NAME }); } catch (_) {}
+        try { await milvusClient.dropCollection({ collection_name: TEXT_COLLECTION_NAME }); } catch (_) {}
+        await milvusClient.createCollection({ collection_name: TEXT_COLLECTION_NAME, fields: textSchema });
+        await ensureIndex(TEXT_COLLECTION_NAME);
+    }
+};
+
+// =================== HELPER FUNCTIONS ===================
+
+// Initialize Milvus Collections
+const initializeMilvusCollections = async () => {
+    try {
+        // Text collection schema
+        const textSchema = buildTextSchema(TEXT_EMBED_DIM);
+
+        // Visual collection schema
+        const visualSchema = [
+            {
+                name: "id",
+                data_type: "VarChar",
+                max_length: 100,
+                is_primary_key: true
+            },
+            {
+                name: "video_id",
+                data_type: "VarChar",
+                max_length: 100
+            },
+            {
+                name: "frame_path",
+                data_type: "VarChar",
+                max_length: 500
+            },
+            {
+                name: "timestamp",
+                data_type: "Float"
+            },
+            {
+                name: "frame_number",
+                data_type: "Int64"
+            },
+            ...VISUAL_METADATA_FIELDS,
+            {
+                name: "embedding",
+                data_type: "FloatVector",
+                dim: VISUAL_EMBED_DIM
+            }
+        ];
+
+        // Create text collection if it doesn't exist or fix dim mismatch
+        const textExists = await milvusClient.hasCollection({
+            collection_name: TEXT_COLLECTION_NAME
+        });
+
+        if (!textExists.value) {
+            await milvusClient.createCollection({
+                collection_name: TEXT_COLLECTION_NAME,
+                fields: textSchema
+            });
+            await ensureIndex(TEXT_COLLECTION_NAME);
+            console.log(`Created collection: ${TEXT_COLLECTION_NAME}`);
+        } else {
+            try {
+                const info = await milvusClient.describeCollection({ collection_name: TEXT_COLLECTION_NAME });
+                const embeddingField = info.schema?.fields?.find(f => f.name === 'embedding');
+                const dimParam = embeddingField?.type_params?.find(p => (p.key||p.Key) === 'dim');
+                const currentDim = parseInt(dimParam?.value || dimParam?.Value || embeddingField?.dim || '0', 10);
+                if (currentDim && currentDim !== TEXT_EMBED_DIM) {
+                    console.warn(`Embedding dim mismatch for ${TEXT_COLLECTION_NAME}: expected ${TEXT_EMBED_DIM}, found ${currentDim}. Recreating collection.`);
+                    try { await milvusClient.releaseCollection({ collection_name: TEXT_COLLECTION_NAME }); } catch(e) {}
+                    await milvusClient.dropCollection({ collection_name: TEXT_COLLECTION_NAME });
+                    await milvusClient.createCollection({
+                        collection_name: TEXT_COLLECTION_NAME,
+                        fields: textSchema
+                    });
+                    await ensureIndex(TEXT_COLLECTION_NAME);
+                    console.log(`Recreated collection with dim ${TEXT_EMBED_DIM}: ${TEXT_COLLECTION_NAME}`);
+                }
+            } catch (e) {
+                console.warn('Could not verify existing text collection schema; proceeding. Error:', e?.message || e);
+            }
+
+            await ensureMetadataFields(TEXT_COLLECTION_NAME, TEXT_METADATA_FIELDS);
+        }
+
+        // Create visual collection if it doesn't exist
+        const visualExists = await milvusClient.hasCollection({
+            collection_name: VISUAL_COLLECTION_NAME
+        });
+
+        if (!visualExists.value) {
+            await milvusClient.createCollection({
+                collection_name: VISUAL_COLLECTION_NAME,
+                fields: visualSchema
+            });
+            await ensureIndex(VISUAL_COLLECTION_NAME);
+            console.log(`Created collection: ${VISUAL_COLLECTION_NAME}`);
+        } else {
+            await ensureMetadataFields(VISUAL_COLLECTION_NAME, VISUAL_METADATA_FIELDS);
+        }
+
+        // Ensure indexes are built before loading (ignore if not created freshly)
+        try { await waitForIndexBuilt(TEXT_COLLECTION_NAME); } catch(e) {}
+        try { await waitForIndexBuilt(VISUAL_COLLECTION_NAME); } catch(e) {}
+
+        // Load collections
+        await milvusClient.loadCollection({
+            collection_name: TEXT_COLLECTION_NAME
+        });
+
+        await milvusClient.loadCollection({
+            collection_name: VISUAL_COLLECTION_NAME
+        });
+
+        console.log('Milvus collections initialized successfully');
+
+    } catch (error) {
+        console.error('Error initializing Milvus collections:', error);
+        throw error;
+    }
+};
+
+// Enhanced generateTextEmbedding function with better error handling
+const generateTextEmbedding = async (text) => {
+    try {
+        if (!text || typeof text !== 'string' || text.trim().length === 0) {
+            throw new Error('Invalid text input for embedding generation');
+        }
+
+        // Truncate text if it's too long (Gemini has token limits)
+        const maxLength = 8000; // Adjust based on your model's limits
+        const truncatedText = text.length > maxLength ? text.substring(0, maxLength) : text;
+
+        console.log(`Generating embedding for text of length: ${truncatedText.length}`);
+
+        const model = genAI.getGenerativeModel({ model: config.embeddingModel });
+        const result = await model.embedContent(truncatedText);
+
+        if (!result || !result.embedding || !result.embedding.values) {
+            throw new Error('Invalid response from embedding model');
+        }
+
+        const embedding = result.embedding.values;
+
+        if (!Array.isArray(embedding) || embedding.length === 0) {
+            throw new Error('Invalid embedding format received');
+        }
+
+        console.log(`Generated embedding with ${embedding.length} dimensions`);
+        return embedding;
+
+    } catch (error) {
+        console.error('Error generating text embedding:', error);
+        console.error('Text preview:', text?.substring(0, 100) + '...');
+        throw error;
+    }
+};
+
+/**
+ * Image embedding from the configured visual embedding provider. When it fails, the fallback
+ * provider (VISUAL_EMBEDDING_FALLBACK) embeds the image instead; the result names the provider
+ * that produced it so vectors of different providers are never compared.
+ *
+ * @param {string} imagePath - Image file
+ * @param {string} providerName - Provider to use, defaults to VISUAL_EMBEDDING_PROVIDER
+ * @returns {Object} { embedding, provider }
+ * @throws {Error} If no provider could embed the image
+ */
+const generateVisualEmbedding = async (imagePath, providerName = config.visualEmbeddingProvider) => {
+    const provider = getVisualEmbeddingProvider(providerName);
+    const embedWith = async (candidate) => {
+        const embedding = await candidate.embedImage(imagePath);
+        if (embedding.length !== VISUAL_EMBED_DIM) {
+            throw new Error(`${candidate.label} returned ${embedding.length} values, the visual collection needs ${VISUAL_EMBED_DIM}`);
+        }
+        return { embedding, provider: candidate.name };
+    };
+
+    try {
+        return await embedWith(provider);
+    } catch (error) {
+        const fallback = providerName === config.visualEmbeddingProvider ? getFallbackVisualEmbeddingProvider() : null;
+        if (!fallback) {
+            throw error;
+        }
+        console.warn(`${provider.label} failed for ${imagePath}, using ${fallback.label}:`, error?.message || error);
+        return embedWith(fallback);
+    }
+};
+
+// Every text chunk stored for a transcript: fixed-size windows, sentence groups and,
+// when segments exist, timestamped chunks that follow speaker turns
+const buildTextChunks = (transcriptionData) => {
+    const fullText = transcriptionData.fullText;
+    const segments = transcriptionData.segments || [];
+    const language = normalizeLanguageCode(transcriptionData.language);
+    const allChunks = [];
+
+    // Strategy 1: Standard windows; over the timeline when segments exist, so a corrected
+    // segment only changes the windows around it
+    const standardChunks = segments.length > 0
+        ? chunkSegmentWindows(segments)
+        : chunkText(fullText).map(text => ({ text }));
+    standardChunks.forEach((chunk, i) => {
+        allChunks.push({
+            chunk: chunk.text,
+            type: 'standard',
+            startTime: chunk.startTime,
+            endTime: chunk.endTime,
+            index: i
+        });
+    });
+
+    // Strategy 2: Sentence chunks
+    const sentenceChunks = chunkTextBySentence(fullText, 300);
+    sentenceChunks.forEach((chunk, i) => {
+        allChunks.push({
+            chunk: chunk,
+            type: 'sentence',
+            index: i
+        });
+    });
+
+    // Strategy 3: Timestamp chunks if available
+    const timestampChunks = segments.length > 0 ? chunkTranscriptionSegments(segments, 400) : [];
+    timestampChunks.forEach((chunk, i) => {
+        allChunks.push({
+            chunk: chunk.text,
+            type: 'timestamp',
+            startTime: chunk.startTime,
+            endTime: chunk.endTime,
+            speaker: chunk.speaker,
+            index: i
+        });
+    });
+
+    allChunks.forEach(chunkData => {
+        chunkData.language = language;
+    });
+
+    return {
+        allChunks,
+        strategies: {
+            standard: standardChunks.length,
+            sentence: sentenceChunks.length,
+            timestamp: timestampChunks.length
+        }
+    };
+};
+
+// Translated transcript tracks are stored as extra rows with ids
+// <videoId>_translation-<language>_<chunkIndex>, next to the rows of the transcript itself.
+// One track is selected by its language field: "_" is a wildcard in like patterns, so an id
+// prefix for "pt" would also match the rows of "pt-BR".
+const TRANSLATION_CHUNK_TYPE = 'translation';
+
+const translationRowsFilter = (videoId, language = '') =>
+    `id like "${videoId}_${TRANSLATION_CHUNK_TYPE}-%"${language ? ` && language == "${language}"` : ''}`;
+
+// Key frame captions are stored as rows with ids <videoId>_frame_caption_<frameNumber>,
+// text read off the frames as <videoId>_screen_text_<chunkIndex>
+const FRAME_CAPTION_CHUNK_TYPE = 'frame_caption';
+const SCREEN_TEXT_CHUNK_TYPE = 'screen_text';
+
+const frameCaptionRowsFilter = (videoId) => `id like "${videoId}_${FRAME_CAPTION_CHUNK_TYPE}_%"`;
+const screenTextRowsFilter = (videoId) => `id like "${videoId}_${SCREEN_TEXT_CHUNK_TYPE}_%"`;
+
+// Rows built from the transcript, leaving translation tracks and rows made from frames alone
+const transcriptRowsFilter = (videoId) =>
+    `not (${translationRowsFilter(videoId)}) && not (${frameCaptionRowsFilter(videoId)}) && not (${screenTextRowsFilter(videoId)})`;
+
+const toTextRow = (videoId, chunkData, chunkIndex, embedding) => ({
+    id: `${videoId}_${chunkData.type}_${chunkIndex}`,
+    video_id: videoId,
+    text_chunk: chunkData.chunk.substring(0, 4999), // Ensure max length
+    timestamp: chunkData.startTime || 0,
+    chunk_index: chunkIndex,
+    speaker: chunkData.speaker || '',
+    language: chunkData.language || '',
+    embedding: embedding
+});
+
+const storeTextEmbeddings = async (videoId, transcriptionData) => {
+    try {
+        console.log('Processing text for embeddings...');
+        console.log(`Full text length: ${transcriptionData.fullText?.length || 0} characters`);
+        console.log(`Segments available: ${transcriptionData.segments?.length || 0}`);
+
+        const fullText = transcriptionData.fullText;
+        if (!fullText || fullText.trim().length === 0) {
+            console.warn('No full text available for embedding generation');
+            return {
+                success: false,
+                error: 'No text content available for embedding generation'
+            };
+        }
+
+        const insertData = [];
+        const textEmbeddings = [];
+        let chunkIndex = 0;
+
+        console.log('Building chunks (standard, sentence, timestamp)...');
+        const { allChunks, strategies } = buildTextChunks(transcriptionData);
+
+        // Ensure collection exists and is loaded before processing
+        let textCollectionEnsured = false;
+        
+        console.log(`Total chunks to process: ${allChunks.length}`);
+        
+        // Process all chunks and generate embeddings
+        for (let i = 0; i < allChunks.length; i++) {
+            const chunkData = allChunks[i];
+            try {
+                console.log(`Generating embedding for ${chunkData.type} chunk ${i + 1}/${allChunks.length}`);
+                emitIndexingProgress(videoId, {
+                    type: 'embedding',
+                    stage: 'text_embeddings',
+                    current: i + 1,
+                    total: allChunks.length,
+                    message: `embedding chunk ${i + 1}/${allChunks.length}`
+                });
+                const embedding = await generateTextEmbedding(chunkData.chunk);
+
+                if (!embedding || !Array.isArray(embedding)) {
+                    console.error(`Invalid embedding generated for ${chunkData.type} chunk ${i + 1}:`, typeof embedding);
+                    continue;
+                }
+
+                // Ensure collection is ready on first successful embedding
+                if (!textCollectionEnsured) {
+                    console.log(`First embedding generated with ${embedding.length} dimensions`);
+                    await ensureCollectionExistsAndLoaded(TEXT_COLLECTION_NAME, buildTextSchema(embedding.length));
+                    textCollectionEnsured = true;
+                }
+
+                const dataPoint = toTextRow(videoId, chunkData, chunkIndex, embedding);
+                const id = dataPoint.id;
+
+                insertData.push(dataPoint);
+
+                textEmbeddings.push({
+                    id: id,
+                    chunk: chunkData.chunk,
+                    type: chunkData.type,
+                    startTime: chunkData.startTime,
+                    endTime: chunkData.endTime,
+                    speaker: chunkData.speaker || null,
+                    language: chunkData.language || null,
+                    embedding: embedding
+                });
+
+                chunkIndex++;
+                
+                // Small delay to avoid rate limiting
+                await new Promise(resolve => setTimeout(resolve, 100));
+
+            } catch (error) {
+                console.error(`Error processing ${chunkData.type} chunk ${i + 1}:`, error);
+                continue;
+            }
+        }
+
+        console.log(`Total data points prepared for insertion: ${insertData.length}`);
+
+        // Insert all embeddings into Milvus with enhanced error handling
+        if (insertData.length > 0) {
+            console.log('Starting Milvus insertion process...');
+
+            // Validate data before insertion
+            for (let i = 0; i < Math.min(3, insertData.length); i++) {
+                const sample = insertData[i];
+                console.log(`Sample data point ${i + 1}:`, {
+                    id: sample.id,
+                    video_id: sample.video_id,
+                    text_chunk_length: sample.text_chunk.length,
+                    timestamp: sample.timestamp,
+                    chunk_index: sample.chunk_index,
+                    embedding_length: sample.embedding.length,
+                    embedding_type: typeof sample.embedding[0]
+                });
+            }
+
+            // Process in batches to avoid overwhelming Milvus
+            const batchSize = 10; // Reduced batch size for better error tracking
+            let successfulInserts = 0;
+
+            for (let i = 0; i < insertData.length; i += batchSize) {
+                const batch = insertData.slice(i, i + batchSize);
+                const batchNumber = Math.floor(i / batchSize) + 1;
+                const totalBatches = Math.ceil(insertData.length / batchSize);
+
+                try {
+                    console.log(`Inserting batch ${batchNumber}/${totalBatches} (${batch.length} items)`);
+
+                    const insertResult = await milvusClient.insert({
+                        collection_name: TEXT_COLLECTION_NAME,
+                        data: batch
+                    });
+
+                    console.log(`Batch ${batchNumber} insert result:`, insertResult);
+                    successfulInserts += batch.length;
+
+                    // Small delay between batches
+                    await new Promise(resolve => setTimeout(resolve, 200));
+
+                } catch (error) {
+                    console.error(`Error inserting batch ${batchNumber}:`, error);
+                    console.error('Batch data sample:', JSON.stringify(batch[0], null, 2));
+
+                    // Try inserting items one by one to identify problematic entries
+                    for (let j = 0; j < batch.length; j++) {
+                        try {
+                            const single = await milvusClient.insert({
+                                collection_name: TEXT_COLLECTION_NAME,
+                                data: [batch[j]]
+                            });
+                            if (single?.acknowledged || single?.IDs) {
+                                successfulInserts += 1;
+                            }
+                        } catch (singleError) {
+                            console.error(`Error inserting single item ${batch[j].id}:`, singleError?.message || singleError);
+                        }
+                    }
+                }
+            }
+
+            console.log(`Successfully inserted ${successfulInserts}/${insertData.length} embeddings into Milvus`);
+
+            // Flush the collection to ensure data is persisted
+            try {
+                await milvusClient.flush({
+                    collection_names: [TEXT_COLLECTION_NAME]
+                });
+                console.log('Collection flushed successfully');
+            } catch (flushError) {
+                console.error('Error flushing collection:', flushError);
+            }
+
+            // Verify the insertion by checking record count
+            try {
+                const stats = await milvusClient.getCollectionStatistics({
+                    collection_name: TEXT_COLLECTION_NAME
+                });
+                console.log('Collection statistics after insertion:', stats);
+                
+                // Verify our video's data is there
+                try {
+                    const searchResult = await milvusClient.search({
+                        collection_name: TEXT_COLLECTION_NAME,
+                        anns_field: 'embedding',
+                        topk: 1,
+                        metric_type: 'COSINE',
+                        params: JSON.stringify({ nprobe: 1 }),
+                        vectors: [new Array(insertData[0].embedding.length).fill(0.1)],
+                        filter: `video_id == "${videoId}"`,
+                        output_fields: ["video_id", "text_chunk"]
+                    });
+                    console.log(`Verification search found ${searchResult.results?.length || 0} results for video ${videoId}`);
+                } catch (verifyError) {
+                    console.warn('Verification search failed:', verifyError?.message || verifyError);
+                }
+                
+            } catch (statsError) {
+                console.error('Error getting collection statistics:', statsError);
+            }
+        }
+
+        return {
+            success: true,
+            totalEmbeddings: textEmbeddings.length,
+            embeddings: textEmbeddings,
+            strategies: strategies
+        };
+
+    } catch (error) {
+        console.error('Error storing text embeddings:', error);
+        console.error('Error stack:', error.stack);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+// Store visual embeddings in Milvus
+const storeVisualEmbeddings = async (videoId, framesData) => {
+    try {
+        console.log('Processing frames for embeddings...');
+
+        const visualEmbeddings = [];
+        const insertData = [];
+        // Frames per provider, more than one when the fallback had to step in
+        const providers = {};
+
+        for (const [index, frame] of framesData.frames.entries()) {
+            try {
+                emitIndexingProgress(videoId, {
+                    type: 'embedding',
+                    stage: 'visual_embeddings',
+                    current: index + 1,
+                    total: framesData.frames.length,
+                    message: `embedding frame ${index + 1}/${framesData.frames.length}`
+                });
+                const { embedding, provider } = await generateVisualEmbedding(frame.frame_path);
+                providers[provider] = (providers[provider] || 0) + 1;
+
+                const id = `${videoId}_frame_${frame.frame_number}`;
+
+                insertData.push({
+                    id: id,
+                    video_id: videoId,
+                    frame_path: frame.frame_path,
+                    timestamp: frame.timestamp,
+                    frame_number: frame.frame_number,
+                    end_time: frame.end_time ?? frame.timestamp,
+                    provider: provider,
+                    embedding: embedding
+                });
+
+                visualEmbeddings.push({
+                    id: id,
+                    framePath: frame.frame_path,
+                    timestamp: frame.timestamp,
+                    endTime: frame.end_time ?? frame.timestamp,
+                    frameNumber: frame.frame_number,
+                    provider: provider,
+                    embedding: embedding
+                });
+
+                // Small delay to avoid overloading
+                await new Promise(resolve => setTimeout(resolve, 50));
+
+            } catch (error) {
+                console.error(`Error processing frame ${frame.frame_number}:`, error);
+            }
+        }
+
+        if (insertData.length === 0 && framesData.frames.length > 0) {
+            throw new Error(`None of the ${framesData.frames.length} frames could be embedded`);
+        }
+
+        // Insert into Milvus in batches
+        if (insertData.length > 0) {
+            const batchSize = 50;
+            for (let i = 0; i < insertData.length; i += batchSize) {
+                const batch = insertData.slice(i, i + batchSize);
+                const result = await milvusClient.insert({
+                    collection_name: VISUAL_COLLECTION_NAME,
+                    data: batch
+                });
+                console.log(`Inserted visual batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(insertData.length / batchSize)}`, result?.status || '');
+            }
+
+            console.log(`Stored ${insertData.length} visual embeddings in Milvus`);
+
+            try {
+                await milvusClient.flush({ collection_names: [VISUAL_COLLECTION_NAME] });
+                console.log('Flushed visual collection');
+            } catch (e) {
+                console.error('Error flushing visual collection:', e?.message || e);
+            }
+        }
+
+        return {
+            success: true,
+            totalEmbeddings: visualEmbeddings.length,
+            providers: providers,
+            embeddings: visualEmbeddings
+        };
+
+    } catch (error) {
+        console.error('Error storing visual embeddings:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+// Remove every row of a video from a collection so it can be re-inserted without duplicates.
+// extraFilter narrows the rows, e.g. transcriptRowsFilter(videoId) keeps translation tracks.
+const deleteVideoEmbeddings = async (collectionName, videoId, extraFilter = null) => {
+    try {
+        const hasCollection = await milvusClient.hasCollection({ collection_name: collectionName });
+        if (!hasCollection.value) {
+            return 0;
+        }
+
+        const result = await milvusClient.delete({
+            collection_name: collectionName,
+            filter: extraFilter ? `video_id == "${videoId}" && ${extraFilter}` : `video_id == "${videoId}"`
+        });
+
+        const deleted = Number(result?.delete_cnt || 0);
+        console.log(`Deleted ${deleted} rows for video ${videoId} from ${collectionName}`);
+
+        await milvusClient.flush({ collection_names: [collectionName] });
+        return deleted;
+    } catch (error) {
+        console.error(`Error deleting embeddings for video ${videoId} from ${collectionName}:`, error);
+        throw error;
+    }
+};
+
+// Every row of a video, by default with all fields including its vector, paged to stay
+// within Milvus' query window
+const queryVideoRows = async (collectionName, videoId, fields = null, extraFilter = null) => {
+    let outputFields = fields;
+    if (!outputFields) {
+        const info = await milvusClient.describeCollection({ collection_name: collectionName });
+        outputFields = (info.schema?.fields || []).map(field => field.name);
+    }
+
+    const rows = [];
+    const pageSize = 1000;
+    for (let offset = 0; ; offset += pageSize) {
+        const result = await milvusClient.query({
+            collection_name: collectionName,
+            filter: extraFilter ? `video_id == "${videoId}" && ${extraFilter}` : `video_id == "${videoId}"`,
+            output_fields: outputFields,
+            offset: offset,
+            limit: pageSize
+        });
+        const page = result.data || [];
+        rows.push(...page);
+        if (page.length < pageSize) break;
+    }
+
+    return rows;
+};
+
+/**
+ * Copies every row of one video to another video id without generating embeddings again
+ *
+ * @param {string} collectionName - Milvus collection
+ * @param {string} sourceVideoId - Video whose rows are copied
+ * @param {string} targetVideoId - Video that receives the copies
+ * @param {Function} rewriteRow - Optional hook to adjust other fields of a copied row
+ * @returns {number} Number of rows inserted
+ */
+const cloneVideoEmbeddings = async (collectionName, sourceVideoId, targetVideoId, rewriteRow = row => row) => {
+    try {
+        const hasCollection = await milvusClient.hasCollection({ collection_name: collectionName });
+        if (!hasCollection.value) {
+            return 0;
+        }
+
+        const rows = await queryVideoRows(collectionName, sourceVideoId);
+        const clonedRows = rows.map(row => rewriteRow({
+            ...row,
+            id: String(row.id).replace(sourceVideoId, targetVideoId),
+            video_id: targetVideoId
+        }));
+
+        const batchSize = 100;
+        for (let i = 0; i < clonedRows.length; i += batchSize) {
+            await milvusClient.insert({
+                collection_name: collectionName,
+                data: clonedRows.slice(i, i + batchSize)
+            });
+        }
+
+        if (clonedRows.length > 0) {
+            await milvusClient.flush({ collection_names: [collectionName] });
+        }
+
+        console.log(`Cloned ${clonedRows.length} rows from ${sourceVideoId} to ${targetVideoId} in ${collectionName}`);
+        return clonedRows.length;
+    } catch (error) {
+        console.error(`Error cloning embeddings from ${sourceVideoId} to ${targetVideoId} in ${collectionName}:`, error);
+        throw error;
+    }
+};
+
+// Identity of a text chunk. Float timestamps come back from Milvus as float32, so they are
+// compared at 0.1s precision.
+const textChunkKey = (type, text, timestamp, speaker) =>
+    `${type}|${Math.round((timestamp || 0) * 10)}|${speaker || ''}|${text}`;
+
+/**
+ * Brings the text rows of a video in line with an edited transcript. Chunks whose type,
+ * text, timestamp and speaker are unchanged keep their row and vector; only new or changed
+ * chunks are embedded, and rows of chunks that no longer exist are deleted.
+ *
+ * @param {string} videoId - Video uuid
+ * @param {Object} transcriptionData - Edited transcript { fullText, segments }
+ * @returns {Object} { success, totalEmbeddings, kept, added, deleted, strategies } or { success: false, error }
+ */
+const syncTextEmbeddings = async (videoId, transcriptionData) => {
+    try {
+        if (!transcriptionData.fullText || transcriptionData.fullText.trim().length === 0) {
+            return {
+                success: false,
+                error: 'No text content available for embedding generation'
+            };
+        }
+
+        const hasCollection = await milvusClient.hasCollection({ collection_name: TEXT_COLLECTION_NAME });
+        const existingRows = hasCollection.value
+            ? await queryVideoRows(TEXT_COLLECTION_NAME, videoId, ['id', 'text_chunk', 'timestamp', 'chunk_index', 'speaker'], transcriptRowsFilter(videoId))
+            : [];
+
+        // Nothing to compare against, embed everything
+        if (existingRows.length === 0) {
+            const result = await storeTextEmbeddings(videoId, transcriptionData);
+            return result.success ? { ...result, kept: 0, added: result.totalEmbeddings, deleted: 0 } : result;
+        }
+
+        const unmatchedRows = new Map();
+        for (const row of existingRows) {
+            // Row ids are <videoId>_<type>_<chunkIndex>
+            const type = String(row.id).slice(videoId.length + 1).split('_')[0];
+            const key = textChunkKey(type, row.text_chunk, row.timestamp, row.speaker);
+            unmatchedRows.set(key, [...(unmatchedRows.get(key) || []), row]);
+        }
+
+        const { allChunks, strategies } = buildTextChunks(transcriptionData);
+        const changedChunks = [];
+        let kept = 0;
+        for (const chunkData of allChunks) {
+            const key = textChunkKey(chunkData.type, chunkData.chunk.substring(0, 4999), chunkData.startTime, chunkData.speaker);
+            const matches = unmatchedRows.get(key);
+            if (matches?.length) {
+                matches.pop();
+                kept++;
+            } else {
+                changedChunks.push(chunkData);
+            }
+        }
+        const staleIds = [...unmatchedRows.values()].flat().map(row => String(row.id));
+
+        console.log(`Text chunks of ${videoId}: ${kept} unchanged, ${changedChunks.length} to embed, ${staleIds.length} to delete`);
+
+        // New rows continue after the highest chunk index so ids never collide
+        let chunkIndex = existingRows.reduce((max, row) => Math.max(max, Number(row.chunk_index) || 0), -1) + 1;
+        const insertData = [];
+        for (const [i, chunkData] of changedChunks.entries()) {
+            emitIndexingProgress(videoId, {
+                type: 'embedding',
+                stage: 'text_embeddings',
+                current: i + 1,
+                total: changedChunks.length,
+                message: `embedding changed chunk ${i + 1}/${changedChunks.length}`
+            });
+            const embedding = await generateTextEmbedding(chunkData.chunk);
+            insertData.push(toTextRow(videoId, chunkData, chunkIndex++, embedding));
+
+            // Small delay to avoid rate limiting
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        // Insert before deleting so the video stays searchable throughout
+        const batchSize = 50;
+        for (let i = 0; i < insertData.length; i += batchSize) {
+            await milvusClient.insert({
+                collection_name: TEXT_COLLECTION_NAME,
+                data: insertData.slice(i, i + batchSize)
+            });
+        }
+
+        for (let i = 0; i < staleIds.length; i += 100) {
+            const ids = staleIds.slice(i, i + 100).map(id => JSON.stringify(id)).join(', ');
+            await milvusClient.delete({
+                collection_name: TEXT_COLLECTION_NAME,
+                filter: `id in [${ids}]`
+            });
+        }
+
+        if (insertData.length > 0 || staleIds.length > 0) {
+            await milvusClient.flush({ collection_names: [TEXT_COLLECTION_NAME] });
+        }
+
+        return {
+            success: true,
+            totalEmbeddings: kept + insertData.length,
+            kept: kept,
+            added: insertData.length,
+            deleted: staleIds.length,
+            strategies: strategies
+        };
+
+    } catch (error) {
+        console.error(`Error syncing text embeddings for video ${videoId}:`, error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Indexes a translated transcript track as extra timestamp chunks tagged with its language,
+ * replacing the rows of an earlier translation into the same language
+ *
+ * @param {string} videoId - Video uuid
+ * @param {Object} translation - Translation track { language, segments }
+ * @returns {Object} { success, totalEmbeddings } or { success: false, error }
+ */
+const storeTranslationEmbeddings = async (videoId, translation) => {
+    try {
+        const language = normalizeLanguageTag(translation.language);
+        const chunks = chunkTranscriptionSegments(translation.segments || [], 400);
+        if (chunks.length === 0) {
+            return { success: false, error: 'The translation has no text to embed' };
+        }
+
+        const insertData = [];
+        for (const [i, chunk] of chunks.entries()) {
+            emitIndexingProgress(videoId, {
+                type: 'embedding',
+                stage: 'translation',
+                language: language,
+                current: i + 1,
+                total: chunks.length,
+                message: `embedding ${language} chunk ${i + 1}/${chunks.length}`
+            });
+            const embedding = await generateTextEmbedding(chunk.text);
+            if (insertData.length === 0) {
+                await ensureCollectionExistsAndLoaded(TEXT_COLLECTION_NAME, buildTextSchema(embedding.length));
+            }
+
+            insertData.push(toTextRow(videoId, {
+                chunk: chunk.text,
+                type: `${TRANSLATION_CHUNK_TYPE}-${language}`,
+                startTime: chunk.startTime,
+                speaker: chunk.speaker,
+                language: language
+            }, i, embedding));
+
+            // Small delay to avoid rate limiting
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        // Row ids are reused, so the previous rows go first
+        await deleteVideoEmbeddings(TEXT_COLLECTION_NAME, videoId, translationRowsFilter(videoId, language));
+
+        const batchSize = 50;
+        for (let i = 0; i < insertData.length; i += batchSize) {
+            await milvusClient.insert({
+                collection_name: TEXT_COLLECTION_NAME,
+                data: insertData.slice(i, i + batchSize)
+            });
+        }
+        await milvusClient.flush({ collection_names: [TEXT_COLLECTION_NAME] });
+
+        console.log(`Stored ${insertData.length} ${language} translation chunks for video ${videoId}`);
+        return { success: true, totalEmbeddings: insertData.length };
+
+    } catch (error) {
+        console.error(`Error storing translation embeddings for video ${videoId}:`, error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+// Replaces the rows of one kind of timed text (frame captions, screen text) with new ones.
+// entries are { text, timestamp, index } where index numbers the row ids.
+const replaceTimedTextRows = async (videoId, chunkType, entries, stage) => {
+    const insertData = [];
+    for (const [i, entry] of entries.entries()) {
+        emitIndexingProgress(videoId, {
+            type: 'embedding',
+            stage: stage,
+            current: i + 1,
+            total: entries.length,
+            message: `embedding ${chunkType.replace('_', ' ')} ${i + 1}/${entries.length}`
+        });
+        const embedding = await generateTextEmbedding(entry.text);
+        if (insertData.length === 0) {
+            await ensureCollectionExistsAndLoaded(TEXT_COLLECTION_NAME, buildTextSchema(embedding.length));
+        }
+
+        insertData.push(toTextRow(videoId, {
+            chunk: entry.text,
+            type: chunkType,
+            startTime: entry.timestamp
+        }, entry.index, embedding));
+
+        // Small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await deleteVideoEmbeddings(TEXT_COLLECTION_NAME, videoId, `id like "${videoId}_${chunkType}_%"`);
+
+    const batchSize = 50;
+    for (let i = 0; i < insertData.length; i += batchSize) {
+        await milvusClient.insert({
+            collection_name: TEXT_COLLECTION_NAME,
+            data: insertData.slice(i, i + batchSize)
+        });
+    }
+    if (insertData.length > 0) {
+        await milvusClient.flush({ collection_names: [TEXT_COLLECTION_NAME] });
+    }
+
+    return insertData.length;
+};
+
+/**
+ * Indexes key frame captions as text chunks at their frame timestamps, replacing the caption
+ * rows of an earlier run
+ *
+ * @param {string} videoId - Video uuid
+ * @param {Array<Object>} captions - Captions { frame_number, timestamp, caption }
+ * @returns {Object} { success, totalEmbeddings } or { success: false, error }
+ */
+const storeFrameCaptionEmbeddings = async (videoId, captions) => {
+    try {
+        const total = await replaceTimedTextRows(videoId, FRAME_CAPTION_CHUNK_TYPE, captions.map(entry => ({
+            text: entry.caption,
+            timestamp: entry.timestamp,
+            index: entry.frame_number
+        })), 'frame_captions');
+
+        console.log(`Stored ${total} frame captions for video ${videoId}`);
+        return { success: true, totalEmbeddings: total };
+
+    } catch (error) {
+        console.error(`Error storing frame caption embeddings for video ${videoId}:`, error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Indexes on-screen text as text chunks at the time it first appears, one or more chunks per
+ * run of frames showing the same text, replacing the screen text rows of an earlier run
+ *
+ * @param {string} videoId - Video uuid
+ * @param {Array<Object>} runs - Screen text runs { text, start, end }
+ * @returns {Object} { success, totalEmbeddings } or { success: false, error }
+ */
+const storeScreenTextEmbeddings = async (videoId, runs) => {
+    try {
+        // Long screens (code, documents) are split like transcript text
+        const entries = runs
+            .flatMap(run => chunkText(run.text).map(text => ({ text, timestamp: run.start })))
+            .map((entry, index) => ({ ...entry, index }));
+
+        const total = await replaceTimedTextRows(videoId, SCREEN_TEXT_CHUNK_TYPE, entries, 'ocr');
+
+        console.log(`Stored ${total} screen text chunks for video ${videoId}`);
+        return { success: true, totalEmbeddings: total };
+
+    } catch (error) {
+        console.error(`Error storing screen text embeddings for video ${videoId}:`, error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+// Enhanced collection management
+const ensureCollectionExistsAndLoaded = async (collectionName, schema) => {
+    try {
+        console.log(`Ensuring collection ${collectionName} exists and is loaded...`);
+        
+        // Check if collection exists
+        const hasCollection = await milvusClient.hasCollection({
+            collection_name: collectionName
+        });
+        
+        if (!hasCollection.value) {
+            console.log(`Creating collection ${collectionName}...`);
+            await milvusClient.createCollection({
+                collection_name: collectionName,
+                fields: schema
+            });
+            console.log(`Collection ${collectionName} created successfully`);
+        } else {
+            console.log(`Collection ${collectionName} already exists`);
+        }
+        
+        // Create index if it doesn't exist
+        try {
+            await milvusClient.createIndex({
+                collection_name: collectionName,
+                field_name: 'embedding',
+                index_type: 'IVF_FLAT',
+                metric_type: 'COSINE',
+                params: { nlist: 128 }
+            });
+            console.log(`Index created for ${collectionName}`);
+        } catch (indexError) {
+            if (indexError.message.includes('already exists')) {
+                console.log(`Index already exists for ${collectionName}`);
+            } else {
+                console.warn(`Index creation warning for ${collectionName}:`, indexError.message);
+            }
+        }
+        
+        // Load collection
+        try {
+            await milvusClient.loadCollection({
+                collection_name: collectionName
+            });
+            console.log(`Collection ${collectionName} loaded successfully`);
+        } catch (loadError) {
+            if (loadError.message.includes('already loaded')) {
+                console.log(`Collection ${collectionName} already loaded`);
+            } else {
+                console.warn(`Collection load warning for ${collectionName}:`, loadError.message);
+            }
+        }
+        
+        return true;
+    } catch (error) {
+        console.error(`Error ensuring collection ${collectionName}:`, error);
+        throw error;
+    }
+};
+
+module.exports = {
+    milvusClient,
+    TEXT_COLLECTION_NAME,
+    VISUAL_COLLECTION_NAME,
+    VISUAL_EMBED_DIM,
+    initializeMilvusCollections,
+    ensureCollectionExistsAndLoaded,
+    deleteVideoEmbeddings,
+    cloneVideoEmbeddings,
+    generateTextEmbedding,
+    generateVisualEmbedding,
+    storeTextEmbeddings,
+    syncTextEmbeddings,
+    storeTranslationEmbeddings,
+    storeFrameCaptionEmbeddings,
+    storeScreenTextEmbeddings,
+    storeVisualEmbeddings,
+    FRAME_CAPTION_CHUNK_TYPE,
+    SCREEN_TEXT_CHUNK_TYPE,
+    frameCaptionRowsFilter,
+    screenTextRowsFilter,
+    translationRowsFilter,
+    transcriptRowsFilter
+};
@@ -0,0 +1,189 @@
+const path = require('path');
+const fs = require('fs-extra');
+const VideoModel = require('../models/video.model');
+
+const { emitIndexingProgress } = require('./indexingProgress.service');
+const { saveTranscriptionFiles } = require('./VideoToAudioTranscription.service');
+const {
+    TEXT_COLLECTION_NAME,
+    VISUAL_COLLECTION_NAME,
+    initializeMilvusCollections,
+    deleteVideoEmbeddings,
+    cloneVideoEmbeddings
+} = require('./vectorEmbeddings.service');
+const {
+    OUTPUT_DIR,
+    PIPELINE_STAGES,
+    PipelineStageError,
+    loadSavedTranscription
+} = require('./videoIndexingPipeline.service');
+const { cloneTranslationTracks } = require('./transcriptTranslation.service');
+
+/**
+ * Looks up earlier uploads with the same content hash
+ *
+ * @param {string} contentHash - SHA-256 of the uploaded file
+ * @param {string} userId - Uploading user
+ * @returns {Object} { ownVideo, indexedVideo } where ownVideo is the user's own upload that is
+ *   indexed or still being indexed, and indexedVideo is any completed upload whose index can be cloned
+ */
+const findDuplicateVideo = async (contentHash, userId) => {
+    if (!contentHash) {
+        return { ownVideo: null, indexedVideo: null };
+    }
+
+    const ownVideo = await VideoModel.findOne({
+        content_hash: contentHash,
+        uploaded_by: userId,
+        indexing_status: { $ne: 'failed' }
+    }).sort({ createdAt: 1 });
+
+    const indexedVideo = ownVideo ? null : await VideoModel.findOne({
+        content_hash: contentHash,
+        indexing_status: 'completed',
+        is_indexed: true
+    }).sort({ createdAt: 1 });
+
+    return { ownVideo, indexedVideo };
+};
+
+// Replaces every occurrence of the source uuid in a path or id
+const swapVideoId = (value, sourceVideoId, targetVideoId) =>
+    typeof value === 'string' ? value.split(sourceVideoId).join(targetVideoId) : value;
+
+/**
+ * Gives a new video the index of an already indexed video with identical content:
+ * copies the extracted frames, the transcription files and the Milvus rows instead
+ * of running the indexing pipeline again.
+ *
+ * @param {string} sourceVideoId - uuid of the completed video to copy from
+ * @param {Object} videoRecord - VideoModel document that receives the index
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { stage, progress, message }
+ * @returns {Object} Clone summary
+ */
+const cloneVideoIndex = async (sourceVideoId, videoRecord, { onProgress = async () => {} } = {}) => {
+    const videoId = videoRecord.uuid;
+
+    const report = async (stage, progress, message) => {
+        console.log(`[${videoId}] ${message}`);
+        emitIndexingProgress(videoId, { type: 'stage', stage, progress, message });
+        await onProgress({ stage, progress, message });
+    };
+
+    try {
+        const source = await VideoModel.findOne({ uuid: sourceVideoId });
+        if (!source || source.indexing_status !== 'completed') {
+            throw new PipelineStageError('initializing', 'The video to copy the index from is no longer available', { permanent: true });
+        }
+
+        await VideoModel.updateOne(
+            { uuid: videoId },
+            { $set: { indexing_status: 'processing', is_indexed: false, error_message: null, cloned_from: sourceVideoId } }
+        );
+
+        await report('initializing', 0, `Copying index of identical video ${sourceVideoId}...`);
+        await initializeMilvusCollections();
+
+        // Frames
+        await report('frames', 10, 'Copying key frames...');
+        const sourceFramesDir = path.join(OUTPUT_DIR, 'frames', sourceVideoId);
+        if (await fs.pathExists(sourceFramesDir)) {
+            await fs.copy(sourceFramesDir, path.join(OUTPUT_DIR, 'frames', videoId));
+        }
+        const keyFrames = (source.key_frames || []).map(frame => ({
+            timestamp: frame.timestamp,
+            end_time: frame.end_time,
+            frame_path: swapVideoId(frame.frame_path, sourceVideoId, videoId),
+            hash: frame.hash,
+            collapsed_frames: frame.collapsed_frames,
+            caption: frame.caption
+        }));
+
+        // Transcript
+        await report('transcript', 30, 'Copying transcription...');
+        const transcription = await loadSavedTranscription(sourceVideoId);
+        if (!transcription) {
+            throw new PipelineStageError('transcript', 'The video to copy from has no saved transcription', { permanent: true });
+        }
+        if (transcription.videoId) {
+            transcription.videoId = videoId;
+        }
+        const transcriptionOutputDir = path.join(OUTPUT_DIR, 'transcriptions', videoId);
+        await fs.ensureDir(transcriptionOutputDir);
+        delete transcription.files;
+        await saveTranscriptionFiles(transcription, transcriptionOutputDir, videoId);
+        // Their text rows come along with the transcript rows below
+        const translations = await cloneTranslationTracks(source, videoId);
+
+        // Embeddings
+        await report('text_embeddings', 60, 'Copying text embeddings...');
+        await deleteVideoEmbeddings(TEXT_COLLECTION_NAME, videoId);
+        const textRows = await cloneVideoEmbeddings(TEXT_COLLECTION_NAME, sourceVideoId, videoId);
+
+        await report('visual_embeddings', 85, 'Copying visual embeddings...');
+        await deleteVideoEmbeddings(VISUAL_COLLECTION_NAME, videoId);
+        const visualRows = await cloneVideoEmbeddings(VISUAL_COLLECTION_NAME, sourceVideoId, videoId, row => ({
+            ...row,
+            frame_path: swapVideoId(row.frame_path, sourceVideoId, videoId)
+        }));
+
+        // Every stage is done; audio was never extracted for the copy
+        const now = new Date();
+        const stageUpdate = {};
+        for (const stage of PIPELINE_STAGES) {
+            stageUpdate[`processing_stages.${stage}`] = {
+                status: stage === 'audio' ? 'skipped' : 'completed',
+                artifacts: { cloned_from: sourceVideoId },
+                started_at: now,
+                completed_at: now,
+                error_message: null
+            };
+        }
+
+        await report('finalizing', 95, 'Updating video metadata...');
+        await VideoModel.updateOne(
+            { uuid: videoId },
+            {
+                $set: {
+                    ...stageUpdate,
+                    key_frames: keyFrames,
+                    speakers: source.speakers,
+                    translations: translations,
+                    language: source.language,
+                    language_source: source.language_source,
+                    duration: transcription.duration,
+                    audio_transcription: transcription.fullText,
+                    indexing_status: 'completed',
+                    is_indexed: true,
+                    error_message: null
+                }
+            }
+        );
+
+        await report('completed', 100, '✅ Index copied from identical video');
+
+        return {
+            clonedFrom: sourceVideoId,
+            framesCopied: keyFrames.length,
+            textEmbeddings: { total: textRows },
+            visualEmbeddings: visualRows,
+            metadata: {
+                duration: transcription.duration,
+                language: transcription.language,
+                transcriptionLength: transcription.fullText?.length || 0,
+                segmentsCount: transcription.segments?.length || 0
+            }
+        };
+
+    } catch (error) {
+        // The job queue marks the video failed, or pending again when the job is retried
+        console.error(`❌ Cloning index from ${sourceVideoId} to ${videoId} failed:`, error);
+        throw error;
+    }
+};
+
+module.exports = {
+    findDuplicateVideo,
+    cloneVideoIndex
+};
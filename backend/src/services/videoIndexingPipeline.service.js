@@ -0,0 +1,552 @@
+const path = require('path');
+const fs = require('fs-extra');
+const VideoModel = require('../models/video.model');
+const { listSpeakerLabels } = require('../utils/transcriptSegments.utils');
+const { normalizeLanguageCode } = require('../utils/language.utils');
+const { getEnvironmentConfig } = require('../utils/validateEnvironmentVariables.utils');
+
+const { emitIndexingProgress } = require('./indexingProgress.service');
+const { VideoToKeyFramesService } = require('./videoToKeyFrames.service');
+const { extractAudioFromVideo, transcribeAudio } = require('./VideoToAudioTranscription.service');
+const { loadTranscriptionVocabulary } = require('./vocabulary.service');
+const { captionKeyFrames } = require('./frameCaptioning.service');
+const { getFrameCaptionProvider } = require('./frameCaptionProviders');
+const { isTesseractAvailable, extractScreenText } = require('./frameOcr.service');
+const {
+    TEXT_COLLECTION_NAME,
+    VISUAL_COLLECTION_NAME,
+    initializeMilvusCollections,
+    deleteVideoEmbeddings,
+    frameCaptionRowsFilter,
+    screenTextRowsFilter,
+    transcriptRowsFilter,
+    storeTextEmbeddings,
+    syncTextEmbeddings,
+    storeFrameCaptionEmbeddings,
+    storeScreenTextEmbeddings,
+    storeVisualEmbeddings
+} = require('./vectorEmbeddings.service');
+
+const config = getEnvironmentConfig();
+
+const OUTPUT_DIR = path.join(__dirname, '../../uploads/processed');
+
+// Pipeline stages in execution order, each one has a checkpoint in VideoModel.processing_stages
+const PIPELINE_STAGES = ['frames', 'frame_captions', 'ocr', 'audio', 'transcript', 'text_embeddings', 'visual_embeddings'];
+
+// Shorthand stage names accepted from callers
+const STAGE_ALIASES = {
+    transcription: ['audio', 'transcript'],
+    embeddings: ['text_embeddings', 'visual_embeddings']
+};
+
+// Stages whose output is invalidated when the key stage is rerun
+const STAGE_DEPENDENTS = {
+    frames: ['frame_captions', 'ocr', 'visual_embeddings'],
+    audio: ['transcript'],
+    transcript: ['text_embeddings']
+};
+
+// Checkpoint statuses that count as done when resuming
+const DONE_STATUSES = ['completed', 'skipped'];
+
+// Percent complete reported when each stage starts
+const STAGE_PROGRESS = {
+    initializing: 0,
+    frames: 5,
+    frame_captions: 10,
+    ocr: 15,
+    audio: 20,
+    transcript: 30,
+    text_embeddings: 60,
+    visual_embeddings: 85,
+    finalizing: 95,
+    completed: 100
+};
+
+// Error raised when a pipeline stage fails, keeps the stage for job status reporting.
+// Permanent errors (missing files or artifacts) are not worth retrying.
+class PipelineStageError extends Error {
+    constructor(stage, message, { permanent = false } = {}) {
+        super(message);
+        this.name = 'PipelineStageError';
+        this.stage = stage;
+        this.permanent = permanent;
+    }
+}
+
+/**
+ * Expands aliases and dependent stages and returns the stages to run in pipeline order
+ *
+ * @param {Array<string>} requestedStages - Stage names, defaults to every stage when omitted
+ * @returns {Array<string>} Ordered stage names
+ * @throws {Error} If a stage name is unknown
+ */
+const resolvePipelineStages = (requestedStages) => {
+    if (!requestedStages) {
+        return [...PIPELINE_STAGES];
+    }
+
+    const selected = new Set();
+    const addStage = (stage) => {
+        selected.add(stage);
+        (STAGE_DEPENDENTS[stage] || []).forEach(addStage);
+    };
+
+    for (const name of requestedStages) {
+        const expanded = STAGE_ALIASES[name] || [name];
+        for (const stage of expanded) {
+            if (!PIPELINE_STAGES.includes(stage)) {
+                throw new Error(`Unknown pipeline stage "${name}". Valid stages: ${[...PIPELINE_STAGES, ...Object.keys(STAGE_ALIASES)].join(', ')}`);
+            }
+            addStage(stage);
+        }
+    }
+
+    return PIPELINE_STAGES.filter(stage => selected.has(stage));
+};
+
+/**
+ * Stages whose checkpoint is incomplete, with the stages depending on them. A stage added after
+ * a video was indexed runs on its own instead of repeating the stages after it.
+ *
+ * @param {Object} videoRecord - VideoModel document
+ * @returns {Array<string>} Ordered stage names, empty when every stage is done
+ */
+const getResumeStages = (videoRecord) => {
+    const incomplete = PIPELINE_STAGES.filter(stage => {
+        const status = videoRecord.processing_stages?.[stage]?.status;
+        return !DONE_STATUSES.includes(status);
+    });
+
+    return incomplete.length === 0 ? [] : resolvePipelineStages(incomplete);
+};
+
+const getAudioOutputDir = (videoId) => path.join(OUTPUT_DIR, 'audio', videoId);
+const getTranscriptionOutputDir = (videoId) => path.join(OUTPUT_DIR, 'transcriptions', videoId);
+const getVideoArtifactDirs = (videoId) => [
+    path.join(OUTPUT_DIR, 'frames', videoId),
+    getAudioOutputDir(videoId),
+    getTranscriptionOutputDir(videoId)
+];
+const getTranscriptionFilePath = (videoId) => path.join(getTranscriptionOutputDir(videoId), `${videoId}_transcription.json`);
+
+// Frames recorded on the video by an earlier run, in the shape VideoToKeyFramesService returns
+const loadSavedFrames = (videoRecord) => {
+    const frames = (videoRecord.key_frames || [])
+        .map((frame, index) => ({
+            timestamp: frame.timestamp,
+            end_time: frame.end_time,
+            frame_path: frame.frame_path,
+            frame_number: index + 1
+        }))
+        .filter(frame => frame.frame_path && fs.existsSync(frame.frame_path));
+
+    if (frames.length === 0) {
+        throw new PipelineStageError('frames', 'No extracted frames found for this video. Rerun the "frames" stage.', { permanent: true });
+    }
+
+    return { success: true, frames: frames, totalFrames: frames.length };
+};
+
+/**
+ * Transcription JSON written by the transcript stage on an earlier run
+ *
+ * @param {string} videoId - Video uuid
+ * @returns {Object|null} Transcription data, or null when none was saved
+ */
+const loadSavedTranscription = async (videoId) => {
+    const transcriptionFilePath = getTranscriptionFilePath(videoId);
+
+    if (!(await fs.pathExists(transcriptionFilePath))) {
+        return null;
+    }
+
+    return fs.readJson(transcriptionFilePath);
+};
+
+const setStageCheckpoint = (videoId, stage, fields, videoUpdate = {}) => {
+    const update = { ...videoUpdate };
+    for (const [key, value] of Object.entries(fields)) {
+        update[`processing_stages.${stage}.${key}`] = value;
+    }
+    return VideoModel.updateOne({ uuid: videoId }, { $set: update });
+};
+
+// Called by the job queue once a failed run will not be retried
+const markVideoFailed = async (videoId, errorMessage) => {
+    await VideoModel.findOneAndUpdate(
+        { uuid: videoId },
+        {
+            indexing_status: 'failed',
+            is_indexed: false,
+            error_message: errorMessage
+        }
+    );
+};
+
+/**
+ * Runs frame extraction, audio extraction, transcription and embedding storage for a stored
+ * video record, checkpointing every stage on the video document. Stages that are not selected
+ * reuse the artifacts of an earlier run. Reports stage changes through onProgress.
+ *
+ * @param {Object} videoRecord - VideoModel document to index
+ * @param {Object} options
+ * @param {Array<string>} options.stages - Stages to (re)run, defaults to every stage
+ * @param {boolean} options.reuseSavedTranscript - Use a transcription JSON saved by an earlier run instead of transcribing again
+ * @param {boolean} options.incrementalTextEmbeddings - Re-embed only text chunks that changed instead of rebuilding every row
+ * @param {Function} options.onProgress - Called with { stage, progress, message }
+ * @returns {Object} Processing summary
+ */
+const runVideoIndexingPipeline = async (videoRecord, { stages, reuseSavedTranscript = false, incrementalTextEmbeddings = false, onProgress = async () => {} } = {}) => {
+    const videoId = videoRecord.uuid;
+    const videoPath = videoRecord.file_path;
+    const stagesToRun = resolvePipelineStages(stages);
+    const shouldRun = (stage) => stagesToRun.includes(stage);
+
+    const reportStage = async (stage, message) => {
+        console.log(`[${videoId}] ${message}`);
+        emitIndexingProgress(videoId, { type: 'stage', stage, progress: STAGE_PROGRESS[stage], message });
+        await onProgress({ stage, progress: STAGE_PROGRESS[stage], message });
+    };
+
+    // Runs one stage and records its checkpoint. work() returns { result, artifacts, videoUpdate, status }
+    const runStage = async (stage, message, work) => {
+        await reportStage(stage, message);
+        await setStageCheckpoint(videoId, stage, {
+            status: 'processing',
+            started_at: new Date(),
+            completed_at: null,
+            error_message: null
+        });
+
+        try {
+            const { result, artifacts = {}, videoUpdate = {}, status = 'completed' } = await work();
+            await setStageCheckpoint(videoId, stage, {
+                status: status,
+                artifacts: artifacts,
+                completed_at: new Date()
+            }, videoUpdate);
+            return result;
+        } catch (error) {
+            await setStageCheckpoint(videoId, stage, {
+                status: 'failed',
+                error_message: error.message
+            });
+            throw error instanceof PipelineStageError ? error : new PipelineStageError(stage, error.message);
+        }
+    };
+
+    try {
+        // Stages about to run lose their previous checkpoint
+        const resetCheckpoints = {};
+        for (const stage of stagesToRun) {
+            resetCheckpoints[`processing_stages.${stage}.status`] = 'pending';
+            resetCheckpoints[`processing_stages.${stage}.error_message`] = null;
+        }
+        await VideoModel.updateOne(
+            { uuid: videoId },
+            { $set: { indexing_status: 'processing', is_indexed: false, error_message: null, ...resetCheckpoints } }
+        );
+
+        if ((shouldRun('frames') || shouldRun('audio')) && !(await fs.pathExists(videoPath))) {
+            throw new PipelineStageError('initializing', 'Video file not found on disk', { permanent: true });
+        }
+
+        await reportStage('initializing', `Initializing Milvus collections (stages: ${stagesToRun.join(', ')})...`);
+        await initializeMilvusCollections();
+
+        // Step 1: Extract key frames
+        let framesResult;
+        if (shouldRun('frames')) {
+            framesResult = await runStage('frames', 'Step 1: Extracting key frames...', async () => {
+                const result = await VideoToKeyFramesService(videoPath, OUTPUT_DIR, videoId, videoRecord.toObject().frame_extraction);
+                if (!result.success) {
+                    throw new Error(`Frame extraction failed: ${result.error}`);
+                }
+
+                return {
+                    result,
+                    artifacts: {
+                        directory: result.outputDirectory,
+                        frame_count: result.totalFrames,
+                        duplicate_frames_removed: result.removedFrames,
+                        frame_extraction: result.settings
+                    },
+                    videoUpdate: {
+                        key_frames: result.frames.map(frame => ({
+                            timestamp: frame.timestamp,
+                            end_time: frame.end_time,
+                            frame_path: frame.frame_path,
+                            hash: frame.hash,
+                            collapsed_frames: frame.collapsed_frames
+                        }))
+                    }
+                };
+            });
+        } else if (['frame_captions', 'ocr', 'visual_embeddings'].some(shouldRun)) {
+            framesResult = loadSavedFrames(videoRecord);
+        }
+
+        // Step 1b: Caption key frames, so on-screen content is searchable as text
+        let frameCaptionResult = null;
+        if (shouldRun('frame_captions')) {
+            frameCaptionResult = await runStage('frame_captions', 'Step 1b: Captioning key frames...', async () => {
+                const provider = getFrameCaptionProvider();
+                if (!provider) {
+                    await deleteVideoEmbeddings(TEXT_COLLECTION_NAME, videoId, frameCaptionRowsFilter(videoId));
+                    return { result: null, status: 'skipped', artifacts: { reason: 'frame captioning disabled' } };
+                }
+
+                const { captions, failed } = await captionKeyFrames(videoId, framesResult.frames, provider);
+                const embeddings = await storeFrameCaptionEmbeddings(videoId, captions);
+                if (!embeddings.success) {
+                    throw new Error(`Caption embedding failed: ${embeddings.error}`);
+                }
+
+                // Frames are numbered by their position in key_frames
+                const captionUpdate = {};
+                const captionByFrame = new Map(captions.map(entry => [entry.frame_number, entry.caption]));
+                for (const frame of framesResult.frames) {
+                    captionUpdate[`key_frames.${frame.frame_number - 1}.caption`] = captionByFrame.get(frame.frame_number) || null;
+                }
+
+                return {
+                    result: { total: captions.length, failed },
+                    artifacts: {
+                        collection: TEXT_COLLECTION_NAME,
+                        provider: provider.name,
+                        model: provider.model || null,
+                        total: captions.length,
+                        failed: failed
+                    },
+                    videoUpdate: captionUpdate
+                };
+            });
+        }
+
+        // Step 1c: Read on-screen text (slides, terminals, whiteboards) with Tesseract
+        let screenTextResult = null;
+        if (shouldRun('ocr')) {
+            screenTextResult = await runStage('ocr', 'Step 1c: Reading on-screen text...', async () => {
+                const skipReason = !config.frameOcr
+                    ? 'OCR disabled'
+                    : !(await isTesseractAvailable()) ? 'tesseract not found' : null;
+                if (skipReason) {
+                    await deleteVideoEmbeddings(TEXT_COLLECTION_NAME, videoId, screenTextRowsFilter(videoId));
+                    return { result: null, status: 'skipped', artifacts: { reason: skipReason } };
+                }
+
+                const { frames, runs, failed, filePath } = await extractScreenText(videoId, framesResult.frames);
+                const embeddings = await storeScreenTextEmbeddings(videoId, runs);
+                if (!embeddings.success) {
+                    throw new Error(`Screen text embedding failed: ${embeddings.error}`);
+                }
+
+                return {
+                    result: { runs: runs.length, chunks: embeddings.totalEmbeddings },
+                    artifacts: {
+                        collection: TEXT_COLLECTION_NAME,
+                        screen_text_json: filePath,
+                        frames_with_text: frames.filter(frame => frame.text).length,
+                        failed: failed,
+                        runs: runs.length,
+                        total: embeddings.totalEmbeddings
+                    }
+                };
+            });
+        }
+
+        // Step 2: Extract audio, skipped when a saved transcript will be reused anyway.
+        // Imported subtitles and corrected transcripts are always reused, ASR never replaces them.
+        const storedTranscription = await loadSavedTranscription(videoId);
+        const isImportedTranscript = storedTranscription?.metadata?.provider === 'subtitles';
+        const isCorrectedTranscript = Boolean(storedTranscription?.metadata?.revision);
+        const savedTranscription = reuseSavedTranscript || isImportedTranscript || isCorrectedTranscript ? storedTranscription : null;
+        let audioFilePath = videoRecord.processing_stages?.audio?.artifacts?.audio_path || null;
+
+        if (shouldRun('audio')) {
+            audioFilePath = await runStage('audio', 'Step 2: Extracting audio...', async () => {
+                if (savedTranscription) {
+                    return {
+                        result: audioFilePath,
+                        status: 'skipped',
+                        artifacts: {
+                            reason: isImportedTranscript ? 'subtitles imported' : isCorrectedTranscript ? 'corrected transcript kept' : 'saved transcript reused'
+                        }
+                    };
+                }
+
+                const audioOutputDir = getAudioOutputDir(videoId);
+                await fs.ensureDir(audioOutputDir);
+                const extractedPath = await extractAudioFromVideo(videoPath, audioOutputDir, videoId);
+
+                return { result: extractedPath, artifacts: { audio_path: extractedPath } };
+            });
+        }
+
+        // Step 3: Transcribe audio, or reuse the transcription JSON of an earlier run
+        let transcription;
+        if (shouldRun('transcript')) {
+            transcription = await runStage('transcript', 'Step 3: Transcribing audio...', async () => {
+                let result = savedTranscription;
+                let source = isImportedTranscript ? 'subtitles' : 'saved';
+
+                if (!result) {
+                    if (!audioFilePath || !(await fs.pathExists(audioFilePath))) {
+                        throw new PipelineStageError('transcript', 'Extracted audio not found. Rerun the "audio" stage.', { permanent: true });
+                    }
+
+                    const transcriptionOutputDir = getTranscriptionOutputDir(videoId);
+                    await fs.ensureDir(transcriptionOutputDir);
+                    const vocabulary = await loadTranscriptionVocabulary(videoRecord.vocabulary);
+                    // A language given at upload is passed on, otherwise the provider detects it
+                    result = await transcribeAudio(audioFilePath, transcriptionOutputDir, videoId, {
+                        vocabulary,
+                        language: videoRecord.language_source === 'upload' ? videoRecord.language : null
+                    });
+                    source = result.metadata.provider;
+                } else {
+                    console.log(`[${videoId}] Reusing saved transcription instead of transcribing again`);
+                }
+
+                return {
+                    result,
+                    artifacts: {
+                        source: source,
+                        language: normalizeLanguageCode(result.language),
+                        vocabulary: result.metadata?.vocabulary || null,
+                        transcription_json: getTranscriptionFilePath(videoId),
+                        transcript_txt: result.files?.txt || null,
+                        segments_json: result.files?.segments || null
+                    },
+                    videoUpdate: {
+                        duration: result.duration,
+                        audio_transcription: result.fullText,
+                        language: normalizeLanguageCode(result.language),
+                        // No source when the provider could not tell the language either
+                        language_source: videoRecord.language_source === 'upload'
+                            ? 'upload'
+                            : !normalizeLanguageCode(result.language) ? null : isImportedTranscript ? 'subtitles' : 'detected',
+                        // Names given to labels that are still present survive a re-transcription;
+                        // imported subtitles bring the names of their WebVTT voices
+                        speakers: listSpeakerLabels(result.segments).map(label => ({
+                            label: label,
+                            name: isImportedTranscript
+                                ? result.speakers?.find(speaker => speaker.label === label)?.name
+                                : (videoRecord.speakers || []).find(speaker => speaker.label === label)?.name
+                        }))
+                    }
+                };
+            });
+        } else {
+            transcription = savedTranscription || await loadSavedTranscription(videoId);
+            if (!transcription) {
+                throw new PipelineStageError('transcript', 'No saved transcription found for this video. Rerun the "transcript" stage.', { permanent: true });
+            }
+        }
+
+        // Step 4: Generate and store text embeddings (with multiple strategies)
+        let textEmbeddingResult = null;
+        if (shouldRun('text_embeddings')) {
+            textEmbeddingResult = await runStage('text_embeddings', 'Step 4: Generating and storing text embeddings...', async () => {
+                let result;
+                if (incrementalTextEmbeddings) {
+                    result = await syncTextEmbeddings(videoId, transcription);
+                } else {
+                    // Translation tracks have their own rows and are indexed by their own jobs
+                    await deleteVideoEmbeddings(TEXT_COLLECTION_NAME, videoId, transcriptRowsFilter(videoId));
+                    result = await storeTextEmbeddings(videoId, transcription);
+                }
+                if (!result.success) {
+                    throw new Error(`Text embedding failed: ${result.error}`);
+                }
+
+                return {
+                    result,
+                    artifacts: {
+                        collection: TEXT_COLLECTION_NAME,
+                        total: result.totalEmbeddings,
+                        strategies: result.strategies,
+                        ...(incrementalTextEmbeddings && { kept: result.kept, added: result.added, deleted: result.deleted })
+                    }
+                };
+            });
+        }
+
+        // Step 5: Generate and store visual embeddings
+        let visualEmbeddingResult = null;
+        if (shouldRun('visual_embeddings')) {
+            visualEmbeddingResult = await runStage('visual_embeddings', 'Step 5: Generating and storing visual embeddings...', async () => {
+                await deleteVideoEmbeddings(VISUAL_COLLECTION_NAME, videoId);
+                const result = framesResult.frames.length > 0
+                    ? await storeVisualEmbeddings(videoId, framesResult)
+                    : { success: true, totalEmbeddings: 0 };
+                if (!result.success) {
+                    throw new Error(`Visual embedding failed: ${result.error}`);
+                }
+
+                return {
+                    result,
+                    artifacts: {
+                        collection: VISUAL_COLLECTION_NAME,
+                        total: result.totalEmbeddings,
+                        providers: result.providers || {}
+                    }
+                };
+            });
+        }
+
+        // Step 6: Mark the video as queryable
+        await reportStage('finalizing', 'Step 6: Updating video metadata...');
+        await VideoModel.findOneAndUpdate(
+            { uuid: videoId },
+            {
+                indexing_status: 'completed',
+                is_indexed: true,
+                error_message: null
+            }
+        );
+
+        await reportStage('completed', '✅ Video indexing completed successfully!');
+
+        return {
+            stages: stagesToRun,
+            framesExtracted: shouldRun('frames') ? framesResult.totalFrames : null,
+            frameCaptions: frameCaptionResult && frameCaptionResult.total,
+            screenTextChunks: screenTextResult && screenTextResult.chunks,
+            transcriptionDuration: transcription.duration,
+            textEmbeddings: textEmbeddingResult && {
+                total: textEmbeddingResult.totalEmbeddings,
+                strategies: textEmbeddingResult.strategies,
+                ...(incrementalTextEmbeddings && { kept: textEmbeddingResult.kept, added: textEmbeddingResult.added, deleted: textEmbeddingResult.deleted })
+            },
+            visualEmbeddings: visualEmbeddingResult && visualEmbeddingResult.totalEmbeddings,
+            metadata: {
+                duration: transcription.duration,
+                language: transcription.language,
+                transcriptionLength: transcription.fullText?.length || 0,
+                segmentsCount: transcription.segments?.length || 0
+            }
+        };
+
+    } catch (error) {
+        // The job queue marks the video failed, or pending again when the job is retried
+        console.error(`❌ Indexing pipeline failed for video ${videoId}:`, error);
+        throw error;
+    }
+};
+
+module.exports = {
+    OUTPUT_DIR,
+    PIPELINE_STAGES,
+    PipelineStageError,
+    resolvePipelineStages,
+    getResumeStages,
+    markVideoFailed,
+    getVideoArtifactDirs,
+    getTranscriptionOutputDir,
+    getTranscriptionFilePath,
+    loadSavedTranscription,
+    runVideoIndexingPipeline
+};
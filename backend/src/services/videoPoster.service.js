@@ -0,0 +1,80 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs-extra');
+const { OUTPUT_DIR } = require('./videoIndexingPipeline.service');
+
+const POSTER_MAX_DIMENSION = 1280;
+
+// Posters are kept with the key frames, so re-extracting frames also renews the poster
+const getPosterPath = (videoId) => path.join(OUTPUT_DIR, 'frames', videoId, 'poster.jpg');
+
+// Poster generations in progress by video, concurrent requests share one ffmpeg run
+const pendingPosters = new Map();
+
+// Picks a representative frame (ffmpeg thumbnail filter) shortly after the start, where
+// intros and fades are usually over
+const renderPoster = (videoPath, outputPath, duration) => {
+    const seekSeconds = duration ? Math.min(duration * 0.1, 30) : 0;
+    const tempPath = `${outputPath}.${process.pid}.tmp.jpg`;
+
+    return new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+            .seekInput(seekSeconds)
+            .outputOptions([
+                '-vf', `thumbnail=60,scale='min(${POSTER_MAX_DIMENSION},iw)':'min(${POSTER_MAX_DIMENSION},ih)':force_original_aspect_ratio=decrease`,
+                '-frames:v', '1',
+                '-q:v', '3'
+            ])
+            .output(tempPath)
+            .on('end', () => resolve())
+            .on('error', (err) => reject(err))
+            .run();
+    }).then(async () => {
+        if (!(await fs.pathExists(tempPath))) {
+            throw new Error('ffmpeg wrote no poster frame');
+        }
+        await fs.move(tempPath, outputPath, { overwrite: true });
+        return outputPath;
+    }).catch(async (error) => {
+        await fs.remove(tempPath).catch(() => {});
+        throw error;
+    });
+};
+
+/**
+ * Poster image of a video, rendered from the video file on first use. Falls back to the
+ * first key frame when the video cannot be decoded.
+ *
+ * @param {Object} videoRecord - VideoModel document
+ * @returns {string|null} Image path, or null when neither a poster nor a key frame exists
+ */
+const ensurePosterImage = async (videoRecord) => {
+    const videoId = videoRecord.uuid;
+    const posterPath = getPosterPath(videoId);
+    if (await fs.pathExists(posterPath)) {
+        return posterPath;
+    }
+
+    if (videoRecord.file_path && (await fs.pathExists(videoRecord.file_path))) {
+        if (!pendingPosters.has(videoId)) {
+            const rendering = fs.ensureDir(path.dirname(posterPath))
+                .then(() => renderPoster(videoRecord.file_path, posterPath, videoRecord.duration))
+                .finally(() => pendingPosters.delete(videoId));
+            pendingPosters.set(videoId, rendering);
+        }
+
+        try {
+            return await pendingPosters.get(videoId);
+        } catch (error) {
+            console.error(`Poster generation failed for ${videoId}:`, error?.message || error);
+        }
+    }
+
+    const firstFrame = videoRecord.key_frames?.[0]?.frame_path;
+    return firstFrame && (await fs.pathExists(firstFrame)) ? firstFrame : null;
+};
+
+module.exports = {
+    getPosterPath,
+    ensurePosterImage
+};
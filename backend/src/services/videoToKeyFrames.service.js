@@ -1,8 +1,232 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs-extra');
+const { emitIndexingProgress } = require('./indexingProgress.service');
+const { getEnvironmentConfig } = require('../utils/validateEnvironmentVariables.utils');
+const { DHASH_WIDTH, DHASH_HEIGHT, DHASH_BYTES, computeDHash, collapseDuplicateFrames } = require('../utils/perceptualHash.utils');
 
-const VideoToKeyFramesService = async (videoPath, outputDir, videoId) => {
+const config = getEnvironmentConfig();
+
+// "interval" keeps one frame every `interval` seconds, "scene" keeps a frame whenever the picture
+// changes by more than `scene_threshold` (0-1), at least `min_gap` and at most `max_gap` seconds apart
+const FRAME_EXTRACTION_MODES = ['interval', 'scene'];
+
+// Upload field -> setting, with the accepted range of numeric settings
+const FRAME_EXTRACTION_FIELDS = {
+    frame_mode: { setting: 'mode' },
+    frame_interval: { setting: 'interval', min: 0.5, max: 600 },
+    scene_threshold: { setting: 'scene_threshold', min: 0.01, max: 0.99 },
+    min_frame_gap: { setting: 'min_gap', min: 0, max: 600 },
+    max_frame_gap: { setting: 'max_gap', min: 1, max: 3600 }
+};
+
+class FrameExtractionError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'FrameExtractionError';
+        this.statusCode = statusCode;
+    }
+}
+
+const getDefaultFrameSettings = () => ({
+    mode: config.frameExtractionMode,
+    interval: config.frameIntervalSeconds,
+    scene_threshold: config.sceneThreshold,
+    min_gap: config.sceneMinGapSeconds,
+    max_gap: config.sceneMaxGapSeconds
+});
+
+/**
+ * Validates frame extraction fields sent with an upload (form fields or tus metadata, so
+ * values may be strings). Only the fields that were sent are returned; the rest keep following
+ * the server defaults.
+ *
+ * @param {Object} fields - Request fields, e.g. { frame_mode: 'scene', scene_threshold: '0.4' }
+ * @returns {Object|null} Settings overrides such as { mode: 'scene', scene_threshold: 0.4 }, or null
+ * @throws {FrameExtractionError} If a value is invalid
+ */
+const parseFrameExtractionOptions = (fields = {}) => {
+    const overrides = {};
+
+    for (const [field, { setting, min, max }] of Object.entries(FRAME_EXTRACTION_FIELDS)) {
+        const value = fields[field];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+
+        if (setting === 'mode') {
+            if (!FRAME_EXTRACTION_MODES.includes(value)) {
+                throw new FrameExtractionError(`${field} must be one of: ${FRAME_EXTRACTION_MODES.join(', ')}`);
+            }
+            overrides.mode = value;
+            continue;
+        }
+
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < min || number > max) {
+            throw new FrameExtractionError(`${field} must be a number between ${min} and ${max}`);
+        }
+        overrides[setting] = number;
+    }
+
+    const settings = { ...getDefaultFrameSettings(), ...overrides };
+    if (settings.mode === 'scene' && settings.max_gap <= settings.min_gap) {
+        throw new FrameExtractionError('max_frame_gap must be greater than min_frame_gap');
+    }
+
+    return Object.keys(overrides).length > 0 ? overrides : null;
+};
+
+// ffmpeg select expression for the settings; prev_selected_t is NaN until the first frame is kept
+const buildSelectExpression = (settings) => {
+    if (settings.mode === 'scene') {
+        return `isnan(prev_selected_t)+gte(t-prev_selected_t,${settings.max_gap})+gt(scene,${settings.scene_threshold})*gte(t-prev_selected_t,${settings.min_gap})`;
+    }
+    return `isnan(prev_selected_t)+gte(t-prev_selected_t,${settings.interval})`;
+};
+
+// Reads "n: 0 pts: 1001 pts_time:0.0417" lines printed by the showinfo filter, one per kept frame
+const SHOWINFO_PATTERN = /\bn:\s*(\d+)\s+pts:\s*-?\d+\s+pts_time:(-?[\d.]+)/;
+
+// Presentation time of the frame a showinfo line describes, null for any other ffmpeg output
+const parseShowinfoTime = (line) => {
+    const match = line.includes('showinfo') && line.match(SHOWINFO_PATTERN);
+    return match ? parseFloat(match[2]) : null;
+};
+
+/**
+ * Writes the frames chosen by a select expression as PNGs, scaled to fit within
+ * FRAME_MAX_DIMENSION with their aspect ratio kept
+ *
+ * @returns {Array<number>} Presentation time of every written frame, in output order
+ */
+const runFrameSelection = (videoPath, frameOutputDir, videoId, selectExpression) => {
+    const maxDimension = config.frameMaxDimension;
+    const filters = [
+        `select='${selectExpression}'`,
+        `scale='min(${maxDimension},iw)':'min(${maxDimension},ih)':force_original_aspect_ratio=decrease`,
+        'showinfo'
+    ];
+
+    return new Promise((resolve, reject) => {
+        const frameTimes = [];
+
+        ffmpeg(videoPath)
+            .outputOptions(['-vf', filters.join(','), '-vsync', 'vfr'])
+            .output(path.join(frameOutputDir, 'frame_%05d.png'))
+            .on('start', (commandLine) => {
+                console.log('FFmpeg command:', commandLine);
+            })
+            .on('stderr', (line) => {
+                const time = parseShowinfoTime(line);
+                if (time !== null) {
+                    frameTimes.push(time);
+                }
+            })
+            .on('progress', (progress) => {
+                const percent = Math.round(progress.percent || 0);
+                console.log(`Frame extraction progress: ${percent}%`);
+                emitIndexingProgress(videoId, { type: 'ffmpeg', stage: 'frames', percent: percent });
+            })
+            .on('end', () => {
+                console.log('Frame extraction completed');
+                resolve(frameTimes);
+            })
+            .on('error', (err) => {
+                console.error('Error during frame extraction:', err);
+                reject(err);
+            })
+            .run();
+    });
+};
+
+/**
+ * dHash of every extracted frame, decoded in a single ffmpeg run that scales the whole
+ * frame_%05d.png sequence to 9x8 grayscale
+ *
+ * @returns {Array<string>} Hashes in frame order
+ */
+const hashFrames = (frameOutputDir, frameCount) => {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const command = ffmpeg(path.join(frameOutputDir, 'frame_%05d.png'))
+            .inputOptions(['-start_number', '1'])
+            .outputOptions(['-vf', `scale=${DHASH_WIDTH}:${DHASH_HEIGHT}:flags=area,format=gray`, '-f', 'rawvideo'])
+            .on('error', reject);
+
+        const stream = command.pipe();
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+            const pixels = Buffer.concat(chunks);
+            if (pixels.length < frameCount * DHASH_BYTES) {
+                return reject(new Error(`Hashed ${Math.floor(pixels.length / DHASH_BYTES)} of ${frameCount} frames`));
+            }
+            const hashes = [];
+            for (let i = 0; i < frameCount; i++) {
+                hashes.push(computeDHash(pixels.subarray(i * DHASH_BYTES, (i + 1) * DHASH_BYTES)));
+            }
+            resolve(hashes);
+        });
+    });
+};
+
+/**
+ * Collapses runs of near-identical frames into their first frame. Merged frame files are
+ * deleted and the kept ones renumbered, so frame numbers stay in step with key_frames.
+ * Without hashes (e.g. ffmpeg could not decode the PNGs) every frame is kept.
+ *
+ * @returns {Object} { frames, removedFrames }
+ */
+const deduplicateFrames = async (frames, frameOutputDir, duration) => {
+    let hashed = frames;
+    if (config.frameDeduplication && frames.length > 1) {
+        try {
+            const hashes = await hashFrames(frameOutputDir, frames.length);
+            hashed = frames.map((frame, index) => ({ ...frame, hash: hashes[index] }));
+        } catch (error) {
+            console.warn(`Could not hash frames, keeping all ${frames.length}:`, error.message);
+        }
+    }
+
+    const { kept, removed } = collapseDuplicateFrames(hashed, config.frameHashMaxDistance, duration);
+    for (const frame of removed) {
+        await fs.remove(frame.frame_path);
+    }
+
+    // Renaming in ascending order never overwrites a kept frame: targets are at or below sources
+    const renumbered = [];
+    for (const [index, frame] of kept.entries()) {
+        const framePath = path.join(frameOutputDir, `frame_${String(index + 1).padStart(5, '0')}.png`);
+        if (framePath !== frame.frame_path) {
+            await fs.move(frame.frame_path, framePath);
+        }
+        renumbered.push({ ...frame, frame_path: framePath, frame_number: index + 1 });
+    }
+
+    if (removed.length > 0) {
+        console.log(`Collapsed ${removed.length} near-duplicate frames, ${renumbered.length} key frames left`);
+    }
+    return { frames: renumbered, removedFrames: removed.length };
+};
+
+// Frame files in output order
+const listFrameFiles = async (frameOutputDir) => (await fs.readdir(frameOutputDir))
+    .filter(name => /^frame_\d+\.png$/i.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)/)[1], 10) - parseInt(b.match(/(\d+)/)[1], 10));
+
+/**
+ * Extracts key frames at fixed intervals or at scene changes. Every frame gets the time
+ * ffmpeg reports for it, so timestamps stay correct however many frames are kept.
+ * Near-identical consecutive frames are then collapsed into one frame covering their time range.
+ *
+ * @param {string} videoPath - Video file
+ * @param {string} outputDir - Processed output root
+ * @param {string} videoId - Video uuid
+ * @param {Object} options - Settings overrides from parseFrameExtractionOptions
+ * @returns {Object} { success, frames: [{ timestamp, end_time, frame_path, frame_number, hash, collapsed_frames }],
+ *   totalFrames, removedFrames, settings, outputDirectory }
+ */
+const VideoToKeyFramesService = async (videoPath, outputDir, videoId, options = {}) => {
     try {
         console.log(`Starting frame extraction for video: ${videoPath}`);
 
@@ -12,101 +236,51 @@ const VideoToKeyFramesService = async (videoPath, outputDir, videoId) => {
         await fs.emptyDir(frameOutputDir);
         console.log(`Frame output directory: ${frameOutputDir}`);
 
-        // Get video duration first
-        const videoDuration = await getVideoDuration(videoPath);
-        console.log(`Video duration: ${videoDuration} seconds`);
-        
-        // Extract frames using ffmpeg (1 frame every 5 seconds, ensure at least 1 frame)
-        const frameInterval = 5; // seconds
-        const timestamps = generateTimestamps(videoDuration, frameInterval);
-        console.log(`Generated ${timestamps.length} timestamps:`, timestamps);
-
-        // Ensure we have at least one timestamp
-        if (timestamps.length === 0) {
-            timestamps.push(0); // Always extract at least one frame at 0 seconds
-        }
-
-        await new Promise((resolve, reject) => {
-            ffmpeg(videoPath)
-                .screenshots({
-                    timestamps: timestamps,
-                    filename: 'frame_%05d.png',
-                    folder: frameOutputDir,
-                    size: '640x480'
-                })
-                .on('start', (commandLine) => {
-                    console.log('FFmpeg command:', commandLine);
-                })
-                .on('progress', (progress) => {
-                    console.log(`Frame extraction progress: ${Math.round(progress.percent || 0)}%`);
-                })
-                .on('end', () => {
-                    console.log('Frame extraction completed');
-                    resolve();
-                })
-                .on('error', (err) => {
-                    console.error('Error during frame extraction:', err);
-                    reject(err);
-                });
-        });
-
-        // Read generated frames from disk and build metadata
-        console.log('Reading generated frames from disk...');
-        const files = (await fs.readdir(frameOutputDir))
-            .filter(name => /^frame_\d+\.png$/i.test(name))
-            .sort((a, b) => {
-                const na = parseInt(a.match(/(\d+)/)[1], 10);
-                const nb = parseInt(b.match(/(\d+)/)[1], 10);
-                return na - nb;
-            });
+        const overrides = Object.entries(options || {}).filter(([, value]) => value !== undefined && value !== null);
+        const settings = { ...getDefaultFrameSettings(), ...Object.fromEntries(overrides) };
+        const duration = await getVideoDuration(videoPath);
+        console.log(`Video duration: ${duration} seconds, extracting frames in ${settings.mode} mode`, settings);
 
-        console.log(`Found ${files.length} frame files:`, files);
+        let frameTimes = await runFrameSelection(videoPath, frameOutputDir, videoId, buildSelectExpression(settings));
+        let files = await listFrameFiles(frameOutputDir);
+        console.log(`Found ${files.length} frame files`);
 
         if (files.length === 0) {
-            console.warn('No frames were generated. Trying alternative approach...');
-            
-            // Fallback: try to extract at least one frame at the beginning
-            await new Promise((resolve, reject) => {
-                ffmpeg(videoPath)
-                    .screenshots({
-                        timestamps: [0],
-                        filename: 'frame_%05d.png',
-                        folder: frameOutputDir,
-                        size: '640x480'
-                    })
-                    .on('end', () => resolve())
-                    .on('error', (err) => reject(err));
-            });
-            
-            // Check again
-            const fallbackFiles = (await fs.readdir(frameOutputDir))
-                .filter(name => /^frame_\d+\.png$/i.test(name));
-            console.log(`Fallback generated ${fallbackFiles.length} frames`);
-            
-            if (fallbackFiles.length === 0) {
+            // Fallback: the first decodable frame
+            console.warn('No frames were generated. Extracting the first frame instead...');
+            frameTimes = await runFrameSelection(videoPath, frameOutputDir, videoId, 'eq(n,0)');
+            files = await listFrameFiles(frameOutputDir);
+
+            if (files.length === 0) {
                 throw new Error('Failed to extract any frames from video');
             }
-            
-            files.push(...fallbackFiles);
+        }
+
+        if (frameTimes.length !== files.length) {
+            console.warn(`ffmpeg reported ${frameTimes.length} frame times for ${files.length} frames`);
         }
 
         const extractedFrames = files.map((fileName, index) => {
-            const frameNumber = index + 1;
-            const timestamp = index * frameInterval;
+            // Without -copyts ffmpeg already shifts input timestamps to start at 0, so the
+            // reported times are positions in the video even when the stream starts later
+            const time = frameTimes[index] ?? frameTimes[frameTimes.length - 1] ?? 0;
             return {
-                timestamp: timestamp,
+                timestamp: Math.max(0, Math.round(time * 1000) / 1000),
                 frame_path: path.join(frameOutputDir, fileName),
-                frame_number: frameNumber
+                frame_number: index + 1
             };
         });
 
         console.log(`Extracted ${extractedFrames.length} frames with metadata`);
 
+        const { frames, removedFrames } = await deduplicateFrames(extractedFrames, frameOutputDir, duration);
+
         return {
             success: true,
-            frames: extractedFrames,
-            totalFrames: extractedFrames.length,
-            frameInterval: frameInterval,
+            frames: frames,
+            totalFrames: frames.length,
+            removedFrames: removedFrames,
+            settings: settings,
             outputDirectory: frameOutputDir
         };
 
@@ -134,19 +308,11 @@ const getVideoDuration = (videoPath) => {
     });
 };
 
-// Helper function to generate timestamps array
-const generateTimestamps = (duration, interval) => {
-    const timestamps = [];
-    for (let i = 0; i < duration; i += interval) {
-        timestamps.push(i);
-    }
-    // Always include at least one timestamp
-    if (timestamps.length === 0) {
-        timestamps.push(0);
-    }
-    return timestamps;
-};
-
 module.exports = {
+    FRAME_EXTRACTION_MODES,
+    FrameExtractionError,
+    parseFrameExtractionOptions,
+    buildSelectExpression,
+    parseShowinfoTime,
     VideoToKeyFramesService
-};
\ No newline at end of file
+};
@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const axios = require('axios');
+const { getEnvironmentConfig } = require('../../utils/validateEnvironmentVariables.utils');
+
+const config = getEnvironmentConfig();
+
+const CLIP_MODEL_URL = 'https://api-inference.huggingface.co/models/openai/clip-vit-base-patch32';
+const CLIP_DIMENSION = 512;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * CLIP ViT-B/32 image embedding from the Hugging Face inference API
+ *
+ * @param {string} imagePath - Image file
+ * @returns {Array<number>} CLIP_DIMENSION values
+ * @throws {Error} If the token is missing or the API does not return an embedding
+ */
+const embedImage = async (imagePath) => {
+    if (!config.huggingFaceToken) {
+        throw new Error('HUGGING_FACE_TOKEN is not set');
+    }
+
+    const base64Image = (await fs.readFile(imagePath)).toString('base64');
+    const response = await axios.post(CLIP_MODEL_URL, { inputs: `data:image/png;base64,${base64Image}` }, {
+        headers: { Authorization: `Bearer ${config.huggingFaceToken}` },
+        timeout: REQUEST_TIMEOUT_MS
+    });
+
+    return readEmbedding(response.data);
+};
+
+// Feature extraction may wrap the vector in a batch dimension
+const readEmbedding = (data) => {
+    const result = Array.isArray(data?.[0]) ? data[0] : data;
+    if (!Array.isArray(result) || result.length !== CLIP_DIMENSION || !result.every(Number.isFinite)) {
+        throw new Error(`Unexpected CLIP response (${Array.isArray(result) ? `${result.length} values` : typeof result})`);
+    }
+    return result;
+};
+
+/**
+ * CLIP text embedding, in the same space as the image embeddings, for searching frames with words
+ *
+ * @param {string} text - Query text
+ * @returns {Array<number>} CLIP_DIMENSION values
+ */
+const embedText = async (text) => {
+    if (!config.huggingFaceToken) {
+        throw new Error('HUGGING_FACE_TOKEN is not set');
+    }
+
+    const response = await axios.post(CLIP_MODEL_URL, { inputs: text }, {
+        headers: { Authorization: `Bearer ${config.huggingFaceToken}` },
+        timeout: REQUEST_TIMEOUT_MS
+    });
+    return readEmbedding(response.data);
+};
+
+module.exports = {
+    name: 'clip',
+    label: 'CLIP (Hugging Face)',
+    dimension: CLIP_DIMENSION,
+    embedImage,
+    embedText
+};
@@ -0,0 +1,60 @@
+const { getEnvironmentConfig } = require('../../utils/validateEnvironmentVariables.utils');
+const clipProvider = require('./clip.provider');
+const localProvider = require('./local.provider');
+
+const config = getEnvironmentConfig();
+
+// Provider name (VISUAL_EMBEDDING_PROVIDER) -> provider. Every provider exposes
+// { name, label, dimension, embedImage(imagePath), embedText(text) } where the embed functions
+// resolve to an array of `dimension` numbers; embedText is null when the provider cannot place
+// text in its image space. Rows in Milvus carry the provider name, since vectors of different
+// providers are not comparable.
+const VISUAL_EMBEDDING_PROVIDERS = {
+    clip: clipProvider,
+    local: localProvider
+};
+
+/**
+ * Visual embedding provider selected by configuration
+ *
+ * @param {string} name - Provider name, defaults to VISUAL_EMBEDDING_PROVIDER
+ * @returns {Object} Visual embedding provider
+ * @throws {Error} If the provider is unknown
+ */
+const getVisualEmbeddingProvider = (name = config.visualEmbeddingProvider) => {
+    const provider = VISUAL_EMBEDDING_PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown visual embedding provider "${name}". Valid providers: ${Object.keys(VISUAL_EMBEDDING_PROVIDERS).join(', ')}`);
+    }
+    return provider;
+};
+
+// Provider used when the configured one fails, or null when failures should not be replaced
+const getFallbackVisualEmbeddingProvider = () => {
+    const name = config.visualEmbeddingFallback;
+    if (!name || name === 'none' || name === config.visualEmbeddingProvider) {
+        return null;
+    }
+    return getVisualEmbeddingProvider(name);
+};
+
+/**
+ * Provider for searching frames with text: the configured provider when it can embed text,
+ * otherwise the first one that can
+ *
+ * @returns {Object|null} Visual embedding provider, or null when none embeds text
+ */
+const getTextToImageProvider = () => {
+    const configured = VISUAL_EMBEDDING_PROVIDERS[config.visualEmbeddingProvider];
+    if (configured?.embedText) {
+        return configured;
+    }
+    return Object.values(VISUAL_EMBEDDING_PROVIDERS).find(provider => provider.embedText) || null;
+};
+
+module.exports = {
+    VISUAL_EMBEDDING_PROVIDERS,
+    getTextToImageProvider,
+    getVisualEmbeddingProvider,
+    getFallbackVisualEmbeddingProvider
+};
@@ -0,0 +1,45 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { FEATURE_IMAGE_SIZE, LOCAL_FEATURE_DIM, computeImageFeatures } = require('../../utils/imageFeatures.utils');
+
+// Decodes any image ffmpeg can read into FEATURE_IMAGE_SIZE square RGB bytes
+const readImagePixels = (imagePath) => {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const command = ffmpeg(imagePath)
+            .outputOptions([
+                '-vf', `scale=${FEATURE_IMAGE_SIZE}:${FEATURE_IMAGE_SIZE}:flags=area,format=rgb24`,
+                '-frames:v', '1',
+                '-f', 'rawvideo'
+            ])
+            .on('error', reject);
+
+        const stream = command.pipe();
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+            const pixels = Buffer.concat(chunks);
+            if (pixels.length < FEATURE_IMAGE_SIZE * FEATURE_IMAGE_SIZE * 3) {
+                return reject(new Error(`Could not decode image ${imagePath}`));
+            }
+            resolve(pixels);
+        });
+    });
+};
+
+/**
+ * Local, offline image descriptor (color, luminance layout and edges). Needs no model or
+ * network and always gives the same vector for the same picture; it finds the same slide or
+ * scene again but knows nothing about what is in the picture.
+ *
+ * @param {string} imagePath - Image file
+ * @returns {Array<number>} LOCAL_FEATURE_DIM values
+ */
+const embedImage = async (imagePath) => computeImageFeatures(await readImagePixels(imagePath));
+
+module.exports = {
+    name: 'local',
+    label: 'local image features',
+    dimension: LOCAL_FEATURE_DIM,
+    embedImage,
+    // Color and edge statistics have no counterpart for words
+    embedText: null
+};
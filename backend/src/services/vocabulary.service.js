@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const VocabularyModel = require('../models/vocabulary.model');
+
+// AssemblyAI accepts up to 1000 word_boost phrases of at most 6 words each
+const MAX_VOCABULARY_TERMS = 1000;
+const MAX_TERM_WORDS = 6;
+const MAX_SOUNDS_LIKE = 10;
+
+class VocabularyError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'VocabularyError';
+        this.statusCode = statusCode;
+    }
+}
+
+const cleanPhrase = (value) => typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+
+/**
+ * Checks and tidies vocabulary terms from a request body. A term is either a phrase string
+ * or { phrase, sounds_like: [...] }; repeated phrases are merged.
+ *
+ * @param {Array<string|Object>} terms - Terms from the request body
+ * @returns {Array<Object>} Terms [{ phrase, sounds_like }]
+ * @throws {VocabularyError} With a message naming the first invalid term
+ */
+const normalizeVocabularyTerms = (terms) => {
+    if (!Array.isArray(terms)) {
+        throw new VocabularyError('terms must be an array');
+    }
+    if (terms.length > MAX_VOCABULARY_TERMS) {
+        throw new VocabularyError(`A vocabulary can hold at most ${MAX_VOCABULARY_TERMS} terms`);
+    }
+
+    const byPhrase = new Map();
+    terms.forEach((term, index) => {
+        const label = `Term ${index + 1}`;
+        const entry = typeof term === 'string' ? { phrase: term } : term;
+        if (!entry || typeof entry !== 'object') {
+            throw new VocabularyError(`${label} must be a string or an object with a phrase`);
+        }
+
+        const phrase = cleanPhrase(entry.phrase);
+        if (!phrase) {
+            throw new VocabularyError(`${label}: phrase is required`);
+        }
+        if (phrase.split(' ').length > MAX_TERM_WORDS) {
+            throw new VocabularyError(`${label}: phrases can have at most ${MAX_TERM_WORDS} words`);
+        }
+
+        const soundsLike = entry.sounds_like ?? [];
+        if (!Array.isArray(soundsLike) || soundsLike.length > MAX_SOUNDS_LIKE
+            || soundsLike.some(variant => !cleanPhrase(variant))) {
+            throw new VocabularyError(`${label}: sounds_like must be an array of at most ${MAX_SOUNDS_LIKE} non-empty strings`);
+        }
+
+        const key = phrase.toLowerCase();
+        const existing = byPhrase.get(key) || { phrase: phrase, sounds_like: [] };
+        existing.sounds_like = [...new Set([...existing.sounds_like, ...soundsLike.map(cleanPhrase)])];
+        byPhrase.set(key, existing);
+    });
+
+    return [...byPhrase.values()];
+};
+
+/**
+ * Vocabulary a new upload is transcribed with: the one named in the request (by id or name),
+ * otherwise the uploader's default vocabulary, if any
+ *
+ * @param {string} userId - Uploader
+ * @param {string} vocabulary - Vocabulary id or name from the request (optional)
+ * @returns {Object|null} VocabularyModel document
+ * @throws {VocabularyError} If a named vocabulary does not exist
+ */
+const resolveUploadVocabulary = async (userId, vocabulary) => {
+    const requested = cleanPhrase(vocabulary);
+    if (!requested) {
+        return VocabularyModel.findOne({ owner: userId, is_default: true });
+    }
+
+    const match = mongoose.Types.ObjectId.isValid(requested)
+        ? await VocabularyModel.findOne({ owner: userId, $or: [{ _id: requested }, { name: requested }] })
+        : await VocabularyModel.findOne({ owner: userId, name: requested });
+    if (!match) {
+        throw new VocabularyError(`Vocabulary "${requested}" not found`);
+    }
+    return match;
+};
+
+/**
+ * Vocabulary of a video in the shape transcription providers take, or null when the video
+ * has none or it has since been deleted
+ *
+ * @param {string} vocabularyId - VideoModel.vocabulary
+ * @returns {Object|null} { id, name, boost, phrases, terms }
+ */
+const loadTranscriptionVocabulary = async (vocabularyId) => {
+    if (!vocabularyId) {
+        return null;
+    }
+    const vocabulary = await VocabularyModel.findById(vocabularyId).lean();
+    if (!vocabulary || vocabulary.terms.length === 0) {
+        return null;
+    }
+
+    return {
+        id: vocabulary._id.toString(),
+        name: vocabulary.name,
+        boost: vocabulary.boost,
+        phrases: vocabulary.terms.map(term => term.phrase),
+        terms: vocabulary.terms
+    };
+};
+
+module.exports = {
+    MAX_VOCABULARY_TERMS,
+    VocabularyError,
+    normalizeVocabularyTerms,
+    resolveUploadVocabulary,
+    loadTranscriptionVocabulary
+};
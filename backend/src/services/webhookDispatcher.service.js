@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const WebhookModel = require('../models/webhook.model');
+const WebhookDeliveryModel = require('../models/webhookDelivery.model');
+
+const SIGNATURE_HEADER = 'X-FrameWhisper-Signature';
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+const DELIVERY_LEASE_MS = 60 * 1000;
+
+// Wait before attempt n + 1 (1 based), the last value repeats
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+
+let pollTimer = null;
+let isPolling = false;
+
+const generateWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Signature sent in the X-FrameWhisper-Signature header.
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${rawBody}`) and compare.
+ *
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix seconds sent in X-FrameWhisper-Timestamp
+ * @param {string} body - Raw JSON request body
+ * @returns {string} "sha256=<hex digest>"
+ */
+const signWebhookPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+};
+
+/**
+ * Queues a delivery of an event to every active webhook of a user subscribed to it
+ *
+ * @param {string} userId - Owner of the webhooks
+ * @param {string} event - Event name, e.g. "indexing.completed"
+ * @param {Object} data - Event data
+ * @param {Object} options
+ * @param {string} options.webhookId - Only deliver to this webhook (ignores its event filter)
+ * @returns {Array<Object>} Created WebhookDeliveryModel documents
+ */
+const dispatchWebhookEvent = async (userId, event, data, { webhookId } = {}) => {
+    try {
+        const filter = webhookId
+            ? { _id: webhookId, owner: userId }
+            : { owner: userId, is_active: true, events: event };
+        const webhooks = await WebhookModel.find(filter);
+
+        if (webhooks.length === 0) {
+            return [];
+        }
+
+        const deliveries = webhooks.map(webhook => {
+            const deliveryId = uuidv4();
+            return {
+                delivery_id: deliveryId,
+                webhook: webhook._id,
+                owner: userId,
+                event: event,
+                body: JSON.stringify({
+                    id: deliveryId,
+                    event: event,
+                    created_at: new Date().toISOString(),
+                    data: data
+                })
+            };
+        });
+
+        const created = await WebhookDeliveryModel.insertMany(deliveries);
+        console.log(`Queued ${created.length} webhook deliveries for ${event}`);
+
+        setImmediate(processPendingDeliveries);
+        return created;
+    } catch (error) {
+        // Webhooks must never break the flow that raised the event
+        console.error(`Error dispatching webhook event ${event}:`, error);
+        return [];
+    }
+};
+
+const claimNextDelivery = async () => {
+    const now = new Date();
+
+    return WebhookDeliveryModel.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', next_attempt_at: { $lte: now } },
+                { status: 'delivering', lease_expires_at: { $lt: now } }
+            ]
+        },
+        {
+            $set: {
+                status: 'delivering',
+                lease_expires_at: new Date(now.getTime() + DELIVERY_LEASE_MS)
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { next_attempt_at: 1 }, new: true }
+    );
+};
+
+const attemptDelivery = async (delivery) => {
+    const webhook = await WebhookModel.findById(delivery.webhook).select('+secret');
+    // Deliveries queued before the endpoint was removed or deactivated are not sent
+    if (!webhook || !webhook.is_active) {
+        await WebhookDeliveryModel.updateOne(
+            { _id: delivery._id },
+            {
+                status: 'failed',
+                lease_expires_at: null,
+                $push: { attempt_log: { error: webhook ? 'Webhook is deactivated' : 'Webhook no longer exists' } }
+            }
+        );
+        return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    const attempt = { attempted_at: new Date() };
+
+    try {
+        const response = await axios.post(webhook.url, delivery.body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'FrameWhisper-Webhooks/1.0',
+                'X-FrameWhisper-Event': delivery.event,
+                'X-FrameWhisper-Delivery': delivery.delivery_id,
+                'X-FrameWhisper-Timestamp': timestamp,
+                [SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, timestamp, delivery.body)
+            },
+            timeout: REQUEST_TIMEOUT_MS,
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+
+        attempt.response_status = response.status;
+        if (response.status < 200 || response.status >= 300) {
+            attempt.error = `Receiver responded with HTTP ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.message;
+    }
+
+    attempt.duration_ms = Date.now() - startedAt;
+
+    if (!attempt.error) {
+        await WebhookDeliveryModel.updateOne(
+            { _id: delivery._id },
+            {
+                status: 'succeeded',
+                delivered_at: new Date(),
+                lease_expires_at: null,
+                $push: { attempt_log: attempt }
+            }
+        );
+        console.log(`Webhook delivery ${delivery.delivery_id} (${delivery.event}) succeeded`);
+        return;
+    }
+
+    const exhausted = delivery.attempts >= delivery.max_attempts;
+    const delay = RETRY_DELAYS_MS[Math.min(delivery.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+
+    await WebhookDeliveryModel.updateOne(
+        { _id: delivery._id },
+        {
+            status: exhausted ? 'failed' : 'pending',
+            next_attempt_at: exhausted ? null : new Date(Date.now() + delay),
+            lease_expires_at: null,
+            $push: { attempt_log: attempt }
+        }
+    );
+
+    console.warn(`Webhook delivery ${delivery.delivery_id} attempt ${delivery.attempts}/${delivery.max_attempts} failed: ${attempt.error}` +
+        (exhausted ? ' (giving up)' : ` (retrying in ${delay / 1000}s)`));
+};
+
+// Send every delivery that is due
+const processPendingDeliveries = async () => {
+    if (!pollTimer || isPolling) return;
+    isPolling = true;
+
+    try {
+        let delivery;
+        while (pollTimer && (delivery = await claimNextDelivery())) {
+            await attemptDelivery(delivery);
+        }
+    } catch (error) {
+        console.error('Error processing webhook deliveries:', error);
+    } finally {
+        isPolling = false;
+    }
+};
+
+/**
+ * Starts polling MongoDB for due webhook deliveries
+ */
+const startWebhookDispatcher = () => {
+    if (pollTimer) return;
+
+    pollTimer = setInterval(processPendingDeliveries, POLL_INTERVAL_MS);
+    console.log('📬 Webhook dispatcher started');
+    processPendingDeliveries();
+};
+
+const stopWebhookDispatcher = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+module.exports = {
+    SIGNATURE_HEADER,
+    generateWebhookSecret,
+    signWebhookPayload,
+    dispatchWebhookEvent,
+    startWebhookDispatcher,
+    stopWebhookDispatcher
+};
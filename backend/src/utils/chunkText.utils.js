@@ -136,11 +136,11 @@ const chunkTextBySentence = (text, maxWords = 500) => {
 
 /**
 * Chunks text with timestamp awareness for video transcriptions
-* Maintains timestamp boundaries when possible
+* Maintains timestamp boundaries when possible and starts a new chunk at every speaker change
 * 
-* @param {Array} segments - Array of {text, start, end} segments
+* @param {Array} segments - Array of {text, start, end, speaker} segments
 * @param {number} maxWords - Maximum words per chunk
-* @returns {Array} Array of {text, startTime, endTime} chunks
+* @returns {Array} Array of {text, startTime, endTime, speaker} chunks
 */
 const chunkTranscriptionSegments = (segments, maxWords = 400) => {
   if (!segments || !Array.isArray(segments) || segments.length === 0) {
@@ -152,6 +152,7 @@ const chunkTranscriptionSegments = (segments, maxWords = 400) => {
       text: '',
       startTime: null,
       endTime: null,
+      speaker: null,
       wordCount: 0
   };
   
@@ -161,32 +162,37 @@ const chunkTranscriptionSegments = (segments, maxWords = 400) => {
       }
       
       const segmentWords = segment.text.split(/\s+/).length;
+      const segmentSpeaker = segment.speaker || null;
+      const speakerChanged = currentChunk.text.length > 0 && segmentSpeaker !== currentChunk.speaker;
       
-      // If adding this segment exceeds limit, save current chunk
-      if (currentChunk.wordCount + segmentWords > maxWords && currentChunk.text.length > 0) {
+      // If adding this segment exceeds limit or another person speaks, save current chunk
+      if ((currentChunk.wordCount + segmentWords > maxWords || speakerChanged) && currentChunk.text.length > 0) {
           chunks.push({
               text: currentChunk.text.trim(),
               startTime: currentChunk.startTime,
-              endTime: currentChunk.endTime
+              endTime: currentChunk.endTime,
+              speaker: currentChunk.speaker
           });
           
           // Start new chunk
           currentChunk = {
               text: segment.text,
-              startTime: segment.start || segment.startTime || null,
-              endTime: segment.end || segment.endTime || null,
+              startTime: segment.start ?? segment.startTime ?? null,
+              endTime: segment.end ?? segment.endTime ?? null,
+              speaker: segmentSpeaker,
               wordCount: segmentWords
           };
       } else {
           // Add to current chunk
           currentChunk.text += (currentChunk.text ? ' ' : '') + segment.text;
           currentChunk.wordCount += segmentWords;
+          currentChunk.speaker = segmentSpeaker;
           
           // Set timestamps
           if (currentChunk.startTime === null) {
-              currentChunk.startTime = segment.start || segment.startTime || null;
+              currentChunk.startTime = segment.start ?? segment.startTime ?? null;
           }
-          currentChunk.endTime = segment.end || segment.endTime || null;
+          currentChunk.endTime = segment.end ?? segment.endTime ?? null;
       }
   }
   
@@ -195,18 +201,78 @@ const chunkTranscriptionSegments = (segments, maxWords = 400) => {
       chunks.push({
           text: currentChunk.text.trim(),
           startTime: currentChunk.startTime,
-          endTime: currentChunk.endTime
+          endTime: currentChunk.endTime,
+          speaker: currentChunk.speaker
       });
   }
   
   return chunks;
 };
 
+/**
+* Overlapping fixed-length windows over transcript segments, the segment-aware counterpart of
+* chunkText. Windows are laid out on the timeline and hold whole segments, so correcting the
+* text of a segment only changes the (at most two) windows containing it.
+* 
+* @param {Array} segments - Array of {text, start, end} segments
+* @param {number} windowSeconds - Window length; defaults to one sized like chunkText's word
+*   windows at a typical speaking rate, chosen from the transcript duration
+* @returns {Array} Array of {text, startTime, endTime} chunks
+*/
+const chunkSegmentWindows = (segments, windowSeconds = null) => {
+  const timedSegments = (segments || []).filter(segment =>
+      segment.text && typeof segment.text === 'string' && Number.isFinite(segment.start ?? segment.startTime));
+  if (timedSegments.length === 0) {
+      return [];
+  }
+
+  const startOf = (segment) => segment.start ?? segment.startTime;
+  const endOf = (segment) => segment.end ?? segment.endTime ?? startOf(segment);
+
+  // chunkText's size tiers at about 150 spoken words per minute; the duration, unlike the
+  // word count, does not change when the text is corrected
+  if (!windowSeconds) {
+      const duration = Math.max(...timedSegments.map(endOf));
+      if (duration <= 120) {
+          windowSeconds = 60;
+      } else if (duration <= 400) {
+          windowSeconds = 120;
+      } else if (duration <= 1200) {
+          windowSeconds = 200;
+      } else if (duration <= 4000) {
+          windowSeconds = 320;
+      } else {
+          windowSeconds = 400;
+      }
+  }
+  const step = windowSeconds * 0.8; // 20% overlap, as in chunkText
+
+  const chunks = [];
+  const lastStart = Math.max(...timedSegments.map(startOf));
+  for (let windowStart = 0; windowStart <= lastStart; windowStart += step) {
+      const windowSegments = timedSegments.filter(segment =>
+          startOf(segment) >= windowStart && startOf(segment) < windowStart + windowSeconds);
+      const text = windowSegments.map(segment => segment.text.trim()).join(' ').replace(/\s+/g, ' ').trim();
+
+      // Only add non-empty chunks
+      if (text.length > 10) { // Minimum 10 characters
+          chunks.push({
+              text: text,
+              startTime: startOf(windowSegments[0]),
+              endTime: endOf(windowSegments[windowSegments.length - 1])
+          });
+      }
+  }
+
+  return chunks;
+};
+
 // ✅ FIXED: Using CommonJS exports instead of ES6 export
 module.exports = {
   chunkText,
   chunkTextBySentence,
-  chunkTranscriptionSegments
+  chunkTranscriptionSegments,
+  chunkSegmentWindows
 };
 
 // ================ Usage Examples ===================
@@ -226,4 +292,7 @@ const segments = [
   { text: "How are you", start: 2, end: 4 }
 ];
 const chunks4 = chunkTranscriptionSegments(segments, 400);
+
+// Fixed-length windows over timed segments
+const chunks5 = chunkSegmentWindows(segments);
 */
\ No newline at end of file
@@ -0,0 +1,26 @@
+// ================ File Hashing Utility ===================
+// File: src/utils/hashFile.utils.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Computes the SHA-256 digest of a file by streaming it from disk
+ * Used to recognise re-uploads of identical video content
+ *
+ * @param {string} filePath - Path of the file to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+const computeFileSha256 = (filePath) => {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+};
+
+module.exports = {
+    computeFileSha256
+};
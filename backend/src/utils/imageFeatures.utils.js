@@ -0,0 +1,128 @@
+// ================ Image Features Utility ===================
+// File: src/utils/imageFeatures.utils.js
+
+// Descriptors are computed on the image scaled to FEATURE_IMAGE_SIZE x FEATURE_IMAGE_SIZE RGB
+const FEATURE_IMAGE_SIZE = 64;
+
+// Blocks of the feature vector, 512 values in total like a CLIP ViT-B/32 embedding
+const COLOR_LEVELS = 4;             // joint RGB histogram, 4x4x4 = 64 bins
+const LUMINANCE_GRID = 16;          // 16x16 luminance thumbnail = 256 values
+const CELL_GRID = 4;                // 4x4 cells for the local descriptors below
+const ORIENTATION_BINS = 8;         // edge orientation histogram per cell = 128 values
+const EDGE_MAGNITUDE_THRESHOLD = 64;
+
+// Relative weight of each block in the final vector
+const BLOCK_WEIGHTS = {
+    colorHistogram: 1,
+    luminanceGrid: 1,
+    edgeOrientations: 1,
+    cellColors: 0.7,
+    edgeDensity: 0.5
+};
+
+const LOCAL_FEATURE_DIM = COLOR_LEVELS ** 3 + LUMINANCE_GRID ** 2 + CELL_GRID ** 2 * (ORIENTATION_BINS + 3 + 1);
+
+const l2Normalize = (values, weight = 1) => {
+    const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? values.map(value => (value / norm) * weight) : values.map(() => 0);
+};
+
+/**
+ * Content-based descriptor of an image that needs no model: a color histogram, a
+ * contrast-normalised luminance thumbnail, edge orientation histograms and per-cell colors and
+ * edge densities. Deterministic, so identical frames always get identical vectors, and similar
+ * pictures (same slide, same scene) end up close under cosine similarity.
+ *
+ * @param {Buffer|Uint8Array} pixels - RGB bytes of a FEATURE_IMAGE_SIZE square image, row by row
+ * @returns {Array<number>} Unit length vector of LOCAL_FEATURE_DIM values
+ */
+const computeImageFeatures = (pixels) => {
+    const size = FEATURE_IMAGE_SIZE;
+    if (!pixels || pixels.length < size * size * 3) {
+        throw new Error(`Image features need ${size}x${size} RGB pixels, got ${pixels?.length || 0} bytes`);
+    }
+
+    const pixelCount = size * size;
+    const luminance = new Float32Array(pixelCount);
+    const colorHistogram = new Array(COLOR_LEVELS ** 3).fill(0);
+    const cellSize = size / CELL_GRID;
+    const cellColors = new Array(CELL_GRID * CELL_GRID * 3).fill(0);
+    const colorShift = 8 - Math.log2(COLOR_LEVELS);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const r = pixels[i * 3];
+        const g = pixels[i * 3 + 1];
+        const b = pixels[i * 3 + 2];
+        luminance[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+        colorHistogram[((r >> colorShift) * COLOR_LEVELS + (g >> colorShift)) * COLOR_LEVELS + (b >> colorShift)] += 1;
+
+        const cell = Math.floor(Math.floor(i / size) / cellSize) * CELL_GRID + Math.floor((i % size) / cellSize);
+        cellColors[cell * 3] += r / 255;
+        cellColors[cell * 3 + 1] += g / 255;
+        cellColors[cell * 3 + 2] += b / 255;
+    }
+
+    // Square roots of bin shares compare like the Hellinger distance under cosine similarity
+    const colorFeatures = colorHistogram.map(count => Math.sqrt(count / pixelCount));
+    const cellColorFeatures = cellColors.map(sum => sum / (cellSize * cellSize));
+
+    // Luminance thumbnail with mean and contrast removed, so lighting changes matter less
+    const blockSize = size / LUMINANCE_GRID;
+    const grid = [];
+    for (let gy = 0; gy < LUMINANCE_GRID; gy++) {
+        for (let gx = 0; gx < LUMINANCE_GRID; gx++) {
+            let sum = 0;
+            for (let y = gy * blockSize; y < (gy + 1) * blockSize; y++) {
+                for (let x = gx * blockSize; x < (gx + 1) * blockSize; x++) {
+                    sum += luminance[y * size + x];
+                }
+            }
+            grid.push(sum / (blockSize * blockSize));
+        }
+    }
+    const gridMean = grid.reduce((sum, value) => sum + value, 0) / grid.length;
+    const gridStd = Math.sqrt(grid.reduce((sum, value) => sum + (value - gridMean) ** 2, 0) / grid.length);
+    const luminanceFeatures = grid.map(value => gridStd > 0 ? (value - gridMean) / gridStd : 0);
+
+    // Sobel gradients: orientation histograms weighted by magnitude, and the share of strong edges
+    const orientations = new Array(CELL_GRID * CELL_GRID * ORIENTATION_BINS).fill(0);
+    const edgeCounts = new Array(CELL_GRID * CELL_GRID).fill(0);
+    let totalMagnitude = 0;
+    for (let y = 1; y < size - 1; y++) {
+        for (let x = 1; x < size - 1; x++) {
+            const at = (dx, dy) => luminance[(y + dy) * size + (x + dx)];
+            const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+            const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+            const magnitude = Math.sqrt(gx * gx + gy * gy);
+            if (magnitude === 0) {
+                continue;
+            }
+
+            // Unsigned orientation: an edge and its reverse fall in the same bin
+            const angle = (Math.atan2(gy, gx) + Math.PI) % Math.PI;
+            const bin = Math.min(ORIENTATION_BINS - 1, Math.floor((angle / Math.PI) * ORIENTATION_BINS));
+            const cell = Math.floor(y / cellSize) * CELL_GRID + Math.floor(x / cellSize);
+            orientations[cell * ORIENTATION_BINS + bin] += magnitude;
+            totalMagnitude += magnitude;
+            if (magnitude > EDGE_MAGNITUDE_THRESHOLD) {
+                edgeCounts[cell] += 1;
+            }
+        }
+    }
+    const orientationFeatures = orientations.map(value => totalMagnitude > 0 ? Math.sqrt(value / totalMagnitude) : 0);
+    const edgeDensityFeatures = edgeCounts.map(count => count / (cellSize * cellSize));
+
+    return l2Normalize([
+        ...l2Normalize(colorFeatures, BLOCK_WEIGHTS.colorHistogram),
+        ...l2Normalize(luminanceFeatures, BLOCK_WEIGHTS.luminanceGrid),
+        ...l2Normalize(orientationFeatures, BLOCK_WEIGHTS.edgeOrientations),
+        ...l2Normalize(cellColorFeatures, BLOCK_WEIGHTS.cellColors),
+        ...l2Normalize(edgeDensityFeatures, BLOCK_WEIGHTS.edgeDensity)
+    ]);
+};
+
+module.exports = {
+    FEATURE_IMAGE_SIZE,
+    LOCAL_FEATURE_DIM,
+    computeImageFeatures
+};
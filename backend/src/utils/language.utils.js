@@ -0,0 +1,130 @@
+// ================ Language Utility ===================
+// File: src/utils/language.utils.js
+
+// BCP 47 style codes accepted from clients: "en", "es", "pt-BR", "zh-Hans"
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}([-_][A-Za-z]{2,4})?$/;
+
+// Frequent function words, enough to tell these languages apart in a one-line question
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'are', 'was', 'what', 'who', 'how', 'why', 'when', 'does', 'did', 'of', 'to', 'in', 'about', 'this', 'that', 'it', 'with', 'for', 'they', 'you', 'we', 'can', 'do'],
+    es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'es', 'en', 'un', 'una', 'por', 'qué', 'cómo', 'cuál', 'quién', 'cuándo', 'dónde', 'para', 'con', 'se', 'del', 'lo', 'sobre', 'este', 'esta', 'hay', 'dice'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'was', 'wie', 'wer', 'warum', 'wann', 'ein', 'eine', 'den', 'dem', 'mit', 'von', 'zu', 'im', 'über', 'sie', 'es', 'ich', 'wir', 'auf', 'für', 'sagt', 'welche'],
+    fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'que', 'qui', 'quoi', 'comment', 'pourquoi', 'quand', 'un', 'une', 'du', 'dans', 'sur', 'pour', 'avec', 'il', 'elle', 'ce', 'cette', 'nous', 'vous', 'dit'],
+    pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'é', 'em', 'um', 'uma', 'por', 'como', 'qual', 'quem', 'quando', 'onde', 'para', 'com', 'do', 'da', 'não', 'sobre', 'este', 'esta', 'diz'],
+    it: ['il', 'lo', 'la', 'gli', 'le', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'come', 'cosa', 'chi', 'quando', 'dove', 'perché', 'con', 'del', 'della', 'non', 'questo', 'questa', 'dice'],
+    nl: ['de', 'het', 'een', 'en', 'is', 'van', 'wat', 'wie', 'hoe', 'waarom', 'wanneer', 'niet', 'met', 'op', 'voor', 'over', 'dit', 'dat', 'zijn', 'ze', 'wij', 'zegt']
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+// Letters that only occur in one of the languages above
+const LETTER_HINTS = [
+    { pattern: /[ñ¿¡]/, language: 'es' },
+    { pattern: /ß/, language: 'de' },
+    { pattern: /[ãõ]/, language: 'pt' }
+];
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Primary language subtag in lowercase: "pt-BR", "en_us" and "EN" become "pt", "en" and "en"
+ *
+ * @param {string} code - Language code from a client or provider
+ * @returns {string|null} Normalised code, or null when there is none
+ */
+const normalizeLanguageCode = (code) => {
+    if (typeof code !== 'string' || !code.trim()) {
+        return null;
+    }
+    return code.trim().split(/[-_]/)[0].toLowerCase();
+};
+
+/**
+ * Full language tag with its region or script, in canonical case: "pt_br", "zh-hans" and "EN"
+ * become "pt-BR", "zh-Hans" and "en". Keeps pt-BR and pt-PT apart where the primary subtag
+ * from normalizeLanguageCode would not.
+ *
+ * @param {string} code - Language code from a client
+ * @returns {string|null} Normalised tag, or null when there is none
+ */
+const normalizeLanguageTag = (code) => {
+    if (typeof code !== 'string' || !code.trim()) {
+        return null;
+    }
+    const [language, subtag] = code.trim().split(/[-_]/);
+    if (!subtag) {
+        return language.toLowerCase();
+    }
+    // Scripts are four letters in title case, regions are upper case
+    const canonical = subtag.length === 4
+        ? subtag.charAt(0).toUpperCase() + subtag.slice(1).toLowerCase()
+        : subtag.toUpperCase();
+    return `${language.toLowerCase()}-${canonical}`;
+};
+
+const isValidLanguageCode = (code) => typeof code === 'string' && LANGUAGE_CODE_PATTERN.test(code);
+
+/**
+ * English name of a language for prompts and responses, e.g. "de" -> "German",
+ * "pt-BR" -> "Brazilian Portuguese"
+ */
+const getLanguageName = (code) => {
+    const normalized = normalizeLanguageTag(code);
+    if (!normalized) {
+        return null;
+    }
+    try {
+        return languageNames.of(normalized) || normalized;
+    } catch (_) {
+        return normalized;
+    }
+};
+
+/**
+ * Guesses the language of a short text such as a question from its function words.
+ * Covers English, Spanish, German, French, Portuguese, Italian and Dutch.
+ *
+ * @param {string} text - Text to inspect
+ * @returns {string|null} Language code, or null when the text gives no clear answer
+ */
+const detectTextLanguage = (text) => {
+    if (typeof text !== 'string') {
+        return null;
+    }
+    const lower = text.toLowerCase();
+    const tokens = lower.split(/[^\p{L}]+/u).filter(Boolean);
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const scores = Object.fromEntries(Object.keys(STOPWORD_SETS).map(language => [language, 0]));
+    for (const token of tokens) {
+        for (const [language, words] of Object.entries(STOPWORD_SETS)) {
+            if (words.has(token)) {
+                scores[language] += 1;
+            }
+        }
+    }
+    for (const hint of LETTER_HINTS) {
+        if (hint.pattern.test(lower)) {
+            scores[hint.language] += 2;
+        }
+    }
+
+    const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (best[1] === 0 || best[1] === second[1]) {
+        return null;
+    }
+    return best[0];
+};
+
+module.exports = {
+    LANGUAGE_CODE_PATTERN,
+    normalizeLanguageCode,
+    normalizeLanguageTag,
+    isValidLanguageCode,
+    getLanguageName,
+    detectTextLanguage
+};
@@ -0,0 +1,90 @@
+// ================ Perceptual Hash Utility ===================
+// File: src/utils/perceptualHash.utils.js
+
+// dHash input: a grayscale image scaled to 9x8, one byte per pixel
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+const DHASH_BYTES = DHASH_WIDTH * DHASH_HEIGHT;
+
+// Set bits of every nibble value, for hamming distances of hex hashes
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * 64 bit difference hash of a 9x8 grayscale image: one bit per horizontally adjacent pixel pair,
+ * set when the left pixel is brighter. Re-encoding, scaling and small overlays barely change it.
+ *
+ * @param {Buffer|Uint8Array} pixels - DHASH_BYTES grayscale values, row by row
+ * @returns {string} Hash as 16 hex characters
+ */
+const computeDHash = (pixels) => {
+    if (!pixels || pixels.length < DHASH_BYTES) {
+        throw new Error(`dHash needs ${DHASH_BYTES} grayscale pixels, got ${pixels?.length || 0}`);
+    }
+
+    let hex = '';
+    for (let row = 0; row < DHASH_HEIGHT; row++) {
+        let byte = 0;
+        for (let col = 0; col < DHASH_WIDTH - 1; col++) {
+            const offset = row * DHASH_WIDTH + col;
+            byte = (byte << 1) | (pixels[offset] > pixels[offset + 1] ? 1 : 0);
+        }
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+};
+
+// Number of differing bits between two hex hashes of the same length
+const hammingDistance = (a, b) => {
+    if (!a || !b || a.length !== b.length) {
+        return Infinity;
+    }
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return distance;
+};
+
+/**
+ * Collapses runs of near-identical consecutive frames (slides, static shots) into their first
+ * frame. Each frame is compared with the first frame of its run, so a slow pan cannot grow one
+ * run forever. Frames without a hash are never merged.
+ *
+ * @param {Array<Object>} frames - Frames in time order with { timestamp, hash }
+ * @param {number} maxDistance - Largest hamming distance that still counts as the same picture
+ * @param {number} duration - Video duration, the end of the last run
+ * @returns {Object} { kept, removed } where kept frames gain end_time and collapsed_frames
+ *   (frames merged into them, themselves included) and removed lists the merged frames
+ */
+const collapseDuplicateFrames = (frames, maxDistance, duration = null) => {
+    const kept = [];
+    const removed = [];
+
+    for (const frame of frames) {
+        const current = kept[kept.length - 1];
+        if (current && frame.hash && hammingDistance(current.hash, frame.hash) <= maxDistance) {
+            current.collapsed_frames += 1;
+            removed.push(frame);
+            continue;
+        }
+        kept.push({ ...frame, collapsed_frames: 1 });
+    }
+
+    // A run lasts until the next distinct frame, the last one until the end of the video
+    kept.forEach((frame, index) => {
+        const next = kept[index + 1];
+        const end = next ? next.timestamp : Math.max(Number(duration) || 0, frame.timestamp);
+        frame.end_time = Math.round(end * 1000) / 1000;
+    });
+
+    return { kept, removed };
+};
+
+module.exports = {
+    DHASH_WIDTH,
+    DHASH_HEIGHT,
+    DHASH_BYTES,
+    computeDHash,
+    hammingDistance,
+    collapseDuplicateFrames
+};
@@ -0,0 +1,102 @@
+// ================ Screen Text Utility ===================
+// File: src/utils/screenText.utils.js
+
+// Tesseract TSV columns: level page_num block_num par_num line_num word_num left top width height conf text
+const TSV_COLUMNS = 12;
+
+// Lines need this many letters or digits, shorter ones are mostly noise from photos and icons
+const MIN_LINE_CHARS = 2;
+
+/**
+ * Text of one image from Tesseract TSV output, keeping words recognized with at least
+ * minConfidence and the line breaks of the image
+ *
+ * @param {string} tsv - Output of `tesseract <image> stdout tsv`
+ * @param {number} minConfidence - Lowest word confidence kept (0-100)
+ * @returns {Object} { text, confidence } with the mean confidence of the kept words (0-1)
+ */
+const parseTesseractTsv = (tsv, minConfidence = 60) => {
+    const lines = new Map();
+
+    for (const row of String(tsv || '').split('\n').slice(1)) {
+        const columns = row.split('\t');
+        if (columns.length < TSV_COLUMNS) {
+            continue;
+        }
+        const confidence = parseFloat(columns[10]);
+        const word = columns.slice(11).join('\t').trim();
+        if (!word || !(confidence >= minConfidence)) {
+            continue;
+        }
+
+        const lineKey = columns.slice(1, 5).join('.');
+        const line = lines.get(lineKey) || { words: [], confidences: [] };
+        line.words.push(word);
+        line.confidences.push(confidence);
+        lines.set(lineKey, line);
+    }
+
+    const kept = [...lines.values()]
+        .filter(line => (line.words.join(' ').match(/[\p{L}\p{N}]/gu) || []).length >= MIN_LINE_CHARS);
+    const confidences = kept.flatMap(line => line.confidences);
+
+    return {
+        text: kept.map(line => line.words.join(' ')).join('\n'),
+        confidence: confidences.length > 0
+            ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length) / 100
+            : 0
+    };
+};
+
+// Comparison key of screen text: case, punctuation and spacing differences between two
+// readings of the same slide do not count
+const normalizeScreenText = (text) =>
+    String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Merges consecutive frames showing the same text into one run, so a slide or terminal
+ * screen that stays up for minutes is indexed once with the time range it was visible.
+ * Frames without text end a run.
+ *
+ * @param {Array<Object>} frames - Frames in time order with { frame_number, timestamp, end_time, text }
+ * @returns {Array<Object>} Runs { text, start, end, first_frame, last_frame, frames }
+ */
+const mergeScreenTextRuns = (frames) => {
+    const runs = [];
+    let current = null;
+
+    for (const frame of frames) {
+        const key = normalizeScreenText(frame.text);
+        if (!key) {
+            current = null;
+            continue;
+        }
+
+        const end = frame.end_time ?? frame.timestamp;
+        if (current && current.key === key) {
+            current.end = end;
+            current.last_frame = frame.frame_number;
+            current.frames += 1;
+            continue;
+        }
+
+        current = {
+            key: key,
+            text: frame.text,
+            start: frame.timestamp,
+            end: end,
+            first_frame: frame.frame_number,
+            last_frame: frame.frame_number,
+            frames: 1
+        };
+        runs.push(current);
+    }
+
+    return runs.map(({ key, ...run }) => run);
+};
+
+module.exports = {
+    parseTesseractTsv,
+    normalizeScreenText,
+    mergeScreenTextRuns
+};
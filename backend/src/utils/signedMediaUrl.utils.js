@@ -0,0 +1,74 @@
+// ================ Signed Media URL Utility ===================
+// File: src/utils/signedMediaUrl.utils.js
+
+const crypto = require('crypto');
+const { getEnvironmentConfig } = require('./validateEnvironmentVariables.utils');
+
+const config = getEnvironmentConfig();
+
+// Media a signature grants access to; a "frames" signature covers every key frame of the video
+const MEDIA_SCOPES = ['stream', 'poster', 'frames'];
+
+// Without MEDIA_URL_SECRET a key is derived from the JWT secret, so a media signature
+// never doubles as something signed with the JWT secret itself
+const MEDIA_URL_KEY = config.mediaUrlSecret
+    || crypto.createHmac('sha256', config.jwtSecret).update('media-url').digest();
+
+const computeMediaSignature = (videoId, scope, userId, expires) =>
+    crypto.createHmac('sha256', MEDIA_URL_KEY)
+        .update(`${videoId}.${scope}.${userId}.${expires}`)
+        .digest('hex');
+
+/**
+ * Query parameters that let <img> and <video> tags load media of a video without an
+ * Authorization header, for the user they were issued to and until they expire
+ *
+ * @param {string} videoId - Video uuid
+ * @param {string} scope - One of MEDIA_SCOPES
+ * @param {string} userId - User the access is issued to
+ * @param {number} ttlSeconds - Lifetime, defaults to MEDIA_URL_TTL_SECONDS
+ * @returns {Object} { uid, expires, signature } with expires in unix seconds
+ */
+const signMediaAccess = (videoId, scope, userId, ttlSeconds = config.mediaUrlTtlSeconds) => {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return {
+        uid: String(userId),
+        expires: expires,
+        signature: computeMediaSignature(videoId, scope, String(userId), expires)
+    };
+};
+
+/**
+ * Checks signed media query parameters
+ *
+ * @param {string} videoId - Video uuid from the requested path
+ * @param {string} scope - Scope of the requested media
+ * @param {Object} query - Request query { uid, expires, signature }
+ * @returns {string|null} User the access was issued to, or null when missing, expired or forged
+ */
+const verifyMediaAccess = (videoId, scope, { uid, expires, signature } = {}) => {
+    const expiresAt = Number(expires);
+    if (typeof uid !== 'string' || typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) {
+        return null;
+    }
+    if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+        return null;
+    }
+
+    const expected = Buffer.from(computeMediaSignature(videoId, scope, uid, expiresAt), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex')) ? uid : null;
+};
+
+// Query string form of signMediaAccess()
+const toMediaQueryString = (access) => new URLSearchParams({
+    uid: access.uid,
+    expires: String(access.expires),
+    signature: access.signature
+}).toString();
+
+module.exports = {
+    MEDIA_SCOPES,
+    signMediaAccess,
+    verifyMediaAccess,
+    toMediaQueryString
+};
@@ -0,0 +1,312 @@
+// ================ Subtitle Formats Utility ===================
+// File: src/utils/subtitleFormats.utils.js
+
+// Accepted caption uploads; caption files are small, anything larger is not a subtitle file
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024;
+
+// Common broadcast caption limits (BBC / Netflix style guides)
+const CAPTION_DEFAULTS = {
+    maxCharsPerLine: 42,
+    maxLines: 2,
+    minDuration: 1,
+    maxDuration: 7,
+    // Gap kept between a cue stretched to minDuration and the next cue
+    minGap: 0.08
+};
+
+/**
+ * Words of one segment. Uses the word timings when the transcript has them, otherwise
+ * spreads the segment text evenly over its time range (e.g. imported subtitles).
+ */
+const takeSegmentWords = (segment, words, cursor) => {
+    const segmentWords = [];
+    while (cursor.index < words.length) {
+        const word = words[cursor.index];
+        const midpoint = (word.start + word.end) / 2;
+        if (midpoint > segment.end) {
+            break;
+        }
+        if (midpoint >= segment.start) {
+            segmentWords.push(word);
+        }
+        cursor.index++;
+    }
+
+    if (segmentWords.length > 0) {
+        return segmentWords;
+    }
+
+    const texts = (segment.text || '').split(/\s+/).filter(Boolean);
+    const step = (segment.end - segment.start) / Math.max(texts.length, 1);
+    return texts.map((text, index) => ({
+        text,
+        start: segment.start + index * step,
+        end: segment.start + (index + 1) * step
+    }));
+};
+
+const joinedLength = (words) => words.reduce((length, word) => length + word.text.length, 0) + Math.max(words.length - 1, 0);
+
+/**
+ * Splits transcript segments into caption cues that respect line length and duration
+ * limits. A cue never spans two segments, so cues end at sentences and speaker turns.
+ *
+ * @param {Object} transcription - Saved transcript { segments, words }
+ * @param {Object} options - Overrides for CAPTION_DEFAULTS, and speakerName (label => name) to
+ *                           leave room for a "Name: " prefix in each cue (optional)
+ * @returns {Array<Object>} Cues [{ index, start, end, text, speaker }] with times in seconds
+ */
+const buildCaptionCues = (transcription, options = {}) => {
+    const { maxCharsPerLine, maxLines, minDuration, maxDuration, minGap, speakerName = null } = { ...CAPTION_DEFAULTS, ...options };
+    const words = transcription.words || [];
+    const cursor = { index: 0 };
+    const cues = [];
+
+    for (const segment of transcription.segments || []) {
+        const segmentWords = takeSegmentWords(segment, words, cursor);
+        if (segmentWords.length === 0) {
+            continue;
+        }
+
+        const prefix = speakerName && segment.speaker ? `${speakerName(segment.speaker)}: ` : '';
+        const maxCueChars = Math.max(maxCharsPerLine * maxLines - prefix.length, maxCharsPerLine);
+
+        // Even cue lengths read better than a full cue followed by a two-word one
+        const cueCount = Math.ceil(joinedLength(segmentWords) / maxCueChars);
+        const targetChars = Math.ceil(joinedLength(segmentWords) / cueCount);
+
+        let current = [];
+        let segmentCues = 0;
+        const flush = () => {
+            cues.push({
+                start: current[0].start,
+                end: current[current.length - 1].end,
+                text: current.map(word => word.text).join(' '),
+                speaker: segment.speaker || null
+            });
+            current = [];
+            segmentCues++;
+        };
+
+        for (const word of segmentWords) {
+            // The last cue of the segment takes the rest, up to the hard limit
+            const length = joinedLength([...current, word]);
+            const tooLong = current.length > 0 && (length > maxCueChars || (length > targetChars && segmentCues < cueCount - 1));
+            const tooSlow = current.length > 0 && word.end - current[0].start > maxDuration;
+            if (tooLong || tooSlow) {
+                flush();
+            }
+            current.push(word);
+        }
+        if (current.length > 0) {
+            flush();
+        }
+    }
+
+    // Short cues stay on screen for minDuration unless the next cue starts earlier
+    return cues.map((cue, index) => {
+        const nextStart = cues[index + 1]?.start ?? Infinity;
+        const end = Math.max(cue.end, Math.min(cue.start + minDuration, nextStart - minGap));
+        return { ...cue, index: index + 1, end: end };
+    });
+};
+
+/**
+ * Wraps cue text into at most maxLines lines, splitting two-line cues near the middle
+ *
+ * @param {string} text - Cue text
+ * @param {number} maxCharsPerLine - Line length limit
+ * @returns {Array<string>} Lines
+ */
+const wrapCaptionText = (text, maxCharsPerLine = CAPTION_DEFAULTS.maxCharsPerLine) => {
+    if (text.length <= maxCharsPerLine) {
+        return [text];
+    }
+
+    const words = text.split(' ');
+    let bestSplit = -1;
+    let bestDifference = Infinity;
+    for (let split = 1; split < words.length; split++) {
+        const first = words.slice(0, split).join(' ');
+        const second = words.slice(split).join(' ');
+        const difference = Math.abs(first.length - second.length);
+        if (first.length <= maxCharsPerLine && second.length <= maxCharsPerLine && difference < bestDifference) {
+            bestSplit = split;
+            bestDifference = difference;
+        }
+    }
+
+    if (bestSplit !== -1) {
+        return [words.slice(0, bestSplit).join(' '), words.slice(bestSplit).join(' ')];
+    }
+
+    // Does not fit in two lines, wrap greedily
+    const lines = [];
+    let line = '';
+    for (const word of words) {
+        if (line && line.length + 1 + word.length > maxCharsPerLine) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    lines.push(line);
+    return lines;
+};
+
+const formatTimestamp = (seconds, separator) => {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+};
+
+const escapeVttText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * SubRip subtitles
+ *
+ * @param {Array<Object>} cues - Cues from buildCaptionCues
+ * @param {Object} options
+ * @param {Function} options.speakerName - label => display name; prefixes each cue with "Name: " when set
+ * @param {number} options.maxCharsPerLine - Line length limit
+ * @returns {string} SRT document
+ */
+const formatSrt = (cues, { speakerName = null, maxCharsPerLine } = {}) => {
+    return cues.map(cue => {
+        const name = speakerName && cue.speaker ? speakerName(cue.speaker) : null;
+        const text = name ? `${name}: ${cue.text}` : cue.text;
+        return [
+            cue.index,
+            `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+            ...wrapCaptionText(text, maxCharsPerLine)
+        ].join('\n');
+    }).join('\n\n') + '\n';
+};
+
+/**
+ * WebVTT subtitles. Speakers are written as voice spans (<v Name>) so players can style them.
+ *
+ * @param {Array<Object>} cues - Cues from buildCaptionCues
+ * @param {Object} options - Same as formatSrt
+ * @returns {string} WebVTT document
+ */
+const formatVtt = (cues, { speakerName = null, maxCharsPerLine } = {}) => {
+    const body = cues.map(cue => {
+        const name = speakerName && cue.speaker ? speakerName(cue.speaker) : null;
+        const lines = wrapCaptionText(cue.text, maxCharsPerLine).map(escapeVttText);
+        if (name) {
+            lines[0] = `<v ${escapeVttText(name)}>${lines[0]}`;
+        }
+        return [
+            cue.index,
+            `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+            ...lines
+        ].join('\n');
+    });
+    return ['WEBVTT', ...body].join('\n\n') + '\n';
+};
+
+/**
+ * Plain text transcript with one paragraph per speaker turn
+ *
+ * @param {Array<Object>} segments - Transcript segments
+ * @param {Object} options
+ * @param {Function} options.speakerName - label => display name; prefixes each paragraph when set
+ * @returns {string} Text
+ */
+const formatPlainText = (segments, { speakerName = null } = {}) => {
+    const paragraphs = [];
+    for (const segment of segments || []) {
+        const last = paragraphs[paragraphs.length - 1];
+        if (last && last.speaker === (segment.speaker || null)) {
+            last.texts.push(segment.text);
+        } else {
+            paragraphs.push({ speaker: segment.speaker || null, texts: [segment.text] });
+        }
+    }
+
+    return paragraphs.map(paragraph => {
+        const text = paragraph.texts.join(' ');
+        const name = speakerName && paragraph.speaker ? speakerName(paragraph.speaker) : null;
+        return name ? `${name}: ${text}` : text;
+    }).join('\n\n') + '\n';
+};
+
+// "00:01:02,500", "01:02.500" (WebVTT allows leaving out the hours) or "0:01:02.5"
+const parseTimestamp = (value) => {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+};
+
+const decodeEntities = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+
+/**
+ * Parses SRT or WebVTT captions. Formatting tags are removed; WebVTT voice spans
+ * (<v Name>) become the cue speaker.
+ *
+ * @param {string} content - Subtitle file content
+ * @returns {Array<Object>} Cues [{ start, end, text, voice }] sorted by start time, times in seconds
+ */
+const parseSubtitles = (content) => {
+    const blocks = content
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .split(/\n{2,}/);
+
+    const cues = [];
+    for (const block of blocks) {
+        const lines = block.split('\n').filter(line => line.trim().length > 0);
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        // Headers, NOTE, STYLE and REGION blocks have no timing line
+        if (timingIndex === -1) {
+            continue;
+        }
+
+        const [startText, endText = ''] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText);
+        // WebVTT cue settings follow the end time
+        const end = parseTimestamp(endText.trim().split(/\s+/)[0] || '');
+        if (start === null || end === null || end < start) {
+            continue;
+        }
+
+        const rawText = lines.slice(timingIndex + 1).join(' ');
+        const voice = /<v(?:\.[^\s>]*)?\s+([^>]+)>/.exec(rawText)?.[1]?.trim() || null;
+        const text = decodeEntities(rawText
+            .replace(/<[^>]*>/g, '')
+            .replace(/\{\\[^}]*\}/g, ''))
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        if (text.length > 0) {
+            cues.push({ start, end, text, voice });
+        }
+    }
+
+    return cues.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+    SUBTITLE_EXTENSIONS,
+    MAX_SUBTITLE_BYTES,
+    CAPTION_DEFAULTS,
+    buildCaptionCues,
+    wrapCaptionText,
+    formatSrt,
+    formatVtt,
+    formatPlainText,
+    parseSubtitles
+};
@@ -0,0 +1,136 @@
+// ================ Transcript Segments Utility ===================
+// File: src/utils/transcriptSegments.utils.js
+
+// Punctuation that ends a sentence, allowing closing quotes or brackets after it
+const SENTENCE_END_PATTERN = /[.!?…。！？]["'”’)\]]*$/;
+
+const DEFAULT_SEGMENT_OPTIONS = {
+    // Silence between two words that starts a new segment
+    pauseSeconds: 0.8,
+    // Caps for unpunctuated speech so a segment cannot run on forever
+    maxSeconds: 30,
+    maxWords: 80
+};
+
+// Titles that end with a period but are followed by a name
+const ABBREVIATIONS = new Set(['mr.', 'mrs.', 'ms.', 'dr.', 'prof.', 'st.', 'vs.', 'jr.', 'sr.']);
+
+// "e.g. the" ends with a period but the next word is lowercase; only count the period
+// when the next word does not start in lowercase.
+const endsSentence = (word, nextWord) => {
+    const text = word.text || '';
+    if (!SENTENCE_END_PATTERN.test(text) || ABBREVIATIONS.has(text.toLowerCase())) {
+        return false;
+    }
+    if (!nextWord) {
+        return true;
+    }
+    const firstChar = (nextWord.text || '').charAt(0);
+    return firstChar === firstChar.toUpperCase();
+};
+
+/**
+ * Groups timed words into Whisper-style segments that follow the speech: a segment ends
+ * at sentence punctuation, when another speaker starts, or at a pause between words.
+ * Every transcription provider builds its segments here so saved transcripts look the same.
+ *
+ * @param {Array<Object>} words - [{ text, start, end, confidence, speaker }] with times in seconds
+ * @param {Object} options - Overrides for pauseSeconds, maxSeconds and maxWords (optional)
+ * @returns {Array<Object>} Segments with id, start, end, text, speaker and their average word confidence
+ */
+const buildSegmentsFromWords = (words, options = {}) => {
+    if (!Array.isArray(words) || words.length === 0) {
+        return [];
+    }
+
+    const { pauseSeconds, maxSeconds, maxWords } = { ...DEFAULT_SEGMENT_OPTIONS, ...options };
+
+    const groups = [];
+    let current = [];
+    words.forEach((word, index) => {
+        current.push(word);
+
+        const nextWord = words[index + 1];
+        const speakerChanged = nextWord && (nextWord.speaker || null) !== (word.speaker || null);
+        const paused = nextWord && nextWord.start - word.end >= pauseSeconds;
+        const tooLong = current.length >= maxWords || word.end - current[0].start >= maxSeconds;
+
+        if (!nextWord || endsSentence(word, nextWord) || speakerChanged || paused || tooLong) {
+            groups.push(current);
+            current = [];
+        }
+    });
+
+    return groups.map((segmentWords, index) => {
+        const startTime = segmentWords[0].start;
+        const endTime = segmentWords[segmentWords.length - 1].end;
+        const confidence = averageWordConfidence(segmentWords);
+
+        return {
+            id: index,
+            seek: Math.floor(startTime),
+            start: startTime,
+            end: endTime,
+            text: segmentWords.map(w => w.text).join(' '),
+            speaker: segmentWords[0].speaker || null,
+            confidence: confidence,
+            tokens: segmentWords.map(w => w.text),
+            temperature: 0.0,
+            // Whisper reports a log probability here
+            avg_logprob: Math.log(Math.max(confidence, 1e-6)),
+            compression_ratio: 1.0,
+            no_speech_prob: 0.0
+        };
+    });
+};
+
+/**
+ * Speaker labels of a transcript in order of first appearance
+ *
+ * @param {Array<Object>} segments - Transcript segments
+ * @returns {Array<string>} Labels such as ["A", "B"]
+ */
+const listSpeakerLabels = (segments) => {
+    const labels = [];
+    for (const segment of segments || []) {
+        if (segment.speaker && !labels.includes(segment.speaker)) {
+            labels.push(segment.speaker);
+        }
+    }
+    return labels;
+};
+
+/**
+ * Display name of a speaker label, using names set on the video
+ *
+ * @param {Array<Object>} speakers - VideoModel.speakers [{ label, name }]
+ * @param {string} label - Speaker label from a segment
+ * @returns {string|null} Name, "Speaker <label>" when unnamed, or null without a label
+ */
+const getSpeakerName = (speakers, label) => {
+    if (!label) {
+        return null;
+    }
+    const speaker = (speakers || []).find(entry => entry.label === label);
+    return speaker?.name || `Speaker ${label}`;
+};
+
+/**
+ * Mean confidence of a list of words
+ *
+ * @param {Array<Object>} words - Words with an optional confidence in 0..1
+ * @returns {number} Average confidence, 0 for no words
+ */
+const averageWordConfidence = (words) => {
+    if (!Array.isArray(words) || words.length === 0) {
+        return 0;
+    }
+    return words.reduce((sum, word) => sum + (word.confidence || 0), 0) / words.length;
+};
+
+module.exports = {
+    buildSegmentsFromWords,
+    averageWordConfidence,
+    listSpeakerLabels,
+    getSpeakerName
+};
@@ -17,12 +17,16 @@ const validateEnvironmentVariables = () => {
         'DEV_EMBEDDING_MODEL',
         'DEV_GENERATIVE_MODEL',
         'MILVUS_ENDPOINT_ADDRESS',
-        'MILVUS_TOKEN',
-        'ASSEMBLYAI_API_KEY'
+        'MILVUS_TOKEN'
     ];
 
+    // Only the hosted transcription provider needs an API key
+    if ((process.env.TRANSCRIPTION_PROVIDER || 'assemblyai') === 'assemblyai') {
+        required.push('ASSEMBLYAI_API_KEY');
+    }
+
     const optional = [
-        'HUGGING_FACE_TOKEN' // For CLIP visual embeddings
+        'HUGGING_FACE_TOKEN' // For CLIP visual embeddings, local image features are used without it
     ];
 
     const missing = required.filter(key => !process.env[key]?.trim());
@@ -88,6 +92,12 @@ const validateSpecificFormats = () => {
         warnings.push('DEV_EMBEDDING_MODEL should contain "embedding" (e.g., "models/embedding-001")');
     }
     
+    // Validate frame extraction mode
+    const frameMode = process.env.FRAME_EXTRACTION_MODE;
+    if (frameMode && !['interval', 'scene'].includes(frameMode)) {
+        warnings.push(`FRAME_EXTRACTION_MODE should be "interval" or "scene", got: ${frameMode}`);
+    }
+    
     // Display warnings
     if (warnings.length > 0) {
         console.warn('⚠️  Environment Variable Warnings:');
@@ -113,13 +123,47 @@ const getEnvironmentConfig = () => {
         port: parseInt(process.env.PORT) || 3000,
         mongoUri: process.env.DEV_MONGODB_URI,
         jwtSecret: process.env.JWT_SECRET_KEY,
+        mediaUrlSecret: process.env.MEDIA_URL_SECRET,
+        mediaUrlTtlSeconds: parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 15 * 60,
         geminiApiKey: process.env.GEMINI_API_KEY,
         embeddingModel: process.env.DEV_EMBEDDING_MODEL,
         generativeModel: process.env.DEV_GENERATIVE_MODEL,
         milvusEndpoint: process.env.MILVUS_ENDPOINT_ADDRESS,
         milvusToken: process.env.MILVUS_TOKEN,
         openaiApiKey: process.env.OPENAI_API_KEY,
-        huggingFaceToken: process.env.HUGGING_FACE_TOKEN
+        huggingFaceToken: process.env.HUGGING_FACE_TOKEN,
+        indexingWorkerConcurrency: parseInt(process.env.INDEXING_WORKER_CONCURRENCY) || 1,
+        indexingWorkerPollMs: parseInt(process.env.INDEXING_WORKER_POLL_MS) || 2000,
+        indexingJobMaxAttempts: parseInt(process.env.INDEXING_JOB_MAX_ATTEMPTS) || 2,
+        resumableUploadMaxBytes: parseInt(process.env.RESUMABLE_UPLOAD_MAX_BYTES) || 5 * 1024 * 1024 * 1024,
+        uploadSessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24,
+        transcriptionSegmentSeconds: parseInt(process.env.TRANSCRIPTION_SEGMENT_SECONDS) || 600,
+        transcriptionSegmentOverlapSeconds: parseInt(process.env.TRANSCRIPTION_SEGMENT_OVERLAP_SECONDS) || 5,
+        transcriptionConcurrency: parseInt(process.env.TRANSCRIPTION_CONCURRENCY) || 3,
+        transcriptionTimeoutRatio: parseFloat(process.env.TRANSCRIPTION_TIMEOUT_RATIO) || 1,
+        transcriptionProvider: process.env.TRANSCRIPTION_PROVIDER || 'assemblyai',
+        speakerDiarization: process.env.SPEAKER_DIARIZATION !== 'false',
+        transcriptionFixturePath: process.env.TRANSCRIPTION_FIXTURE_PATH,
+        whisperModel: process.env.WHISPER_MODEL,
+        whisperCppBinary: process.env.WHISPER_CPP_BINARY || 'whisper-cli',
+        fasterWhisperBinary: process.env.FASTER_WHISPER_BINARY || 'whisper-ctranslate2',
+        whisperTimeoutRatio: parseFloat(process.env.WHISPER_TIMEOUT_RATIO) || 3,
+        frameExtractionMode: process.env.FRAME_EXTRACTION_MODE || 'interval',
+        frameIntervalSeconds: parseFloat(process.env.FRAME_INTERVAL_SECONDS) || 5,
+        sceneThreshold: parseFloat(process.env.SCENE_THRESHOLD) || 0.3,
+        sceneMinGapSeconds: parseFloat(process.env.SCENE_MIN_GAP_SECONDS) || 1,
+        sceneMaxGapSeconds: parseFloat(process.env.SCENE_MAX_GAP_SECONDS) || 30,
+        frameMaxDimension: parseInt(process.env.FRAME_MAX_DIMENSION) || 640,
+        visualEmbeddingProvider: process.env.VISUAL_EMBEDDING_PROVIDER || (process.env.HUGGING_FACE_TOKEN ? 'clip' : 'local'),
+        visualEmbeddingFallback: process.env.VISUAL_EMBEDDING_FALLBACK || 'local',
+        frameCaptionProvider: process.env.FRAME_CAPTION_PROVIDER || 'gemini',
+        frameCaptionModel: process.env.FRAME_CAPTION_MODEL || process.env.DEV_GENERATIVE_MODEL,
+        frameOcr: process.env.FRAME_OCR !== 'false',
+        tesseractBinary: process.env.TESSERACT_BINARY || 'tesseract',
+        ocrLanguages: process.env.OCR_LANGUAGES || 'eng',
+        ocrMinConfidence: Number.isInteger(parseInt(process.env.OCR_MIN_CONFIDENCE)) ? parseInt(process.env.OCR_MIN_CONFIDENCE) : 60,
+        frameDeduplication: process.env.FRAME_DEDUPLICATION !== 'false',
+        frameHashMaxDistance: Number.isInteger(parseInt(process.env.FRAME_HASH_MAX_DISTANCE)) ? parseInt(process.env.FRAME_HASH_MAX_DISTANCE) : 6
     };
     
     return config;
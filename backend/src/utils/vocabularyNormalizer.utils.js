@@ -0,0 +1,246 @@
+// ================ Vocabulary Normalizer Utility ===================
+// File: src/utils/vocabularyNormalizer.utils.js
+
+const { buildSegmentsFromWords } = require('./transcriptSegments.utils');
+
+// ASR splits unknown words into several known ones ("cube ernetes"), so a term is compared
+// with windows of up to this many more words than it has
+const EXTRA_WINDOW_WORDS = 2;
+const MAX_WINDOW_WORDS = 6;
+
+// Keys shorter than this only match exactly, too many ordinary words sit one edit away
+const MIN_FUZZY_KEY_LENGTH = 7;
+
+/**
+ * Spelling-insensitive key of a phrase: lowercase letters and digits only, accents removed,
+ * c/q/ck spelled k, ph spelled f and doubled letters collapsed, so "cube ernetes" and
+ * "Kubernetes" share the key "kubernetes"
+ */
+const soundKey = (text) => text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '')
+    .replace(/ph/g, 'f')
+    .replace(/[cq]/g, 'k')
+    .replace(/(.)\1+/g, '$1');
+
+const wordCount = (text) => text.trim().split(/\s+/).length;
+
+// Levenshtein distance, giving up once it exceeds maxDistance
+const withinDistance = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return false;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) {
+            return false;
+        }
+        previous = current;
+    }
+    return previous[b.length] <= maxDistance;
+};
+
+/**
+ * Prepares vocabulary terms for repeated matching
+ *
+ * @param {Array<Object>} terms - [{ phrase, sounds_like }]
+ * @returns {Object} Matcher used by normalizeWordsWithVocabulary
+ */
+const buildVocabularyMatcher = (terms) => {
+    const exact = new Map();
+    const fuzzy = [];
+    let maxWindow = 1;
+
+    for (const term of terms || []) {
+        const phrase = term.phrase?.trim();
+        if (!phrase) {
+            continue;
+        }
+
+        const phraseKey = soundKey(phrase);
+        const variants = [phrase, ...(term.sounds_like || [])].filter(Boolean);
+        for (const variant of variants) {
+            const key = soundKey(variant);
+            if (key && !exact.has(key)) {
+                exact.set(key, phrase);
+            }
+            maxWindow = Math.max(maxWindow, wordCount(variant) + EXTRA_WINDOW_WORDS);
+        }
+
+        if (phraseKey.length >= MIN_FUZZY_KEY_LENGTH) {
+            fuzzy.push({
+                key: phraseKey,
+                phrase: phrase,
+                words: wordCount(phrase),
+                maxDistance: phraseKey.length >= 10 ? 2 : 1
+            });
+        }
+    }
+
+    return { exact, fuzzy, maxWindow: Math.min(maxWindow, MAX_WINDOW_WORDS) };
+};
+
+// Exact keys match any window; a misspelling only matches a window with at least as many
+// words as the term that has no punctuation inside it, so "amelia chen" never grows into
+// "Dr. Amelia Chen" and "cube ernetes, on" never swallows the "on"
+const findTerm = (matcher, window, fuzzy) => {
+    const key = soundKey(window.map(word => word.text).join(' '));
+    if (!key) {
+        return null;
+    }
+    if (!fuzzy) {
+        return matcher.exact.get(key) || null;
+    }
+    if (key.length < MIN_FUZZY_KEY_LENGTH
+        || window.slice(0, -1).some(word => /[^\p{L}\p{N}]$/u.test(word.text))) {
+        return null;
+    }
+    const match = matcher.fuzzy.find(term =>
+        window.length >= term.words
+        && window.length <= term.words + EXTRA_WINDOW_WORDS
+        && withinDistance(key, term.key, term.maxDistance));
+    return match ? match.phrase : null;
+};
+
+/**
+ * Rewrites misrecognised vocabulary terms in timed words, e.g. "cube ernetes," becomes
+ * "Kubernetes,". Punctuation around the replaced words is kept, and the term's words are
+ * spread over the time of the words they replace.
+ *
+ * @param {Array<Object>} words - [{ text, start, end, confidence, speaker }]; start and end are optional
+ * @param {Object} matcher - From buildVocabularyMatcher
+ * @returns {Object} { words, replacements: [{ from, to, start }] }
+ */
+const normalizeWordsWithVocabulary = (words, matcher) => {
+    if (!Array.isArray(words) || words.length === 0 || matcher.exact.size === 0) {
+        return { words: words || [], replacements: [] };
+    }
+
+    const output = [];
+    const replacements = [];
+    let i = 0;
+
+    while (i < words.length) {
+        let consumed = 0;
+
+        const maxSize = Math.min(matcher.maxWindow, words.length - i);
+        // Exact matches of any window size win over misspellings
+        const attempts = [false, true].flatMap(fuzzy =>
+            Array.from({ length: maxSize }, (_, index) => ({ fuzzy, size: maxSize - index })));
+
+        for (const { fuzzy, size } of attempts) {
+            const window = words.slice(i, i + size);
+            // A window never crosses a change of speaker
+            if (window.some(word => (word.speaker || null) !== (window[0].speaker || null))) {
+                continue;
+            }
+
+            const phrase = findTerm(matcher, window, fuzzy);
+            if (!phrase) {
+                continue;
+            }
+
+            const windowText = window.map(word => word.text).join(' ');
+
+            const leading = /^[^\p{L}\p{N}]*/u.exec(window[0].text)[0];
+            const trailing = /[^\p{L}\p{N}]*$/u.exec(window[window.length - 1].text)[0];
+            const replacement = `${leading}${phrase}${trailing}`;
+            consumed = size;
+
+            if (replacement === windowText) {
+                output.push(...window);
+                break;
+            }
+
+            const phraseWords = replacement.split(' ');
+            const first = window[0];
+            const last = window[window.length - 1];
+            const hasTimes = typeof first.start === 'number' && typeof last.end === 'number';
+            const step = hasTimes ? (last.end - first.start) / phraseWords.length : 0;
+            const confidence = window.reduce((sum, word) => sum + (word.confidence || 0), 0) / window.length;
+
+            phraseWords.forEach((text, index) => output.push({
+                ...first,
+                text: text,
+                ...(hasTimes && {
+                    start: first.start + index * step,
+                    end: first.start + (index + 1) * step
+                }),
+                ...(first.confidence !== undefined && { confidence })
+            }));
+            replacements.push({ from: windowText, to: replacement, start: first.start ?? null });
+            break;
+        }
+
+        if (consumed === 0) {
+            output.push(words[i]);
+            consumed = 1;
+        }
+        i += consumed;
+    }
+
+    return { words: output, replacements };
+};
+
+/**
+ * Applies a vocabulary to a provider transcript before it is saved and chunked. Segments are
+ * rebuilt from the corrected words; a transcript without words has its segment texts
+ * corrected instead.
+ *
+ * @param {Object} result - Provider transcript { fullText, segments, words, ... }
+ * @param {Array<Object>} terms - Vocabulary terms [{ phrase, sounds_like }]
+ * @returns {Object} { result, replacements }
+ */
+const applyVocabularyToTranscript = (result, terms) => {
+    const matcher = buildVocabularyMatcher(terms);
+
+    if (Array.isArray(result.words) && result.words.length > 0) {
+        const { words, replacements } = normalizeWordsWithVocabulary(result.words, matcher);
+        if (replacements.length === 0) {
+            return { result, replacements };
+        }
+        return {
+            result: {
+                ...result,
+                fullText: words.map(word => word.text).join(' '),
+                segments: buildSegmentsFromWords(words),
+                words: words
+            },
+            replacements
+        };
+    }
+
+    const replacements = [];
+    const segments = (result.segments || []).map(segment => {
+        const tokens = segment.text.split(/\s+/).filter(Boolean).map(text => ({ text, speaker: segment.speaker }));
+        const normalized = normalizeWordsWithVocabulary(tokens, matcher);
+        replacements.push(...normalized.replacements.map(replacement => ({ ...replacement, start: segment.start })));
+        return { ...segment, text: normalized.words.map(word => word.text).join(' ') };
+    });
+    if (replacements.length === 0) {
+        return { result, replacements };
+    }
+    return {
+        result: { ...result, fullText: segments.map(segment => segment.text).join(' '), segments },
+        replacements
+    };
+};
+
+module.exports = {
+    soundKey,
+    buildVocabularyMatcher,
+    normalizeWordsWithVocabulary,
+    applyVocabularyToTranscript
+};
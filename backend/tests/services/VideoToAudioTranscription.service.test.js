@@ -0,0 +1,115 @@
+const {
+    alignSegmentSpeakers,
+    stitchSegmentTranscripts
+} = require('../../src/services/VideoToAudioTranscription.service');
+
+// [text, start, end, speaker] tuples as provider words
+const toWords = (entries) => entries.map(([text, start, end, speaker]) => ({ text, start, end, confidence: 0.9, speaker }));
+
+describe('alignSegmentSpeakers', () => {
+    const previousWords = toWords([
+        ['so', 60.2, 60.4, 'A'],
+        ['that', 60.5, 60.8, 'A'],
+        ['is', 61, 61.2, 'B'],
+        ['right', 61.3, 61.6, 'B']
+    ]);
+
+    test('maps labels to the earlier speaker saying the same words in the overlap', () => {
+        const words = toWords([
+            ['so', 60.25, 60.45, 'B'],
+            ['that', 60.55, 60.8, 'B'],
+            ['is', 61.05, 61.2, 'A'],
+            ['right', 61.3, 61.6, 'A']
+        ]);
+        const usedLabels = new Set(['A', 'B']);
+
+        expect(alignSegmentSpeakers(previousWords, words, 60, 65, usedLabels)).toEqual({ B: 'A', A: 'B' });
+        expect([...usedLabels]).toEqual(['A', 'B']);
+    });
+
+    test('gives speakers without a match in the overlap a new label', () => {
+        const words = toWords([
+            ['so', 60.2, 60.4, 'A'],
+            ['hello', 70, 70.4, 'B']
+        ]);
+        const usedLabels = new Set(['A', 'B']);
+
+        expect(alignSegmentSpeakers(previousWords, words, 60, 65, usedLabels)).toEqual({ A: 'A', B: 'C' });
+        expect(usedLabels.has('C')).toBe(true);
+    });
+
+    test('does not match words far apart in time', () => {
+        const words = toWords([['so', 62, 62.2, 'A']]);
+
+        expect(alignSegmentSpeakers(previousWords, words, 60, 65, new Set(['A', 'B']))).toEqual({ A: 'C' });
+    });
+});
+
+describe('stitchSegmentTranscripts', () => {
+    // Two segments of the same audio overlapping from 60s to 65s; the cut is at 62.5s
+    const segments = [{ start: 0, duration: 65 }, { start: 60, duration: 40 }];
+    const results = [
+        {
+            language: 'en',
+            words: toWords([
+                ['Welcome', 0, 0.5, 'A'],
+                ['back.', 0.6, 1, 'A'],
+                ['Today', 61, 61.4, 'A'],
+                ['we', 61.5, 61.7, 'A'],
+                ['ship', 62.3, 62.7, 'A'],
+                ['clipp', 64.6, 65, 'A']
+            ]),
+            metadata: { provider: 'fake', providerJobId: 'job-a' }
+        },
+        {
+            language: 'en',
+            // Times are relative to the segment start; this provider run named the speaker "B"
+            words: toWords([
+                ['Today', 1.02, 1.4, 'B'],
+                ['we', 1.5, 1.7, 'B'],
+                ['ship', 2.55, 2.9, 'B'],
+                ['clipped', 3, 3.4, 'B'],
+                ['code.', 3.5, 3.9, 'B'],
+                ['Great!', 10, 10.5, 'A']
+            ]),
+            metadata: { provider: 'fake', providerJobId: 'job-b' }
+        }
+    ];
+
+    test('shifts word times by the segment start and keeps each overlap word once', () => {
+        const stitched = stitchSegmentTranscripts(segments, results, 100);
+
+        expect(stitched.words.map(word => [word.text, word.start])).toEqual([
+            ['Welcome', 0],
+            ['back.', 0.6],
+            ['Today', 61],
+            ['we', 61.5],
+            ['ship', 62.3],
+            ['clipped', 63],
+            ['code.', 63.5],
+            ['Great!', 70]
+        ]);
+        expect(stitched.fullText).toBe('Welcome back. Today we ship clipped code. Great!');
+    });
+
+    test('relabels speakers of later segments to the labels of earlier ones', () => {
+        const stitched = stitchSegmentTranscripts(segments, results, 100);
+
+        expect(stitched.words.map(word => word.speaker)).toEqual(['A', 'A', 'A', 'A', 'A', 'A', 'A', 'B']);
+        expect(stitched.segments.map(segment => [segment.speaker, segment.text])).toEqual([
+            ['A', 'Welcome back.'],
+            ['A', 'Today we ship clipped code.'],
+            ['B', 'Great!']
+        ]);
+    });
+
+    test('reports the whole audio and every provider job', () => {
+        const stitched = stitchSegmentTranscripts(segments, results, 100);
+
+        expect(stitched).toMatchObject({
+            language: 'en',
+            duration: 100,
+            metadata: { provider: 'fake', providerJobId: 'job-a,job-b', audioSegments: 2 }
+        });
+    });
+});
@@ -0,0 +1,86 @@
+jest.mock('../../src/models/indexingJob.model', () => ({
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(async () => ({}))
+}));
+jest.mock('../../src/models/video.model', () => ({
+    findOne: jest.fn(),
+    updateOne: jest.fn(async () => ({}))
+}));
+jest.mock('../../src/services/videoIndexingPipeline.service', () => ({
+    runVideoIndexingPipeline: jest.fn(),
+    getResumeStages: jest.fn(() => []),
+    markVideoFailed: jest.fn(async () => {})
+}));
+jest.mock('../../src/services/videoDeduplication.service', () => ({ cloneVideoIndex: jest.fn() }));
+jest.mock('../../src/services/transcriptTranslation.service', () => ({ runTranscriptTranslation: jest.fn() }));
+jest.mock('../../src/services/webhookDispatcher.service', () => ({ dispatchWebhookEvent: jest.fn(async () => {}) }));
+
+const IndexingJobModel = require('../../src/models/indexingJob.model');
+const VideoModel = require('../../src/models/video.model');
+const { runVideoIndexingPipeline, markVideoFailed } = require('../../src/services/videoIndexingPipeline.service');
+const { dispatchWebhookEvent } = require('../../src/services/webhookDispatcher.service');
+const { startIndexingWorker, stopIndexingWorker } = require('../../src/services/indexingJobQueue.service');
+
+// Lets the worker claim the job and run it to the end
+const runClaimedJob = async (job) => {
+    IndexingJobModel.findOneAndUpdate.mockResolvedValueOnce(job).mockResolvedValue(null);
+    startIndexingWorker();
+    for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    stopIndexingWorker();
+};
+
+const indexJob = (attempts) => ({
+    job_id: 'job-1',
+    video_uuid: 'video-1',
+    requested_by: 'user-1',
+    type: 'index',
+    attempts: attempts,
+    max_attempts: 2
+});
+
+describe('failed indexing jobs', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        VideoModel.findOne.mockResolvedValue({ uuid: 'video-1', original_name: 'talk.mp4' });
+        runVideoIndexingPipeline.mockRejectedValue(new Error('Milvus unavailable'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('keep the video pending while a retry is queued', async () => {
+        await runClaimedJob(indexJob(1));
+
+        expect(IndexingJobModel.updateOne).toHaveBeenCalledWith(
+            { job_id: 'job-1' },
+            expect.objectContaining({ status: 'queued', error_message: 'Milvus unavailable' })
+        );
+        expect(VideoModel.updateOne).toHaveBeenCalledWith(
+            { uuid: 'video-1' },
+            expect.objectContaining({ indexing_status: 'pending' })
+        );
+        expect(markVideoFailed).not.toHaveBeenCalled();
+        expect(dispatchWebhookEvent).not.toHaveBeenCalled();
+    });
+
+    test('mark the video failed after the last attempt', async () => {
+        await runClaimedJob(indexJob(2));
+
+        expect(markVideoFailed).toHaveBeenCalledWith('video-1', 'Milvus unavailable');
+        expect(VideoModel.updateOne).not.toHaveBeenCalled();
+        expect(dispatchWebhookEvent).toHaveBeenCalledWith('user-1', 'indexing.failed', expect.objectContaining({ videoId: 'video-1' }));
+    });
+
+    test('mark the video failed right away for permanent errors', async () => {
+        runVideoIndexingPipeline.mockRejectedValue(Object.assign(new Error('Video file not found on disk'), { permanent: true }));
+        await runClaimedJob(indexJob(1));
+
+        expect(markVideoFailed).toHaveBeenCalledWith('video-1', 'Video file not found on disk');
+        expect(VideoModel.updateOne).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,67 @@
+jest.mock('../../src/models/uploadSession.model', () => ({
+    updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 })
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const UploadSessionModel = require('../../src/models/uploadSession.model');
+const {
+    parseUploadMetadata,
+    reopenUpload
+} = require('../../src/services/resumableUpload.service');
+
+const base64 = (value) => Buffer.from(value, 'utf8').toString('base64');
+
+describe('parseUploadMetadata', () => {
+    test('decodes comma separated key and base64 value pairs', () => {
+        const header = `filename ${base64('talk über kubernetes.mp4')},filetype ${base64('video/mp4')}, language ${base64('de')}`;
+
+        expect(parseUploadMetadata(header)).toEqual({
+            filename: 'talk über kubernetes.mp4',
+            filetype: 'video/mp4',
+            language: 'de'
+        });
+    });
+
+    test('keeps keys sent without a value as empty strings', () => {
+        expect(parseUploadMetadata(`is_confidential,filename ${base64('a.mp4')}`)).toEqual({
+            is_confidential: '',
+            filename: 'a.mp4'
+        });
+    });
+
+    test('returns no metadata for a missing or empty header', () => {
+        expect(parseUploadMetadata()).toEqual({});
+        expect(parseUploadMetadata('')).toEqual({});
+        expect(parseUploadMetadata(' , ')).toEqual({});
+    });
+});
+
+describe('reopenUpload', () => {
+    let workDir;
+
+    beforeEach(async () => {
+        workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resumable-upload-'));
+        UploadSessionModel.updateOne.mockClear();
+    });
+
+    afterEach(async () => {
+        await fs.remove(workDir);
+    });
+
+    test('moves the finalized file back and reopens the session', async () => {
+        const session = { _id: 'session-1', temp_path: path.join(workDir, 'upload.part') };
+        const file = { path: path.join(workDir, 'talk_1760000000_abc.mp4') };
+        await fs.writeFile(file.path, 'video bytes');
+
+        await reopenUpload(session, file);
+
+        expect(await fs.pathExists(file.path)).toBe(false);
+        expect(await fs.readFile(session.temp_path, 'utf8')).toBe('video bytes');
+        expect(UploadSessionModel.updateOne).toHaveBeenCalledWith(
+            { _id: 'session-1', status: 'completed' },
+            { status: 'uploading' }
+        );
+    });
+});
@@ -0,0 +1,132 @@
+jest.mock('../../src/services/VideoToAudioTranscription.service', () => ({
+    saveTranscriptionFiles: jest.fn()
+}));
+jest.mock('../../src/services/videoIndexingPipeline.service', () => ({
+    getTranscriptionOutputDir: jest.fn(),
+    loadSavedTranscription: jest.fn()
+}));
+
+const { loadSavedTranscription } = require('../../src/services/videoIndexingPipeline.service');
+const {
+    TranscriptEditError,
+    validateTranscriptEdits,
+    applyTranscriptEdits,
+    correctTranscript
+} = require('../../src/services/transcriptRevision.service');
+
+const transcription = {
+    fullText: 'We deploy with cube control. Then we check the logs. Thanks for watching.',
+    segments: [
+        { id: 0, start: 0, end: 3, text: 'We deploy with cube control.', speaker: 'A' },
+        { id: 1, start: 3, end: 6, text: 'Then we check the logs.', speaker: 'A' },
+        { id: 2, start: 6, end: 8, text: 'Thanks for watching.', speaker: 'B' }
+    ],
+    words: [
+        { text: 'We', start: 0, end: 0.5 },
+        { text: 'deploy', start: 0.5, end: 1 },
+        { text: 'Then', start: 3, end: 3.5 },
+        { text: 'Thanks', start: 6, end: 6.5 }
+    ]
+};
+
+describe('validateTranscriptEdits', () => {
+    test.each([
+        [[], 'edits must be a non-empty array'],
+        [[{ text: 'x' }], 'Edit 1 needs either segment_id or start and end'],
+        [[{ segment_id: 0, start: 0, end: 1, text: 'x' }], 'Edit 1 needs either segment_id or start and end'],
+        [[{ start: 5, end: 2, text: 'x' }], 'Edit 1: start and end must be numbers of seconds with end after start'],
+        [[{ segment_id: 0 }], 'Edit 1 needs either text or find and replace'],
+        [[{ segment_id: 0, find: ' ', replace: 'x' }], 'Edit 1: find must be a non-empty string and replace a string']
+    ])('rejects %j', (edits, message) => {
+        expect(() => validateTranscriptEdits(edits)).toThrow(new TranscriptEditError(message));
+    });
+
+    test('accepts edits by segment or by time range', () => {
+        expect(() => validateTranscriptEdits([
+            { segment_id: 0, text: 'New text' },
+            { start: 3, end: 6, find: 'logs', replace: 'metrics' }
+        ])).not.toThrow();
+    });
+});
+
+describe('applyTranscriptEdits', () => {
+    test('replaces a whole word in the selected segments only', () => {
+        const { transcription: edited, changes } = applyTranscriptEdits(transcription, [
+            { start: 0, end: 3, find: 'cube control', replace: 'kubectl' }
+        ]);
+
+        expect(changes).toEqual([
+            { segment_id: 0, start: 0, end: 3, before: 'We deploy with cube control.', after: 'We deploy with kubectl.' }
+        ]);
+        expect(edited.fullText).toBe('We deploy with kubectl. Then we check the logs. Thanks for watching.');
+        expect(edited.segments[1]).toEqual(transcription.segments[1]);
+        expect(transcription.segments[0].text).toBe('We deploy with cube control.');
+    });
+
+    test('does not replace inside longer words', () => {
+        expect(() => applyTranscriptEdits(transcription, [{ segment_id: 1, find: 'he', replace: 'she' }]))
+            .toThrow('The edits did not change the transcript');
+    });
+
+    test('rebuilds word timings and confidence of edited segments', () => {
+        const { transcription: edited } = applyTranscriptEdits(transcription, [{ segment_id: 0, text: 'We ship it.' }]);
+
+        expect(edited.segments[0]).toMatchObject({ text: 'We ship it.', tokens: ['We', 'ship', 'it.'], confidence: 1, edited: true });
+        expect(edited.words.map(word => [word.text, word.start, word.end])).toEqual([
+            ['We', 0, 1],
+            ['ship', 1, 2],
+            ['it.', 2, 3],
+            ['Then', 3, 3.5],
+            ['Thanks', 6, 6.5]
+        ]);
+    });
+
+    test('merges the segments of a replaced range into the first one', () => {
+        const { transcription: edited, changes } = applyTranscriptEdits(transcription, [
+            { start: 1, end: 5, text: 'We deploy and check the logs.' }
+        ]);
+
+        expect(edited.segments.map(segment => [segment.id, segment.start, segment.end])).toEqual([[0, 0, 6], [2, 6, 8]]);
+        expect(changes.map(change => [change.segment_id, change.after])).toEqual([
+            [0, 'We deploy and check the logs.'],
+            [1, null]
+        ]);
+    });
+
+    test('removes a segment edited to empty text', () => {
+        const { transcription: edited } = applyTranscriptEdits(transcription, [{ segment_id: 2, text: '  ' }]);
+
+        expect(edited.segments.map(segment => segment.id)).toEqual([0, 1]);
+    });
+
+    test('refuses to merge the segments of several speakers', () => {
+        expect(() => applyTranscriptEdits(transcription, [{ start: 5, end: 7, text: 'x' }]))
+            .toThrow('Edit 1: the range covers several speakers, edit their segments separately');
+    });
+
+    test('reports a segment that does not exist', () => {
+        expect(() => applyTranscriptEdits(transcription, [{ segment_id: 9, text: 'x' }]))
+            .toThrow('Edit 1: segment 9 not found');
+    });
+});
+
+describe('correctTranscript', () => {
+    const videoRecord = { uuid: 'video-1' };
+    const edits = [{ segment_id: 0, text: 'We ship it.' }];
+
+    test('rejects a note over 500 characters with a 400', async () => {
+        const error = await correctTranscript(videoRecord, edits, { authorId: 'user-1', note: 'x'.repeat(501) }).catch(e => e);
+
+        expect(error).toBeInstanceOf(TranscriptEditError);
+        expect(error.statusCode).toBe(400);
+        expect(loadSavedTranscription).not.toHaveBeenCalled();
+    });
+
+    test('answers 404 when the video has no transcript yet', async () => {
+        loadSavedTranscription.mockResolvedValueOnce(null);
+        const error = await correctTranscript(videoRecord, edits, { authorId: 'user-1' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(TranscriptEditError);
+        expect(error.statusCode).toBe(404);
+    });
+});
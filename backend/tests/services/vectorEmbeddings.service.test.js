@@ -0,0 +1,160 @@
+// Milvus rows live in memory and embeddings are made up, so syncTextEmbeddings can be
+// followed chunk by chunk
+const mockRows = new Map();
+const mockEmbedContent = jest.fn(async () => ({ embedding: { values: [0.1, 0.2, 0.3] } }));
+
+// The filter expressions the service deletes with: "id in [...]", or conditions joined by &&
+// where "_" and "%" in like patterns are one-character and any-length wildcards
+const mockMatchesFilter = (row, filter) => {
+    if (filter.startsWith('id in ')) {
+        return JSON.parse(filter.replace(/^id in /, '')).includes(row.id);
+    }
+    return filter.split(' && ').every(condition => {
+        const [, field, operator, value] = /^(\w+) (==|like) "(.*)"$/.exec(condition);
+        if (operator === '==') {
+            return String(row[field]) === value;
+        }
+        const pattern = value.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&').replace(/_/g, '.').replace(/%/g, '.*');
+        return new RegExp(`^${pattern}$`).test(String(row[field]));
+    });
+};
+
+jest.mock('@zilliz/milvus2-sdk-node', () => ({
+    MilvusClient: jest.fn().mockImplementation(() => ({
+        hasCollection: jest.fn(async () => ({ value: true })),
+        createCollection: jest.fn(async () => ({})),
+        createIndex: jest.fn(async () => ({})),
+        loadCollection: jest.fn(async () => ({})),
+        flush: jest.fn(async () => ({})),
+        getCollectionStatistics: jest.fn(async () => ({})),
+        search: jest.fn(async () => ({ results: [] })),
+        insert: jest.fn(async ({ data }) => {
+            data.forEach(row => mockRows.set(row.id, row));
+            return { acknowledged: true };
+        }),
+        query: jest.fn(async ({ offset }) => ({ data: offset > 0 ? [] : [...mockRows.values()] })),
+        delete: jest.fn(async ({ filter }) => {
+            const deleted = [...mockRows.values()].filter(row => mockMatchesFilter(row, filter));
+            deleted.forEach(row => mockRows.delete(row.id));
+            return { delete_cnt: deleted.length };
+        })
+    }))
+}));
+
+jest.mock('@google/generative-ai', () => ({
+    GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+        getGenerativeModel: () => ({ embedContent: mockEmbedContent })
+    }))
+}));
+
+const {
+    TEXT_COLLECTION_NAME,
+    syncTextEmbeddings,
+    storeTranslationEmbeddings,
+    deleteVideoEmbeddings,
+    translationRowsFilter
+} = require('../../src/services/vectorEmbeddings.service');
+
+// Five minutes of 10 second segments, one sentence each, in turns of two speakers
+const buildTranscript = (editSegment = null) => {
+    const segments = Array.from({ length: 30 }, (_, i) => ({
+        text: `Sentence number ${i + 1} explains step ${i + 1} of the deployment and why the team does it this way.`,
+        start: i * 10,
+        end: i * 10 + 10,
+        speaker: Math.floor(i / 5) % 2 === 0 ? 'A' : 'B'
+    }));
+    if (editSegment !== null) {
+        segments[editSegment].text = segments[editSegment].text.replace('the team', 'our team');
+    }
+    return { fullText: segments.map(segment => segment.text).join(' '), segments };
+};
+
+const embeddedTypes = () => mockEmbedContent.mock.calls.map(([text]) =>
+    [...mockRows.values()].find(row => row.text_chunk === text)?.id.split('_')[1]);
+
+describe('syncTextEmbeddings', () => {
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockRows.clear();
+        await syncTextEmbeddings('video-1', buildTranscript());
+        mockEmbedContent.mockClear();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a one-word edit early in the video re-embeds only the chunks holding that segment', async () => {
+        const rowsBefore = mockRows.size;
+        const result = await syncTextEmbeddings('video-1', buildTranscript(2));
+
+        expect(result.success).toBe(true);
+        expect(result.added).toBe(3);
+        expect(result.deleted).toBe(3);
+        expect(result.kept).toBe(rowsBefore - 3);
+        expect(embeddedTypes().sort()).toEqual(['sentence', 'standard', 'timestamp']);
+        expect(mockRows.size).toBe(rowsBefore);
+    });
+
+    test('an edit in the overlap of two standard windows re-embeds both of them', async () => {
+        const result = await syncTextEmbeddings('video-1', buildTranscript(10));
+
+        expect(result.success).toBe(true);
+        expect(embeddedTypes().filter(type => type === 'standard')).toHaveLength(2);
+    });
+
+    test('an edit that adds words does not shift the standard chunks after it', async () => {
+        const transcript = buildTranscript();
+        transcript.segments[0].text = 'So, as you all know by now, ' + transcript.segments[0].text;
+        transcript.fullText = transcript.segments.map(segment => segment.text).join(' ');
+
+        const result = await syncTextEmbeddings('video-1', transcript);
+
+        expect(result.success).toBe(true);
+        expect(embeddedTypes().filter(type => type === 'standard')).toHaveLength(1);
+    });
+
+    test('an unchanged transcript embeds nothing', async () => {
+        const result = await syncTextEmbeddings('video-1', buildTranscript());
+
+        expect(result).toMatchObject({ success: true, added: 0, deleted: 0 });
+        expect(mockEmbedContent).not.toHaveBeenCalled();
+    });
+});
+
+describe('translation tracks', () => {
+    const track = (language, word) => ({
+        language: language,
+        segments: [
+            { start: 0, end: 5, text: `${word} number one of this track.` },
+            { start: 5, end: 10, text: `${word} number two of this track.`, speaker: 'B' }
+        ]
+    });
+    const languagesOf = () => [...mockRows.values()].map(row => row.language).sort();
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockRows.clear();
+        await storeTranslationEmbeddings('video-1', track('pt', 'Frase'));
+        await storeTranslationEmbeddings('video-1', track('pt-BR', 'Sentença'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('translating pt again replaces only the pt rows', async () => {
+        await storeTranslationEmbeddings('video-1', track('pt_pt', 'Oração'));
+        await storeTranslationEmbeddings('video-1', track('pt', 'Linha'));
+
+        expect(languagesOf()).toEqual(['pt', 'pt', 'pt-BR', 'pt-BR', 'pt-PT', 'pt-PT']);
+        expect(mockRows.get('video-1_translation-pt-BR_0').text_chunk).toContain('Sentença');
+        expect(mockRows.get('video-1_translation-pt_0').text_chunk).toContain('Linha');
+    });
+
+    test('deleting the pt track keeps the pt-BR track', async () => {
+        await deleteVideoEmbeddings(TEXT_COLLECTION_NAME, 'video-1', translationRowsFilter('video-1', 'pt'));
+
+        expect(languagesOf()).toEqual(['pt-BR', 'pt-BR']);
+    });
+});
@@ -0,0 +1,58 @@
+// Only the stage planning is tested, nothing is indexed
+jest.mock('../../src/services/vectorEmbeddings.service', () => ({}));
+
+const {
+    PIPELINE_STAGES,
+    resolvePipelineStages,
+    getResumeStages
+} = require('../../src/services/videoIndexingPipeline.service');
+
+describe('resolvePipelineStages', () => {
+    test('runs every stage when none are requested', () => {
+        expect(resolvePipelineStages()).toEqual(PIPELINE_STAGES);
+    });
+
+    test('adds the stages that depend on a requested stage, in pipeline order', () => {
+        expect(resolvePipelineStages(['audio'])).toEqual(['audio', 'transcript', 'text_embeddings']);
+        expect(resolvePipelineStages(['frames'])).toEqual(['frames', 'frame_captions', 'ocr', 'visual_embeddings']);
+    });
+
+    test('expands stage aliases', () => {
+        expect(resolvePipelineStages(['embeddings'])).toEqual(['text_embeddings', 'visual_embeddings']);
+        expect(resolvePipelineStages(['text_embeddings', 'transcription'])).toEqual(['audio', 'transcript', 'text_embeddings']);
+    });
+
+    test('runs a stage without dependents on its own', () => {
+        expect(resolvePipelineStages(['ocr'])).toEqual(['ocr']);
+    });
+
+    test('rejects unknown stage names', () => {
+        expect(() => resolvePipelineStages(['thumbnails'])).toThrow('Unknown pipeline stage "thumbnails"');
+    });
+});
+
+describe('getResumeStages', () => {
+    // Video whose checkpoints have the given statuses, every other stage completed
+    const videoWith = (statuses) => ({
+        processing_stages: Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, { status: statuses[stage] || 'completed' }]))
+    });
+
+    test('returns nothing when every stage is completed or skipped', () => {
+        expect(getResumeStages(videoWith({ ocr: 'skipped' }))).toEqual([]);
+    });
+
+    test('resumes a failed stage and the stages depending on it', () => {
+        expect(getResumeStages(videoWith({ transcript: 'failed' }))).toEqual(['transcript', 'text_embeddings']);
+    });
+
+    test('runs a stage added after the video was indexed on its own', () => {
+        const videoRecord = videoWith({});
+        delete videoRecord.processing_stages.frame_captions;
+
+        expect(getResumeStages(videoRecord)).toEqual(['frame_captions']);
+    });
+
+    test('runs every stage of a video without checkpoints', () => {
+        expect(getResumeStages({})).toEqual(PIPELINE_STAGES);
+    });
+});
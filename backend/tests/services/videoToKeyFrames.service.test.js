@@ -0,0 +1,69 @@
+const {
+    FrameExtractionError,
+    parseFrameExtractionOptions,
+    buildSelectExpression,
+    parseShowinfoTime
+} = require('../../src/services/videoToKeyFrames.service');
+
+describe('parseFrameExtractionOptions', () => {
+    test('returns null when no frame settings were sent', () => {
+        expect(parseFrameExtractionOptions({})).toBeNull();
+        expect(parseFrameExtractionOptions({ frame_mode: '', frame_interval: null })).toBeNull();
+    });
+
+    test('converts form and tus metadata strings to settings', () => {
+        expect(parseFrameExtractionOptions({ frame_mode: 'scene', scene_threshold: '0.4', min_frame_gap: '2', max_frame_gap: '20' }))
+            .toEqual({ mode: 'scene', scene_threshold: 0.4, min_gap: 2, max_gap: 20 });
+        expect(parseFrameExtractionOptions({ frame_interval: '2.5' })).toEqual({ interval: 2.5 });
+    });
+
+    test.each([
+        [{ frame_mode: 'keyframes' }, 'frame_mode must be one of: interval, scene'],
+        [{ frame_interval: '0.1' }, 'frame_interval must be a number between 0.5 and 600'],
+        [{ frame_interval: 'often' }, 'frame_interval must be a number between 0.5 and 600'],
+        [{ scene_threshold: '1' }, 'scene_threshold must be a number between 0.01 and 0.99'],
+        [{ max_frame_gap: '0' }, 'max_frame_gap must be a number between 1 and 3600'],
+        [{ frame_mode: 'scene', min_frame_gap: '10', max_frame_gap: '5' }, 'max_frame_gap must be greater than min_frame_gap']
+    ])('rejects %j', (fields, message) => {
+        expect(() => parseFrameExtractionOptions(fields)).toThrow(new FrameExtractionError(message));
+    });
+
+    test('answers invalid settings with a 400', () => {
+        try {
+            parseFrameExtractionOptions({ frame_mode: 'keyframes' });
+        } catch (error) {
+            expect(error).toBeInstanceOf(FrameExtractionError);
+            expect(error.statusCode).toBe(400);
+        }
+        expect.assertions(2);
+    });
+});
+
+describe('buildSelectExpression', () => {
+    test('keeps the first frame and then one frame per interval', () => {
+        expect(buildSelectExpression({ mode: 'interval', interval: 5 }))
+            .toBe('isnan(prev_selected_t)+gte(t-prev_selected_t,5)');
+    });
+
+    test('keeps scene changes at least min_gap apart and a frame at least every max_gap', () => {
+        expect(buildSelectExpression({ mode: 'scene', scene_threshold: 0.3, min_gap: 1, max_gap: 30 }))
+            .toBe('isnan(prev_selected_t)+gte(t-prev_selected_t,30)+gt(scene,0.3)*gte(t-prev_selected_t,1)');
+    });
+});
+
+describe('parseShowinfoTime', () => {
+    test('reads pts_time as reported by showinfo', () => {
+        const line = '[Parsed_showinfo_2 @ 0x55d0c8c0] n:   3 pts:  45045 pts_time:1.5015  duration:   1001 pos: 123 fmt:yuv420p';
+
+        expect(parseShowinfoTime(line)).toBe(1.5015);
+    });
+
+    test('reads frames of streams that start before zero', () => {
+        expect(parseShowinfoTime('[Parsed_showinfo_2 @ 0x1] n:0 pts:-1001 pts_time:-0.0417 fmt:yuv420p')).toBe(-0.0417);
+    });
+
+    test('ignores other ffmpeg output', () => {
+        expect(parseShowinfoTime('frame=   12 fps=0.0 q=-0.0 size=N/A time=00:00:06.00 bitrate=N/A')).toBeNull();
+        expect(parseShowinfoTime('[Parsed_showinfo_2 @ 0x1] config in time_base: 1/30000, frame_rate: 30000/1001')).toBeNull();
+    });
+});
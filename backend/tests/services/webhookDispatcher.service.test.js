@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const {
+    SIGNATURE_HEADER,
+    signWebhookPayload
+} = require('../../src/services/webhookDispatcher.service');
+
+const SECRET = 'whsec_test_0123456789abcdef';
+const TIMESTAMP = '1760000000';
+const BODY = '{"event":"video.deleted","data":{"videoId":"abc"}}';
+
+describe('signWebhookPayload', () => {
+    test('sends the signature in the X-FrameWhisper-Signature header', () => {
+        expect(SIGNATURE_HEADER).toBe('X-FrameWhisper-Signature');
+    });
+
+    test('signs timestamp.body with HMAC-SHA256 as sha256=<hex>', () => {
+        expect(signWebhookPayload(SECRET, TIMESTAMP, BODY))
+            .toBe('sha256=9b92deeb7486a5ff2f760c33b0f62fa6401202a5a76305fc051525afeb51173c');
+    });
+
+    test('matches the signature a receiver computes from the raw request', () => {
+        const expected = crypto.createHmac('sha256', SECRET).update(`${TIMESTAMP}.${BODY}`).digest('hex');
+
+        expect(signWebhookPayload(SECRET, TIMESTAMP, BODY)).toBe(`sha256=${expected}`);
+    });
+
+    test('changes with the secret, the timestamp and the body', () => {
+        const signature = signWebhookPayload(SECRET, TIMESTAMP, BODY);
+
+        expect(signWebhookPayload(`${SECRET}x`, TIMESTAMP, BODY)).not.toBe(signature);
+        expect(signWebhookPayload(SECRET, '1760000001', BODY)).not.toBe(signature);
+        expect(signWebhookPayload(SECRET, TIMESTAMP, BODY.replace('abc', 'abd'))).not.toBe(signature);
+    });
+});
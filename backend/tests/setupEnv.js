@@ -0,0 +1,13 @@
+// Configuration the services validate on load; tests never reach these hosts
+Object.assign(process.env, {
+    PORT: '4999',
+    NODE_ENV: 'test',
+    DEV_MONGODB_URI: 'mongodb://127.0.0.1:27017/video-rag-test',
+    JWT_SECRET_KEY: 'test-jwt-secret',
+    GEMINI_API_KEY: 'test-gemini-key',
+    DEV_EMBEDDING_MODEL: 'models/embedding-001',
+    DEV_GENERATIVE_MODEL: 'gemini-test',
+    MILVUS_ENDPOINT_ADDRESS: 'http://127.0.0.1:19530',
+    MILVUS_TOKEN: 'test-milvus-token',
+    ASSEMBLYAI_API_KEY: 'test-assemblyai-key'
+});
@@ -0,0 +1,57 @@
+const {
+    FEATURE_IMAGE_SIZE,
+    LOCAL_FEATURE_DIM,
+    computeImageFeatures
+} = require('../../src/utils/imageFeatures.utils');
+
+// RGB bytes of a FEATURE_IMAGE_SIZE square image, colored pixel by pixel
+const imageOf = (colorAt) => {
+    const pixels = Buffer.alloc(FEATURE_IMAGE_SIZE * FEATURE_IMAGE_SIZE * 3);
+    for (let y = 0; y < FEATURE_IMAGE_SIZE; y++) {
+        for (let x = 0; x < FEATURE_IMAGE_SIZE; x++) {
+            pixels.set(colorAt(x, y), (y * FEATURE_IMAGE_SIZE + x) * 3);
+        }
+    }
+    return pixels;
+};
+
+// A dark slide with a light title bar, optionally with lighter lines of body text
+const slide = ({ bodyLines = 0, brightness = 0 } = {}) => imageOf((x, y) => {
+    const isTitle = y >= 6 && y < 14 && x >= 6 && x < 58;
+    const isBody = y >= 20 && y < 20 + bodyLines * 6 && y % 6 < 2 && x >= 8 && x < 50;
+    const value = isTitle ? 230 : isBody ? 200 : 30;
+    return [value + brightness, value + brightness, Math.min(255, value + brightness + 20)];
+});
+
+const stripes = imageOf((x) => (x % 8 < 4 ? [250, 20, 20] : [20, 20, 250]));
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('computeImageFeatures', () => {
+    test('returns 512 values, the dimension of the visual collection', () => {
+        expect(LOCAL_FEATURE_DIM).toBe(512);
+        expect(computeImageFeatures(slide())).toHaveLength(512);
+    });
+
+    test('returns a unit length vector', () => {
+        for (const image of [slide(), slide({ bodyLines: 3 }), stripes]) {
+            expect(Math.sqrt(dot(computeImageFeatures(image), computeImageFeatures(image)))).toBeCloseTo(1, 6);
+        }
+    });
+
+    test('returns the same vector for the same pixels', () => {
+        expect(computeImageFeatures(slide({ bodyLines: 2 }))).toEqual(computeImageFeatures(slide({ bodyLines: 2 })));
+    });
+
+    test('places a slide closer to a brighter copy of itself than to a different picture', () => {
+        const features = computeImageFeatures(slide({ bodyLines: 3 }));
+
+        expect(dot(features, computeImageFeatures(slide({ bodyLines: 3, brightness: 10 }))))
+            .toBeGreaterThan(dot(features, computeImageFeatures(stripes)));
+    });
+
+    test('rejects buffers smaller than the feature image', () => {
+        expect(() => computeImageFeatures(Buffer.alloc(10))).toThrow('Image features need 64x64 RGB pixels, got 10 bytes');
+        expect(() => computeImageFeatures(null)).toThrow('got 0 bytes');
+    });
+});
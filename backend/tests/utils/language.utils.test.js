@@ -0,0 +1,60 @@
+const {
+    normalizeLanguageCode,
+    normalizeLanguageTag,
+    getLanguageName,
+    detectTextLanguage
+} = require('../../src/utils/language.utils');
+
+describe('normalizeLanguageTag', () => {
+    test('keeps the region or script in canonical case', () => {
+        expect(normalizeLanguageTag('pt_br')).toBe('pt-BR');
+        expect(normalizeLanguageTag('PT-pt')).toBe('pt-PT');
+        expect(normalizeLanguageTag('zh-hans')).toBe('zh-Hans');
+        expect(normalizeLanguageTag(' EN ')).toBe('en');
+    });
+
+    test('tells variants apart that share a primary subtag', () => {
+        expect(normalizeLanguageTag('pt-BR')).not.toBe(normalizeLanguageTag('pt'));
+        expect(normalizeLanguageCode('pt-BR')).toBe(normalizeLanguageCode('pt'));
+    });
+
+    test('returns null without a code', () => {
+        expect(normalizeLanguageTag('')).toBeNull();
+        expect(normalizeLanguageTag(undefined)).toBeNull();
+    });
+});
+
+describe('getLanguageName', () => {
+    test('names regional variants', () => {
+        expect(getLanguageName('de')).toBe('German');
+        expect(getLanguageName('pt_br')).toBe('Brazilian Portuguese');
+    });
+});
+
+describe('detectTextLanguage', () => {
+    test.each([
+        ['What does the speaker say about the deployment?', 'en'],
+        ['¿Qué dice el ponente sobre el despliegue?', 'es'],
+        ['Was sagt die Sprecherin über die Bereitstellung?', 'de']
+    ])('recognizes %s', (question, language) => {
+        expect(detectTextLanguage(question)).toBe(language);
+    });
+
+    test('returns null when languages tie', () => {
+        // "de la" counts for Spanish and French alike
+        expect(detectTextLanguage('de la')).toBeNull();
+        expect(detectTextLanguage('Kubernetes')).toBeNull();
+    });
+
+    test('breaks ties and decides single words with letter hints', () => {
+        expect(detectTextLanguage('¿de la?')).toBe('es');
+        expect(detectTextLanguage('Straße')).toBe('de');
+        expect(detectTextLanguage('Configuração')).toBe('pt');
+    });
+
+    test('returns null without text', () => {
+        expect(detectTextLanguage('')).toBeNull();
+        expect(detectTextLanguage('42?!')).toBeNull();
+        expect(detectTextLanguage(undefined)).toBeNull();
+    });
+});
@@ -0,0 +1,79 @@
+const {
+    DHASH_BYTES,
+    computeDHash,
+    hammingDistance,
+    collapseDuplicateFrames
+} = require('../../src/utils/perceptualHash.utils');
+
+// 9x8 grayscale image whose pixel brightness comes from (row, col)
+const image = (brightness) => Uint8Array.from({ length: DHASH_BYTES }, (_, i) => brightness(Math.floor(i / 9), i % 9));
+
+describe('computeDHash', () => {
+    test('sets a bit wherever the left pixel is brighter', () => {
+        expect(computeDHash(image((row, col) => 255 - col * 20))).toBe('ffffffffffffffff');
+        expect(computeDHash(image((row, col) => col * 20))).toBe('0000000000000000');
+        expect(computeDHash(image((row, col) => (row === 0 ? 255 - col * 20 : 0)))).toBe('ff00000000000000');
+    });
+
+    test('does not change with overall brightness', () => {
+        const pattern = (row, col) => ((row * 7 + col * 13) % 17) * 10;
+
+        expect(computeDHash(image((row, col) => pattern(row, col) + 40))).toBe(computeDHash(image(pattern)));
+    });
+
+    test('needs a full 9x8 image', () => {
+        expect(() => computeDHash(new Uint8Array(10))).toThrow('dHash needs 72 grayscale pixels, got 10');
+    });
+});
+
+describe('hammingDistance', () => {
+    test('counts differing bits', () => {
+        expect(hammingDistance('ff00000000000000', 'ff00000000000000')).toBe(0);
+        expect(hammingDistance('ff00000000000000', '0f00000000000001')).toBe(5);
+    });
+
+    test('treats missing or mismatched hashes as unrelated', () => {
+        expect(hammingDistance(null, 'ff')).toBe(Infinity);
+        expect(hammingDistance('ff', 'ff00')).toBe(Infinity);
+    });
+});
+
+describe('collapseDuplicateFrames', () => {
+    const slide = 'ff00ff00ff00ff00';
+    const slideWithCursor = 'ff00ff00ff00ff01';
+    const nextSlide = '00ff00ff00ff00ff';
+
+    test('merges a run of near-identical frames into its first frame covering the run', () => {
+        const frames = [
+            { timestamp: 0, hash: slide },
+            { timestamp: 5, hash: slideWithCursor },
+            { timestamp: 10, hash: slide },
+            { timestamp: 15, hash: nextSlide }
+        ];
+        const { kept, removed } = collapseDuplicateFrames(frames, 6, 22.5);
+
+        expect(kept).toEqual([
+            { timestamp: 0, hash: slide, collapsed_frames: 3, end_time: 15 },
+            { timestamp: 15, hash: nextSlide, collapsed_frames: 1, end_time: 22.5 }
+        ]);
+        expect(removed.map(frame => frame.timestamp)).toEqual([5, 10]);
+    });
+
+    test('compares with the first frame of a run so a slow change starts a new run', () => {
+        const frames = ['0000000000000000', '000000000000000f', '00000000000000ff'].map((hash, index) => ({ timestamp: index, hash }));
+
+        expect(collapseDuplicateFrames(frames, 4, 3).kept.map(frame => frame.timestamp)).toEqual([0, 2]);
+    });
+
+    test('never merges frames without a hash', () => {
+        const frames = [{ timestamp: 0, hash: slide }, { timestamp: 5 }, { timestamp: 10 }];
+
+        expect(collapseDuplicateFrames(frames, 64).kept).toHaveLength(3);
+    });
+
+    test('ends the last run at the last frame when the duration is unknown', () => {
+        const { kept } = collapseDuplicateFrames([{ timestamp: 4.25, hash: slide }], 6);
+
+        expect(kept[0].end_time).toBe(4.25);
+    });
+});
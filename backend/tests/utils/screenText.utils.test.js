@@ -0,0 +1,100 @@
+const {
+    parseTesseractTsv,
+    normalizeScreenText,
+    mergeScreenTextRuns
+} = require('../../src/utils/screenText.utils');
+
+const TSV_HEADER = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+
+// One word row of `tesseract stdout tsv`; block, paragraph and line place it on the image
+const wordRow = (block, par, line, word, conf, text) =>
+    ['5', '1', block, par, line, word, '10', '20', '30', '12', conf, text].join('\t');
+
+// Structural rows (page, block, line) carry conf -1 and no text
+const lineRow = (block, par, line) =>
+    ['4', '1', block, par, line, '0', '10', '20', '300', '12', '-1', ''].join('\t');
+
+const tsvOf = (...rows) => [TSV_HEADER, ...rows].join('\n');
+
+describe('parseTesseractTsv', () => {
+    test('joins words into the lines of the image', () => {
+        const tsv = tsvOf(
+            lineRow(1, 1, 1),
+            wordRow(1, 1, 1, 1, '96.5', 'Quarterly'),
+            wordRow(1, 1, 1, 2, '91', 'Results'),
+            lineRow(1, 1, 2),
+            wordRow(1, 1, 2, 1, '88', 'Revenue'),
+            wordRow(1, 1, 2, 2, '90', 'up'),
+            wordRow(2, 1, 1, 1, '85', '12%')
+        );
+
+        expect(parseTesseractTsv(tsv).text).toBe('Quarterly Results\nRevenue up\n12%');
+    });
+
+    test('drops words below the confidence threshold', () => {
+        const tsv = tsvOf(
+            wordRow(1, 1, 1, 1, '95', 'npm'),
+            wordRow(1, 1, 1, 2, '59.9', 'rnn'),
+            wordRow(1, 1, 1, 3, '60', 'install')
+        );
+
+        expect(parseTesseractTsv(tsv)).toEqual({ text: 'npm install', confidence: 0.78 });
+        expect(parseTesseractTsv(tsv, 90)).toEqual({ text: 'npm', confidence: 0.95 });
+    });
+
+    test('drops lines with fewer than two letters or digits', () => {
+        const tsv = tsvOf(
+            wordRow(1, 1, 1, 1, '80', '|'),
+            wordRow(1, 1, 1, 2, '80', 'x'),
+            wordRow(1, 1, 2, 1, '80', '—'),
+            wordRow(1, 1, 3, 1, '80', 'ok')
+        );
+
+        expect(parseTesseractTsv(tsv)).toEqual({ text: 'ok', confidence: 0.8 });
+    });
+
+    test('returns empty text for images without readable words', () => {
+        expect(parseTesseractTsv(tsvOf(lineRow(1, 1, 1)))).toEqual({ text: '', confidence: 0 });
+        expect(parseTesseractTsv('')).toEqual({ text: '', confidence: 0 });
+    });
+});
+
+describe('normalizeScreenText', () => {
+    test('ignores case, punctuation and spacing', () => {
+        expect(normalizeScreenText('  Agenda:\n Q3   Goals! ')).toBe(normalizeScreenText('agenda q3 goals'));
+    });
+});
+
+describe('mergeScreenTextRuns', () => {
+    test('merges consecutive frames that show the same text', () => {
+        const runs = mergeScreenTextRuns([
+            { frame_number: 1, timestamp: 0, end_time: 5, text: 'Agenda' },
+            { frame_number: 2, timestamp: 5, end_time: 10, text: 'AGENDA.' },
+            { frame_number: 3, timestamp: 10, end_time: 15, text: 'Roadmap' }
+        ]);
+
+        expect(runs).toEqual([
+            { text: 'Agenda', start: 0, end: 10, first_frame: 1, last_frame: 2, frames: 2 },
+            { text: 'Roadmap', start: 10, end: 15, first_frame: 3, last_frame: 3, frames: 1 }
+        ]);
+    });
+
+    test('starts a new run after a frame with no text', () => {
+        const runs = mergeScreenTextRuns([
+            { frame_number: 1, timestamp: 0, end_time: 5, text: 'Agenda' },
+            { frame_number: 2, timestamp: 5, end_time: 10, text: '' },
+            { frame_number: 3, timestamp: 10, end_time: 15, text: 'Agenda' }
+        ]);
+
+        expect(runs.map(run => [run.first_frame, run.last_frame])).toEqual([[1, 1], [3, 3]]);
+    });
+
+    test('ends a run at the frame timestamp when the frame has no end time', () => {
+        const runs = mergeScreenTextRuns([
+            { frame_number: 4, timestamp: 20, text: 'Demo' },
+            { frame_number: 5, timestamp: 25, text: 'Demo' }
+        ]);
+
+        expect(runs).toEqual([{ text: 'Demo', start: 20, end: 25, first_frame: 4, last_frame: 5, frames: 2 }]);
+    });
+});
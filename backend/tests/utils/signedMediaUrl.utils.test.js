@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const {
+    signMediaAccess,
+    verifyMediaAccess,
+    toMediaQueryString
+} = require('../../src/utils/signedMediaUrl.utils');
+
+// Query of a signed URL as Express parses it
+const toQuery = (access) => Object.fromEntries(new URLSearchParams(toMediaQueryString(access)));
+
+describe('verifyMediaAccess', () => {
+    test('returns the user a valid signature was issued to', () => {
+        const query = toQuery(signMediaAccess('video-1', 'stream', 'user-1'));
+
+        expect(verifyMediaAccess('video-1', 'stream', query)).toBe('user-1');
+    });
+
+    test('rejects a signature for another video or scope', () => {
+        const query = toQuery(signMediaAccess('video-1', 'frames', 'user-1'));
+
+        expect(verifyMediaAccess('video-2', 'frames', query)).toBeNull();
+        expect(verifyMediaAccess('video-1', 'stream', query)).toBeNull();
+    });
+
+    test('rejects a signature handed to another user', () => {
+        const query = toQuery(signMediaAccess('video-1', 'poster', 'user-1'));
+
+        expect(verifyMediaAccess('video-1', 'poster', { ...query, uid: 'user-2' })).toBeNull();
+    });
+
+    test('rejects an expired or extended signature', () => {
+        const expired = toQuery(signMediaAccess('video-1', 'stream', 'user-1', -1));
+        const valid = toQuery(signMediaAccess('video-1', 'stream', 'user-1'));
+
+        expect(verifyMediaAccess('video-1', 'stream', expired)).toBeNull();
+        expect(verifyMediaAccess('video-1', 'stream', { ...valid, expires: String(Number(valid.expires) + 3600) })).toBeNull();
+    });
+
+    test('rejects missing or malformed parameters', () => {
+        const query = toQuery(signMediaAccess('video-1', 'stream', 'user-1'));
+
+        expect(verifyMediaAccess('video-1', 'stream')).toBeNull();
+        expect(verifyMediaAccess('video-1', 'stream', { ...query, signature: 'abc' })).toBeNull();
+        expect(verifyMediaAccess('video-1', 'stream', { ...query, signature: [query.signature] })).toBeNull();
+        expect(verifyMediaAccess('video-1', 'stream', { ...query, expires: 'soon' })).toBeNull();
+    });
+
+    test('does not sign with the raw JWT secret', () => {
+        const access = signMediaAccess('video-1', 'stream', 'user-1');
+        const withJwtSecret = crypto.createHmac('sha256', process.env.JWT_SECRET_KEY)
+            .update(`video-1.stream.user-1.${access.expires}`)
+            .digest('hex');
+
+        expect(access.signature).not.toBe(withJwtSecret);
+    });
+});
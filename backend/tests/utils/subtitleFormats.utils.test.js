@@ -0,0 +1,147 @@
+const {
+    buildCaptionCues,
+    wrapCaptionText,
+    formatSrt,
+    formatVtt,
+    formatPlainText,
+    parseSubtitles
+} = require('../../src/utils/subtitleFormats.utils');
+
+const cues = [
+    { index: 1, start: 0, end: 2.5, text: 'Welcome to the show.', speaker: 'A' },
+    { index: 2, start: 3661.04, end: 3663, text: 'Tom & Jerry <live>', speaker: 'B' }
+];
+const speakerName = (label) => ({ A: 'Ada', B: 'Bob' })[label];
+
+describe('buildCaptionCues', () => {
+    test('keeps cues within the line and duration limits and inside their segment', () => {
+        const text = 'This sentence is long enough that it cannot fit into a single caption cue of two lines and must be split.';
+        const transcription = {
+            segments: [
+                { start: 0, end: 6, text: text, speaker: 'A' },
+                { start: 6, end: 7, text: 'Short.', speaker: 'B' }
+            ]
+        };
+        const result = buildCaptionCues(transcription);
+
+        expect(result.length).toBeGreaterThan(2);
+        result.forEach(cue => expect(cue.text.length).toBeLessThanOrEqual(84));
+        expect(result.map(cue => cue.index)).toEqual(result.map((_, i) => i + 1));
+        expect(result[result.length - 1]).toMatchObject({ text: 'Short.', speaker: 'B', start: 6 });
+        expect(result.slice(0, -1).map(cue => cue.text).join(' ')).toBe(text);
+    });
+
+    test('uses word timings when the transcript has them', () => {
+        const transcription = {
+            segments: [{ start: 0, end: 10, text: 'one two', speaker: null }],
+            words: [{ text: 'one', start: 1, end: 1.4 }, { text: 'two', start: 8, end: 8.4 }]
+        };
+        const [cue] = buildCaptionCues(transcription, { maxDuration: 20 });
+
+        expect(cue).toMatchObject({ start: 1, end: 8.4, text: 'one two' });
+    });
+
+    test('stretches a short cue to the minimum duration without reaching the next cue', () => {
+        const transcription = {
+            segments: [
+                { start: 0, end: 0.2, text: 'Hi.' },
+                { start: 0.5, end: 2, text: 'Hello there.' }
+            ]
+        };
+        const [first] = buildCaptionCues(transcription);
+
+        expect(first.end).toBeCloseTo(0.42);
+    });
+});
+
+describe('wrapCaptionText', () => {
+    test('leaves short text on one line', () => {
+        expect(wrapCaptionText('Short line')).toEqual(['Short line']);
+    });
+
+    test('splits two-line text near the middle', () => {
+        const lines = wrapCaptionText('The quick brown fox jumps over the lazy dog and runs', 30);
+
+        expect(lines).toHaveLength(2);
+        lines.forEach(line => expect(line.length).toBeLessThanOrEqual(30));
+        expect(Math.abs(lines[0].length - lines[1].length)).toBeLessThanOrEqual(6);
+    });
+});
+
+describe('formatSrt', () => {
+    test('writes numbered cues with comma millisecond timestamps', () => {
+        expect(formatSrt(cues)).toBe(
+            '1\n00:00:00,000 --> 00:00:02,500\nWelcome to the show.\n\n' +
+            '2\n01:01:01,040 --> 01:01:03,000\nTom & Jerry <live>\n'
+        );
+    });
+
+    test('prefixes speaker names when asked to', () => {
+        expect(formatSrt(cues.slice(0, 1), { speakerName })).toContain('Ada: Welcome to the show.');
+    });
+});
+
+describe('formatVtt', () => {
+    test('writes a WEBVTT header, dot millisecond timestamps and escaped text', () => {
+        expect(formatVtt(cues)).toBe(
+            'WEBVTT\n\n' +
+            '1\n00:00:00.000 --> 00:00:02.500\nWelcome to the show.\n\n' +
+            '2\n01:01:01.040 --> 01:01:03.000\nTom &amp; Jerry &lt;live&gt;\n'
+        );
+    });
+
+    test('writes speakers as voice spans', () => {
+        expect(formatVtt(cues, { speakerName })).toContain('<v Bob>Tom &amp; Jerry &lt;live&gt;');
+    });
+});
+
+describe('formatPlainText', () => {
+    test('writes one paragraph per speaker turn', () => {
+        const segments = [
+            { text: 'Hi.', speaker: 'A' },
+            { text: 'How are you?', speaker: 'A' },
+            { text: 'Fine.', speaker: 'B' }
+        ];
+
+        expect(formatPlainText(segments, { speakerName })).toBe('Ada: Hi. How are you?\n\nBob: Fine.\n');
+        expect(formatPlainText(segments)).toBe('Hi. How are you?\n\nFine.\n');
+    });
+});
+
+describe('parseSubtitles', () => {
+    test('reads SRT cues with CRLF line endings and formatting tags', () => {
+        const srt = '\uFEFF1\r\n00:00:01,500 --> 00:00:03,000\r\n<i>Hello</i> there\r\nsecond line\r\n\r\n' +
+            '2\r\n00:00:04,000 --> 00:00:05,250\r\n{\\an8}Fish &amp; chips\r\n';
+
+        expect(parseSubtitles(srt)).toEqual([
+            { start: 1.5, end: 3, text: 'Hello there second line', voice: null },
+            { start: 4, end: 5.25, text: 'Fish & chips', voice: null }
+        ]);
+    });
+
+    test('reads WebVTT cues without hours, with settings, voices and NOTE blocks', () => {
+        const vtt = 'WEBVTT\n\nNOTE written by hand\n\n' +
+            '00:05.000 --> 00:06.500 align:start\n<v.loud Bob>Later</v>\n\n' +
+            'intro\n00:01.000 --> 00:02.000\n<v Ada>Earlier\n';
+
+        expect(parseSubtitles(vtt)).toEqual([
+            { start: 1, end: 2, text: 'Earlier', voice: 'Ada' },
+            { start: 5, end: 6.5, text: 'Later', voice: 'Bob' }
+        ]);
+    });
+
+    test('skips cues with unreadable or reversed times and empty text', () => {
+        const srt = '1\n00:00:05,000 --> 00:00:04,000\nBackwards\n\n2\nsoon --> later\nBroken\n\n3\n00:00:06,000 --> 00:00:07,000\n<b></b>\n';
+
+        expect(parseSubtitles(srt)).toEqual([]);
+    });
+
+    test('reads back what formatSrt and formatVtt write', () => {
+        const parsedSrt = parseSubtitles(formatSrt(cues));
+        const parsedVtt = parseSubtitles(formatVtt(cues, { speakerName }));
+
+        // SRT has no escaping, "<live>" reads as a formatting tag
+        expect(parsedSrt.map(cue => [cue.start, cue.end, cue.text])).toEqual([[0, 2.5, 'Welcome to the show.'], [3661.04, 3663, 'Tom & Jerry']]);
+        expect(parsedVtt.map(cue => [cue.text, cue.voice])).toEqual([['Welcome to the show.', 'Ada'], ['Tom & Jerry <live>', 'Bob']]);
+    });
+});
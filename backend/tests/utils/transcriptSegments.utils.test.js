@@ -0,0 +1,83 @@
+const {
+    buildSegmentsFromWords,
+    listSpeakerLabels,
+    getSpeakerName
+} = require('../../src/utils/transcriptSegments.utils');
+
+// Words spoken back to back, 0.3s each, starting at `start`
+const timedWords = (text, start = 0, speaker = null) => text.split(' ').map((word, index) => ({
+    text: word,
+    start: start + index * 0.3,
+    end: start + index * 0.3 + 0.3,
+    confidence: 0.9,
+    speaker: speaker
+}));
+
+describe('buildSegmentsFromWords', () => {
+    test('returns no segments without words', () => {
+        expect(buildSegmentsFromWords([])).toEqual([]);
+        expect(buildSegmentsFromWords(null)).toEqual([]);
+    });
+
+    test('ends a segment at sentence punctuation', () => {
+        const segments = buildSegmentsFromWords(timedWords('Hello there. How are you? Fine!'));
+
+        expect(segments.map(segment => segment.text)).toEqual(['Hello there.', 'How are you?', 'Fine!']);
+        expect(segments.map(segment => segment.id)).toEqual([0, 1, 2]);
+        expect(segments[1].start).toBeCloseTo(0.6);
+        expect(segments[1].end).toBeCloseTo(1.5);
+    });
+
+    test('does not split after abbreviations or before a lowercase word', () => {
+        const segments = buildSegmentsFromWords(timedWords('Ask Dr. Smith about tools, e.g. linters. Done.'));
+
+        expect(segments.map(segment => segment.text)).toEqual(['Ask Dr. Smith about tools, e.g. linters.', 'Done.']);
+    });
+
+    test('starts a new segment when the speaker changes', () => {
+        const words = [...timedWords('so what do you think', 0, 'A'), ...timedWords('I agree with that', 1.5, 'B')];
+        const segments = buildSegmentsFromWords(words);
+
+        expect(segments.map(segment => [segment.speaker, segment.text])).toEqual([
+            ['A', 'so what do you think'],
+            ['B', 'I agree with that']
+        ]);
+    });
+
+    test('starts a new segment at a pause', () => {
+        const words = [...timedWords('first part', 0), ...timedWords('second part', 5)];
+
+        expect(buildSegmentsFromWords(words).map(segment => segment.text)).toEqual(['first part', 'second part']);
+        expect(buildSegmentsFromWords(words, { pauseSeconds: 10 })).toHaveLength(1);
+    });
+
+    test('caps unpunctuated speech by word count', () => {
+        const words = timedWords(Array.from({ length: 10 }, (_, i) => `word${i}`).join(' '));
+        const segments = buildSegmentsFromWords(words, { maxWords: 4 });
+
+        expect(segments.map(segment => segment.tokens.length)).toEqual([4, 4, 2]);
+    });
+
+    test('averages word confidence per segment', () => {
+        const words = timedWords('one two.');
+        words[1].confidence = 0.5;
+
+        expect(buildSegmentsFromWords(words)[0].confidence).toBeCloseTo(0.7);
+    });
+});
+
+describe('speaker helpers', () => {
+    const segments = [{ speaker: 'B' }, { speaker: null }, { speaker: 'A' }, { speaker: 'B' }];
+
+    test('lists speaker labels in order of first appearance', () => {
+        expect(listSpeakerLabels(segments)).toEqual(['B', 'A']);
+    });
+
+    test('names a speaker from the video, or by label', () => {
+        const speakers = [{ label: 'A', name: 'Ada' }];
+
+        expect(getSpeakerName(speakers, 'A')).toBe('Ada');
+        expect(getSpeakerName(speakers, 'B')).toBe('Speaker B');
+        expect(getSpeakerName(speakers, null)).toBeNull();
+    });
+});
@@ -0,0 +1,89 @@
+const {
+    soundKey,
+    buildVocabularyMatcher,
+    normalizeWordsWithVocabulary,
+    applyVocabularyToTranscript
+} = require('../../src/utils/vocabularyNormalizer.utils');
+
+const terms = [
+    { phrase: 'Kubernetes' },
+    { phrase: 'Amelia Chen', sounds_like: ['amelia chan'] },
+    { phrase: 'gRPC', sounds_like: ['g r p c'] }
+];
+const matcher = buildVocabularyMatcher(terms);
+
+// Words 0.5s each starting at 10s
+const timedWords = (text, speaker = null) => text.split(' ').map((word, index) => ({
+    text: word,
+    start: 10 + index * 0.5,
+    end: 10.5 + index * 0.5,
+    confidence: 0.8,
+    speaker: speaker
+}));
+const textOf = (words) => words.map(word => word.text).join(' ');
+
+describe('soundKey', () => {
+    test('ignores case, accents, spacing and common misspellings', () => {
+        expect(soundKey('cube ernetes')).toBe(soundKey('Kubernetes'));
+        expect(soundKey('Café')).toBe(soundKey('kafe'));
+        expect(soundKey('Phillip')).toBe(soundKey('Filip'));
+    });
+});
+
+describe('normalizeWordsWithVocabulary', () => {
+    test('joins a term split into several words and keeps the punctuation around it', () => {
+        const { words, replacements } = normalizeWordsWithVocabulary(timedWords('we run cube ernetes, on prem'), matcher);
+
+        expect(textOf(words)).toBe('we run Kubernetes, on prem');
+        expect(replacements).toEqual([{ from: 'cube ernetes,', to: 'Kubernetes,', start: 11 }]);
+    });
+
+    test('spreads the term over the time of the words it replaces', () => {
+        const { words } = normalizeWordsWithVocabulary(timedWords('ask g r p c'), matcher);
+
+        expect(words[1]).toMatchObject({ text: 'gRPC', start: 10.5, end: 12.5, confidence: 0.8 });
+    });
+
+    test('uses sounds_like variants and fixes small misspellings of long terms', () => {
+        expect(textOf(normalizeWordsWithVocabulary(timedWords('thanks amelia chan'), matcher).words)).toBe('thanks Amelia Chen');
+        expect(textOf(normalizeWordsWithVocabulary(timedWords('deploy to kubernets'), matcher).words)).toBe('deploy to Kubernetes');
+    });
+
+    test('leaves ordinary words and correctly spelled terms alone', () => {
+        const { words, replacements } = normalizeWordsWithVocabulary(timedWords('Kubernetes is not a cube'), matcher);
+
+        expect(textOf(words)).toBe('Kubernetes is not a cube');
+        expect(replacements).toEqual([]);
+    });
+
+    test('does not join words of two speakers', () => {
+        const words = [...timedWords('cube', 'A'), ...timedWords('ernetes', 'B')];
+
+        expect(normalizeWordsWithVocabulary(words, matcher).replacements).toEqual([]);
+    });
+
+    test('does nothing without a vocabulary', () => {
+        const words = timedWords('cube ernetes');
+
+        expect(normalizeWordsWithVocabulary(words, buildVocabularyMatcher([]))).toEqual({ words, replacements: [] });
+    });
+});
+
+describe('applyVocabularyToTranscript', () => {
+    test('rebuilds text and segments from the corrected words', () => {
+        const words = timedWords('We run cube ernetes.');
+        const { result, replacements } = applyVocabularyToTranscript({ fullText: textOf(words), segments: [], words }, terms);
+
+        expect(result.fullText).toBe('We run Kubernetes.');
+        expect(result.segments.map(segment => segment.text)).toEqual(['We run Kubernetes.']);
+        expect(replacements).toHaveLength(1);
+    });
+
+    test('corrects segment texts of a transcript without words', () => {
+        const transcript = { fullText: 'Ask amelia chan.', segments: [{ start: 4, end: 6, text: 'Ask amelia chan.' }] };
+        const { result, replacements } = applyVocabularyToTranscript(transcript, terms);
+
+        expect(result.segments[0].text).toBe('Ask Amelia Chen.');
+        expect(replacements).toEqual([{ from: 'amelia chan.', to: 'Amelia Chen.', start: 4 }]);
+    });
+});